@@ -2,6 +2,8 @@ import winston from 'winston';
 
 const logger = winston.createLogger({
   level: 'info',
+  // Tests check what is logged through spies rather than the console and log files
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.json(),
   transports: [
     new winston.transports.Console({
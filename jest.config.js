@@ -1,5 +1,6 @@
 /** @type {import('ts-jest').JestConfigWithTsJest} */
-export default {
+const frontend = {
+  displayName: 'frontend',
   preset: 'ts-jest',
   testEnvironment: 'jsdom',
   extensionsToTreatAsEsm: ['.ts'],
@@ -14,6 +15,25 @@ export default {
       },
     ],
   },
+  testMatch: [
+    '<rootDir>/src/**/__tests__/**/*.{ts,tsx}',
+    '<rootDir>/src/**/*.{spec,test}.{ts,tsx}',
+    '!src/utils/__tests__/**/*.{ts,tsx}',
+  ],
+  setupFiles: ['<rootDir>/src/test/setup.ts'],
+};
+
+// Server suites are native ES modules, run untransformed under
+// --experimental-vm-modules (see the test scripts in package.json)
+const server = {
+  displayName: 'server',
+  testEnvironment: 'node',
+  transform: {},
+  testMatch: ['<rootDir>/src/**/__tests__/**/*.test.js'],
+};
+
+export default {
+  projects: [frontend, server],
   coverageDirectory: 'coverage',
   collectCoverageFrom: [
     'src/**/*.{ts,tsx}',
@@ -22,10 +42,4 @@ export default {
     '!src/types/**/*',
     '!src/utils/__tests__/**/*',
   ],
-  testMatch: [
-    '<rootDir>/src/**/__tests__/**/*.{ts,tsx}',
-    '<rootDir>/src/**/*.{spec,test}.{ts,tsx}',
-    '!src/utils/__tests__/**/*.{ts,tsx}',
-  ],
-  setupFiles: ['<rootDir>/src/test/setup.ts'],
 };
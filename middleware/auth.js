@@ -0,0 +1,131 @@
+/**
+ * Middleware for authenticating requests with a session token or API key
+ */
+
+/**
+ * Turns `METHOD /path/:param` route patterns into matchers
+ * @param {string[]} routes - Route patterns such as `GET /api/store/apps/:appId`
+ * @returns {Object[]} Method and path regular expression pairs
+ */
+const compileRoutes = routes =>
+  routes.map(route => {
+    const [method, path] = route.split(' ');
+    const pattern = path
+      .split('/')
+      .map(segment =>
+        segment.startsWith(':')
+          ? '[^/]+'
+          : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      )
+      .join('/');
+    return { method, path: new RegExp(`^${pattern}/?$`) };
+  });
+
+/**
+ * Reads the credential from `Authorization: Bearer <token>` or `X-API-Key`
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session token or API key
+ */
+export const getCredential = req => {
+  const authorization = req.get('Authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && token) {
+    return token;
+  }
+  return req.get('X-API-Key') || null;
+};
+
+/**
+ * Creates middleware that sets `req.user` from the request's credential and
+ * rejects unauthenticated requests to anything but the public routes
+ * @param {Object} authService - AuthService instance
+ * @param {Object} options - `publicRoutes`: route patterns open without a credential
+ * @returns {Function} Express middleware
+ */
+export const authenticate = (authService, { publicRoutes = [] } = {}) => {
+  const open = compileRoutes(publicRoutes);
+
+  return (req, res, next) => {
+    const credential = getCredential(req);
+    const path = `${req.baseUrl}${req.path}`;
+    const isPublic = open.some(
+      route => route.method === req.method && route.path.test(path)
+    );
+
+    if (!credential) {
+      if (isPublic) {
+        return next();
+      }
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    // A bad credential is rejected even on public routes, so clients notice expired sessions
+    const result = authService.authenticate(credential);
+    if (!result.success) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+      });
+    }
+
+    req.user = result.user;
+    next();
+  };
+};
+
+/**
+ * Whether a signed-in user (or API key) holds a permission; `admin` holds them all
+ * @param {Object} user - `req.user`
+ * @param {string} permission - Permission such as `payment:refund`
+ * @returns {boolean} True when allowed
+ */
+export const hasPermission = (user, permission) =>
+  user.permissions.includes(permission) || user.permissions.includes('admin');
+
+/**
+ * Creates middleware enforcing a route's access policy. Admins pass every ownership check.
+ * @param {Object} policy - `permission` the caller needs, and/or `owner`: `req => userId`
+ *   (or a list of user IDs) owning the resource the route acts on. `owner` returns undefined
+ *   when the resource does not exist, leaving the route to answer 404.
+ * @returns {Function} Express middleware
+ */
+export const authorize =
+  ({ permission, owner } = {}) =>
+  async (req, res, next) => {
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+      });
+    }
+
+    if (permission && !hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires the ${permission} permission`,
+        requiredPermission: permission,
+      });
+    }
+
+    try {
+      if (owner && !hasPermission(req.user, 'admin')) {
+        const owners = await owner(req);
+        if (owners !== undefined && ![].concat(owners).includes(req.user.id)) {
+          return res.status(403).json({
+            success: false,
+            error: 'You can only access your own resources',
+          });
+        }
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
@@ -0,0 +1,197 @@
+/**
+ * Middleware for Idempotency-Key support on mutating endpoints
+ */
+import crypto from 'crypto';
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serializes a value with object keys sorted, so equal bodies fingerprint equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Fingerprints the parts of a request a retry must repeat exactly
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintRequest = req =>
+  crypto
+    .createHash('sha256')
+    .update(
+      `${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body || {})}`
+    )
+    .digest('hex');
+
+/**
+ * In-memory idempotency record store. Records expire after their TTL.
+ */
+export class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  /**
+   * The unexpired record for a key, or null
+   */
+  read(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  async set(key, record) {
+    this.prune();
+    this.records.set(key, record);
+  }
+
+  /**
+   * Stores a record only if the key is free. The check and the write happen
+   * without awaiting in between, so concurrent requests cannot both claim a key.
+   * @returns {Promise<boolean>} False if the key was already taken
+   */
+  create(key, record) {
+    if (this.read(key)) {
+      return Promise.resolve(false);
+    }
+    this.prune();
+    this.records.set(key, record);
+    return Promise.resolve(true);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Drop expired records
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Creates middleware that replays the first response for a repeated Idempotency-Key
+ * @param {Object} options - Options
+ * @param {Object} options.store - Record store with async get/set/create/delete
+ * @param {number} options.ttlMs - How long keys are remembered
+ * @returns {Function} Express middleware
+ */
+export const createIdempotencyMiddleware = (options = {}) => {
+  const store = options.store || new MemoryIdempotencyStore();
+  const ttlMs =
+    options.ttlMs ||
+    (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || DEFAULT_TTL_HOURS) *
+      60 *
+      60 *
+      1000;
+
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    try {
+      // Keys are scoped per signed-in user (or IP) so one client cannot replay another's response
+      const userId = req.user?.id || `anonymous:${req.ip}`;
+      const storeKey = `${userId}:${key}`;
+      const fingerprint = fingerprintRequest(req);
+      const existing = await store.get(storeKey);
+
+      if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key was already used with a different request',
+          });
+        }
+        if (existing.state === 'in_progress') {
+          return res.status(409).json({
+            success: false,
+            error: 'A request with this Idempotency-Key is still in progress',
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      const claimed = await store.create(storeKey, {
+        state: 'in_progress',
+        fingerprint,
+        expiresAt: Date.now() + ttlMs,
+      });
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still in progress',
+        });
+      }
+
+      // Remember the response once the handler sends it. Server errors are
+      // forgotten so the client can retry with the same key.
+      const json = res.json.bind(res);
+      res.json = body => {
+        const saved =
+          res.statusCode >= 500
+            ? store.delete(storeKey)
+            : store.set(storeKey, {
+                state: 'completed',
+                fingerprint,
+                statusCode: res.statusCode,
+                body,
+                expiresAt: Date.now() + ttlMs,
+              });
+
+        Promise.resolve(saved).catch(error =>
+          console.error('Error saving idempotency record:', error)
+        );
+        return json(body);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Default middleware backed by the in-memory store
+ */
+export const idempotency = createIdempotencyMiddleware();
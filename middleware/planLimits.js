@@ -0,0 +1,82 @@
+/**
+ * Middleware for enforcing subscription plan limits on metered routes
+ */
+import fs from 'fs/promises';
+
+/**
+ * Identifies who is billed for a request: always the signed-in user, never an ID
+ * the client sends. Requests without a user are metered per IP on the free plan.
+ * @param {Object} req - Express request object
+ * @returns {string} User ID
+ */
+export const getMeteredUserId = req => req.user?.id || `anonymous:${req.ip}`;
+
+/**
+ * Total size in bytes of the files multer attached to the request
+ * @param {Object} req - Express request object
+ * @returns {number} Uploaded bytes
+ */
+export const uploadedBytes = req =>
+  [req.file, ...(req.files || [])]
+    .filter(Boolean)
+    .reduce((sum, file) => sum + (file.size || 0), 0);
+
+/**
+ * Removes uploaded files from disk after a rejected request
+ * @param {Object} req - Express request object
+ */
+const discardUploads = async req => {
+  const paths = [req.file, ...(req.files || [])]
+    .filter(file => file?.path)
+    .map(file => file.path);
+
+  await Promise.all(paths.map(filePath => fs.unlink(filePath).catch(() => {})));
+};
+
+/**
+ * Creates middleware that rejects requests over the plan limit and reserves
+ * usage up front, releasing it when the response fails or is aborted
+ * @param {Object} meter - UsageMeter instance
+ * @param {Object} amounts - Resource name to a quantity or `req => quantity`
+ * @returns {Function} Express middleware
+ */
+export const meterUsage = (meter, amounts) => async (req, res, next) => {
+  try {
+    const userId = getMeteredUserId(req);
+    const quantities = Object.fromEntries(
+      Object.entries(amounts).map(([resource, amount]) => [
+        resource,
+        typeof amount === 'function' ? amount(req) : amount,
+      ])
+    );
+
+    const quota = meter.reserve(userId, quantities);
+    if (!quota.allowed) {
+      await discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        error: quota.error,
+        limitExceeded: true,
+        resource: quota.resource,
+        used: quota.used,
+        limit: quota.limit,
+      });
+    }
+
+    let settled = false;
+    const settle = succeeded => {
+      if (!settled) {
+        settled = true;
+        if (!succeeded) {
+          meter.release(userId, quantities);
+        }
+      }
+    };
+    res.on('finish', () => settle(res.statusCode < 400));
+    res.on('close', () => settle(false));
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Middleware for per-client request rate limits, tiered by subscription plan
+ */
+import { parseLimit } from '../services/usageMeter.js';
+import {
+  DEFAULT_REQUESTS_PER_MINUTE,
+  DEFAULT_RATE_LIMIT_WINDOW_MS,
+} from '../services/rateLimiter.js';
+
+/**
+ * Identifies whose bucket a request draws from: each API key has its own,
+ * sessions share their user's, and anonymous requests are limited per IP
+ * @param {Object} req - Express request object
+ * @returns {string} Bucket key
+ */
+export const getRateLimitKey = req => {
+  if (req.user?.apiKeyId) {
+    return `key:${req.user.apiKeyId}`;
+  }
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+};
+
+/**
+ * Creates middleware that answers 429 once a client's bucket is empty, and sets
+ * the `RateLimit-*` headers on every response it lets through
+ * @param {Object} limiter - RateLimiter instance
+ * @param {Object} meter - UsageMeter instance providing the caller's plan
+ * @param {Object} options - `name` of the bucket, shared by routes that use the
+ *   same name, and the `cost` of each request in tokens
+ * @returns {Function} Express middleware
+ */
+export const rateLimit =
+  (limiter, meter, { name = 'api', cost = 1 } = {}) =>
+  async (req, res, next) => {
+    try {
+      const plan = meter.getPlan(req.user?.id);
+      const limit = parseLimit(
+        plan.limits.requestsPerMinute ?? DEFAULT_REQUESTS_PER_MINUTE
+      );
+      if (limit === Infinity) {
+        return next();
+      }
+
+      const result = await limiter.consume(`${name}:${getRateLimitKey(req)}`, {
+        limit,
+        windowMs: DEFAULT_RATE_LIMIT_WINDOW_MS,
+        cost,
+      });
+
+      res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+        'RateLimit-Policy': `${limit};w=${DEFAULT_RATE_LIMIT_WINDOW_MS / 1000}`,
+      });
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `Rate limit of ${limit} requests per minute exceeded (${plan.name}). Try again in ${retryAfter}s.`,
+          retryAfter,
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
@@ -4,95 +4,93 @@
  */
 
 import express from 'express';
-import AIStoreService from '../services/aiStoreService.js';
+import { SEARCH_SORT_OPTIONS, getAppDeveloperIds } from '../services/aiStoreService.js';
 import AnalyticsService from '../services/analytics.js';
 import GlobalScalingService from '../services/globalScaling.js';
-import PartnershipService from '../services/partnershipService.js';
-import PaymentService from '../services/paymentService.js';
+import { aiStore, entitlementService, rateLimiter, usageMeter } from '../services/sharedServices.js';
+import { meterUsage } from '../middleware/planLimits.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { authorize, hasPermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Initialize services
-const aiStore = new AIStoreService();
 const analytics = new AnalyticsService();
 const globalScaling = new GlobalScalingService();
-const partnership = new PartnershipService();
-const payment = new PaymentService();
+
+/**
+ * Owners of the app a route acts on: its developer and any joint-app co-owners
+ */
+const appOwners = req => {
+    const app = aiStore.apps.get(req.params.appId);
+    return app ? getAppDeveloperIds(app) : undefined;
+};
+
+/**
+ * Per-user resources belong to the user in the path
+ */
+const ownUser = req => req.params.userId;
+
+/**
+ * Parse search filters shared by the listing and search endpoints
+ */
+const parseSearchFilters = query => ({
+    category: query.category,
+    minRating: query.minRating ? parseFloat(query.minRating) : undefined,
+    minPrice: query.minPrice ? parseFloat(query.minPrice) : undefined,
+    maxPrice: query.maxPrice ? parseFloat(query.maxPrice) : undefined
+});
 
 /**
  * @route GET /api/store/apps
- * @description Get all apps with filtering and pagination
+ * @description Get all apps with filtering, sorting and pagination
  */
 router.get('/apps', async (req, res) => {
     try {
         const {
-            category,
             search,
-            sort = 'popular',
+            sort,
             page = 1,
             limit = 20,
-            minRating,
-            maxPrice,
             featured
         } = req.query;
         
-        let apps;
-        
-        if (search) {
-            // Search apps
-            const searchResults = aiStore.searchApps(search, {
-                category,
-                minRating: minRating ? parseFloat(minRating) : undefined,
-                maxPrice: maxPrice ? parseFloat(maxPrice) : undefined
-            });
-            apps = searchResults.results;
-        } else if (featured === 'true') {
+        if (featured === 'true') {
             // Get featured apps
-            apps = aiStore.getFeaturedApps(parseInt(limit));
-        } else {
-            // Get all apps with filters
-            apps = Array.from(aiStore.apps.values())
-                .filter(app => app.status === 'approved')
-                .filter(app => !category || app.category === category)
-                .filter(app => !minRating || app.rating >= parseFloat(minRating))
-                .filter(app => !maxPrice || (app.price || 0) <= parseFloat(maxPrice));
-        }
-        
-        // Sort apps
-        switch (sort) {
-            case 'popular':
-                apps.sort((a, b) => b.downloads - a.downloads);
-                break;
-            case 'rating':
-                apps.sort((a, b) => b.rating - a.rating);
-                break;
-            case 'newest':
-                apps.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-                break;
-            case 'price_low':
-                apps.sort((a, b) => (a.price || 0) - (b.price || 0));
-                break;
-            case 'price_high':
-                apps.sort((a, b) => (b.price || 0) - (a.price || 0));
-                break;
+            const apps = aiStore.getFeaturedApps(parseInt(limit));
+            
+            return res.json({
+                success: true,
+                apps,
+                pagination: {
+                    page: 1,
+                    limit: parseInt(limit),
+                    total: apps.length,
+                    pages: 1
+                },
+                filters: {
+                    categories: Array.from(aiStore.categories.keys()),
+                    sortOptions: SEARCH_SORT_OPTIONS
+                }
+            });
         }
         
-        // Pagination
-        const startIndex = (parseInt(page) - 1) * parseInt(limit);
-        const paginatedApps = apps.slice(startIndex, startIndex + parseInt(limit));
+        // Search or browse the catalogue through the index
+        const searchResults = aiStore.searchApps(search || '', parseSearchFilters(req.query), {
+            sort,
+            page,
+            limit
+        });
         
         res.json({
             success: true,
-            apps: paginatedApps,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total: apps.length,
-                pages: Math.ceil(apps.length / parseInt(limit))
-            },
+            apps: searchResults.results,
+            pagination: searchResults.pagination,
+            sort: searchResults.sort,
+            facets: searchResults.facets,
             filters: {
                 categories: Array.from(aiStore.categories.keys()),
-                sortOptions: ['popular', 'rating', 'newest', 'price_low', 'price_high']
+                sortOptions: SEARCH_SORT_OPTIONS
             }
         });
         
@@ -107,12 +105,14 @@ router.get('/apps', async (req, res) => {
 
 /**
  * @route GET /api/store/apps/:appId
- * @description Get detailed app information
+ * @description Get detailed app information; apps that are not approved are only visible to their developers and moderators
  */
 router.get('/apps/:appId', async (req, res) => {
     try {
         const { appId } = req.params;
-        const appDetails = aiStore.getAppDetails(appId);
+        const appDetails = aiStore.getAppDetails(appId, req.user?.id, {
+            includeUnapproved: Boolean(req.user) && hasPermission(req.user, 'store:moderate')
+        });
         
         if (appDetails.error) {
             return res.status(404).json({
@@ -122,7 +122,9 @@ router.get('/apps/:appId', async (req, res) => {
         }
         
         // Track app view
-        analytics.trackAIToolUsage('appView', req.user?.id, 0, true);
+        if (appDetails.status === 'approved') {
+            analytics.trackAIToolUsage('appView', req.user?.id, 0, true);
+        }
         
         res.json({
             success: true,
@@ -142,10 +144,10 @@ router.get('/apps/:appId', async (req, res) => {
  * @route POST /api/store/apps
  * @description Publish new app to the store
  */
-router.post('/apps', async (req, res) => {
+router.post('/apps', authorize({ permission: 'store:publish' }), async (req, res) => {
     try {
         const appData = req.body;
-        const developerId = req.user?.id || 'anonymous';
+        const developerId = req.user.id;
         
         // Validate required fields
         if (!appData.name || !appData.description || !appData.category) {
@@ -163,7 +165,7 @@ router.post('/apps', async (req, res) => {
             
             res.status(201).json(result);
         } else {
-            res.status(400).json(result);
+            res.status(result.limitExceeded ? 403 : 400).json(result);
         }
         
     } catch (error) {
@@ -177,15 +179,17 @@ router.post('/apps', async (req, res) => {
 
 /**
  * @route POST /api/store/apps/:appId/download
- * @description Download app
+ * @description Download app (latest stable by default, or a pinned version / channel)
  */
 router.post('/apps/:appId/download', async (req, res) => {
     try {
         const { appId } = req.params;
-        const userId = req.user?.id || 'anonymous';
+        const userId = req.user.id;
         const userLocation = req.body.location || {};
         
-        const downloadResult = await aiStore.downloadApp(appId, userId);
+        const { version, channel } = req.body;
+        
+        const downloadResult = await aiStore.downloadApp(appId, userId, { version, channel });
         
         if (downloadResult.success) {
             // Track download
@@ -196,7 +200,7 @@ router.post('/apps/:appId/download', async (req, res) => {
             
             res.json(downloadResult);
         } else {
-            res.status(400).json(downloadResult);
+            res.status(downloadResult.paymentRequired ? 402 : 400).json(downloadResult);
         }
         
     } catch (error) {
@@ -208,6 +212,509 @@ router.post('/apps/:appId/download', async (req, res) => {
     }
 });
 
+/**
+ * Map a failed download verification to an HTTP status
+ */
+const downloadFailureStatus = result => {
+    if (result.paymentRequired) {
+        return 402;
+    }
+    return result.error.includes('token') ? 403 : 404;
+};
+
+/**
+ * @route GET /api/store/apps/:appId/download
+ * @description Serve a download from a signed, expiring link issued by POST /apps/:appId/download
+ */
+router.get('/apps/:appId/download', async (req, res) => {
+    try {
+        const { appId } = req.params;
+        const { token, version } = req.query;
+        
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                error: 'Download token required'
+            });
+        }
+        
+        const result = aiStore.verifyDownload(appId, token, {
+            version,
+            userId: req.user?.id
+        });
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(downloadFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error verifying download:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify download'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/licenses/verify
+ * @description Check a license key for an app (called by third-party apps)
+ */
+router.post('/licenses/verify', async (req, res) => {
+    try {
+        const { licenseKey, appId } = req.body;
+        
+        if (!licenseKey || !appId) {
+            return res.status(400).json({
+                success: false,
+                error: 'License key and app ID are required'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...entitlementService.verifyLicense(licenseKey, appId)
+        });
+        
+    } catch (error) {
+        console.error('Error verifying license:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify license'
+        });
+    }
+});
+
+/**
+ * @route GET /api/store/users/:userId/entitlements
+ * @description List a user's app entitlements and license keys
+ */
+router.get('/users/:userId/entitlements', authorize({ owner: ownUser }), async (req, res) => {
+    try {
+        const entitlements = entitlementService.getUserEntitlements(req.params.userId);
+        
+        res.json({
+            success: true,
+            entitlements,
+            total: entitlements.length
+        });
+        
+    } catch (error) {
+        console.error('Error getting entitlements:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get entitlements'
+        });
+    }
+});
+
+/**
+ * Map a failed release operation to an HTTP status
+ */
+const releaseFailureStatus = result => {
+    if (result.error === 'App not found') {
+        return 404;
+    }
+    return result.error.startsWith('Only the') ? 403 : 400;
+};
+
+/**
+ * @route GET /api/store/apps/:appId/releases
+ * @description List releases of an app, newest first. Apps that are not approved are only visible to their developers and moderators.
+ */
+router.get('/apps/:appId/releases', async (req, res) => {
+    try {
+        const releases = aiStore.getReleases(req.params.appId, req.query.channel, req.user?.id, {
+            includeUnapproved: Boolean(req.user) && hasPermission(req.user, 'store:moderate')
+        });
+        
+        if (!releases) {
+            return res.status(404).json({
+                success: false,
+                error: 'App not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...releases
+        });
+        
+    } catch (error) {
+        console.error('Error fetching releases:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch releases'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/apps/:appId/releases
+ * @description Publish a new release to the stable or beta channel
+ */
+router.post('/apps/:appId/releases', authorize({ permission: 'store:publish', owner: appOwners }), async (req, res) => {
+    try {
+        const developerId = req.user.id;
+        const { version, channel, changelog, size } = req.body;
+        
+        const result = await aiStore.publishRelease(req.params.appId, developerId, {
+            version,
+            channel,
+            changelog,
+            size
+        });
+        
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(releaseFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error publishing release:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to publish release'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/apps/:appId/releases/:version/promote
+ * @description Promote a beta release to stable
+ */
+router.post('/apps/:appId/releases/:version/promote', authorize({ permission: 'store:publish', owner: appOwners }), async (req, res) => {
+    try {
+        const developerId = req.user.id;
+        const { appId, version } = req.params;
+        
+        const result = await aiStore.promoteRelease(appId, developerId, version);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(releaseFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error promoting release:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to promote release'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/apps/:appId/channels/:channel/rollback
+ * @description Roll a channel back to an earlier release
+ */
+router.post('/apps/:appId/channels/:channel/rollback', authorize({ permission: 'store:publish', owner: appOwners }), async (req, res) => {
+    try {
+        const developerId = req.user.id;
+        const { appId, channel } = req.params;
+        const { version, reason } = req.body;
+        
+        const result = await aiStore.rollbackRelease(appId, developerId, channel, version, reason);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(releaseFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error rolling back release:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to roll back release'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/apps/:appId/resubmit
+ * @description Resubmit a rejected app or one with requested changes for review
+ */
+router.post('/apps/:appId/resubmit', authorize({ permission: 'store:publish', owner: appOwners }), async (req, res) => {
+    try {
+        const { appId } = req.params;
+        const developerId = req.user.id;
+        
+        const result = await aiStore.resubmitApp(appId, developerId, req.body.updates || {});
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'App not found' ? 404 : 400).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error resubmitting app:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resubmit app'
+        });
+    }
+});
+
+/**
+ * Map a failed review operation to an HTTP status
+ */
+const reviewFailureStatus = result => {
+    if (result.error === 'App not found' || result.error === 'Review not found') {
+        return 404;
+    }
+    if (result.error.startsWith('Only the')) {
+        return 403;
+    }
+    return result.reviewId ? 409 : 400;
+};
+
+/**
+ * @route GET /api/store/apps/:appId/reviews
+ * @description Get published reviews with the app's rating summary
+ */
+router.get('/apps/:appId/reviews', async (req, res) => {
+    try {
+        const { appId } = req.params;
+        
+        if (!aiStore.apps.has(appId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'App not found'
+            });
+        }
+        
+        const { sort, page, limit } = req.query;
+        
+        res.json({
+            success: true,
+            appId,
+            ...aiStore.getAppReviews(appId, { sort, page, limit })
+        });
+        
+    } catch (error) {
+        console.error('Error fetching reviews:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch reviews'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/apps/:appId/reviews
+ * @description Submit a review (one per user per app)
+ */
+router.post('/apps/:appId/reviews', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { rating, title, body } = req.body;
+        const result = await aiStore.submitReview(req.params.appId, userId, { rating, title, body });
+        
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(reviewFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error submitting review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to submit review'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/store/reviews/:reviewId
+ * @description Edit your review
+ */
+router.put('/reviews/:reviewId', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { rating, title, body } = req.body;
+        
+        const result = await aiStore.editReview(req.params.reviewId, userId, { rating, title, body });
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(reviewFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error editing review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to edit review'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/store/reviews/:reviewId
+ * @description Delete your review
+ */
+router.delete('/reviews/:reviewId', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const result = await aiStore.deleteReview(req.params.reviewId, userId);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(reviewFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error deleting review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete review'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/reviews/:reviewId/flag
+ * @description Flag a review as inappropriate
+ */
+router.post('/reviews/:reviewId/flag', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const result = await aiStore.flagReview(req.params.reviewId, userId, req.body.reason);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(reviewFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error flagging review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to flag review'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/reviews/:reviewId/reply
+ * @description Developer reply to a review of their app
+ */
+router.post('/reviews/:reviewId/reply', async (req, res) => {
+    try {
+        const developerId = req.user.id;
+        const result = await aiStore.replyToReview(req.params.reviewId, developerId, req.body.body);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(reviewFailureStatus(result)).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error replying to review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reply to review'
+        });
+    }
+});
+
+/**
+ * @route GET /api/store/moderation/queue
+ * @description Get apps awaiting moderation (oldest first)
+ */
+router.get('/moderation/queue', authorize({ permission: 'store:moderate' }), async (req, res) => {
+    try {
+        const { status = 'pending_review' } = req.query;
+        const queue = aiStore.getReviewQueue(status);
+        
+        res.json({
+            success: true,
+            status,
+            queue,
+            count: queue.length
+        });
+        
+    } catch (error) {
+        console.error('Error fetching moderation queue:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch moderation queue'
+        });
+    }
+});
+
+/**
+ * @route POST /api/store/moderation/apps/:appId/:decision
+ * @description Approve, reject, request changes, suspend or reinstate an app
+ */
+router.post('/moderation/apps/:appId/:decision(approve|reject|request-changes|suspend|reinstate)', authorize({ permission: 'store:moderate' }), async (req, res) => {
+    try {
+        const { appId, decision } = req.params;
+        const { reason, notes, changes } = req.body;
+        const moderatorId = req.user.id;
+        
+        const result = await aiStore.moderateApp(appId, decision.replace('-', '_'), moderatorId, {
+            reason,
+            notes,
+            changes
+        });
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'App not found' ? 404 : 400).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error moderating app:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to moderate app'
+        });
+    }
+});
+
+/**
+ * @route GET /api/store/moderation/apps/:appId/history
+ * @description Get the moderation audit history of an app
+ */
+router.get('/moderation/apps/:appId/history', authorize({ permission: 'store:moderate' }), async (req, res) => {
+    try {
+        const history = aiStore.getModerationHistory(req.params.appId);
+        
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                error: 'App not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            ...history
+        });
+        
+    } catch (error) {
+        console.error('Error fetching moderation history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch moderation history'
+        });
+    }
+});
+
 /**
  * @route GET /api/store/categories
  * @description Get all app categories
@@ -240,11 +747,11 @@ router.get('/categories', async (req, res) => {
 
 /**
  * @route GET /api/store/search
- * @description Search apps with AI-powered recommendations
+ * @description Full-text search with ranking, facets, sorting and pagination
  */
 router.get('/search', async (req, res) => {
     try {
-        const { q: query, category, minRating, maxPrice } = req.query;
+        const { q: query, sort, page, limit } = req.query;
         
         if (!query) {
             return res.status(400).json({
@@ -253,10 +760,10 @@ router.get('/search', async (req, res) => {
             });
         }
         
-        const searchResults = aiStore.searchApps(query, {
-            category,
-            minRating: minRating ? parseFloat(minRating) : undefined,
-            maxPrice: maxPrice ? parseFloat(maxPrice) : undefined
+        const searchResults = aiStore.searchApps(query, parseSearchFilters(req.query), {
+            sort,
+            page,
+            limit
         });
         
         // Track search
@@ -304,7 +811,7 @@ router.get('/featured', async (req, res) => {
  * @route GET /api/store/stats
  * @description Get marketplace statistics
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', authorize({ permission: 'store:stats' }), async (req, res) => {
     try {
         const marketplaceStats = aiStore.getMarketplaceStats();
         const analyticsData = analytics.getDashboardData();
@@ -331,7 +838,7 @@ router.get('/stats', async (req, res) => {
  * @route POST /api/store/ai/generate-assets
  * @description Generate AI-powered app assets
  */
-router.post('/ai/generate-assets', async (req, res) => {
+router.post('/ai/generate-assets', rateLimit(rateLimiter, usageMeter, { name: 'ai' }), meterUsage(usageMeter, { aiGenerations: 1 }), async (req, res) => {
     try {
         const { appName, category, description, assetTypes = ['icons', 'screenshots'] } = req.body;
         
@@ -369,23 +876,18 @@ router.post('/ai/generate-assets', async (req, res) => {
 
 /**
  * @route GET /api/store/recommendations/:userId
- * @description Get personalized app recommendations
+ * @description Get personalized app recommendations with per-item explanations
  */
-router.get('/recommendations/:userId', async (req, res) => {
+router.get('/recommendations/:userId', authorize({ owner: ownUser }), async (req, res) => {
     try {
         const { userId } = req.params;
         const { limit = 10 } = req.query;
         
-        // Get user's download history and preferences
-        // For demo, we'll return popular apps from different categories
-        const recommendations = aiStore.getFeaturedApps(parseInt(limit));
+        const result = aiStore.getRecommendations(userId, Math.min(50, parseInt(limit) || 10));
         
         res.json({
             success: true,
-            recommendations,
-            userId,
-            algorithm: 'collaborative_filtering',
-            confidence: 0.85
+            ...result
         });
         
     } catch (error) {
@@ -0,0 +1,234 @@
+/**
+ * Auth API Routes - Accounts, sessions, API keys and roles
+ */
+
+import express from 'express';
+import { authService } from '../services/sharedServices.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/auth/register
+ * @description Create an account (`email`, `password`, optional `name` and `roles` from buyer and developer) and start a session
+ * @access Public
+ */
+router.post('/register', async (req, res) => {
+    try {
+        const { email, password, name, roles } = req.body;
+        const result = authService.register({ email, password, name, roles });
+
+        if (!result.success) {
+            return res.status(result.error.startsWith('An account') ? 409 : 400).json(result);
+        }
+
+        res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to register user'
+        });
+    }
+});
+
+/**
+ * @route POST /api/auth/login
+ * @description Exchange an email and password for a session token
+ * @access Public
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        const result = authService.login(email, password);
+
+        if (!result.success) {
+            return res.status(401).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in'
+        });
+    }
+});
+
+/**
+ * @route POST /api/auth/logout
+ * @description End the current session
+ * @access Private
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        if (req.user.authType !== 'session') {
+            return res.status(400).json({
+                success: false,
+                error: 'Only sessions can be logged out; revoke API keys instead'
+            });
+        }
+
+        res.json(authService.logout(req.user.session));
+
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
+        });
+    }
+});
+
+/**
+ * @route GET /api/auth/me
+ * @description Get the signed-in user and the permissions of the current credential
+ * @access Private
+ */
+router.get('/me', async (req, res) => {
+    try {
+        const user = authService.users.get(req.user.id);
+
+        res.json({
+            success: true,
+            user: authService.toPublicUser(user),
+            authType: req.user.authType,
+            permissions: req.user.permissions
+        });
+
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch current user'
+        });
+    }
+});
+
+/**
+ * @route POST /api/auth/api-keys
+ * @description Create an API key with `scopes` from the user's permissions (and an optional `name`); the key is only shown once
+ * @access Private
+ */
+router.post('/api-keys', async (req, res) => {
+    try {
+        if (req.user.authType !== 'session') {
+            return res.status(403).json({
+                success: false,
+                error: 'API keys can only be created from a signed-in session'
+            });
+        }
+
+        const { name, scopes } = req.body;
+        const result = authService.createApiKey(req.user.id, { name, scopes });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * @route GET /api/auth/api-keys
+ * @description List the user's API keys (without the keys themselves)
+ * @access Private
+ */
+router.get('/api-keys', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: authService.listApiKeys(req.user.id)
+        });
+
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list API keys'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/auth/api-keys/:keyId
+ * @description Revoke one of the user's API keys
+ * @access Private
+ */
+router.delete('/api-keys/:keyId', async (req, res) => {
+    try {
+        const result = authService.revokeApiKey(req.user.id, req.params.keyId);
+
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key'
+        });
+    }
+});
+
+/**
+ * @route GET /api/auth/users
+ * @description List users with their roles and permissions
+ * @access Private (admin)
+ */
+router.get('/users', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: authService.listUsers()
+        });
+
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list users'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/auth/users/:userId/roles
+ * @description Replace a user's `roles`; takes effect on their next request
+ * @access Private (admin)
+ */
+router.put('/users/:userId/roles', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = authService.setRoles(req.params.userId, req.body.roles);
+
+        if (!result.success) {
+            return res.status(result.error === 'User not found' ? 404 : 400).json(result);
+        }
+
+        console.log(`Roles of ${req.params.userId} changed from ${result.previousRoles.join(', ')} to ${result.user.roles.join(', ')} by ${req.user.id}`);
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error updating user roles:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update user roles'
+        });
+    }
+});
+
+export default router;
@@ -8,7 +8,7 @@ const router = express.Router();
 /**
  * @route POST /api/export
  * @description Generate and export Excel file
- * @access Public
+ * @access Private
  */
 router.post('/export', async (req, res) => {
     try {
@@ -36,7 +36,7 @@ router.post('/export', async (req, res) => {
 /**
  * @route POST /api/export/formatted
  * @description Generate formatted Excel using template
- * @access Public
+ * @access Private
  */
 router.post('/export/formatted', async (req, res) => {
     try {
@@ -64,7 +64,7 @@ router.post('/export/formatted', async (req, res) => {
 /**
  * @route GET /api/export/download/:filename
  * @description Download exported file
- * @access Public
+ * @access Private
  */
 router.get('/download/:filename', async (req, res) => {
     try {
@@ -92,7 +92,7 @@ router.get('/download/:filename', async (req, res) => {
 /**
  * @route GET /api/export/files
  * @description List all exported files
- * @access Public
+ * @access Private
  */
 router.get('/files', async (req, res) => {
     try {
@@ -129,7 +129,7 @@ router.get('/files', async (req, res) => {
 /**
  * @route DELETE /api/export/:filename
  * @description Delete exported file
- * @access Public
+ * @access Private
  */
 router.delete('/:filename', async (req, res) => {
     try {
@@ -152,7 +152,7 @@ router.delete('/:filename', async (req, res) => {
 /**
  * @route GET /api/export/validate/:filename
  * @description Validate exported file
- * @access Public
+ * @access Private
  */
 router.get('/validate/:filename', async (req, res) => {
     try {
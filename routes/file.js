@@ -3,9 +3,38 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { processFile } from '../services/fileProcessor.js';
+import { getMeteredUserId, meterUsage, uploadedBytes } from '../middleware/planLimits.js';
+import { usageMeter } from '../services/sharedServices.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Uploaded bytes count toward the plan's storage and bandwidth
+const meterUpload = meterUsage(usageMeter, { storage: uploadedBytes, bandwidth: uploadedBytes });
+
+// Who uploaded each stored file and its size, so deleting it frees the uploader's storage
+const uploadedFiles = new Map();
+
+const trackUploads = (req, res, next) => {
+    const userId = getMeteredUserId(req);
+    [req.file, ...(req.files || [])].filter(Boolean).forEach(file => {
+        uploadedFiles.set(file.filename, { userId, size: file.size || 0 });
+    });
+    next();
+};
+
+/**
+ * The user who uploaded the file a route acts on. Files with no recorded uploader
+ * (stored before a restart) can only be deleted by admins.
+ */
+const fileOwner = req => {
+    const uploaded = uploadedFiles.get(req.params.filename);
+    if (uploaded) {
+        return uploaded.userId;
+    }
+    return fs.existsSync(path.join(process.cwd(), 'uploads', req.params.filename)) ? [] : undefined;
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -42,9 +71,9 @@ const upload = multer({
 /**
  * @route POST /api/upload
  * @description Upload and process a single file
- * @access Public
+ * @access Private
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', upload.single('file'), meterUpload, trackUploads, async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
@@ -69,9 +98,9 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 /**
  * @route POST /api/upload-multiple
  * @description Upload and process multiple files
- * @access Public
+ * @access Private
  */
-router.post('/upload-multiple', upload.array('files', 100), async (req, res) => {
+router.post('/upload-multiple', upload.array('files', 100), meterUpload, trackUploads, async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
@@ -115,9 +144,9 @@ router.post('/upload-multiple', upload.array('files', 100), async (req, res) =>
 /**
  * @route POST /api/upload-folder
  * @description Upload and process an entire folder
- * @access Public
+ * @access Private
  */
-router.post('/upload-folder', upload.array('files', 1000), async (req, res) => {
+router.post('/upload-folder', upload.array('files', 1000), meterUpload, trackUploads, async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({ error: 'No files uploaded' });
@@ -185,7 +214,7 @@ router.post('/upload-folder', upload.array('files', 1000), async (req, res) => {
 /**
  * @route GET /api/files
  * @description Get list of uploaded files
- * @access Public
+ * @access Private
  */
 router.get('/files', async (req, res) => {
     try {
@@ -220,16 +249,23 @@ router.get('/files', async (req, res) => {
 
 /**
  * @route DELETE /api/files/:filename
- * @description Delete a specific file
- * @access Public
+ * @description Delete a specific file and release its storage from the uploader's plan usage
+ * @access Private (uploader)
  */
-router.delete('/files/:filename', async (req, res) => {
+router.delete('/files/:filename', authorize({ owner: fileOwner }), async (req, res) => {
     try {
         const filename = req.params.filename;
         const filePath = path.join(process.cwd(), 'uploads', filename);
         
         if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
+            
+            const uploaded = uploadedFiles.get(filename);
+            if (uploaded) {
+                usageMeter.release(uploaded.userId, { storage: uploaded.size });
+                uploadedFiles.delete(filename);
+            }
+            
             res.json({ success: true, message: 'File deleted successfully' });
         } else {
             res.status(404).json({ error: 'File not found' });
@@ -25,17 +25,26 @@ import {
   uploadFolder,
 } from '../middleware/upload.js';
 import { saveResponseOutput } from '../utils/outputUtils.js';
+import { meterUsage } from '../middleware/planLimits.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { rateLimiter, usageMeter } from '../services/sharedServices.js';
 import path from 'path';
 import fs from 'fs/promises';
 
 const router = express.Router();
 
+// Each Gemini call counts as one AI generation against the caller's plan
+const meterGeneration = meterUsage(usageMeter, { aiGenerations: 1 });
+
+// Gemini calls share the AI request rate limit, checked before any upload is accepted
+const limitAiRequests = rateLimit(rateLimiter, usageMeter, { name: 'ai' });
+
 /**
  * @route POST /api/ask-gemini
  * @description Send a prompt to the Gemini API and get a response.
- * @access Public
+ * @access Private
  */
-router.post('/ask-gemini', async (req, res) => {
+router.post('/ask-gemini', limitAiRequests, meterGeneration, async (req, res) => {
   try {
     const {
       prompt,
@@ -162,9 +171,9 @@ router.post('/ask-gemini', async (req, res) => {
 /**
  * @route POST /api/ask-gemini/folder
  * @description Process a folder of files with the Gemini API
- * @access Public
+ * @access Private
  */
-router.post('/ask-gemini/folder', uploadFolder, async (req, res) => {
+router.post('/ask-gemini/folder', limitAiRequests, uploadFolder, meterGeneration, async (req, res) => {
   try {
     const {
       prompt,
@@ -297,7 +306,7 @@ router.post('/ask-gemini/folder', uploadFolder, async (req, res) => {
 /**
  * @route GET /api/job/:jobId
  * @description Get the status of a job
- * @access Public
+ * @access Private
  */
 router.get('/job/:jobId', async (req, res) => {
   try {
@@ -326,7 +335,7 @@ router.get('/job/:jobId', async (req, res) => {
 /**
  * @route POST /api/save-output
  * @description Save the AI response to a file
- * @access Public
+ * @access Private
  */
 router.post('/save-output', async (req, res) => {
   try {
@@ -360,9 +369,9 @@ router.post('/save-output', async (req, res) => {
 /**
  * @route POST /api/ask-gemini/youtube
  * @description Process YouTube video transcript with the Gemini API
- * @access Public
+ * @access Private
  */
-router.post('/ask-gemini/youtube', async (req, res) => {
+router.post('/ask-gemini/youtube', limitAiRequests, meterGeneration, async (req, res) => {
   try {
     const {
       url,
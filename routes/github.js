@@ -2,6 +2,7 @@ import express from 'express';
 import { exec } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { authorize } from '../middleware/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,9 +11,9 @@ const router = express.Router();
 /**
  * @route POST /api/github/push
  * @description Push changes to GitHub repository
- * @access Public
+ * @access Private (admin)
  */
-router.post('/push', async (req, res) => {
+router.post('/push', authorize({ permission: 'admin' }), async (req, res) => {
   try {
     const { message } = req.body;
     const commitMessage = message || 'Update from Rapid AI Assistant';
@@ -3,16 +3,42 @@
  */
 
 import express from 'express';
-import PartnershipService from '../services/partnershipService.js';
+import { partnershipService } from '../services/sharedServices.js';
+import { authorize } from '../middleware/auth.js';
 
 const router = express.Router();
-const partnershipService = new PartnershipService();
+
+/**
+ * Owner resolver for the partner whose ID `getId` reads from the request. Without an ID
+ * only admins may act, e.g. to list every partner's payouts.
+ */
+const partnerOwner = getId => req => {
+    const partnerId = getId(req);
+    if (!partnerId) {
+        return [];
+    }
+    const partner = partnershipService.partners.get(partnerId);
+    return partner ? partner.userId || [] : undefined;
+};
+
+/**
+ * Either side of a collaboration may view it
+ */
+const collaborationOwners = req => {
+    const collaboration = partnershipService.collaborations.get(req.params.collaborationId);
+    if (!collaboration) {
+        return undefined;
+    }
+    return [collaboration.initiatorId, collaboration.targetId]
+        .map(partnerId => partnershipService.partners.get(partnerId)?.userId)
+        .filter(Boolean);
+};
 
 /**
  * @route POST /api/partnership/register
  * @description Register new developer partner
  */
-router.post('/register', async (req, res) => {
+router.post('/register', authorize({ permission: 'partnership:manage' }), async (req, res) => {
     try {
         const partnerData = req.body;
         
@@ -24,7 +50,12 @@ router.post('/register', async (req, res) => {
             });
         }
         
-        const result = await partnershipService.registerPartner(partnerData);
+        // The partner's store sales are those of the signed-in developer account
+        const result = await partnershipService.registerPartner({
+            ...partnerData,
+            userId: req.user.id,
+            developerId: req.user.id
+        });
         
         if (result.success) {
             res.status(201).json(result);
@@ -45,7 +76,7 @@ router.post('/register', async (req, res) => {
  * @route GET /api/partnership/dashboard/:partnerId
  * @description Get partner dashboard data
  */
-router.get('/dashboard/:partnerId', async (req, res) => {
+router.get('/dashboard/:partnerId', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.params.partnerId) }), async (req, res) => {
     try {
         const { partnerId } = req.params;
         const dashboardData = partnershipService.getPartnerDashboard(partnerId);
@@ -75,7 +106,7 @@ router.get('/dashboard/:partnerId', async (req, res) => {
  * @route POST /api/partnership/revenue-share
  * @description Calculate revenue share for partner
  */
-router.post('/revenue-share', async (req, res) => {
+router.post('/revenue-share', authorize({ permission: 'admin' }), async (req, res) => {
     try {
         const { partnerId, revenue } = req.body;
         
@@ -109,22 +140,69 @@ router.post('/revenue-share', async (req, res) => {
     }
 });
 
+/**
+ * @route PUT /api/partnership/payment-info/:partnerId
+ * @description Set the bank account or PayPal address a partner is paid to
+ */
+router.put('/payment-info/:partnerId', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.params.partnerId) }), async (req, res) => {
+    try {
+        const { method, details } = req.body;
+        const result = partnershipService.updatePaymentInfo(req.params.partnerId, { method, details });
+        
+        if (!result.success) {
+            return res.status(result.error === 'Partner not found' ? 404 : 400).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error updating payment info:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update payment info'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payment-info/:partnerId/verify
+ * @description Mark a partner's payment details as checked, so they can be paid
+ */
+router.post('/payment-info/:partnerId/verify', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = partnershipService.verifyPaymentInfo(req.params.partnerId, req.user.id);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Partner not found' ? 404 : 400).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error verifying payment info:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify payment info'
+        });
+    }
+});
+
 /**
  * @route POST /api/partnership/payout
- * @description Process partner payout
+ * @description Pay a partner their payable balance now, outside the scheduled batches
  */
-router.post('/payout', async (req, res) => {
+router.post('/payout', authorize({ permission: 'partnership:payout', owner: partnerOwner(req => req.body.partnerId) }), async (req, res) => {
     try {
-        const { partnerId, amount } = req.body;
+        const { partnerId } = req.body;
         
-        if (!partnerId || !amount) {
+        if (!partnerId) {
             return res.status(400).json({
                 success: false,
-                error: 'Partner ID and amount are required'
+                error: 'Partner ID is required'
             });
         }
         
-        const payoutResult = await partnershipService.processPartnerPayout(partnerId, amount);
+        const payoutResult = await partnershipService.processPartnerPayout(partnerId);
         
         res.json(payoutResult);
         
@@ -137,11 +215,453 @@ router.post('/payout', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/partnership/payouts/balance/:partnerId
+ * @description Payable, held and in-flight payout amounts for a partner
+ */
+router.get('/payouts/balance/:partnerId', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.params.partnerId) }), async (req, res) => {
+    try {
+        if (!partnershipService.partners.has(req.params.partnerId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Partner not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: partnershipService.payouts.getPayableBalance(req.params.partnerId)
+        });
+        
+    } catch (error) {
+        console.error('Error fetching payout balance:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payout balance'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/batches
+ * @description Create a payout batch for all partners (or `partnerIds`) due a payout
+ */
+router.post('/payouts/batches', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const { partnerIds } = req.body;
+        const result = partnershipService.payouts.createBatch({ partnerIds: partnerIds || null });
+        
+        res.status(result.batch ? 201 : 200).json(result);
+        
+    } catch (error) {
+        console.error('Error creating payout batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create payout batch'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/payouts/batches
+ * @description List payout batches, newest first
+ */
+router.get('/payouts/batches', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: partnershipService.payouts.listBatches()
+        });
+        
+    } catch (error) {
+        console.error('Error listing payout batches:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list payout batches'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/payouts/batches/:batchId
+ * @description Get a payout batch with its payouts
+ */
+router.get('/payouts/batches/:batchId', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const batch = partnershipService.payouts.getBatch(req.params.batchId);
+        
+        if (!batch) {
+            return res.status(404).json({
+                success: false,
+                error: 'Payout batch not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: batch
+        });
+        
+    } catch (error) {
+        console.error('Error fetching payout batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch payout batch'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/batches/:batchId/export
+ * @description Download the batch as a payment file (?format=csv|nacha) and mark its payouts processing
+ */
+router.post('/payouts/batches/:batchId/export', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = partnershipService.payouts.exportBatch(req.params.batchId, req.query.format || 'csv');
+        
+        if (!result.success) {
+            return res.status(result.error === 'Payout batch not found' ? 404 : 400).json(result);
+        }
+        
+        res.setHeader('Content-Type', result.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.send(result.content);
+        
+    } catch (error) {
+        console.error('Error exporting payout batch:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export payout batch'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/payouts
+ * @description List payouts (?partnerId=, ?status=)
+ */
+router.get('/payouts', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.query.partnerId) }), async (req, res) => {
+    try {
+        const { partnerId, status } = req.query;
+        
+        res.json({
+            success: true,
+            data: partnershipService.payouts.listPayouts({ partnerId, status })
+        });
+        
+    } catch (error) {
+        console.error('Error listing payouts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list payouts'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/:payoutId/paid
+ * @description Mark a payout paid by the bank (optional `reference`), settling the partner balance
+ */
+router.post('/payouts/:payoutId/paid', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = await partnershipService.payouts.markPayoutPaid(req.params.payoutId, { reference: req.body.reference });
+        
+        if (!result.success) {
+            return res.status(result.error === 'Payout not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error marking payout paid:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark payout paid'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/:payoutId/failed
+ * @description Mark a payout rejected by the bank (optional `reason`)
+ */
+router.post('/payouts/:payoutId/failed', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = partnershipService.payouts.markPayoutFailed(req.params.payoutId, { reason: req.body.reason });
+        
+        if (!result.success) {
+            return res.status(result.error === 'Payout not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error marking payout failed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark payout failed'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/:payoutId/retry
+ * @description Queue a failed payout for the next batch
+ */
+router.post('/payouts/:payoutId/retry', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = partnershipService.payouts.retryPayout(req.params.payoutId);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Payout not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error retrying payout:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retry payout'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/payouts/:payoutId/cancel
+ * @description Cancel a pending or failed payout and return its shares to the balance
+ */
+router.post('/payouts/:payoutId/cancel', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = partnershipService.payouts.cancelPayout(req.params.payoutId);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Payout not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error cancelling payout:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel payout'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/reconciliation/:partnerId
+ * @description Reconcile a partner's payouts against the revenue shares they earned
+ */
+router.get('/reconciliation/:partnerId', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.params.partnerId) }), async (req, res) => {
+    try {
+        const reconciliation = partnershipService.reconcilePartnerLedger(req.params.partnerId);
+        
+        if (!reconciliation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Partner not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: reconciliation
+        });
+        
+    } catch (error) {
+        console.error('Error reconciling partner ledger:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reconcile partner ledger'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/collaborations
+ * @description Invite a partner to collaborate; joint apps need `details.appId`
+ */
+router.post('/collaborations', authorize({ permission: 'partnership:manage', owner: partnerOwner(req => req.body.initiatorId) }), async (req, res) => {
+    try {
+        const { initiatorId, targetId, type, details } = req.body;
+        
+        if (!initiatorId || !targetId || !type) {
+            return res.status(400).json({
+                success: false,
+                error: 'initiatorId, targetId and type are required'
+            });
+        }
+        
+        const result = await partnershipService.createCollaboration(initiatorId, targetId, type, details || {});
+        
+        if (!result.success) {
+            return res.status(result.error === 'Partner not found' ? 404 : 400).json(result);
+        }
+        
+        res.status(201).json(result);
+        
+    } catch (error) {
+        console.error('Error creating collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create collaboration'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/collaborations
+ * @description List collaborations, optionally for one `partnerId` or `status`
+ */
+router.get('/collaborations', authorize({ owner: partnerOwner(req => req.query.partnerId) }), async (req, res) => {
+    try {
+        const { partnerId, status } = req.query;
+        
+        res.json({
+            success: true,
+            data: partnershipService.listCollaborations({ partnerId, status })
+        });
+        
+    } catch (error) {
+        console.error('Error listing collaborations:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list collaborations'
+        });
+    }
+});
+
+/**
+ * @route GET /api/partnership/collaborations/:collaborationId
+ * @description Get a collaboration with its terms and negotiation history
+ */
+router.get('/collaborations/:collaborationId', authorize({ owner: collaborationOwners }), async (req, res) => {
+    try {
+        const collaboration = partnershipService.getCollaboration(req.params.collaborationId);
+        
+        if (!collaboration) {
+            return res.status(404).json({
+                success: false,
+                error: 'Collaboration not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: collaboration
+        });
+        
+    } catch (error) {
+        console.error('Error fetching collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch collaboration'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/collaborations/:collaborationId/accept
+ * @description Accept the latest terms as `partnerId`, activating the collaboration
+ */
+router.post('/collaborations/:collaborationId/accept', authorize({ owner: partnerOwner(req => req.body.partnerId) }), async (req, res) => {
+    try {
+        const result = await partnershipService.acceptCollaboration(req.params.collaborationId, req.body.partnerId);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Collaboration not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error accepting collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to accept collaboration'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/collaborations/:collaborationId/decline
+ * @description Decline (or, as the initiator, withdraw) a pending collaboration with an optional `reason`
+ */
+router.post('/collaborations/:collaborationId/decline', authorize({ owner: partnerOwner(req => req.body.partnerId) }), async (req, res) => {
+    try {
+        const { partnerId, reason } = req.body;
+        const result = await partnershipService.declineCollaboration(req.params.collaborationId, partnerId, reason);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Collaboration not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error declining collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to decline collaboration'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/collaborations/:collaborationId/counter
+ * @description Counter the latest terms with new `terms` (revenueShare, duration, responsibilities)
+ */
+router.post('/collaborations/:collaborationId/counter', authorize({ owner: partnerOwner(req => req.body.partnerId) }), async (req, res) => {
+    try {
+        const { partnerId, terms } = req.body;
+        const result = await partnershipService.counterCollaboration(req.params.collaborationId, partnerId, terms || {});
+        
+        if (!result.success) {
+            return res.status(result.error === 'Collaboration not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error countering collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to counter collaboration'
+        });
+    }
+});
+
+/**
+ * @route POST /api/partnership/collaborations/:collaborationId/terminate
+ * @description End an active collaboration early with an optional `reason`
+ */
+router.post('/collaborations/:collaborationId/terminate', authorize({ owner: partnerOwner(req => req.body.partnerId) }), async (req, res) => {
+    try {
+        const { partnerId, reason } = req.body;
+        const result = await partnershipService.terminateCollaboration(req.params.collaborationId, partnerId, reason);
+        
+        if (!result.success) {
+            return res.status(result.error === 'Collaboration not found' ? 404 : 409).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error terminating collaboration:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to terminate collaboration'
+        });
+    }
+});
+
 /**
  * @route GET /api/partnership/analytics
  * @description Get partnership analytics
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', authorize({ permission: 'admin' }), async (req, res) => {
     try {
         const analytics = partnershipService.getPartnershipAnalytics();
         
@@ -184,6 +704,71 @@ router.get('/tiers', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/partnership/tiers/evaluate
+ * @description Re-evaluate one partner's tier (`partnerId`), or every partner's
+ */
+router.post('/tiers/evaluate', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const { partnerId } = req.body;
+        
+        if (partnerId) {
+            const evaluation = partnershipService.tiers.evaluatePartner(partnerId);
+            if (!evaluation) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Partner not found'
+                });
+            }
+            return res.json({
+                success: true,
+                data: evaluation
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: partnershipService.tiers.runCycle()
+        });
+        
+    } catch (error) {
+        console.error('Error evaluating partner tiers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to evaluate partner tiers'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/partnership/strategic/:partnerId
+ * @description Set whether a partner is strategic, a platinum tier requirement
+ */
+router.put('/strategic/:partnerId', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const evaluation = partnershipService.setStrategicPartner(req.params.partnerId, req.body.strategic);
+        
+        if (!evaluation) {
+            return res.status(404).json({
+                success: false,
+                error: 'Partner not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: evaluation
+        });
+        
+    } catch (error) {
+        console.error('Error updating strategic partner:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update strategic partner'
+        });
+    }
+});
+
 /**
  * @route GET /api/partnership/programs
  * @description Get partnership programs information
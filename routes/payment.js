@@ -3,33 +3,79 @@
  */
 
 import express from 'express';
-import PaymentService from '../services/paymentService.js';
+import { paymentService, usageMeter } from '../services/sharedServices.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { authorize } from '../middleware/auth.js';
+import { getMinorUnits, roundMoney } from '../services/exchangeRates.js';
 
 const router = express.Router();
-const paymentService = new PaymentService();
+
+/**
+ * The user who took out the subscription a route acts on
+ */
+const subscriptionOwner = req => paymentService.subscriptions.get(req.params.subscriptionId)?.userId;
+
+/**
+ * The buyer an invoice or credit note was issued to
+ */
+const invoiceOwner = req => paymentService.invoices.getDocument(req.params.invoiceId)?.userId;
+
+/**
+ * The payer of the transaction a sandbox charge belongs to
+ */
+const chargeOwner = req => Array.from(paymentService.transactions.values())
+    .find(txn => txn.provider === 'sandbox' && txn.providerTransactionId === req.params.chargeId)?.userId;
+
+/**
+ * Per-user resources belong to the user in the path
+ */
+const ownUser = req => req.params.userId;
+
+/**
+ * Request origin used for fraud scoring. Clients can send any header, so the IP country is
+ * only read from the one Cloudflare sets (CF-IPCountry), and only when proxy hops are trusted.
+ * XX (unknown) and T1 (Tor) are not countries.
+ */
+const getClientContext = req => {
+    const country = req.app.get('trust proxy') ? req.get('CF-IPCountry')?.toUpperCase() : undefined;
+    return {
+        ipAddress: req.ip,
+        ipCountry: country && !['XX', 'T1'].includes(country) ? country : undefined
+    };
+};
 
 /**
  * @route POST /api/payment/process
  * @description Process a payment
  */
-router.post('/process', async (req, res) => {
+router.post('/process', idempotency, async (req, res) => {
     try {
         const paymentData = req.body;
         
         // Validate required fields
-        if (!paymentData.amount || !paymentData.currency || !paymentData.method) {
+        if (paymentData.amount === undefined || !paymentData.currency || !paymentData.method) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields: amount, currency, method'
             });
         }
         
-        const result = await paymentService.processPayment(paymentData);
+        const amount = Number(paymentData.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'amount must be a number greater than 0'
+            });
+        }
+        
+        const result = await paymentService.processPayment({ ...paymentData, amount, userId: req.user.id, ...getClientContext(req) });
         
         if (result.success) {
             res.json(result);
+        } else if (result.requiresAction || result.underReview) {
+            res.status(202).json(result);
         } else {
-            res.status(400).json(result);
+            res.status(result.timedOut ? 504 : 400).json(result);
         }
         
     } catch (error) {
@@ -45,18 +91,22 @@ router.post('/process', async (req, res) => {
  * @route POST /api/payment/subscription
  * @description Create a subscription
  */
-router.post('/subscription', async (req, res) => {
+router.post('/subscription', idempotency, async (req, res) => {
     try {
         const subscriptionData = req.body;
         
-        if (!subscriptionData.planId || !subscriptionData.userId) {
+        if (!subscriptionData.planId) {
             return res.status(400).json({
                 success: false,
-                error: 'Plan ID and User ID are required'
+                error: 'Plan ID is required'
             });
         }
         
-        const result = await paymentService.createSubscription(subscriptionData);
+        const result = await paymentService.createSubscription({
+            ...subscriptionData,
+            userId: req.user.id,
+            ...getClientContext(req)
+        });
         
         if (result.success) {
             res.status(201).json(result);
@@ -73,11 +123,114 @@ router.post('/subscription', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/payment/subscription/:subscriptionId
+ * @description Get a subscription with its billing, dunning state and history
+ */
+router.get('/subscription/:subscriptionId', authorize({ owner: subscriptionOwner }), async (req, res) => {
+    try {
+        const subscription = paymentService.subscriptions.get(req.params.subscriptionId);
+        
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                error: 'Subscription not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            subscription
+        });
+        
+    } catch (error) {
+        console.error('Error fetching subscription:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch subscription'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/subscription/:subscriptionId/plan
+ * @description Upgrade or downgrade a subscription with proration
+ */
+router.post('/subscription/:subscriptionId/plan', authorize({ owner: subscriptionOwner }), idempotency, async (req, res) => {
+    try {
+        const { planId } = req.body;
+        
+        if (!planId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Plan ID is required'
+            });
+        }
+        
+        const result = await paymentService.changeSubscriptionPlan(req.params.subscriptionId, planId);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Subscription not found' ? 404 : 400).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error changing subscription plan:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change subscription plan'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/usage/:userId
+ * @description Get a user's metered usage against their plan limits for the current period
+ */
+router.get('/usage/:userId', authorize({ owner: ownUser }), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            ...usageMeter.getUsage(req.params.userId)
+        });
+        
+    } catch (error) {
+        console.error('Error fetching usage:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch usage'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/billing/run
+ * @description Run a billing cycle now (renewals, trial ends, dunning retries)
+ */
+router.post('/billing/run', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const summary = await paymentService.runBillingCycle();
+        
+        res.json({
+            success: true,
+            ...summary
+        });
+        
+    } catch (error) {
+        console.error('Error running billing cycle:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run billing cycle'
+        });
+    }
+});
+
 /**
  * @route DELETE /api/payment/subscription/:subscriptionId
  * @description Cancel a subscription
  */
-router.delete('/subscription/:subscriptionId', async (req, res) => {
+router.delete('/subscription/:subscriptionId', authorize({ owner: subscriptionOwner }), async (req, res) => {
     try {
         const { subscriptionId } = req.params;
         const { immediate = false } = req.query;
@@ -99,7 +252,7 @@ router.delete('/subscription/:subscriptionId', async (req, res) => {
  * @route POST /api/payment/refund
  * @description Process a refund
  */
-router.post('/refund', async (req, res) => {
+router.post('/refund', authorize({ permission: 'payment:refund' }), idempotency, async (req, res) => {
     try {
         const { transactionId, amount, reason } = req.body;
         
@@ -123,11 +276,418 @@ router.post('/refund', async (req, res) => {
     }
 });
 
+/**
+ * @route POST /api/payment/chargeback
+ * @description Record a chargeback (disputed payment pulled back by the provider)
+ */
+router.post('/chargeback', authorize({ permission: 'payment:refund' }), idempotency, async (req, res) => {
+    try {
+        const { transactionId, amount, reason, fee } = req.body;
+        
+        if (!transactionId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction ID is required'
+            });
+        }
+        
+        const result = await paymentService.processChargeback(transactionId, { amount, reason, fee });
+        
+        res.status(result.success ? 200 : 400).json(result);
+        
+    } catch (error) {
+        console.error('Error recording chargeback:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to record chargeback'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/users/:userId/invoices
+ * @description List a user's invoices and credit notes, newest first (optional ?type=invoice|credit_note)
+ */
+router.get('/users/:userId/invoices', authorize({ owner: ownUser }), async (req, res) => {
+    try {
+        const invoices = paymentService.invoices.listForUser(req.params.userId, req.query.type || null);
+        
+        res.json({
+            success: true,
+            invoices,
+            total: invoices.length
+        });
+        
+    } catch (error) {
+        console.error('Error listing invoices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list invoices'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/invoices/:invoiceId
+ * @description Get an invoice or credit note
+ */
+router.get('/invoices/:invoiceId', authorize({ owner: invoiceOwner }), async (req, res) => {
+    try {
+        const invoice = paymentService.invoices.getDocument(req.params.invoiceId);
+        
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            invoice
+        });
+        
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch invoice'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/invoices/:invoiceId/pdf
+ * @description Download an invoice or credit note as a PDF (?as=receipt for the payment receipt)
+ */
+router.get('/invoices/:invoiceId/pdf', authorize({ owner: invoiceOwner }), async (req, res) => {
+    try {
+        const invoice = paymentService.invoices.getDocument(req.params.invoiceId);
+        
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found'
+            });
+        }
+        
+        const asReceipt = req.query.as === 'receipt';
+        if (asReceipt && invoice.type !== 'invoice') {
+            return res.status(400).json({
+                success: false,
+                error: 'Receipts are only available for invoices'
+            });
+        }
+        
+        const pdf = await paymentService.invoices.renderPdf(invoice, asReceipt ? { as: 'receipt' } : {});
+        const filename = asReceipt ? invoice.receiptNumber : invoice.number;
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.send(pdf);
+        
+    } catch (error) {
+        console.error('Error rendering invoice PDF:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to render invoice PDF'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/capture
+ * @description Capture an authorized payment, optionally for a lower amount
+ */
+router.post('/capture', authorize({ permission: 'payment:capture' }), idempotency, async (req, res) => {
+    try {
+        const { transactionId, amount } = req.body;
+        
+        if (!transactionId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Transaction ID is required'
+            });
+        }
+        
+        const result = await paymentService.capturePayment(transactionId, amount ?? null);
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Transaction not found' ? 404 : 400).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error capturing payment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to capture payment'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/webhooks/:provider
+ * @description Receive a payment provider webhook (signature checked by the provider adapter)
+ */
+router.post('/webhooks/:provider', async (req, res) => {
+    try {
+        const result = await paymentService.handleProviderWebhook(
+            req.params.provider,
+            req.rawBody || JSON.stringify(req.body),
+            req.headers
+        );
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.invalidSignature ? 401 : 404).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to handle payment webhook'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/sandbox/charges/:chargeId/challenge
+ * @description Complete a sandbox 3-D Secure challenge and deliver the resulting webhook
+ */
+router.post('/sandbox/charges/:chargeId/challenge', authorize({ owner: chargeOwner }), async (req, res) => {
+    try {
+        if (!paymentService.providers.sandbox.enabled) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sandbox provider is not enabled'
+            });
+        }
+        
+        const webhook = paymentService.providerAdapters.get('sandbox')
+            .completeChallenge(req.params.chargeId, req.body.approved !== false);
+        
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                error: 'No pending challenge for this charge'
+            });
+        }
+        
+        const result = await paymentService.handleProviderWebhook('sandbox', webhook.body, webhook.headers);
+        
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Error completing sandbox challenge:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to complete sandbox challenge'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/tax/calculate
+ * @description Preview the tax a payment would be charged (GST, VAT or US sales tax)
+ */
+router.post('/tax/calculate', async (req, res) => {
+    try {
+        const { currency } = req.body;
+        
+        if (req.body.amount === undefined || !currency) {
+            return res.status(400).json({
+                success: false,
+                error: 'Amount and currency are required'
+            });
+        }
+        
+        const amount = Number(req.body.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'amount must be a number greater than 0'
+            });
+        }
+        
+        const tax = paymentService.summarizeTax(paymentService.calculateTax({ ...req.body, amount }));
+        
+        // Rounded to the currency's minor units, as processPayment charges it
+        res.json({
+            success: true,
+            currency,
+            tax,
+            total: roundMoney(amount + tax.total, currency)
+        });
+        
+    } catch (error) {
+        console.error('Error calculating tax:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to calculate tax'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/fraud/reviews
+ * @description List payments held for manual fraud review (optional ?status=pending|allowed|denied)
+ */
+router.get('/fraud/reviews', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const reviews = paymentService.fraudEngine.listReviews(req.query.status || null);
+        
+        res.json({
+            success: true,
+            reviews,
+            total: reviews.length
+        });
+        
+    } catch (error) {
+        console.error('Error listing fraud reviews:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list fraud reviews'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/fraud/reviews/:reviewId/allow
+ * @description Approve a held payment and charge it
+ */
+router.post('/fraud/reviews/:reviewId/allow', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = await paymentService.fraudEngine.allowReview(req.params.reviewId, {
+            decidedBy: req.user.id,
+            note: req.body.note || null
+        });
+        
+        if (result.success) {
+            res.json(result);
+        } else if (result.payment) {
+            res.status(400).json(result);
+        } else {
+            res.status(result.error === 'Review not found' ? 404 : 409).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error allowing fraud review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to allow payment'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/fraud/reviews/:reviewId/deny
+ * @description Reject a held payment
+ */
+router.post('/fraud/reviews/:reviewId/deny', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = paymentService.fraudEngine.denyReview(req.params.reviewId, {
+            decidedBy: req.user.id,
+            note: req.body.note || null
+        });
+        
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Review not found' ? 404 : 409).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error denying fraud review:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to deny payment'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/ledger/trial-balance
+ * @description Debit and credit totals of every ledger account
+ */
+router.get('/ledger/trial-balance', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: paymentService.ledger.trialBalance()
+        });
+        
+    } catch (error) {
+        console.error('Error building trial balance:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build trial balance'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/ledger/balance
+ * @description Balance of a ledger account and its sub-accounts (?account=liabilities:partner_payable)
+ */
+router.get('/ledger/balance', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const { account } = req.query;
+        
+        if (!account) {
+            return res.status(400).json({
+                success: false,
+                error: 'Account is required'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: paymentService.ledger.getBalance(account)
+        });
+        
+    } catch (error) {
+        console.error('Error fetching ledger balance:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch ledger balance'
+        });
+    }
+});
+
+/**
+ * @route GET /api/payment/ledger/entries
+ * @description Journal entries, filtered by ?type=, ?account=, ?transactionId= or ?partnerId=
+ */
+router.get('/ledger/entries', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const { type, account, transactionId, partnerId } = req.query;
+        const reference = Object.fromEntries(
+            Object.entries({ transactionId, partnerId }).filter(([, value]) => value)
+        );
+        
+        res.json({
+            success: true,
+            data: paymentService.ledger.getEntries({ type, account, reference })
+        });
+        
+    } catch (error) {
+        console.error('Error fetching ledger entries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch ledger entries'
+        });
+    }
+});
+
 /**
  * @route GET /api/payment/analytics
  * @description Get payment analytics
  */
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', authorize({ permission: 'admin' }), async (req, res) => {
     try {
         const { timeRange = '30d' } = req.query;
         const analytics = paymentService.getPaymentAnalytics(timeRange);
@@ -179,7 +739,9 @@ router.get('/currencies', async (req, res) => {
     try {
         const currencies = Array.from(paymentService.currencies.entries()).map(([code, currency]) => ({
             code,
-            ...currency
+            ...currency,
+            rate: paymentService.exchangeRates.getRate('USD', code).rate ?? currency.rate,
+            decimals: getMinorUnits(code)
         }));
         
         res.json({
@@ -198,11 +760,11 @@ router.get('/currencies', async (req, res) => {
 
 /**
  * @route POST /api/payment/convert-currency
- * @description Convert currency
+ * @description Convert currency, optionally at the rate in effect on a past `date`
  */
 router.post('/convert-currency', async (req, res) => {
     try {
-        const { amount, fromCurrency, toCurrency } = req.body;
+        const { amount, fromCurrency, toCurrency, date } = req.body;
         
         if (!amount || !fromCurrency || !toCurrency) {
             return res.status(400).json({
@@ -211,15 +773,28 @@ router.post('/convert-currency', async (req, res) => {
             });
         }
         
-        const convertedAmount = await paymentService.convertCurrency(amount, fromCurrency, toCurrency);
+        const at = date ? new Date(date) : new Date();
+        if (Number.isNaN(at.getTime())) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date'
+            });
+        }
+        
+        const conversion = paymentService.exchangeRates.convert(amount, fromCurrency, toCurrency, at);
+        if (!conversion.success) {
+            return res.status(400).json(conversion);
+        }
         
         res.json({
             success: true,
             originalAmount: amount,
             originalCurrency: fromCurrency,
-            convertedAmount,
+            convertedAmount: conversion.amount,
             convertedCurrency: toCurrency,
-            exchangeRate: convertedAmount / amount
+            exchangeRate: conversion.rate,
+            rateEffectiveAt: conversion.effectiveAt || null,
+            rateSource: conversion.source || null
         });
         
     } catch (error) {
@@ -231,6 +806,62 @@ router.post('/convert-currency', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/payment/exchange-rates
+ * @description Get the USD-based rate table in effect now or on `?date=`
+ */
+router.get('/exchange-rates', async (req, res) => {
+    try {
+        const at = req.query.date ? new Date(req.query.date) : new Date();
+        const table = Number.isNaN(at.getTime()) ? null : paymentService.exchangeRates.getTable(at);
+        
+        if (!table) {
+            return res.status(404).json({
+                success: false,
+                error: 'No exchange rates for this date'
+            });
+        }
+        
+        res.json({
+            success: true,
+            base: 'USD',
+            ...table
+        });
+        
+    } catch (error) {
+        console.error('Error fetching exchange rates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch exchange rates'
+        });
+    }
+});
+
+/**
+ * @route POST /api/payment/exchange-rates
+ * @description Import a rate table `{ base, effectiveAt, rates }`, or pull one from the feed with `{ refresh: true }`
+ */
+router.post('/exchange-rates', authorize({ permission: 'admin' }), async (req, res) => {
+    try {
+        const result = req.body.refresh ?
+            await paymentService.exchangeRates.refresh() :
+            paymentService.exchangeRates.importRates(req.body);
+        
+        if (result.success) {
+            res.status(201).json(result);
+        } else {
+            res.status(400).json(result);
+        }
+        
+    } catch (error) {
+        console.error('Error importing exchange rates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import exchange rates'
+        });
+    }
+});
+
 /**
  * @route GET /api/payment/providers
  * @description Get available payment providers by region
@@ -252,6 +883,7 @@ router.get('/providers', async (req, res) => {
         res.json({
             success: true,
             providers: availableProviders,
+            routingRules: paymentService.routingRules,
             region: region || 'all'
         });
         
@@ -8,6 +8,8 @@ import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import { processFile } from '../services/fileProcessor.js';
 import { formatOutput } from '../services/outputFormatter.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { rateLimiter, usageMeter, webhookService } from '../services/sharedServices.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const router = express.Router();
@@ -47,7 +49,7 @@ const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'your-api-key
 const processingStates = new Map();
 
 // Main processing endpoint
-router.post('/process-documents', upload.fields([
+router.post('/process-documents', rateLimit(rateLimiter, usageMeter, { name: 'ai' }), upload.fields([
     { name: 'documents', maxCount: 100 },
     { name: 'template', maxCount: 1 }
 ]), async (req, res) => {
@@ -75,7 +77,7 @@ router.post('/process-documents', upload.fields([
         });
 
         // Start processing in background
-        processDocuments(processingId, documents, template, prompt, req.io);
+        processDocuments(processingId, documents, template, prompt, req.io, req.user?.id);
 
         res.json({ 
             processingId: processingId,
@@ -192,7 +194,7 @@ router.get('/templates', (req, res) => {
 });
 
 // Document processing function
-async function processDocuments(processingId, documents, template, prompt, io) {
+async function processDocuments(processingId, documents, template, prompt, io, userId) {
     try {
         const state = processingStates.get(processingId);
         
@@ -252,6 +254,13 @@ async function processDocuments(processingId, documents, template, prompt, io) {
         processingStates.set(processingId, state);
         io?.emit('processing_complete', state);
         
+        webhookService.publish('processing.completed', {
+            processingId,
+            totalFiles: state.totalFiles,
+            missingFields: missingFields.length,
+            completedAt: new Date().toISOString()
+        }, userId);
+        
     } catch (error) {
         console.error('Processing error:', error);
         const state = processingStates.get(processingId);
@@ -0,0 +1,270 @@
+/**
+ * Webhook API Routes - Endpoint registration, delivery log and redelivery
+ */
+
+import express from 'express';
+import { webhookService } from '../services/sharedServices.js';
+import { WEBHOOK_EVENTS } from '../services/webhookService.js';
+import { authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * The user who registered the endpoint a route acts on
+ */
+const endpointOwner = req => webhookService.endpoints.get(req.params.endpointId)?.userId;
+
+/**
+ * The owner of the endpoint a delivery was sent to
+ */
+const deliveryOwner = req => {
+    const delivery = webhookService.deliveries.get(req.params.deliveryId);
+    return delivery ? webhookService.endpoints.get(delivery.endpointId)?.userId || [] : undefined;
+};
+
+/**
+ * @route GET /api/webhooks/events
+ * @description List the event types endpoints can subscribe to
+ * @access Private
+ */
+router.get('/events', async (req, res) => {
+    res.json({
+        success: true,
+        data: WEBHOOK_EVENTS
+    });
+});
+
+/**
+ * @route POST /api/webhooks/endpoints
+ * @description Register an endpoint (`url`, `events`, optional `description`); the signing secret is only shown once
+ * @access Private
+ */
+router.post('/endpoints', async (req, res) => {
+    try {
+        const { url, events, description } = req.body;
+        const result = webhookService.createEndpoint(req.user.id, { url, events, description });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Error creating webhook endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create webhook endpoint'
+        });
+    }
+});
+
+/**
+ * @route GET /api/webhooks/endpoints
+ * @description List the user's endpoints (without their secrets)
+ * @access Private
+ */
+router.get('/endpoints', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: webhookService.listEndpoints(req.user.id)
+        });
+
+    } catch (error) {
+        console.error('Error listing webhook endpoints:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list webhook endpoints'
+        });
+    }
+});
+
+/**
+ * @route GET /api/webhooks/endpoints/:endpointId
+ * @description Get an endpoint and whether it has been disabled
+ * @access Private (owner)
+ */
+router.get('/endpoints/:endpointId', authorize({ owner: endpointOwner }), async (req, res) => {
+    try {
+        const endpoint = webhookService.endpoints.get(req.params.endpointId);
+
+        if (!endpoint) {
+            return res.status(404).json({
+                success: false,
+                error: 'Endpoint not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: webhookService.toPublicEndpoint(endpoint)
+        });
+
+    } catch (error) {
+        console.error('Error fetching webhook endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook endpoint'
+        });
+    }
+});
+
+/**
+ * @route PUT /api/webhooks/endpoints/:endpointId
+ * @description Update an endpoint's `url`, `events`, `description` or `enabled`; re-enabling resets its failure count
+ * @access Private (owner)
+ */
+router.put('/endpoints/:endpointId', authorize({ owner: endpointOwner }), async (req, res) => {
+    try {
+        const { url, events, description, enabled } = req.body;
+        const result = webhookService.updateEndpoint(req.params.endpointId, { url, events, description, enabled });
+
+        if (!result.success) {
+            return res.status(result.error === 'Endpoint not found' ? 404 : 400).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error updating webhook endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update webhook endpoint'
+        });
+    }
+});
+
+/**
+ * @route DELETE /api/webhooks/endpoints/:endpointId
+ * @description Delete an endpoint and cancel its pending retries
+ * @access Private (owner)
+ */
+router.delete('/endpoints/:endpointId', authorize({ owner: endpointOwner }), async (req, res) => {
+    try {
+        const result = webhookService.deleteEndpoint(req.params.endpointId);
+
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error deleting webhook endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook endpoint'
+        });
+    }
+});
+
+/**
+ * @route POST /api/webhooks/endpoints/:endpointId/rotate-secret
+ * @description Replace an endpoint's signing secret; the new secret is only shown once
+ * @access Private (owner)
+ */
+router.post('/endpoints/:endpointId/rotate-secret', authorize({ owner: endpointOwner }), async (req, res) => {
+    try {
+        const result = webhookService.rotateSecret(req.params.endpointId);
+
+        if (!result.success) {
+            return res.status(404).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Error rotating webhook secret:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate webhook secret'
+        });
+    }
+});
+
+/**
+ * @route GET /api/webhooks/endpoints/:endpointId/deliveries
+ * @description Get an endpoint's delivery log, newest first, optionally by `status` (up to `limit`, default 50)
+ * @access Private (owner)
+ */
+router.get('/endpoints/:endpointId/deliveries', authorize({ owner: endpointOwner }), async (req, res) => {
+    try {
+        if (!webhookService.endpoints.has(req.params.endpointId)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Endpoint not found'
+            });
+        }
+
+        const { status, limit } = req.query;
+
+        res.json({
+            success: true,
+            data: webhookService.listDeliveries(req.params.endpointId, { status, limit })
+        });
+
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list webhook deliveries'
+        });
+    }
+});
+
+/**
+ * @route GET /api/webhooks/deliveries/:deliveryId
+ * @description Get a delivery with its payload and every attempt
+ * @access Private (owner)
+ */
+router.get('/deliveries/:deliveryId', authorize({ owner: deliveryOwner }), async (req, res) => {
+    try {
+        const delivery = webhookService.deliveries.get(req.params.deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                error: 'Delivery not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: delivery
+        });
+
+    } catch (error) {
+        console.error('Error fetching webhook delivery:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch webhook delivery'
+        });
+    }
+});
+
+/**
+ * @route POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * @description Send a delivery's event again as a new delivery
+ * @access Private (owner)
+ */
+router.post('/deliveries/:deliveryId/redeliver', authorize({ owner: deliveryOwner }), async (req, res) => {
+    try {
+        const result = await webhookService.redeliver(req.params.deliveryId);
+
+        if (!result.success) {
+            return res.status(result.error.endsWith('not found') ? 404 : 409).json(result);
+        }
+
+        res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to redeliver webhook'
+        });
+    }
+});
+
+export default router;
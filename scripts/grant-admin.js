@@ -0,0 +1,27 @@
+/**
+ * Grant Admin - Give an existing account the admin role
+ * Usage: npm run grant-admin -- <email>
+ * Run it while the server is stopped; a running server keeps its own copy of the accounts
+ */
+
+import 'dotenv/config';
+import AuthService from '../services/authService.js';
+
+const email = process.argv[2];
+if (!email) {
+    console.error('Usage: npm run grant-admin -- <email>');
+    process.exit(1);
+}
+
+const auth = new AuthService();
+const result = auth.grantAdmin(email);
+if (!result.success) {
+    console.error(result.error);
+    process.exit(1);
+}
+
+if (!(await auth.persist())) {
+    process.exit(1);
+}
+
+console.log(`${result.user.email} now has the roles: ${result.user.roles.join(', ')}`);
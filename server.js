@@ -1,5 +1,6 @@
+// Loaded before the routes so services constructed on import see .env settings
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import geminiRoutes from './routes/gemini.js';
@@ -10,6 +11,15 @@ import processRoutes from './routes/process.js';
 import aiStoreRoutes from './routes/aiStore.js';
 import partnershipRoutes from './routes/partnership.js';
 import paymentRoutes from './routes/payment.js';
+import authRoutes from './routes/auth.js';
+import webhookRoutes from './routes/webhooks.js';
+import {
+  authService,
+  partnershipService,
+  paymentService,
+  webhookService,
+} from './services/sharedServices.js';
+import { authenticate } from './middleware/auth.js';
 import cors from 'cors';
 import fs from 'fs';
 import { createServer } from 'http';
@@ -21,8 +31,6 @@ import {
 } from './middleware/errorHandler.js';
 import { uploadSingleFile, uploadMultipleFiles } from './middleware/upload.js';
 
-dotenv.config();
-
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -58,6 +66,12 @@ io.on('connection', socket => {
 // Make io available to routes
 app.set('io', io);
 
+// Behind a proxy (such as Render's), req.ip is the client's address only when the proxy hops are trusted;
+// anonymous requests are rate limited by it
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10));
+}
+
 // CORS configuration
 app.use(
   cors({
@@ -69,20 +83,62 @@ app.use(
     ],
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key'],
+    exposedHeaders: [
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+      'RateLimit-Policy',
+      'Retry-After',
+    ],
   })
 );
 
-app.use(express.json());
+// Keep the raw body so payment webhooks can verify provider signatures
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Serve frontend files from the 'docs' directory
 app.use(express.static('docs'));
 
+// Routes anyone can call without signing in: browsing the store, public reference data,
+// signed download links and payment provider webhooks (which carry their own signatures)
+const PUBLIC_ROUTES = [
+  'GET /api',
+  'POST /api/auth/register',
+  'POST /api/auth/login',
+  'GET /api/store/apps',
+  'GET /api/store/apps/:appId',
+  'GET /api/store/apps/:appId/download',
+  'GET /api/store/apps/:appId/releases',
+  'GET /api/store/apps/:appId/reviews',
+  'POST /api/store/licenses/verify',
+  'GET /api/store/categories',
+  'GET /api/store/search',
+  'GET /api/store/featured',
+  'GET /api/store/health',
+  'GET /api/partnership/tiers',
+  'GET /api/partnership/programs',
+  'GET /api/payment/plans',
+  'GET /api/payment/currencies',
+  'GET /api/payment/exchange-rates',
+  'GET /api/payment/providers',
+  'POST /api/payment/webhooks/:provider',
+];
+
+// Every API router requires a session token or API key; req.user identifies the caller
+app.use('/api', authenticate(authService, { publicRoutes: PUBLIC_ROUTES }));
+
 /**
  * @route GET /api/templates
  * @description Get a list of available template files.
- * @access Public
+ * @access Private
  */
 app.get('/api/templates', async (req, res, next) => {
   try {
@@ -114,6 +170,8 @@ app.get('/api', (req, res) => {
     description: 'Global AI Tools Marketplace - The world\'s first comprehensive AI tools distribution platform',
     status: 'operational',
     endpoints: {
+      auth: '/api/auth - Accounts, sessions, API keys and roles',
+      webhooks: '/api/webhooks - Outbound webhook endpoints and deliveries',
       store: '/api/store - AI Store marketplace operations',
       partnership: '/api/partnership - Developer partnerships and revenue sharing',
       payment: '/api/payment - Global payment processing',
@@ -148,6 +206,7 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authRoutes);
 app.use('/api', geminiRoutes);
 app.use('/api/github', githubRoutes);
 app.use('/api', fileRoutes);
@@ -156,6 +215,7 @@ app.use('/api', exportRoutes);
 app.use('/api/store', aiStoreRoutes);
 app.use('/api/partnership', partnershipRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Error handling middleware should be the last middleware
 app.use(errorHandler);
@@ -164,4 +224,34 @@ app.use(errorHandler);
 httpServer.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`Socket.IO server running`);
+
+  // Renew subscriptions, end trials and retry failed charges
+  paymentService.startBillingScheduler(
+    (parseFloat(process.env.BILLING_INTERVAL_MINUTES) || 60) * 60 * 1000
+  );
+
+  // Load exchange rate history and keep pulling from the rate feed, if configured
+  if (process.env.EXCHANGE_RATES_FILE) {
+    paymentService.exchangeRates
+      .loadFromFile(process.env.EXCHANGE_RATES_FILE)
+      .catch(error => logger.error(`Failed to load exchange rates: ${error.message}`));
+  }
+  paymentService.exchangeRates.start(
+    (parseFloat(process.env.EXCHANGE_RATES_REFRESH_MINUTES) || 60) * 60 * 1000
+  );
+
+  // Batch partner payouts of cleared revenue shares
+  partnershipService.payouts.start(
+    (parseFloat(process.env.PAYOUT_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+  );
+
+  // Re-evaluate partner tiers on rolling revenue, app quality and ratings
+  partnershipService.tiers.start(
+    (parseFloat(process.env.PARTNER_TIER_INTERVAL_HOURS) || 24) * 60 * 60 * 1000
+  );
+
+  // Retry failed webhook deliveries once their backoff has passed
+  webhookService.start(
+    (parseFloat(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30) * 1000
+  );
 });
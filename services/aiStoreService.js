@@ -3,15 +3,86 @@
  * Handles AI tools distribution, app management, and marketplace operations
  */
 
+import { createStoreRepository, STORE_SCHEMA_VERSION } from './storeRepository.js';
+import SearchIndex from './searchIndex.js';
+import RecommendationEngine from './recommendationEngine.js';
+import DownloadTokenSigner from './downloadTokens.js';
+import { compareSemver, isPrerelease, isValidSemver } from '../utils/semver.js';
+
+export const SEARCH_SORT_OPTIONS = ['relevance', 'popular', 'rating', 'newest', 'price_low', 'price_high'];
+
+const PRICE_RANGES = [
+    { label: 'Free', min: 0, max: 0 },
+    { label: 'Under $10', min: 0.01, max: 10 },
+    { label: '$10 - $50', min: 10, max: 50 },
+    { label: 'Over $50', min: 50, max: Infinity }
+];
+
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+/**
+ * Reviews are hidden from listings and aggregates once this many users flag them
+ */
+const REVIEW_FLAG_THRESHOLD = 3;
+
+/**
+ * Release channels; beta users receive the newest of the beta and stable releases
+ */
+export const RELEASE_CHANNELS = ['stable', 'beta'];
+
+/**
+ * Allowed moderation transitions: status -> statuses it may move to
+ */
+export const MODERATION_TRANSITIONS = {
+    pending_review: ['approved', 'rejected', 'changes_requested'],
+    changes_requested: ['pending_review'],
+    rejected: ['pending_review'],
+    approved: ['suspended'],
+    suspended: ['approved']
+};
+
+/**
+ * Listing fields a developer cannot change when resubmitting
+ */
+const PROTECTED_APP_FIELDS = [
+    'id', 'developerId', 'developerIds', 'status', 'publishedAt', 'approvedAt', 'downloads', 'views',
+    'rating', 'ratingCount', 'ratingTotal', 'ratingHistogram', 'qualityScore', 'version', 'releases', 'channels', 'aiAnalysis', 'moderationHistory', 'requestedChanges'
+];
+
+/**
+ * Developers who own an app: the publishing developer first, then any co-owners of a joint app
+ */
+export const getAppDeveloperIds = app => app.developerIds || [app.developerId];
+
 class AIStoreService {
-    constructor() {
+    constructor(options = {}) {
         this.apps = new Map();
         this.categories = new Map();
         this.developers = new Map();
         this.reviews = new Map();
+        this.downloads = new Map();
+        this.views = new Map();
+        
+        // Full-text search index over app name, tags and description
+        this.searchIndex = new SearchIndex();
+        
+        // Item-item and content-based recommendations from downloads and views
+        this.recommendationEngine = new RecommendationEngine(this);
+        
+        // Persistence backend (file by default, see storeRepository.js)
+        this.repository = options.repository || createStoreRepository();
+        
+        // EntitlementService recording who has paid for which app
+        this.entitlements = options.entitlements || null;
+        
+        // UsageMeter enforcing the developer's plan limit on published apps
+        this.usageMeter = options.usageMeter || null;
         
-        // Initialize default categories
-        this.initializeCategories();
+        // WebhookService telling developers about approvals and downloads of their apps
+        this.webhooks = options.webhooks || null;
+        
+        // Signs and verifies expiring download links
+        this.downloadTokens = options.downloadTokens || new DownloadTokenSigner();
         
         // Marketplace metrics
         this.metrics = {
@@ -30,6 +101,65 @@ class AIStoreService {
             autoTranslation: true,
             performanceOptimization: true
         };
+        
+        // Restore persisted state, seeding default categories on first run
+        this.loadFromRepository();
+    }
+
+    /**
+     * Restore marketplace state from the repository
+     */
+    loadFromRepository() {
+        const snapshot = this.repository.load();
+        
+        if (snapshot) {
+            const { collections, metrics } = snapshot;
+            this.apps = new Map(collections.apps);
+            this.categories = new Map(collections.categories);
+            this.developers = new Map(collections.developers);
+            this.reviews = new Map(collections.reviews);
+            this.downloads = new Map(collections.downloads);
+            this.views = new Map(collections.views);
+            this.metrics = { ...this.metrics, ...metrics };
+        }
+        
+        this.apps.forEach(app => this.searchIndex.add(app));
+        
+        if (this.categories.size === 0) {
+            this.initializeCategories();
+            this.persist();
+        }
+    }
+
+    /**
+     * Serialize marketplace state for the repository
+     */
+    toSnapshot() {
+        return {
+            schemaVersion: STORE_SCHEMA_VERSION,
+            savedAt: new Date().toISOString(),
+            collections: {
+                apps: Array.from(this.apps.entries()),
+                categories: Array.from(this.categories.entries()),
+                developers: Array.from(this.developers.entries()),
+                reviews: Array.from(this.reviews.entries()),
+                downloads: Array.from(this.downloads.entries()),
+                views: Array.from(this.views.entries())
+            },
+            metrics: this.metrics
+        };
+    }
+
+    /**
+     * Persist the current state; failures are logged, never thrown to callers
+     */
+    persist() {
+        return Promise.resolve()
+            .then(() => this.repository.save(this.toSnapshot()))
+            .catch(error => {
+                console.error('Error persisting store state:', error);
+                return false;
+            });
     }
 
     /**
@@ -64,9 +194,42 @@ class AIStoreService {
      * Publish new app to the store
      */
     async publishApp(appData, developerId) {
+        // The app slot reserved for this publish until the app is stored
+        let reserved = false;
         try {
             const appId = `app_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             
+            const version = appData.version || '1.0.0';
+            if (!isValidSemver(version)) {
+                return {
+                    success: false,
+                    error: `Invalid version "${version}": expected semantic version such as 1.0.0`
+                };
+            }
+            
+            // Unidentified developers are not metered until they sign in. The slot is taken
+            // before the slow analysis below, so concurrent publishes cannot all pass the check.
+            const metered = this.usageMeter && developerId && developerId !== 'anonymous';
+            if (metered) {
+                const quota = this.usageMeter.reserve(developerId, { apps: 1 });
+                if (!quota.allowed) {
+                    return {
+                        success: false,
+                        error: quota.error,
+                        limitExceeded: true,
+                        used: quota.used,
+                        limit: quota.limit
+                    };
+                }
+                reserved = true;
+            }
+            
+            const initialRelease = this.createRelease({
+                version,
+                changelog: appData.changelog || 'Initial release',
+                size: appData.size
+            }, developerId);
+            
             // AI-powered app analysis
             const aiAnalysis = await this.analyzeAppWithAI(appData);
             
@@ -74,11 +237,21 @@ class AIStoreService {
                 id: appId,
                 ...appData,
                 developerId,
+                developerIds: [developerId],
+                version,
+                releases: [initialRelease],
+                channels: {
+                    stable: initialRelease.channel === 'stable' ? version : null,
+                    beta: initialRelease.channel === 'beta' ? version : null
+                },
                 publishedAt: new Date().toISOString(),
                 status: 'pending_review',
                 downloads: 0,
                 rating: 0,
-                reviews: [],
+                ratingCount: 0,
+                ratingTotal: 0,
+                ratingHistogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+                moderationHistory: [],
                 aiAnalysis,
                 
                 // AI-generated assets
@@ -95,7 +268,9 @@ class AIStoreService {
             };
             
             this.apps.set(appId, app);
+            this.searchIndex.add(app);
             this.metrics.totalApps++;
+            reserved = false;
             
             // Update category
             const category = this.categories.get(app.category);
@@ -103,12 +278,23 @@ class AIStoreService {
                 category.appCount++;
             }
             
+            this.recordModerationEvent(app, {
+                action: 'submitted',
+                from: null,
+                to: 'pending_review',
+                actorId: developerId
+            });
+            
             // Auto-approve high-quality apps
             if (app.qualityScore > 85) {
-                app.status = 'approved';
-                app.approvedAt = new Date().toISOString();
+                this.transitionApp(app, 'approved', 'system', {
+                    action: 'auto_approved',
+                    notes: `Quality score ${app.qualityScore} above auto-approval threshold`
+                });
             }
             
+            await this.persist();
+            
             return {
                 success: true,
                 appId,
@@ -120,6 +306,9 @@ class AIStoreService {
             
         } catch (error) {
             console.error('Error publishing app:', error);
+            if (reserved) {
+                this.usageMeter.release(developerId, { apps: 1 });
+            }
             return {
                 success: false,
                 error: error.message
@@ -281,77 +470,392 @@ class AIStoreService {
     }
 
     /**
-     * Search apps with AI-powered recommendations
+     * Search apps through the full-text index with filters, facets, sorting and pagination.
+     * An empty query browses the whole approved catalogue.
      */
-    searchApps(query, filters = {}) {
-        const results = [];
+    searchApps(query = '', filters = {}, options = {}) {
+        const hasQuery = Boolean(query && query.trim());
+        const page = Math.max(1, parseInt(options.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+        const sort = SEARCH_SORT_OPTIONS.includes(options.sort) ?
+            options.sort : (hasQuery ? 'relevance' : 'popular');
         
-        for (const [appId, app] of this.apps) {
-            if (app.status !== 'approved') continue;
-            
-            let relevanceScore = 0;
-            
-            // Text matching
-            if (app.name.toLowerCase().includes(query.toLowerCase())) {
-                relevanceScore += 50;
-            }
-            if (app.description.toLowerCase().includes(query.toLowerCase())) {
-                relevanceScore += 30;
+        const matches = hasQuery ?
+            this.searchIndex.search(query) :
+            Array.from(this.apps.keys()).map(id => ({ id, score: 0, matchedTerms: [] }));
+        
+        const candidates = matches
+            .map(match => ({ match, app: this.apps.get(match.id) }))
+            .filter(({ app }) => app && app.status === 'approved');
+        
+        const results = candidates
+            .filter(({ app }) => this.matchesSearchFilters(app, filters))
+            .map(({ app, match }) => ({
+                ...app,
+                relevanceScore: Math.round(match.score * 100) / 100,
+                matchedTerms: match.matchedTerms
+            }));
+        
+        this.sortSearchResults(results, sort);
+        
+        const startIndex = (page - 1) * limit;
+        
+        return {
+            query,
+            totalResults: results.length,
+            results: results.slice(startIndex, startIndex + limit),
+            pagination: {
+                page,
+                limit,
+                total: results.length,
+                pages: Math.ceil(results.length / limit)
+            },
+            sort,
+            suggestions: this.generateSearchSuggestions(query),
+            facets: this.getSearchFacets(candidates.map(({ app }) => app), filters),
+            filters: this.getAvailableFilters(results)
+        };
+    }
+
+    /**
+     * Check an app against search filters, optionally ignoring one facet
+     * (facet counts are disjunctive: a facet's own filter does not narrow its counts)
+     */
+    matchesSearchFilters(app, filters, ignoreFacet = null) {
+        const price = app.price || 0;
+        
+        if (ignoreFacet !== 'category' && filters.category && app.category !== filters.category) {
+            return false;
+        }
+        if (ignoreFacet !== 'rating' && filters.minRating && app.rating < filters.minRating) {
+            return false;
+        }
+        if (ignoreFacet !== 'price') {
+            if (filters.minPrice !== undefined && price < filters.minPrice) {
+                return false;
             }
-            if (app.tags && app.tags.some(tag => tag.toLowerCase().includes(query.toLowerCase()))) {
-                relevanceScore += 20;
+            if (filters.maxPrice !== undefined && price > filters.maxPrice) {
+                return false;
             }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Sort search results in place
+     */
+    sortSearchResults(results, sort) {
+        const byPopularity = (a, b) => b.downloads - a.downloads || b.rating - a.rating;
+        
+        const comparators = {
+            relevance: (a, b) => b.relevanceScore - a.relevanceScore || b.rating - a.rating || b.downloads - a.downloads,
+            popular: byPopularity,
+            rating: (a, b) => b.rating - a.rating || byPopularity(a, b),
+            newest: (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt),
+            price_low: (a, b) => (a.price || 0) - (b.price || 0) || byPopularity(a, b),
+            price_high: (a, b) => (b.price || 0) - (a.price || 0) || byPopularity(a, b)
+        };
+        
+        return results.sort(comparators[sort] || comparators.relevance);
+    }
+
+    /**
+     * Facet counts per category, price range and rating for the matched apps
+     */
+    getSearchFacets(apps, filters = {}) {
+        const facets = {
+            categories: {},
+            priceRanges: PRICE_RANGES.map(range => ({ ...range, count: 0 })),
+            ratings: RATING_BUCKETS.map(minRating => ({ label: `${minRating}+ stars`, minRating, count: 0 }))
+        };
+        
+        apps.forEach(app => {
+            const price = app.price || 0;
             
-            // Category filter
-            if (filters.category && app.category !== filters.category) {
-                continue;
+            if (this.matchesSearchFilters(app, filters, 'category')) {
+                facets.categories[app.category] = (facets.categories[app.category] || 0) + 1;
             }
             
-            // Rating filter
-            if (filters.minRating && app.rating < filters.minRating) {
-                continue;
+            if (this.matchesSearchFilters(app, filters, 'price')) {
+                facets.priceRanges
+                    .filter(range => price >= range.min && (price < range.max || (range.min === range.max && price === range.min)))
+                    .forEach(range => range.count++);
             }
             
-            // Price filter
-            if (filters.maxPrice && app.price > filters.maxPrice) {
-                continue;
+            if (this.matchesSearchFilters(app, filters, 'rating')) {
+                facets.ratings
+                    .filter(bucket => app.rating >= bucket.minRating)
+                    .forEach(bucket => bucket.count++);
             }
+        });
+        
+        return facets;
+    }
+
+    /**
+     * Append an entry to an app's moderation audit history
+     */
+    recordModerationEvent(app, event) {
+        if (!app.moderationHistory) {
+            app.moderationHistory = [];
+        }
+        
+        const entry = {
+            id: `mod_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            ...event,
+            at: new Date().toISOString()
+        };
+        app.moderationHistory.push(entry);
+        
+        return entry;
+    }
+
+    /**
+     * Move an app to a new moderation status, enforcing the state machine
+     */
+    transitionApp(app, toStatus, actorId, details = {}) {
+        const fromStatus = app.status;
+        const allowed = MODERATION_TRANSITIONS[fromStatus] || [];
+        
+        if (!allowed.includes(toStatus)) {
+            return {
+                success: false,
+                error: `Cannot move app from ${fromStatus} to ${toStatus}`
+            };
+        }
+        
+        app.status = toStatus;
+        
+        if (toStatus === 'approved') {
+            app.approvedAt = new Date().toISOString();
+            delete app.requestedChanges;
             
-            if (relevanceScore > 0) {
-                results.push({
-                    ...app,
-                    relevanceScore
-                });
+            this.webhooks?.publish('app.approved', {
+                appId: app.id,
+                name: app.name,
+                version: app.channels?.stable || null,
+                action: details.action || toStatus,
+                approvedAt: app.approvedAt
+            }, getAppDeveloperIds(app));
+        }
+        
+        const event = this.recordModerationEvent(app, {
+            action: details.action || toStatus,
+            from: fromStatus,
+            to: toStatus,
+            actorId,
+            ...(details.reason && { reason: details.reason }),
+            ...(details.notes && { notes: details.notes }),
+            ...(details.changes && { changes: details.changes })
+        });
+        
+        return { success: true, event };
+    }
+
+    /**
+     * Get apps waiting for moderation, oldest submission first
+     */
+    getReviewQueue(status = 'pending_review') {
+        return Array.from(this.apps.values())
+            .filter(app => app.status === status)
+            .map(app => {
+                const submittedAt = this.getLastSubmittedAt(app);
+                return {
+                    id: app.id,
+                    name: app.name,
+                    category: app.category,
+                    developerId: app.developerId,
+                    status: app.status,
+                    qualityScore: app.qualityScore,
+                    suggestions: app.aiAnalysis?.suggestions || [],
+                    requestedChanges: app.requestedChanges || null,
+                    submittedAt,
+                    waitingHours: Math.round((Date.now() - new Date(submittedAt)) / 3600000)
+                };
+            })
+            .sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+    }
+
+    /**
+     * Time of the most recent (re)submission of an app
+     */
+    getLastSubmittedAt(app) {
+        const submissions = (app.moderationHistory || [])
+            .filter(event => event.to === 'pending_review');
+        
+        return submissions.length > 0 ?
+            submissions[submissions.length - 1].at :
+            app.publishedAt;
+    }
+
+    /**
+     * Apply a moderator decision to an app
+     */
+    async moderateApp(appId, decision, moderatorId, details = {}) {
+        const app = this.apps.get(appId);
+        if (!app) {
+            return { success: false, error: 'App not found' };
+        }
+        
+        const decisions = {
+            approve: 'approved',
+            reject: 'rejected',
+            request_changes: 'changes_requested',
+            suspend: 'suspended',
+            reinstate: 'approved'
+        };
+        
+        const toStatus = decisions[decision];
+        if (!toStatus) {
+            return { success: false, error: `Unknown moderation decision: ${decision}` };
+        }
+        
+        if (['reject', 'request_changes', 'suspend'].includes(decision) && !details.reason) {
+            return { success: false, error: 'A reason is required for this decision' };
+        }
+        
+        const result = this.transitionApp(app, toStatus, moderatorId, {
+            action: decision,
+            ...details
+        });
+        
+        if (!result.success) {
+            return result;
+        }
+        
+        if (decision === 'request_changes') {
+            app.requestedChanges = {
+                reason: details.reason,
+                changes: details.changes || [],
+                requestedAt: result.event.at,
+                moderatorId
+            };
+        }
+        
+        await this.persist();
+        
+        // Notify developer
+        await this.sendModerationNotification(app, result.event);
+        
+        return {
+            success: true,
+            appId,
+            status: app.status,
+            event: result.event
+        };
+    }
+
+    /**
+     * Developer resubmits a rejected app or one with requested changes
+     */
+    async resubmitApp(appId, developerId, updates = {}) {
+        const app = this.apps.get(appId);
+        if (!app) {
+            return { success: false, error: 'App not found' };
+        }
+        
+        if (!getAppDeveloperIds(app).includes(developerId)) {
+            return { success: false, error: 'Only the app developer can resubmit this app' };
+        }
+        
+        if (!(MODERATION_TRANSITIONS[app.status] || []).includes('pending_review')) {
+            return { success: false, error: `Apps in ${app.status} status cannot be resubmitted` };
+        }
+        
+        const changedFields = Object.keys(updates)
+            .filter(field => !PROTECTED_APP_FIELDS.includes(field));
+        const previousCategory = app.category;
+        changedFields.forEach(field => {
+            app[field] = updates[field];
+        });
+        
+        // Move the app between category counts when it changes category
+        if (app.category !== previousCategory) {
+            const from = this.categories.get(previousCategory);
+            const to = this.categories.get(app.category);
+            if (from) {
+                from.appCount = Math.max(0, from.appCount - 1);
+            }
+            if (to) {
+                to.appCount++;
             }
         }
         
-        // Sort by relevance and rating
-        results.sort((a, b) => {
-            const scoreA = a.relevanceScore + (a.rating * 10) + (a.downloads / 1000);
-            const scoreB = b.relevanceScore + (b.rating * 10) + (b.downloads / 1000);
-            return scoreB - scoreA;
+        if (changedFields.length > 0) {
+            app.aiAnalysis = await this.analyzeAppWithAI(app);
+            app.qualityScore = this.calculateQualityScore(app, app.aiAnalysis);
+            this.searchIndex.add(app);
+        }
+        
+        const result = this.transitionApp(app, 'pending_review', developerId, {
+            action: 'resubmitted',
+            ...(changedFields.length > 0 && { changes: changedFields })
         });
         
+        await this.persist();
+        
         return {
-            query,
-            totalResults: results.length,
-            results: results.slice(0, 20), // Limit to 20 results
-            suggestions: this.generateSearchSuggestions(query),
-            filters: this.getAvailableFilters(results)
+            success: true,
+            appId,
+            status: app.status,
+            qualityScore: app.qualityScore,
+            event: result.event
         };
     }
 
     /**
-     * Get app details
+     * Get moderation audit history for an app
      */
-    getAppDetails(appId) {
+    getModerationHistory(appId) {
         const app = this.apps.get(appId);
         if (!app) {
+            return null;
+        }
+        
+        return {
+            appId,
+            status: app.status,
+            requestedChanges: app.requestedChanges || null,
+            history: app.moderationHistory || []
+        };
+    }
+
+    /**
+     * Send moderation decision to the developer (simulated)
+     */
+    async sendModerationNotification(app, event) {
+        console.log(`Moderation decision ${event.action} sent to developer ${app.developerId} for app ${app.id}`);
+        return true;
+    }
+
+    /**
+     * Whether a user may see an app. Apps that are not approved are only visible
+     * to their developers and, with `includeUnapproved`, to moderators.
+     */
+    isAppVisible(app, userId = null, options = {}) {
+        return Boolean(app) && (
+            app.status === 'approved' ||
+            Boolean(options.includeUnapproved) ||
+            getAppDeveloperIds(app).includes(userId)
+        );
+    }
+
+    /**
+     * Get app details, if the user may see the app (see `isAppVisible`)
+     */
+    getAppDetails(appId, userId = null, options = {}) {
+        const app = this.apps.get(appId);
+        if (!this.isAppVisible(app, userId, options)) {
             return { error: 'App not found' };
         }
         
         // Increment view count
-        app.views = (app.views || 0) + 1;
+        if (app.status === 'approved') {
+            app.views = (app.views || 0) + 1;
+            this.recordUserView(appId, userId);
+            this.persist();
+        }
         
         // Get related apps
         const relatedApps = this.getRelatedApps(app);
@@ -375,30 +879,12 @@ class AIStoreService {
     getRelatedApps(app, limit = 6) {
         const related = [];
         
-        for (const [appId, otherApp] of this.apps) {
-            if (otherApp.id === app.id || otherApp.status !== 'approved') continue;
-            
-            let similarity = 0;
-            
-            // Category similarity
-            if (otherApp.category === app.category) {
-                similarity += 40;
-            }
-            
-            // Tag similarity
-            if (app.tags && otherApp.tags) {
-                const commonTags = app.tags.filter(tag => otherApp.tags.includes(tag));
-                similarity += commonTags.length * 10;
-            }
-            
-            // Developer similarity
-            if (otherApp.developerId === app.developerId) {
-                similarity += 20;
+        for (const otherApp of this.apps.values()) {
+            if (otherApp.id === app.id || otherApp.status !== 'approved') {
+                continue;
             }
             
-            // Rating similarity
-            const ratingDiff = Math.abs(otherApp.rating - app.rating);
-            similarity += Math.max(0, 10 - ratingDiff * 2);
+            const { score: similarity } = this.calculateSimilarity(app, otherApp);
             
             if (similarity > 30) {
                 related.push({
@@ -414,9 +900,51 @@ class AIStoreService {
     }
 
     /**
-     * Download app
+     * Content similarity between two apps (category, tags, developer, rating)
+     */
+    calculateSimilarity(app, otherApp) {
+        let score = 0;
+        const reasons = [];
+        
+        // Category similarity
+        if (otherApp.category === app.category) {
+            score += 40;
+            reasons.push(`same category (${app.category})`);
+        }
+        
+        // Tag similarity
+        if (app.tags && otherApp.tags) {
+            const commonTags = app.tags.filter(tag => otherApp.tags.includes(tag));
+            score += commonTags.length * 10;
+            if (commonTags.length > 0) {
+                reasons.push(`shared tags (${commonTags.join(', ')})`);
+            }
+        }
+        
+        // Developer similarity
+        if (getAppDeveloperIds(otherApp).some(developerId => getAppDeveloperIds(app).includes(developerId))) {
+            score += 20;
+            reasons.push('same developer');
+        }
+        
+        // Rating similarity
+        const ratingDiff = Math.abs((otherApp.rating || 0) - (app.rating || 0));
+        score += Math.max(0, 10 - ratingDiff * 2);
+        
+        return { score, reasons };
+    }
+
+    /**
+     * Personalized recommendations for a user
+     */
+    getRecommendations(userId, limit = 10) {
+        return this.recommendationEngine.recommend(userId, limit);
+    }
+
+    /**
+     * Download app. Resolves a pinned `version` or a release `channel` (default: stable).
      */
-    async downloadApp(appId, userId) {
+    async downloadApp(appId, userId, options = {}) {
         const app = this.apps.get(appId);
         if (!app) {
             return { success: false, error: 'App not found' };
@@ -426,8 +954,25 @@ class AIStoreService {
             return { success: false, error: 'App not available for download' };
         }
         
+        const resolved = this.resolveRelease(app, options);
+        if (resolved.error) {
+            return { success: false, error: resolved.error };
+        }
+        const { release, channel } = resolved;
+        
+        const entitlement = this.getEntitlement(app, userId);
+        if (!entitlement) {
+            return {
+                success: false,
+                error: 'Purchase required to download this app',
+                paymentRequired: true,
+                price: app.price
+            };
+        }
+        
         // Increment download count
         app.downloads++;
+        release.downloads = (release.downloads || 0) + 1;
         this.metrics.totalDownloads++;
         
         // Update category metrics
@@ -436,45 +981,776 @@ class AIStoreService {
             category.totalDownloads++;
         }
         
-        // Generate download token
-        const downloadToken = `dl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.recordUserDownload(appId, userId);
+        
+        await this.persist();
+        
+        this.webhooks?.publish('app.downloaded', {
+            appId,
+            version: release.version,
+            channel,
+            downloads: app.downloads,
+            downloadedAt: new Date().toISOString()
+        }, getAppDeveloperIds(app));
+        
+        // Signed link bound to this user, release and entitlement
+        const { token: downloadToken, expiresAt } = this.downloadTokens.sign({
+            appId,
+            version: release.version,
+            userId,
+            entitlement
+        });
         
         return {
             success: true,
             downloadToken,
-            downloadUrl: this.generateDownloadUrl(appId, downloadToken),
+            downloadUrl: this.generateDownloadUrl(appId, downloadToken, release.version),
+            entitlement,
             app: {
                 id: app.id,
                 name: app.name,
-                version: app.version,
-                size: app.size || '2.5 MB'
+                version: release.version,
+                channel,
+                changelog: release.changelog,
+                size: release.size || app.size || '2.5 MB'
             },
-            expiresAt: new Date(Date.now() + 3600000).toISOString() // 1 hour
+            expiresAt
         };
     }
 
     /**
-     * Generate download URL
+     * What entitles a user to download an app: free apps and the app's own
+     * developer need nothing, paid apps need a payment or subscription
      */
-    generateDownloadUrl(appId, token = null) {
-        const baseUrl = 'https://downloads.rapidai.com';
-        return token ? 
-            `${baseUrl}/apps/${appId}?token=${token}` :
-            `${baseUrl}/apps/${appId}`;
+    getEntitlement(app, userId) {
+        if (!(app.price > 0)) {
+            return { type: 'free', id: null };
+        }
+        if (userId && getAppDeveloperIds(app).includes(userId)) {
+            return { type: 'developer', id: userId };
+        }
+        if (!userId || userId === 'anonymous' || !this.entitlements) {
+            return null;
+        }
+        
+        const entitlement = this.entitlements.findActive(userId, app.id);
+        return entitlement ? { type: entitlement.source.type, id: entitlement.id } : null;
     }
 
     /**
-     * Get marketplace statistics
+     * Verify a signed download link. Rejects tampered or expired tokens, tokens
+     * for another app, user or version, and users whose entitlement has since lapsed.
      */
-    getMarketplaceStats() {
-        const categoryStats = Array.from(this.categories.entries()).map(([id, category]) => ({
-            id,
-            name: category.name,
-            icon: category.icon,
-            appCount: category.appCount,
-            totalDownloads: category.totalDownloads,
-            averageRating: category.averageRating || 0
-        }));
+    verifyDownload(appId, token, options = {}) {
+        const verification = this.downloadTokens.verify(token);
+        if (!verification.valid) {
+            return { success: false, error: verification.error, expired: Boolean(verification.expired) };
+        }
+        
+        const { claims } = verification;
+        if (claims.appId !== appId || (options.version && options.version !== claims.version)) {
+            return { success: false, error: 'Download token does not match this download' };
+        }
+        if (options.userId && options.userId !== claims.userId) {
+            return { success: false, error: 'Download token was issued to another user' };
+        }
+        
+        const app = this.apps.get(appId);
+        if (!app || app.status !== 'approved') {
+            return { success: false, error: 'App not available for download' };
+        }
+        
+        const release = this.findRelease(app, claims.version);
+        if (!release || release.status === 'withdrawn') {
+            return { success: false, error: `Version ${claims.version} is no longer available` };
+        }
+        
+        const entitlement = this.getEntitlement(app, claims.userId);
+        if (!entitlement) {
+            return { success: false, error: 'Purchase required to download this app', paymentRequired: true };
+        }
+        
+        return {
+            success: true,
+            userId: claims.userId,
+            entitlement,
+            app: {
+                id: app.id,
+                name: app.name,
+                version: release.version,
+                channel: release.channel,
+                size: release.size || app.size || '2.5 MB'
+            },
+            expiresAt: new Date(claims.exp * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Build a release record
+     */
+    createRelease(releaseData, publishedBy) {
+        return {
+            version: releaseData.version,
+            channel: releaseData.channel || (isPrerelease(releaseData.version) ? 'beta' : 'stable'),
+            changelog: releaseData.changelog || '',
+            size: releaseData.size || null,
+            status: 'active',
+            downloads: 0,
+            publishedBy,
+            publishedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Find a release of an app by version
+     */
+    findRelease(app, version) {
+        return (app.releases || []).find(release => release.version === version) || null;
+    }
+
+    /**
+     * Resolve the release to serve for a pinned version or a channel
+     */
+    resolveRelease(app, options = {}) {
+        if (options.version) {
+            const release = this.findRelease(app, options.version);
+            if (!release) {
+                return { error: `Version ${options.version} not found` };
+            }
+            if (release.status !== 'active') {
+                return { error: `Version ${options.version} has been withdrawn` };
+            }
+            return { release, channel: release.channel };
+        }
+        
+        const channel = options.channel || 'stable';
+        if (!RELEASE_CHANNELS.includes(channel)) {
+            return { error: `Unknown release channel: ${channel}` };
+        }
+        
+        const channels = app.channels || {};
+        const candidates = (channel === 'beta' ? [channels.beta, channels.stable] : [channels.stable])
+            .filter(Boolean)
+            .sort((a, b) => compareSemver(b, a));
+        
+        if (candidates.length === 0) {
+            return { error: `No ${channel} release available` };
+        }
+        
+        return { release: this.findRelease(app, candidates[0]), channel };
+    }
+
+    /**
+     * Share ownership of a joint app with co-developers, or pass none to return it to the
+     * publishing developer alone
+     */
+    async setAppCoOwners(appId, coOwnerIds = []) {
+        const app = this.apps.get(appId);
+        if (!app) {
+            return { success: false, error: 'App not found' };
+        }
+        
+        app.developerIds = Array.from(new Set([app.developerId, ...coOwnerIds]));
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            appId,
+            developerIds: app.developerIds
+        };
+    }
+
+    /**
+     * Check that a developer owns an app before changing its releases
+     */
+    getOwnedApp(appId, developerId) {
+        const app = this.apps.get(appId);
+        if (!app) {
+            return { error: 'App not found' };
+        }
+        if (!getAppDeveloperIds(app).includes(developerId)) {
+            return { error: 'Only the app developer can manage releases' };
+        }
+        return { app };
+    }
+
+    /**
+     * Publish a new release of an existing app to a channel
+     */
+    async publishRelease(appId, developerId, releaseData = {}) {
+        const { app, error } = this.getOwnedApp(appId, developerId);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        const { version } = releaseData;
+        if (!isValidSemver(version)) {
+            return { success: false, error: `Invalid version "${version}": expected semantic version such as 1.2.0` };
+        }
+        
+        if (this.findRelease(app, version)) {
+            return { success: false, error: `Version ${version} already exists` };
+        }
+        
+        const channel = releaseData.channel || (isPrerelease(version) ? 'beta' : 'stable');
+        if (!RELEASE_CHANNELS.includes(channel)) {
+            return { success: false, error: `Unknown release channel: ${channel}` };
+        }
+        if (channel === 'stable' && isPrerelease(version)) {
+            return { success: false, error: 'Prerelease versions can only be published to the beta channel' };
+        }
+        
+        // Versions only move forward within a channel; betas must also be ahead of stable
+        const latest = (app.releases || [])
+            .filter(release => release.channel === channel || (channel === 'beta' && release.channel === 'stable'))
+            .map(release => release.version)
+            .sort((a, b) => compareSemver(b, a))[0];
+        if (latest && compareSemver(version, latest) <= 0) {
+            return { success: false, error: `Version ${version} must be greater than the latest ${channel} release ${latest}` };
+        }
+        
+        const release = this.createRelease({ ...releaseData, channel }, developerId);
+        app.releases = [...(app.releases || []), release];
+        this.setChannelVersion(app, channel, version);
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            appId,
+            release,
+            channels: app.channels
+        };
+    }
+
+    /**
+     * Promote a beta release to the stable channel
+     */
+    async promoteRelease(appId, developerId, version) {
+        const { app, error } = this.getOwnedApp(appId, developerId);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        const release = this.findRelease(app, version);
+        if (!release || release.status !== 'active') {
+            return { success: false, error: `Version ${version} not found` };
+        }
+        if (release.channel === 'stable') {
+            return { success: false, error: `Version ${version} is already stable` };
+        }
+        if (isPrerelease(version)) {
+            return { success: false, error: 'Prerelease versions cannot be promoted to stable' };
+        }
+        if (app.channels?.stable && compareSemver(version, app.channels.stable) <= 0) {
+            return { success: false, error: `Version ${version} is older than the current stable release` };
+        }
+        
+        release.channel = 'stable';
+        release.promotedAt = new Date().toISOString();
+        this.setChannelVersion(app, 'stable', version);
+        if (app.channels.beta === version) {
+            app.channels.beta = null;
+        }
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            appId,
+            release,
+            channels: app.channels
+        };
+    }
+
+    /**
+     * Roll a channel back to an earlier release, withdrawing the current one
+     */
+    async rollbackRelease(appId, developerId, channel, targetVersion = null, reason = '') {
+        const { app, error } = this.getOwnedApp(appId, developerId);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        if (!RELEASE_CHANNELS.includes(channel)) {
+            return { success: false, error: `Unknown release channel: ${channel}` };
+        }
+        
+        const currentVersion = app.channels?.[channel];
+        if (!currentVersion) {
+            return { success: false, error: `No ${channel} release to roll back` };
+        }
+        
+        const previous = (app.releases || [])
+            .filter(release => release.channel === channel &&
+                release.status === 'active' &&
+                compareSemver(release.version, currentVersion) < 0)
+            .sort((a, b) => compareSemver(b.version, a.version));
+        
+        let target = previous[0] || null;
+        if (targetVersion) {
+            target = previous.find(release => release.version === targetVersion);
+            if (!target) {
+                return { success: false, error: `Version ${targetVersion} is not an earlier active ${channel} release` };
+            }
+        }
+        
+        // Stable always needs a release to serve; beta falls back to stable
+        if (!target && channel === 'stable') {
+            return { success: false, error: 'No earlier stable release to roll back to' };
+        }
+        
+        const current = this.findRelease(app, currentVersion);
+        current.status = 'withdrawn';
+        current.withdrawnAt = new Date().toISOString();
+        current.withdrawnBy = developerId;
+        current.withdrawReason = reason;
+        
+        this.setChannelVersion(app, channel, target ? target.version : null);
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            appId,
+            channel,
+            withdrawnVersion: currentVersion,
+            currentVersion: target ? target.version : null,
+            channels: app.channels
+        };
+    }
+
+    /**
+     * Point a channel at a version; the stable channel also drives `app.version`
+     */
+    setChannelVersion(app, channel, version) {
+        app.channels = { stable: null, beta: null, ...app.channels, [channel]: version };
+        
+        if (channel === 'stable' && version) {
+            const release = this.findRelease(app, version);
+            app.version = version;
+            if (release?.size) {
+                app.size = release.size;
+            }
+        }
+    }
+
+    /**
+     * List releases of an app, newest first, if the user may see the app (see `isAppVisible`)
+     */
+    getReleases(appId, channel = null, userId = null, options = {}) {
+        const app = this.apps.get(appId);
+        if (!this.isAppVisible(app, userId, options)) {
+            return null;
+        }
+        
+        const releases = (app.releases || [])
+            .filter(release => !channel || release.channel === channel)
+            .sort((a, b) => compareSemver(b.version, a.version));
+        
+        return {
+            appId,
+            channels: app.channels || {},
+            releases
+        };
+    }
+
+    /**
+     * Generate download URL
+     */
+    generateDownloadUrl(appId, token = null, version = null) {
+        // Points at the verifying GET /api/store/apps/:appId/download route
+        const baseUrl = process.env.DOWNLOAD_BASE_URL || 'https://rapid-saas-ai-store.onrender.com/api/store';
+        const params = new URLSearchParams();
+        if (version) {
+            params.set('version', version);
+        }
+        if (token) {
+            params.set('token', token);
+        }
+        
+        const query = params.toString();
+        return query ?
+            `${baseUrl}/apps/${appId}/download?${query}` :
+            `${baseUrl}/apps/${appId}/download`;
+    }
+
+    /**
+     * Record a download by a signed-in user (used for verified-download badges)
+     */
+    recordUserDownload(appId, userId) {
+        if (!userId || userId === 'anonymous') {
+            return null;
+        }
+        
+        const key = `${appId}:${userId}`;
+        const now = new Date().toISOString();
+        const record = this.downloads.get(key) || {
+            appId,
+            userId,
+            count: 0,
+            firstDownloadedAt: now
+        };
+        
+        record.count++;
+        record.lastDownloadedAt = now;
+        this.downloads.set(key, record);
+        
+        return record;
+    }
+
+    /**
+     * Record an app detail view by a signed-in user (used for recommendations)
+     */
+    recordUserView(appId, userId) {
+        if (!userId || userId === 'anonymous') {
+            return null;
+        }
+        
+        const key = `${appId}:${userId}`;
+        const record = this.views.get(key) || { appId, userId, count: 0 };
+        
+        record.count++;
+        record.lastViewedAt = new Date().toISOString();
+        this.views.set(key, record);
+        
+        return record;
+    }
+
+    /**
+     * Check whether a user has downloaded an app
+     */
+    hasUserDownloaded(appId, userId) {
+        return this.downloads.has(`${appId}:${userId}`);
+    }
+
+    /**
+     * Add (+1) or remove (-1) a rating from an app's aggregates
+     */
+    applyRatingToAggregates(app, rating, delta) {
+        if (!app.ratingHistogram) {
+            app.ratingHistogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+        }
+        
+        app.ratingCount = (app.ratingCount || 0) + delta;
+        app.ratingTotal = (app.ratingTotal || 0) + rating * delta;
+        app.ratingHistogram[rating] = (app.ratingHistogram[rating] || 0) + delta;
+        app.rating = app.ratingCount > 0 ?
+            Math.round((app.ratingTotal / app.ratingCount) * 100) / 100 : 0;
+        
+        this.updateCategoryRating(app.category);
+    }
+
+    /**
+     * Recalculate a category's average rating over its rated apps
+     */
+    updateCategoryRating(categoryId) {
+        const category = this.categories.get(categoryId);
+        if (!category) {
+            return;
+        }
+        
+        const ratedApps = Array.from(this.apps.values())
+            .filter(app => app.category === categoryId && app.ratingCount > 0);
+        
+        category.averageRating = ratedApps.length > 0 ?
+            Math.round((ratedApps.reduce((sum, app) => sum + app.rating, 0) / ratedApps.length) * 100) / 100 : 0;
+    }
+
+    /**
+     * Validate a star rating (whole number from 1 to 5)
+     */
+    isValidRating(rating) {
+        return Number.isInteger(rating) && rating >= 1 && rating <= 5;
+    }
+
+    /**
+     * Submit a review; each user may review an app once
+     */
+    async submitReview(appId, userId, reviewData = {}) {
+        const app = this.apps.get(appId);
+        if (!app) {
+            return { success: false, error: 'App not found' };
+        }
+        
+        if (app.status !== 'approved') {
+            return { success: false, error: 'Only approved apps can be reviewed' };
+        }
+        
+        const rating = Number(reviewData.rating);
+        if (!this.isValidRating(rating)) {
+            return { success: false, error: 'Rating must be a whole number from 1 to 5' };
+        }
+        
+        const existing = Array.from(this.reviews.values())
+            .find(review => review.appId === appId && review.userId === userId);
+        if (existing) {
+            return {
+                success: false,
+                error: 'You have already reviewed this app; edit your existing review instead',
+                reviewId: existing.id
+            };
+        }
+        
+        const reviewId = `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const review = {
+            id: reviewId,
+            appId,
+            userId,
+            rating,
+            title: reviewData.title || '',
+            body: reviewData.body || '',
+            verifiedDownload: this.hasUserDownloaded(appId, userId),
+            status: 'published',
+            flags: [],
+            reply: null,
+            createdAt: new Date().toISOString(),
+            updatedAt: null
+        };
+        
+        this.reviews.set(reviewId, review);
+        this.applyRatingToAggregates(app, rating, 1);
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            review,
+            appRating: this.getRatingSummary(app)
+        };
+    }
+
+    /**
+     * Edit a review (author only)
+     */
+    async editReview(reviewId, userId, changes = {}) {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        
+        if (review.userId !== userId) {
+            return { success: false, error: 'Only the author can edit this review' };
+        }
+        
+        const app = this.apps.get(review.appId);
+        
+        if (changes.rating !== undefined) {
+            const rating = Number(changes.rating);
+            if (!this.isValidRating(rating)) {
+                return { success: false, error: 'Rating must be a whole number from 1 to 5' };
+            }
+            
+            if (app && review.status === 'published' && rating !== review.rating) {
+                this.applyRatingToAggregates(app, review.rating, -1);
+                this.applyRatingToAggregates(app, rating, 1);
+            }
+            review.rating = rating;
+        }
+        
+        if (changes.title !== undefined) {
+            review.title = changes.title;
+        }
+        if (changes.body !== undefined) {
+            review.body = changes.body;
+        }
+        review.updatedAt = new Date().toISOString();
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            review,
+            appRating: app ? this.getRatingSummary(app) : null
+        };
+    }
+
+    /**
+     * Delete a review (author only)
+     */
+    async deleteReview(reviewId, userId) {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        
+        if (review.userId !== userId) {
+            return { success: false, error: 'Only the author can delete this review' };
+        }
+        
+        const app = this.apps.get(review.appId);
+        if (app && review.status === 'published') {
+            this.applyRatingToAggregates(app, review.rating, -1);
+        }
+        
+        this.reviews.delete(reviewId);
+        await this.persist();
+        
+        return {
+            success: true,
+            reviewId,
+            appRating: app ? this.getRatingSummary(app) : null
+        };
+    }
+
+    /**
+     * Flag a review as inappropriate; enough flags hide it pending moderation
+     */
+    async flagReview(reviewId, userId, reason = '') {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        
+        if (review.flags.some(flag => flag.userId === userId)) {
+            return { success: false, error: 'You have already flagged this review' };
+        }
+        
+        review.flags.push({
+            userId,
+            reason,
+            flaggedAt: new Date().toISOString()
+        });
+        
+        if (review.status === 'published' && review.flags.length >= REVIEW_FLAG_THRESHOLD) {
+            review.status = 'hidden';
+            const app = this.apps.get(review.appId);
+            if (app) {
+                this.applyRatingToAggregates(app, review.rating, -1);
+            }
+        }
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            reviewId,
+            flagCount: review.flags.length,
+            status: review.status
+        };
+    }
+
+    /**
+     * Reply to a review (app developer only); replying again replaces the reply
+     */
+    async replyToReview(reviewId, developerId, body) {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        
+        const app = this.apps.get(review.appId);
+        if (!app || !getAppDeveloperIds(app).includes(developerId)) {
+            return { success: false, error: 'Only the app developer can reply to this review' };
+        }
+        
+        if (!body) {
+            return { success: false, error: 'Reply body is required' };
+        }
+        
+        review.reply = {
+            developerId,
+            body,
+            repliedAt: new Date().toISOString()
+        };
+        
+        await this.persist();
+        
+        return {
+            success: true,
+            review
+        };
+    }
+
+    /**
+     * Get an app's rating aggregates
+     */
+    getRatingSummary(app) {
+        return {
+            average: app.rating || 0,
+            count: app.ratingCount || 0,
+            histogram: app.ratingHistogram || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+        };
+    }
+
+    /**
+     * Get published reviews for an app with rating summary and pagination
+     */
+    getAppReviews(appId, options = {}) {
+        const app = this.apps.get(appId);
+        const page = Math.max(1, parseInt(options.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 10));
+        
+        const comparators = {
+            newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+            rating_high: (a, b) => b.rating - a.rating,
+            rating_low: (a, b) => a.rating - b.rating,
+            verified: (a, b) => Number(b.verifiedDownload) - Number(a.verifiedDownload) ||
+                new Date(b.createdAt) - new Date(a.createdAt)
+        };
+        
+        const reviews = Array.from(this.reviews.values())
+            .filter(review => review.appId === appId && review.status === 'published')
+            .map(({ flags, ...review }) => ({ ...review, flagCount: flags.length }))
+            .sort(comparators[options.sort] || comparators.newest);
+        
+        const startIndex = (page - 1) * limit;
+        
+        return {
+            summary: app ? this.getRatingSummary(app) : null,
+            reviews: reviews.slice(startIndex, startIndex + limit),
+            pagination: {
+                page,
+                limit,
+                total: reviews.length,
+                pages: Math.ceil(reviews.length / limit)
+            }
+        };
+    }
+
+    /**
+     * Get install instructions for an app
+     */
+    getInstallInstructions(app) {
+        const platforms = app.platforms || ['Web'];
+        
+        return platforms.map(platform => ({
+            platform,
+            steps: [
+                `Download ${app.name} from the Rapid AI Store`,
+                platform === 'Web' ?
+                    'Open the downloaded package in your browser' :
+                    `Run the installer on your ${platform} device`,
+                'Sign in with your Rapid AI account'
+            ]
+        }));
+    }
+
+    /**
+     * Get support information for an app
+     */
+    getSupportInfo(app) {
+        return {
+            email: app.supportEmail || null,
+            website: app.website || null,
+            privacyPolicy: app.privacyPolicy || null,
+            termsOfService: app.termsOfService || null
+        };
+    }
+
+    /**
+     * Get marketplace statistics
+     */
+    getMarketplaceStats() {
+        const categoryStats = Array.from(this.categories.entries()).map(([id, category]) => ({
+            id,
+            name: category.name,
+            icon: category.icon,
+            appCount: category.appCount,
+            totalDownloads: category.totalDownloads,
+            averageRating: category.averageRating || 0
+        }));
         
         const topApps = Array.from(this.apps.values())
             .filter(app => app.status === 'approved')
@@ -572,25 +1848,21 @@ class AIStoreService {
     }
 
     /**
-     * Generate search suggestions
+     * Generate search suggestions from the index vocabulary and matching app names
      */
     generateSearchSuggestions(query) {
-        const suggestions = [
-            'AI productivity tools',
-            'Business automation',
-            'Document processing',
-            'Data analysis',
-            'Image generation',
-            'Text translation',
-            'Voice recognition',
-            'Workflow optimization'
-        ];
+        if (!query || !query.trim()) {
+            return [];
+        }
         
-        return suggestions
-            .filter(suggestion => 
-                suggestion.toLowerCase().includes(query.toLowerCase()) ||
-                query.toLowerCase().includes(suggestion.toLowerCase())
-            )
+        const lowerQuery = query.toLowerCase();
+        const appNames = Array.from(this.apps.values())
+            .filter(app => app.status === 'approved' && app.name.toLowerCase().includes(lowerQuery))
+            .sort((a, b) => b.downloads - a.downloads)
+            .map(app => app.name);
+        
+        return [...new Set([...appNames, ...this.searchIndex.suggest(query)])]
+            .filter(suggestion => suggestion.toLowerCase() !== lowerQuery)
             .slice(0, 5);
     }
 
@@ -599,17 +1871,12 @@ class AIStoreService {
      */
     getAvailableFilters(results) {
         const categories = [...new Set(results.map(app => app.category))];
-        const priceRanges = [
-            { label: 'Free', min: 0, max: 0 },
-            { label: 'Under $10', min: 0, max: 10 },
-            { label: '$10 - $50', min: 10, max: 50 },
-            { label: 'Over $50', min: 50, max: Infinity }
-        ];
         
         return {
             categories,
-            priceRanges,
-            ratings: [1, 2, 3, 4, 5]
+            priceRanges: PRICE_RANGES,
+            ratings: [1, 2, 3, 4, 5],
+            sortOptions: SEARCH_SORT_OPTIONS
         };
     }
 }
@@ -0,0 +1,471 @@
+/**
+ * Auth Service - User accounts, roles, JWT sessions and scoped API keys
+ * Passwords are scrypt-hashed; sessions are HS256 JWTs; API keys are stored as SHA-256 hashes
+ */
+
+import crypto from 'crypto';
+import { resolveSecret } from './secrets.js';
+import { createStoreRepository } from './storeRepository.js';
+
+/**
+ * Permissions checked by route policies. `admin` implies every other permission.
+ * API keys are scoped to a subset of their user's permissions.
+ */
+export const PERMISSIONS = [
+    'store:publish',
+    'store:moderate',
+    'store:stats',
+    'payment:refund',
+    'payment:capture',
+    'partnership:manage',
+    'partnership:payout',
+    'admin'
+];
+
+/**
+ * What each role may do. Every signed-in user can browse, buy, download and review;
+ * roles only add permissions on top of that. Requesting payouts takes the `partner`
+ * role, which an admin assigns once they have checked who the developer is.
+ */
+export const ROLE_PERMISSIONS = {
+    buyer: [],
+    developer: ['store:publish', 'partnership:manage'],
+    partner: ['partnership:payout'],
+    moderator: ['store:moderate', 'store:stats'],
+    admin: ['admin']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles users can pick for themselves when registering; the rest are assigned by an admin
+export const SELF_ASSIGNABLE_ROLES = ['buyer', 'developer'];
+
+export const DEFAULT_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const API_KEY_PREFIX = 'rsk';
+
+const encode = value => Buffer.from(value).toString('base64url');
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+class AuthService {
+    constructor(options = {}) {
+        // Accounts, API keys and logged out sessions survive restarts
+        this.repository = options.repository || createStoreRepository({ name: 'auth' });
+        const snapshot = this.repository.load() || {};
+        this.users = new Map(snapshot.users || []);
+        this.apiKeys = new Map(snapshot.apiKeys || []);
+
+        // Session IDs (jti) logged out before they expire, mapped to their expiry
+        this.revokedSessions = new Map(snapshot.revokedSessions || []);
+
+        this.secret = resolveSecret(options.secret, 'JWT_SECRET', { required: true });
+        this.sessionTtlSeconds = options.sessionTtlSeconds ||
+            parseInt(process.env.JWT_TTL_SECONDS) ||
+            DEFAULT_SESSION_TTL_SECONDS;
+    }
+
+    /**
+     * Save accounts, API keys and revocations; failures are logged, never thrown to callers
+     */
+    persist() {
+        return Promise.resolve()
+            .then(() => this.repository.save({
+                users: Array.from(this.users.entries()),
+                apiKeys: Array.from(this.apiKeys.entries()),
+                revokedSessions: Array.from(this.revokedSessions.entries())
+            }))
+            .catch(error => {
+                console.error('Error persisting accounts:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Hash a password as `scrypt$<salt>$<hash>`
+     */
+    hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    verifyPassword(password, passwordHash) {
+        const [scheme, salt, hash] = String(passwordHash).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+        return safeEqual(crypto.scryptSync(String(password), salt, 64).toString('hex'), hash);
+    }
+
+    /**
+     * Create an account (as a `buyer` unless `developer` is among `roles`) and start a session for it
+     */
+    register({ email, password, name, roles = ['buyer'] } = {}) {
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+            return { success: false, error: 'A valid email is required' };
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return { success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+        }
+        if (!Array.isArray(roles) || roles.some(role => !SELF_ASSIGNABLE_ROLES.includes(role))) {
+            return { success: false, error: `roles can only include: ${SELF_ASSIGNABLE_ROLES.join(', ')}` };
+        }
+        if (this.findUserByEmail(normalizedEmail)) {
+            return { success: false, error: 'An account with this email already exists' };
+        }
+
+        const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const user = {
+            id: userId,
+            email: normalizedEmail,
+            name: name || normalizedEmail.split('@')[0],
+            passwordHash: this.hashPassword(password),
+            roles: Array.from(new Set(roles)),
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+        this.users.set(userId, user);
+        this.persist();
+
+        return {
+            success: true,
+            user: this.toPublicUser(user),
+            ...this.createSession(user)
+        };
+    }
+
+    /**
+     * Exchange an email and password for a session token
+     */
+    login(email, password) {
+        const user = this.findUserByEmail(email);
+
+        // Hash anyway for unknown emails so response times do not reveal which accounts exist
+        const passwordHash = user ? user.passwordHash : this.hashPassword('');
+        if (!this.verifyPassword(password, passwordHash) || !user) {
+            return { success: false, error: 'Invalid email or password' };
+        }
+
+        user.lastLoginAt = new Date().toISOString();
+        this.persist();
+
+        return {
+            success: true,
+            user: this.toPublicUser(user),
+            ...this.createSession(user)
+        };
+    }
+
+    /**
+     * End a session before it expires
+     */
+    logout(claims) {
+        this.revokedSessions.set(claims.jti, claims.exp * 1000);
+        this.pruneRevokedSessions();
+        this.persist();
+        return { success: true };
+    }
+
+    pruneRevokedSessions(now = Date.now()) {
+        this.revokedSessions.forEach((expiresAt, jti) => {
+            if (expiresAt <= now) {
+                this.revokedSessions.delete(jti);
+            }
+        });
+    }
+
+    findUserByEmail(email) {
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        return Array.from(this.users.values()).find(user => user.email === normalizedEmail) || null;
+    }
+
+    toPublicUser(user) {
+        return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            roles: user.roles,
+            permissions: this.getPermissions(user),
+            createdAt: user.createdAt
+        };
+    }
+
+    /**
+     * Every permission a user's roles grant
+     */
+    getPermissions(user) {
+        return Array.from(new Set(user.roles.flatMap(role => ROLE_PERMISSIONS[role] || [])));
+    }
+
+    listUsers() {
+        return Array.from(this.users.values()).map(user => this.toPublicUser(user));
+    }
+
+    /**
+     * Replace a user's roles (admin only). The last admin cannot give up the role.
+     */
+    setRoles(userId, roles) {
+        const user = this.users.get(userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+        if (!Array.isArray(roles) || roles.length === 0) {
+            return { success: false, error: `roles must list at least one of: ${ROLES.join(', ')}` };
+        }
+        const unknown = roles.filter(role => !ROLES.includes(role));
+        if (unknown.length > 0) {
+            return { success: false, error: `Unknown roles: ${unknown.join(', ')}` };
+        }
+        const admins = Array.from(this.users.values()).filter(other => other.roles.includes('admin'));
+        if (user.roles.includes('admin') && !roles.includes('admin') && admins.length === 1) {
+            return { success: false, error: 'The last admin cannot lose the admin role' };
+        }
+
+        const previousRoles = user.roles;
+        user.roles = Array.from(new Set(roles));
+        user.rolesUpdatedAt = new Date().toISOString();
+        this.persist();
+
+        return { success: true, previousRoles, user: this.toPublicUser(user) };
+    }
+
+    /**
+     * Give an existing account the admin role. Sets up the first admin from the
+     * command line (`npm run grant-admin -- <email>`); admins assign roles after that.
+     */
+    grantAdmin(email) {
+        const user = this.findUserByEmail(email);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+        return this.setRoles(user.id, [...user.roles, 'admin']);
+    }
+
+    /**
+     * Compute the signature for the encoded header and claims
+     */
+    signature(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Issue an HS256 JWT for a user
+     */
+    createSession(user, now = Date.now()) {
+        const issuedAt = Math.floor(now / 1000);
+        const header = encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        const claims = encode(JSON.stringify({
+            sub: user.id,
+            email: user.email,
+            iat: issuedAt,
+            exp: issuedAt + this.sessionTtlSeconds,
+            jti: crypto.randomBytes(12).toString('hex')
+        }));
+        const payload = `${header}.${claims}`;
+
+        return {
+            token: `${payload}.${this.signature(payload)}`,
+            expiresAt: new Date((issuedAt + this.sessionTtlSeconds) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a session token's signature, expiry and revocation. Returns `{ valid, claims }` or `{ valid: false, error }`.
+     */
+    verifySession(token, now = Date.now()) {
+        const [header, payload, signature, extra] = String(token || '').split('.');
+        if (!header || !payload || !signature || extra !== undefined) {
+            return { valid: false, error: 'Malformed session token' };
+        }
+
+        if (!safeEqual(this.signature(`${header}.${payload}`), signature)) {
+            return { valid: false, error: 'Invalid session token signature' };
+        }
+
+        let claims;
+        try {
+            const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+            if (alg !== 'HS256') {
+                return { valid: false, error: 'Unsupported session token algorithm' };
+            }
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return { valid: false, error: 'Malformed session token' };
+        }
+
+        if (!claims.exp || claims.exp * 1000 <= now) {
+            return { valid: false, error: 'Session expired', expired: true };
+        }
+        if (this.revokedSessions.has(claims.jti)) {
+            return { valid: false, error: 'Session has been logged out' };
+        }
+
+        return { valid: true, claims };
+    }
+
+    /**
+     * Create an API key limited to `scopes`, which must be permissions the user has.
+     * The key itself is only returned here; only its hash is kept.
+     */
+    createApiKey(userId, { name, scopes } = {}) {
+        const user = this.users.get(userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            return { success: false, error: `scopes must list at least one of: ${PERMISSIONS.join(', ')}` };
+        }
+        const unknown = scopes.filter(scope => !PERMISSIONS.includes(scope));
+        if (unknown.length > 0) {
+            return { success: false, error: `Unknown scopes: ${unknown.join(', ')}` };
+        }
+        const permissions = this.getPermissions(user);
+        const ungranted = scopes.filter(scope => !permissions.includes(scope) && !permissions.includes('admin'));
+        if (ungranted.length > 0) {
+            return { success: false, error: `You do not have these permissions: ${ungranted.join(', ')}` };
+        }
+
+        const keyId = `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const prefix = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('base64url');
+        const apiKey = {
+            id: keyId,
+            userId,
+            name: name || 'API key',
+            prefix,
+            keyHash: sha256(secret),
+            scopes: Array.from(new Set(scopes)),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+        this.apiKeys.set(keyId, apiKey);
+        this.persist();
+
+        return {
+            success: true,
+            key: `${API_KEY_PREFIX}_${prefix}_${secret}`,
+            apiKey: this.toPublicApiKey(apiKey)
+        };
+    }
+
+    /**
+     * A key's scopes, minus any permission its user has since lost
+     */
+    getKeyPermissions(apiKey, user) {
+        const permissions = this.getPermissions(user);
+        return permissions.includes('admin') ?
+            apiKey.scopes :
+            apiKey.scopes.filter(scope => permissions.includes(scope));
+    }
+
+    listApiKeys(userId) {
+        return Array.from(this.apiKeys.values())
+            .filter(apiKey => apiKey.userId === userId)
+            .map(apiKey => this.toPublicApiKey(apiKey));
+    }
+
+    revokeApiKey(userId, keyId) {
+        const apiKey = this.apiKeys.get(keyId);
+        if (!apiKey || apiKey.userId !== userId) {
+            return { success: false, error: 'API key not found' };
+        }
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date().toISOString();
+            this.persist();
+        }
+        return { success: true, apiKey: this.toPublicApiKey(apiKey) };
+    }
+
+    toPublicApiKey(apiKey) {
+        return {
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: `${API_KEY_PREFIX}_${apiKey.prefix}`,
+            scopes: apiKey.scopes,
+            createdAt: apiKey.createdAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            revokedAt: apiKey.revokedAt
+        };
+    }
+
+    isApiKey(credential) {
+        return String(credential || '').startsWith(`${API_KEY_PREFIX}_`);
+    }
+
+    /**
+     * The principal behind a session token or API key: `{ success, user }` or `{ success: false, error }`.
+     * `user.permissions` are everything the user's roles grant for sessions, and the key's scopes for API keys.
+     */
+    authenticate(credential, now = Date.now()) {
+        if (this.isApiKey(credential)) {
+            return this.authenticateApiKey(credential, now);
+        }
+
+        const session = this.verifySession(credential, now);
+        if (!session.valid) {
+            return { success: false, error: session.error };
+        }
+
+        const user = this.users.get(session.claims.sub);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        return {
+            success: true,
+            user: {
+                id: user.id,
+                email: user.email,
+                roles: user.roles,
+                permissions: this.getPermissions(user),
+                authType: 'session',
+                session: session.claims
+            }
+        };
+    }
+
+    authenticateApiKey(credential, now = Date.now()) {
+        // The secret is base64url, so it may itself contain underscores
+        const [, prefix, secret] = /^[a-z]+_([0-9a-f]+)_(.+)$/.exec(String(credential)) || [];
+        const apiKey = prefix && Array.from(this.apiKeys.values()).find(key => key.prefix === prefix);
+        if (!apiKey || !safeEqual(sha256(secret), apiKey.keyHash)) {
+            return { success: false, error: 'Invalid API key' };
+        }
+        if (apiKey.revokedAt) {
+            return { success: false, error: 'API key has been revoked' };
+        }
+
+        const user = this.users.get(apiKey.userId);
+        if (!user) {
+            return { success: false, error: 'User not found' };
+        }
+
+        // Saved with the next change rather than on every request
+        apiKey.lastUsedAt = new Date(now).toISOString();
+
+        return {
+            success: true,
+            user: {
+                id: user.id,
+                email: user.email,
+                roles: user.roles,
+                permissions: this.getKeyPermissions(apiKey, user),
+                authType: 'api_key',
+                apiKeyId: apiKey.id
+            }
+        };
+    }
+}
+
+export default AuthService;
@@ -0,0 +1,381 @@
+/**
+ * Billing Engine - Recurring billing for PaymentService subscriptions
+ * Renews due subscriptions, ends trials, retries failed charges (dunning) and prorates plan changes
+ */
+
+import { roundMoney } from './exchangeRates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Retry failed renewals this many days after the first failure; access is kept
+ * until the grace period ends, then the subscription is cancelled
+ */
+export const DEFAULT_DUNNING = {
+    retryScheduleDays: [1, 3, 5],
+    gracePeriodDays: 7
+};
+
+class BillingEngine {
+    constructor(payments, options = {}) {
+        // PaymentService providing plans, subscriptions, charging and entitlements
+        this.payments = payments;
+
+        this.dunning = {
+            retryScheduleDays: options.retryScheduleDays ||
+                (process.env.BILLING_RETRY_SCHEDULE_DAYS ?
+                    process.env.BILLING_RETRY_SCHEDULE_DAYS.split(',').map(Number) :
+                    DEFAULT_DUNNING.retryScheduleDays),
+            gracePeriodDays: options.gracePeriodDays ??
+                (parseFloat(process.env.BILLING_GRACE_PERIOD_DAYS) || DEFAULT_DUNNING.gracePeriodDays)
+        };
+
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Run billing cycles on an interval
+     */
+    start(intervalMs) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.runCycle().catch(error => console.error('Billing cycle error:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Bill everything due at `now`: trial ends, renewals, dunning retries and
+     * cancellations at period or grace end
+     */
+    async runCycle(now = new Date()) {
+        if (this.running) {
+            return { skipped: true };
+        }
+
+        this.running = true;
+        const summary = { renewed: 0, trialsEnded: 0, failed: 0, cancelled: 0 };
+
+        try {
+            for (const subscription of this.payments.subscriptions.values()) {
+                await this.processSubscription(subscription, now, summary);
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.payments.recalculateMrr();
+
+        return { ...summary, runAt: now.toISOString() };
+    }
+
+    /**
+     * Advance one subscription to `now`
+     */
+    async processSubscription(subscription, now, summary) {
+        const time = now.getTime();
+
+        if (subscription.status === 'cancelled') {
+            return;
+        }
+
+        if (subscription.cancelAtPeriodEnd && time >= Date.parse(subscription.currentPeriodEnd)) {
+            this.endSubscription(subscription, now, 'cancelled_at_period_end');
+            summary.cancelled++;
+            return;
+        }
+
+        if (subscription.status === 'past_due') {
+            const { nextRetryAt, graceEndsAt } = subscription.dunning;
+
+            if (nextRetryAt && time >= Date.parse(nextRetryAt)) {
+                const renewed = await this.renew(subscription, now);
+                summary[renewed ? 'renewed' : 'failed']++;
+            } else if (!nextRetryAt && time >= Date.parse(graceEndsAt)) {
+                this.endSubscription(subscription, now, 'payment_failed');
+                summary.cancelled++;
+            }
+            return;
+        }
+
+        if (time < Date.parse(subscription.billing.nextBillingDate)) {
+            return;
+        }
+
+        const endingTrial = subscription.status === 'trialing';
+        const renewed = await this.renew(subscription, now);
+
+        if (!renewed) {
+            summary.failed++;
+        } else if (endingTrial) {
+            summary.trialsEnded++;
+        } else {
+            summary.renewed++;
+        }
+    }
+
+    /**
+     * Charge the next period, applying any prorated credit first
+     */
+    async renew(subscription, now) {
+        const plan = this.payments.subscriptionPlans.get(subscription.planId);
+        const credit = subscription.billing.creditBalance || 0;
+        const creditApplied = Math.min(credit, plan.price);
+        const amountDue = roundMoney(plan.price - creditApplied, plan.currency);
+
+        let payment = null;
+        if (amountDue > 0) {
+            payment = await this.payments.processPayment({
+                ...subscription.billing.paymentMethod,
+                userId: subscription.userId,
+                amount: amountDue,
+                currency: plan.currency,
+                type: 'subscription',
+                description: `${plan.name} - ${subscription.status === 'trialing' ? 'First Payment' : 'Renewal'}`,
+                metadata: { subscriptionId: subscription.id, creditApplied }
+            });
+
+            if (!payment.success) {
+                this.recordFailure(subscription, now, payment.error || 'Payment requires customer action');
+                return false;
+            }
+        }
+
+        // Paid transactions are invoiced when they settle; renewals covered by credit are invoiced here
+        let invoiceId = payment ? this.payments.transactions.get(payment.transactionId).invoiceId : null;
+        if (!payment && creditApplied > 0) {
+            invoiceId = this.payments.invoices.issueInvoice({
+                userId: subscription.userId,
+                amount: 0,
+                currency: plan.currency,
+                description: `${plan.name} - Renewal`,
+                billingDetails: subscription.billing.paymentMethod.billingDetails,
+                region: subscription.billing.paymentMethod.region,
+                metadata: { subscriptionId: subscription.id, creditApplied }
+            }, now).id;
+        }
+
+        subscription.billing.creditBalance = roundMoney(credit - creditApplied, plan.currency);
+
+        // Periods stay anchored to the original billing date, even after late retries
+        this.advancePeriod(subscription, new Date(subscription.billing.nextBillingDate));
+        subscription.history.push({
+            type: 'renewed',
+            at: now.toISOString(),
+            amount: amountDue,
+            creditApplied,
+            transactionId: payment?.transactionId || null,
+            invoiceId
+        });
+
+        this.payments.webhooks?.publish('subscription.renewed', {
+            subscriptionId: subscription.id,
+            planId: subscription.planId,
+            appId: subscription.appId || null,
+            amount: amountDue,
+            currency: plan.currency,
+            creditApplied,
+            currentPeriodStart: subscription.currentPeriodStart,
+            currentPeriodEnd: subscription.currentPeriodEnd,
+            transactionId: payment?.transactionId || null,
+            invoiceId
+        }, subscription.userId, now);
+
+        return true;
+    }
+
+    /**
+     * Start the next billing period
+     */
+    advancePeriod(subscription, start) {
+        subscription.status = 'active';
+        subscription.dunning = null;
+        subscription.currentPeriodStart = start.toISOString();
+        subscription.currentPeriodEnd = this.payments.calculatePeriodEnd(subscription.billing.interval, start);
+        subscription.billing.nextBillingDate = subscription.currentPeriodEnd;
+
+        this.payments.entitlements.setExpiry('subscription', subscription.id, subscription.currentPeriodEnd);
+    }
+
+    /**
+     * Move a subscription into (or further along) dunning after a failed charge
+     */
+    recordFailure(subscription, now, error) {
+        if (subscription.status !== 'past_due') {
+            subscription.status = 'past_due';
+            subscription.dunning = {
+                failedAttempts: 0,
+                firstFailedAt: now.toISOString(),
+                graceEndsAt: new Date(now.getTime() + this.dunning.gracePeriodDays * DAY_MS).toISOString(),
+                nextRetryAt: null,
+                lastError: null
+            };
+        }
+
+        const { dunning } = subscription;
+        const retryOffset = this.dunning.retryScheduleDays[dunning.failedAttempts];
+
+        dunning.failedAttempts++;
+        dunning.lastError = error;
+        dunning.nextRetryAt = retryOffset === undefined ?
+            null :
+            new Date(Date.parse(dunning.firstFailedAt) + retryOffset * DAY_MS).toISOString();
+
+        // Keep app access through the grace period
+        this.payments.entitlements.setExpiry('subscription', subscription.id, dunning.graceEndsAt);
+
+        subscription.history.push({
+            type: 'payment_failed',
+            at: now.toISOString(),
+            attempt: dunning.failedAttempts,
+            error
+        });
+
+        this.payments.sendDunningNotice(subscription);
+    }
+
+    /**
+     * Cancel a subscription whose period or grace period has run out
+     */
+    endSubscription(subscription, now, reason) {
+        subscription.status = 'cancelled';
+        subscription.cancelledAt = now.toISOString();
+        subscription.cancelReason = reason;
+        if (subscription.dunning) {
+            subscription.dunning.nextRetryAt = null;
+        }
+
+        this.payments.entitlements.revokeBySource('subscription', subscription.id, reason);
+        subscription.history.push({ type: 'cancelled', at: now.toISOString(), reason });
+    }
+
+    /**
+     * Switch plans mid-period. The unused part of the old plan is credited and the
+     * rest of the period on the new plan is charged; only the difference moves.
+     */
+    async changePlan(subscriptionId, planId, now = new Date()) {
+        const subscription = this.payments.subscriptions.get(subscriptionId);
+        if (!subscription) {
+            return { success: false, error: 'Subscription not found' };
+        }
+        if (subscription.status === 'cancelled') {
+            return { success: false, error: 'Cannot change the plan of a cancelled subscription' };
+        }
+        if (subscription.status === 'past_due') {
+            return { success: false, error: 'Settle the overdue payment before changing plans' };
+        }
+
+        const newPlan = this.payments.subscriptionPlans.get(planId);
+        if (!newPlan) {
+            return { success: false, error: 'Invalid subscription plan' };
+        }
+        if (subscription.planId === planId) {
+            return { success: false, error: 'Subscription is already on this plan' };
+        }
+
+        const oldPlan = this.payments.subscriptionPlans.get(subscription.planId);
+        const proration = { unusedCredit: 0, newPlanCost: 0, amountCharged: 0, creditAdded: 0 };
+        let transactionId = null;
+
+        // Trials have not been billed, so there is nothing to prorate
+        if (subscription.status !== 'trialing') {
+            const start = Date.parse(subscription.currentPeriodStart);
+            const end = Date.parse(subscription.currentPeriodEnd);
+            const remaining = Math.min(1, Math.max(0, (end - now.getTime()) / (end - start)));
+
+            proration.unusedCredit = roundMoney(oldPlan.price * remaining, oldPlan.currency);
+            proration.newPlanCost = roundMoney(newPlan.price * remaining, newPlan.currency);
+            const net = roundMoney(proration.newPlanCost - proration.unusedCredit, newPlan.currency);
+
+            if (net > 0) {
+                const payment = await this.payments.processPayment({
+                    ...subscription.billing.paymentMethod,
+                    userId: subscription.userId,
+                    amount: net,
+                    currency: newPlan.currency,
+                    type: 'subscription',
+                    description: `${newPlan.name} - Prorated Upgrade`,
+                    metadata: { subscriptionId }
+                });
+
+                if (!payment.success) {
+                    return { success: false, error: payment.error || 'Upgrade payment requires customer action' };
+                }
+                proration.amountCharged = net;
+                transactionId = payment.transactionId;
+            } else if (net < 0) {
+                proration.creditAdded = -net;
+                subscription.billing.creditBalance = roundMoney((subscription.billing.creditBalance || 0) - net, newPlan.currency);
+            }
+        }
+
+        // Free plans never bill again, so credit would sit on the subscription unused
+        if (newPlan.price === 0 && subscription.billing.creditBalance > 0) {
+            const { refunded, dropped } = await this.refundCredit(subscription, newPlan.currency);
+            proration.creditRefunded = refunded;
+            proration.creditDropped = dropped;
+        }
+
+        subscription.planId = planId;
+        subscription.billing.amount = newPlan.price;
+        subscription.billing.currency = newPlan.currency;
+        subscription.limits = newPlan.limits;
+        subscription.features = newPlan.features;
+        subscription.history.push({
+            type: 'plan_changed',
+            at: now.toISOString(),
+            from: oldPlan.id,
+            to: planId,
+            proration
+        });
+
+        this.payments.recalculateMrr();
+
+        return {
+            success: true,
+            subscriptionId,
+            planId,
+            proration,
+            creditBalance: subscription.billing.creditBalance,
+            transactionId
+        };
+    }
+
+    /**
+     * Refund a subscription's credit balance to its payments, newest first.
+     * Credit no payment can take back (e.g. already refunded) is dropped.
+     */
+    async refundCredit(subscription, currency) {
+        let remaining = subscription.billing.creditBalance;
+        const payments = Array.from(this.payments.transactions.values())
+            .filter(txn => txn.metadata.subscriptionId === subscription.id &&
+                ['completed', 'partially_refunded'].includes(txn.status))
+            .sort((a, b) => Date.parse(b.completedAt) - Date.parse(a.completedAt));
+
+        for (const transaction of payments) {
+            const amount = Math.min(remaining, roundMoney(transaction.amount - (transaction.refundedAmount || 0), transaction.currency));
+            if (amount <= 0) {
+                continue;
+            }
+            const refund = await this.payments.processRefund(transaction.id, amount, 'Unused credit on downgrade to a free plan');
+            if (refund.success) {
+                remaining = roundMoney(remaining - amount, currency);
+            }
+        }
+
+        const refunded = roundMoney(subscription.billing.creditBalance - remaining, currency);
+        subscription.billing.creditBalance = 0;
+
+        return { refunded, dropped: remaining };
+    }
+}
+
+export default BillingEngine;
@@ -0,0 +1,76 @@
+/**
+ * Download Tokens - HMAC-signed, expiring download links
+ * A token is `<base64url claims>.<base64url HMAC-SHA256 signature>` binding app, version, user and entitlement
+ */
+
+import crypto from 'crypto';
+import { resolveSecret } from './secrets.js';
+
+export const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+const encode = value => Buffer.from(value).toString('base64url');
+
+class DownloadTokenSigner {
+    constructor(options = {}) {
+        this.secret = resolveSecret(options.secret, 'DOWNLOAD_TOKEN_SECRET');
+        this.ttlSeconds = options.ttlSeconds ||
+            parseInt(process.env.DOWNLOAD_TOKEN_TTL_SECONDS) ||
+            DEFAULT_TOKEN_TTL_SECONDS;
+    }
+
+    /**
+     * Compute the signature for an encoded claims segment
+     */
+    signature(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    /**
+     * Issue a token for `{ appId, version, userId, entitlement }`
+     */
+    sign(claims, now = Date.now()) {
+        const issuedAt = Math.floor(now / 1000);
+        const payload = encode(JSON.stringify({
+            ...claims,
+            iat: issuedAt,
+            exp: issuedAt + this.ttlSeconds,
+            jti: crypto.randomBytes(8).toString('hex')
+        }));
+
+        return {
+            token: `${payload}.${this.signature(payload)}`,
+            expiresAt: new Date((issuedAt + this.ttlSeconds) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a token's signature and expiry. Returns `{ valid, claims }` or `{ valid: false, error }`.
+     */
+    verify(token, now = Date.now()) {
+        const [payload, signature, extra] = String(token || '').split('.');
+        if (!payload || !signature || extra !== undefined) {
+            return { valid: false, error: 'Malformed download token' };
+        }
+
+        const expected = Buffer.from(this.signature(payload));
+        const provided = Buffer.from(signature);
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            return { valid: false, error: 'Invalid download token signature' };
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch {
+            return { valid: false, error: 'Malformed download token' };
+        }
+
+        if (!claims.exp || claims.exp * 1000 <= now) {
+            return { valid: false, error: 'Download token expired', expired: true };
+        }
+
+        return { valid: true, claims };
+    }
+}
+
+export default DownloadTokenSigner;
@@ -0,0 +1,209 @@
+/**
+ * Entitlement Service - App access granted by payments and subscriptions
+ * Issues license keys that third-party apps can verify against the store
+ */
+
+import crypto from 'crypto';
+import { resolveSecret } from './secrets.js';
+import { createStoreRepository } from './storeRepository.js';
+
+// Crockford base32: no I, L, O or U so keys survive being read aloud or retyped
+const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const KEY_GROUP_LENGTH = 5;
+const KEY_BODY_GROUPS = 3;
+
+class EntitlementService {
+    constructor(options = {}) {
+        // Paid access survives restarts; license keys are looked up from their entitlements
+        this.repository = options.repository || createStoreRepository({ name: 'entitlements' });
+        this.entitlements = new Map(this.repository.load()?.entitlements || []);
+        this.licenseKeys = new Map(Array.from(this.entitlements.values(), entitlement =>
+            [entitlement.licenseKey, entitlement.id]));
+
+        // Signs license key checksums, so issued keys only keep verifying with the same secret
+        this.secret = resolveSecret(options.secret, 'LICENSE_KEY_SECRET', { required: true });
+    }
+
+    /**
+     * Save the entitlements; failures are logged, never thrown to callers
+     */
+    persist() {
+        return Promise.resolve()
+            .then(() => this.repository.save({ entitlements: Array.from(this.entitlements.entries()) }))
+            .catch(error => {
+                console.error('Error persisting entitlements:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Grant a user access to an app from a payment or subscription.
+     * Granting twice from the same source returns the existing entitlement.
+     */
+    grant({ userId, appId, sourceType, sourceId, expiresAt = null }) {
+        const existing = this.findBySource(sourceType, sourceId);
+        if (existing) {
+            return existing;
+        }
+
+        const entitlement = {
+            id: `ent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId,
+            appId,
+            source: { type: sourceType, id: sourceId },
+            status: 'active',
+            licenseKey: this.generateLicenseKey(),
+            grantedAt: new Date().toISOString(),
+            expiresAt,
+            revokedAt: null,
+            revokeReason: null
+        };
+
+        this.entitlements.set(entitlement.id, entitlement);
+        this.licenseKeys.set(entitlement.licenseKey, entitlement.id);
+        this.persist();
+
+        return entitlement;
+    }
+
+    /**
+     * Revoke the entitlement granted by a payment or subscription
+     */
+    revokeBySource(sourceType, sourceId, reason) {
+        const entitlement = this.findBySource(sourceType, sourceId);
+        if (!entitlement || entitlement.status === 'revoked') {
+            return null;
+        }
+
+        entitlement.status = 'revoked';
+        entitlement.revokedAt = new Date().toISOString();
+        entitlement.revokeReason = reason;
+        this.persist();
+
+        return entitlement;
+    }
+
+    /**
+     * Set when a subscription-backed entitlement lapses
+     */
+    setExpiry(sourceType, sourceId, expiresAt) {
+        const entitlement = this.findBySource(sourceType, sourceId);
+        if (entitlement) {
+            entitlement.expiresAt = expiresAt;
+            this.persist();
+        }
+        return entitlement;
+    }
+
+    /**
+     * Find the entitlement created from a payment or subscription
+     */
+    findBySource(sourceType, sourceId) {
+        for (const entitlement of this.entitlements.values()) {
+            if (entitlement.source.type === sourceType && entitlement.source.id === sourceId) {
+                return entitlement;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Current status of an entitlement, accounting for expiry
+     */
+    getStatus(entitlement, now = Date.now()) {
+        if (entitlement.status === 'revoked') {
+            return 'revoked';
+        }
+        if (entitlement.expiresAt && new Date(entitlement.expiresAt).getTime() <= now) {
+            return 'expired';
+        }
+        return 'active';
+    }
+
+    /**
+     * Active entitlement giving a user access to an app, or null
+     */
+    findActive(userId, appId) {
+        for (const entitlement of this.entitlements.values()) {
+            if (entitlement.userId === userId &&
+                entitlement.appId === appId &&
+                this.getStatus(entitlement) === 'active') {
+                return entitlement;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * All entitlements held by a user, newest first
+     */
+    getUserEntitlements(userId) {
+        return Array.from(this.entitlements.values())
+            .filter(entitlement => entitlement.userId === userId)
+            .map(entitlement => ({ ...entitlement, status: this.getStatus(entitlement) }))
+            .sort((a, b) => new Date(b.grantedAt) - new Date(a.grantedAt));
+    }
+
+    /**
+     * Generate a key like `7K2QD-MX9PA-R4T8B-XXXXX` whose last group is an HMAC checksum
+     */
+    generateLicenseKey() {
+        const bytes = crypto.randomBytes(KEY_GROUP_LENGTH * KEY_BODY_GROUPS);
+        const body = Array.from(bytes, byte => KEY_ALPHABET[byte % KEY_ALPHABET.length]).join('');
+        return this.formatLicenseKey(body + this.licenseChecksum(body));
+    }
+
+    /**
+     * Checksum group for a key body
+     */
+    licenseChecksum(body) {
+        const digest = crypto.createHmac('sha256', this.secret).update(body).digest();
+        return Array.from(digest.subarray(0, KEY_GROUP_LENGTH), byte => KEY_ALPHABET[byte % KEY_ALPHABET.length]).join('');
+    }
+
+    /**
+     * Split a raw key into dash-separated groups
+     */
+    formatLicenseKey(raw) {
+        return raw.match(new RegExp(`.{1,${KEY_GROUP_LENGTH}}`, 'g')).join('-');
+    }
+
+    /**
+     * Check a license key for an app. Forged keys fail the checksum before any lookup.
+     */
+    verifyLicense(licenseKey, appId) {
+        const raw = String(licenseKey || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+        const bodyLength = KEY_GROUP_LENGTH * KEY_BODY_GROUPS;
+
+        if (raw.length !== bodyLength + KEY_GROUP_LENGTH) {
+            return { valid: false, status: 'invalid', error: 'Malformed license key' };
+        }
+
+        const expected = Buffer.from(this.licenseChecksum(raw.slice(0, bodyLength)));
+        const provided = Buffer.from(raw.slice(bodyLength));
+        if (!crypto.timingSafeEqual(expected, provided)) {
+            return { valid: false, status: 'invalid', error: 'Invalid license key' };
+        }
+
+        const entitlement = this.entitlements.get(this.licenseKeys.get(this.formatLicenseKey(raw)));
+        if (!entitlement || (appId && entitlement.appId !== appId)) {
+            return { valid: false, status: 'invalid', error: 'License key not found for this app' };
+        }
+
+        const status = this.getStatus(entitlement);
+
+        return {
+            valid: status === 'active',
+            status,
+            license: {
+                appId: entitlement.appId,
+                userId: entitlement.userId,
+                grantedAt: entitlement.grantedAt,
+                expiresAt: entitlement.expiresAt,
+                revokedAt: entitlement.revokedAt
+            }
+        };
+    }
+}
+
+export default EntitlementService;
@@ -0,0 +1,204 @@
+/**
+ * Exchange Rates - Historical USD-based rate tables, rate feeds and minor-unit rounding
+ * Each imported table takes effect at its `effectiveAt`; conversions use the table in force at a given time
+ */
+
+import fs from 'fs/promises';
+
+// ISO 4217 minor units for currencies that do not use 2 decimals
+export const MINOR_UNITS = {
+    BHD: 3, BIF: 0, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KMF: 0,
+    KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, VND: 0, VUV: 0,
+    XAF: 0, XOF: 0, XPF: 0
+};
+
+// Conversion rates keep more precision than amounts
+const RATE_DECIMALS = 10;
+
+export const getMinorUnits = currency => MINOR_UNITS[currency] ?? 2;
+
+/**
+ * Round an amount to its currency's minor unit, half away from zero.
+ * Trimming to 15 significant digits first drops float noise (1.005 * 100 = 100.49999999999999).
+ */
+export const roundMoney = (amount, currency = 'USD') => {
+    const factor = 10 ** getMinorUnits(currency);
+    const rounded = Math.round(Number((Math.abs(amount) * factor).toPrecision(15))) / factor;
+    return amount < 0 ? -rounded : rounded;
+};
+
+const roundRate = rate => Number(rate.toPrecision(RATE_DECIMALS));
+
+/**
+ * Feed reading `{ base, date | effectiveAt, rates }` JSON from a URL
+ */
+export class HttpRateFeed {
+    constructor(url) {
+        this.url = url;
+        this.name = 'http';
+    }
+
+    async fetchRates() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Rate feed responded with ${response.status}`);
+        }
+        const body = await response.json();
+        return { base: body.base, rates: body.rates, effectiveAt: body.effectiveAt || body.date };
+    }
+}
+
+class ExchangeRateService {
+    constructor(options = {}) {
+        // Tables sorted by effectiveAt; rates are units of a currency per 1 USD
+        this.tables = [];
+        this.feed = options.feed || (process.env.EXCHANGE_RATES_URL ? new HttpRateFeed(process.env.EXCHANGE_RATES_URL) : null);
+        this.timer = null;
+
+        if (options.defaultRates) {
+            this.importRates({
+                base: 'USD',
+                rates: options.defaultRates,
+                effectiveAt: new Date(0).toISOString()
+            }, 'default');
+        }
+    }
+
+    /**
+     * Add a rate table. Tables in another base are converted to USD, which they must include.
+     */
+    importRates({ base = 'USD', rates, effectiveAt = new Date().toISOString() }, source = 'import') {
+        const baseCurrency = base.toUpperCase();
+        const effective = new Date(effectiveAt);
+
+        if (!rates || typeof rates !== 'object') {
+            return { success: false, error: 'A rates object is required' };
+        }
+        if (Number.isNaN(effective.getTime())) {
+            return { success: false, error: 'Invalid effectiveAt date' };
+        }
+
+        const table = { [baseCurrency]: 1 };
+        for (const [code, rate] of Object.entries(rates)) {
+            if (typeof rate !== 'number' || !(rate > 0)) {
+                return { success: false, error: `Invalid rate for ${code}` };
+            }
+            table[code.toUpperCase()] = rate;
+        }
+
+        const usdRate = table.USD;
+        if (!usdRate) {
+            return { success: false, error: 'Rate tables must include USD' };
+        }
+
+        // Currencies missing from a partial table keep their previous rate
+        const usdRates = {
+            ...this.getTable(effective)?.rates,
+            ...Object.fromEntries(Object.entries(table).map(([code, rate]) => [code, roundRate(rate / usdRate)]))
+        };
+        const entry = { effectiveAt: effective.toISOString(), source, rates: usdRates, importedAt: new Date().toISOString() };
+
+        // A table for the same moment replaces the earlier import
+        this.tables = this.tables.filter(existing => existing.effectiveAt !== entry.effectiveAt);
+        this.tables.push(entry);
+        this.tables.sort((a, b) => Date.parse(a.effectiveAt) - Date.parse(b.effectiveAt));
+
+        return { success: true, effectiveAt: entry.effectiveAt, source, currencies: Object.keys(usdRates).length };
+    }
+
+    /**
+     * Import one table or an array of tables from a JSON file
+     */
+    async loadFromFile(filePath) {
+        const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        const tables = Array.isArray(content) ? content : [content];
+
+        return tables.map(table => this.importRates(table, `file:${filePath}`));
+    }
+
+    /**
+     * Pull the latest table from the configured feed
+     */
+    async refresh() {
+        if (!this.feed) {
+            return { success: false, error: 'No exchange rate feed configured' };
+        }
+        return this.importRates(await this.feed.fetchRates(), this.feed.name || 'feed');
+    }
+
+    /**
+     * Refresh from the feed now and then on an interval
+     */
+    start(intervalMs) {
+        if (this.timer || !this.feed) {
+            return;
+        }
+        const refresh = () => this.refresh().catch(error => console.error('Exchange rate refresh error:', error));
+        refresh();
+        this.timer = setInterval(refresh, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * The table in force at `at`
+     */
+    getTable(at = new Date()) {
+        const time = new Date(at).getTime();
+        let current = null;
+        for (const table of this.tables) {
+            if (Date.parse(table.effectiveAt) > time) {
+                break;
+            }
+            current = table;
+        }
+        return current;
+    }
+
+    /**
+     * Rate to multiply `from` amounts by to get `to` amounts at `at`
+     */
+    getRate(fromCurrency, toCurrency, at = new Date()) {
+        const table = this.getTable(at);
+        if (!table) {
+            return { success: false, error: `No exchange rates in effect at ${new Date(at).toISOString()}` };
+        }
+
+        const fromRate = fromCurrency === 'USD' ? 1 : table.rates[fromCurrency];
+        const toRate = toCurrency === 'USD' ? 1 : table.rates[toCurrency];
+        if (!fromRate || !toRate) {
+            return { success: false, error: `No exchange rate for ${!fromRate ? fromCurrency : toCurrency}` };
+        }
+
+        return {
+            success: true,
+            from: fromCurrency,
+            to: toCurrency,
+            rate: roundRate(toRate / fromRate),
+            effectiveAt: table.effectiveAt,
+            source: table.source
+        };
+    }
+
+    /**
+     * Convert and round to the target currency's minor unit
+     */
+    convert(amount, fromCurrency, toCurrency, at = new Date()) {
+        if (fromCurrency === toCurrency) {
+            return { success: true, amount: roundMoney(amount, toCurrency), from: fromCurrency, to: toCurrency, rate: 1 };
+        }
+
+        const rate = this.getRate(fromCurrency, toCurrency, at);
+        if (!rate.success) {
+            return rate;
+        }
+
+        return { ...rate, amount: roundMoney(amount * rate.rate, toCurrency) };
+    }
+}
+
+export default ExchangeRateService;
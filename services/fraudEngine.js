@@ -0,0 +1,256 @@
+/**
+ * Fraud Engine - Rule-based and velocity fraud scoring for payments
+ * Scores payments against recent transactions and failed attempts, and holds risky ones for manual review
+ */
+
+/**
+ * Default rules. Each triggered rule adds its weight to the risk score (capped at 1).
+ * - velocity: more than `max` payments per `key` (userId, card or ip) within `windowMinutes`;
+ *   failed attempts are left to the failures rules so they are not counted twice
+ * - failures: `max` or more declined or denied attempts per `key` within `windowMinutes`
+ * - amount_anomaly: more than `multiplier` times the user's average, once they have `minHistory` payments
+ * - amount_over: more than `amount` USD
+ * - country_mismatch: billing, IP and card countries disagree
+ * - blocked_country: any of those countries is in `countries` (plus the configured blocked countries)
+ */
+export const DEFAULT_FRAUD_RULES = [
+    { id: 'user_velocity', type: 'velocity', key: 'userId', windowMinutes: 10, max: 5, weight: 0.4 },
+    { id: 'card_velocity', type: 'velocity', key: 'card', windowMinutes: 60, max: 5, weight: 0.4 },
+    { id: 'ip_velocity', type: 'velocity', key: 'ip', windowMinutes: 10, max: 10, weight: 0.3 },
+    { id: 'user_failures', type: 'failures', key: 'userId', windowMinutes: 60, max: 3, weight: 0.3 },
+    { id: 'card_failures', type: 'failures', key: 'card', windowMinutes: 60, max: 3, weight: 0.4 },
+    { id: 'amount_anomaly', type: 'amount_anomaly', multiplier: 5, minHistory: 3, weight: 0.3 },
+    { id: 'high_amount', type: 'amount_over', amount: 1000, weight: 0.2 },
+    { id: 'country_mismatch', type: 'country_mismatch', weight: 0.3 },
+    { id: 'blocked_country', type: 'blocked_country', countries: [], weight: 0.8 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Rules configured in FRAUD_RULES, or the defaults when it is unset or not a JSON array
+ */
+export const loadFraudRules = (value = process.env.FRAUD_RULES) => {
+    if (!value) {
+        return DEFAULT_FRAUD_RULES;
+    }
+
+    try {
+        const rules = JSON.parse(value);
+        if (Array.isArray(rules)) {
+            return rules;
+        }
+        console.error('FRAUD_RULES must be a JSON array of rules; using the default fraud rules');
+    } catch (error) {
+        console.error(`FRAUD_RULES is not valid JSON (${error.message}); using the default fraud rules`);
+    }
+    return DEFAULT_FRAUD_RULES;
+};
+
+/**
+ * The identifiers velocity and failure rules count by
+ */
+const getSubjects = payment => ({
+    userId: payment.userId || null,
+    card: payment.cardFingerprint || payment.paymentToken || null,
+    ip: payment.ipAddress || null
+});
+
+class FraudEngine {
+    constructor(payments, options = {}) {
+        // PaymentService providing transaction history and thresholds (fraudDetection)
+        this.payments = payments;
+
+        this.rules = options.rules || loadFraudRules();
+
+        // Declined, blocked and denied attempts; these never become transactions
+        this.failures = [];
+        this.reviews = new Map();
+    }
+
+    /**
+     * Score a payment. Recommends `block` above the risk threshold and `review` above the review threshold.
+     */
+    async score(paymentData, now = new Date()) {
+        const { riskThreshold, reviewThreshold } = this.payments.fraudDetection;
+        const context = {
+            payment: paymentData,
+            subjects: getSubjects(paymentData),
+            amountUsd: await this.payments.convertCurrency(paymentData.amount, paymentData.currency, 'USD'),
+            now: now.getTime()
+        };
+
+        const triggered = [];
+        for (const rule of this.rules) {
+            const detail = this.evaluate(rule, context);
+            if (detail) {
+                triggered.push({ rule: rule.id, weight: rule.weight, ...detail });
+            }
+        }
+
+        const risk = Math.min(1, Math.round(triggered.reduce((sum, hit) => sum + hit.weight, 0) * 100) / 100);
+
+        return {
+            risk,
+            factors: triggered.map(hit => hit.rule),
+            triggered,
+            recommendation: risk > riskThreshold ? 'block' : risk > reviewThreshold ? 'review' : 'approve'
+        };
+    }
+
+    /**
+     * Details of why a rule fires, or null
+     */
+    evaluate(rule, { payment, subjects, amountUsd, now }) {
+        const since = now - (rule.windowMinutes || 0) * MINUTE_MS;
+
+        switch (rule.type) {
+            case 'velocity': {
+                const subject = subjects[rule.key];
+                if (!subject) {
+                    return null;
+                }
+                const count = this.getHistory().filter(txn =>
+                    getSubjects(txn)[rule.key] === subject && Date.parse(txn.createdAt) >= since
+                ).length;
+                return count >= rule.max ? { count, windowMinutes: rule.windowMinutes } : null;
+            }
+            case 'failures': {
+                const subject = subjects[rule.key];
+                if (!subject) {
+                    return null;
+                }
+                const count = this.countFailures(rule.key, subject, since);
+                return count >= rule.max ? { count, windowMinutes: rule.windowMinutes } : null;
+            }
+            case 'amount_anomaly': {
+                const history = this.getHistory().filter(txn =>
+                    txn.userId === payment.userId && txn.completedAt
+                );
+                if (history.length < rule.minHistory) {
+                    return null;
+                }
+                const average = history.reduce((sum, txn) => sum + txn.convertedAmount, 0) / history.length;
+                return amountUsd > average * rule.multiplier ?
+                    { amountUsd, averageUsd: Math.round(average * 100) / 100 } :
+                    null;
+            }
+            case 'amount_over':
+                return amountUsd > rule.amount ? { amountUsd } : null;
+            case 'country_mismatch': {
+                const countries = this.getCountries(payment);
+                return new Set(Object.values(countries)).size > 1 ? { countries } : null;
+            }
+            case 'blocked_country': {
+                const blocked = [...(rule.countries || []), ...this.payments.fraudDetection.blockedCountries];
+                const country = Object.values(this.getCountries(payment)).find(code => blocked.includes(code));
+                return country ? { country } : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    getHistory() {
+        return Array.from(this.payments.transactions.values());
+    }
+
+    /**
+     * Countries a payment claims, keyed by source
+     */
+    getCountries(payment) {
+        const countries = {
+            billing: payment.billingDetails?.country || payment.country,
+            ip: payment.ipCountry,
+            card: payment.cardCountry
+        };
+
+        return Object.fromEntries(Object.entries(countries)
+            .filter(([, code]) => code)
+            .map(([source, code]) => [source, code.toUpperCase()]));
+    }
+
+    countFailures(key, subject, since) {
+        return this.failures.filter(failure =>
+            failure.subjects[key] === subject && failure.at >= since
+        ).length;
+    }
+
+    /**
+     * Remember a failed attempt for failure and velocity rules
+     */
+    recordFailure(paymentData, reason, now = new Date()) {
+        const longestWindow = Math.max(...this.rules.map(rule => rule.windowMinutes || 0)) * MINUTE_MS;
+        this.failures = this.failures.filter(failure => failure.at >= now.getTime() - longestWindow);
+        this.failures.push({ subjects: getSubjects(paymentData), reason, at: now.getTime() });
+    }
+
+    /**
+     * Hold a payment for manual review
+     */
+    openReview(paymentData, fraud) {
+        const review = {
+            id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            status: 'pending',
+            userId: paymentData.userId,
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            paymentData,
+            fraud,
+            createdAt: new Date().toISOString(),
+            decidedAt: null,
+            decidedBy: null,
+            note: null,
+            transactionId: null
+        };
+
+        this.reviews.set(review.id, review);
+        return review;
+    }
+
+    listReviews(status = null) {
+        return Array.from(this.reviews.values())
+            .filter(review => !status || review.status === status)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    /**
+     * Approve a held payment and charge it without scoring it again
+     */
+    async allowReview(reviewId, { decidedBy = null, note = null } = {}) {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        if (review.status !== 'pending') {
+            return { success: false, error: `Review is already ${review.status}` };
+        }
+
+        Object.assign(review, { status: 'allowed', decidedAt: new Date().toISOString(), decidedBy, note });
+
+        const payment = await this.payments.processPayment(review.paymentData, { review });
+        review.transactionId = payment.transactionId || null;
+
+        return { success: payment.success, reviewId, status: review.status, payment };
+    }
+
+    /**
+     * Reject a held payment; it counts as a failed attempt
+     */
+    denyReview(reviewId, { decidedBy = null, note = null } = {}) {
+        const review = this.reviews.get(reviewId);
+        if (!review) {
+            return { success: false, error: 'Review not found' };
+        }
+        if (review.status !== 'pending') {
+            return { success: false, error: `Review is already ${review.status}` };
+        }
+
+        Object.assign(review, { status: 'denied', decidedAt: new Date().toISOString(), decidedBy, note });
+        this.recordFailure(review.paymentData, 'review_denied');
+
+        return { success: true, reviewId, status: review.status };
+    }
+}
+
+export default FraudEngine;
@@ -0,0 +1,367 @@
+/**
+ * Invoice Service - Numbered invoices, receipts and credit notes for payments
+ * Issues a paid invoice for every settled transaction and renewal, a credit note for every refund,
+ * and renders them as PDFs
+ */
+
+import PDFDocument from 'pdfkit';
+import { roundMoney } from './exchangeRates.js';
+import { prorateTax } from './taxEngine.js';
+import { createStoreRepository } from './storeRepository.js';
+
+// Sequences restart each calendar year, e.g. INV-2026-000042
+export const DOCUMENT_PREFIXES = {
+    invoice: 'INV',
+    receipt: 'RCT',
+    credit_note: 'CN'
+};
+
+const DOCUMENT_TITLES = {
+    invoice: 'INVOICE',
+    receipt: 'RECEIPT',
+    credit_note: 'CREDIT NOTE'
+};
+
+/**
+ * Format an amount with its ISO currency code, e.g. "USD 19.99" or "JPY 1,500"
+ */
+export const formatMoney = (amount, currency) =>
+    new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'code' }).format(amount);
+
+class InvoiceService {
+    constructor(payments, options = {}) {
+        // PaymentService whose transactions and subscriptions are invoiced
+        this.payments = payments;
+
+        this.seller = {
+            name: process.env.INVOICE_SELLER_NAME || 'Rapid AI Store',
+            address: process.env.INVOICE_SELLER_ADDRESS || '',
+            email: process.env.INVOICE_SELLER_EMAIL || 'billing@rapidai.com',
+            taxId: process.env.INVOICE_SELLER_TAX_ID || null,
+            ...options.seller
+        };
+
+        this.documents = new Map();
+
+        // Numbering sequences survive restarts, so numbers are never issued twice
+        this.repository = options.repository || createStoreRepository({ name: 'invoices' });
+        this.sequences = new Map(this.repository.load()?.sequences || []);
+    }
+
+    /**
+     * Next gap-free number for a document type in the given year
+     */
+    nextNumber(type, date) {
+        const key = `${DOCUMENT_PREFIXES[type]}-${date.getUTCFullYear()}`;
+        const sequence = (this.sequences.get(key) || 0) + 1;
+        this.sequences.set(key, sequence);
+        this.persist();
+        return `${key}-${String(sequence).padStart(6, '0')}`;
+    }
+
+    /**
+     * Save the numbering sequences; failures are logged, never thrown to callers
+     */
+    persist() {
+        return Promise.resolve()
+            .then(() => this.repository.save({ sequences: Array.from(this.sequences.entries()) }))
+            .catch(error => {
+                console.error('Error persisting invoice sequences:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Tax breakdown for an invoice; amounts are tax-inclusive when no tax was recorded
+     */
+    getTax(charge) {
+        const tax = charge.tax || {};
+        return {
+            jurisdiction: tax.jurisdiction || null,
+            regime: tax.regime || null,
+            lines: tax.lines || [],
+            subtotal: roundMoney(charge.amount - (tax.total || 0), charge.currency),
+            total: tax.total || 0,
+            reverseCharge: Boolean(tax.reverseCharge),
+            note: tax.note || null
+        };
+    }
+
+    /**
+     * Issue a paid invoice (and its receipt number) for a charge.
+     * `charge` is a settled transaction, or the same shape without an id for a renewal paid fully by credit.
+     */
+    issueInvoice(charge, now = new Date()) {
+        const existing = charge.id && this.findByTransaction(charge.id);
+        if (existing) {
+            return existing;
+        }
+
+        const tax = this.getTax(charge);
+        const creditApplied = charge.metadata?.creditApplied || 0;
+        const subtotal = tax.subtotal;
+        const charged = roundMoney(subtotal + creditApplied, charge.currency);
+
+        const lineItems = [{
+            description: charge.description || 'Payment',
+            quantity: 1,
+            unitAmount: charged,
+            amount: charged
+        }];
+        if (creditApplied > 0) {
+            lineItems.push({
+                description: 'Account credit applied',
+                quantity: 1,
+                unitAmount: -creditApplied,
+                amount: -creditApplied
+            });
+        }
+
+        const invoice = {
+            id: `inv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'invoice',
+            number: this.nextNumber('invoice', now),
+            receiptNumber: this.nextNumber('receipt', now),
+            status: 'paid',
+            userId: charge.userId,
+            transactionId: charge.id || null,
+            subscriptionId: charge.metadata?.subscriptionId || null,
+            appId: charge.metadata?.appId || null,
+            issuedAt: now.toISOString(),
+            paidAt: charge.completedAt || now.toISOString(),
+            seller: { ...this.seller },
+            buyer: this.getBuyer(charge),
+            currency: charge.currency,
+            lineItems,
+            subtotal,
+            tax,
+            total: roundMoney(charge.amount, charge.currency),
+            creditNoteIds: [],
+            amountCredited: 0,
+            payment: charge.id ?
+                {
+                    method: charge.method,
+                    provider: charge.provider,
+                    providerTransactionId: charge.providerTransactionId
+                } :
+                { method: 'account_credit', provider: null, providerTransactionId: null },
+            // Processing fees are borne by the seller and already included in the total
+            fees: charge.fees || null
+        };
+
+        this.documents.set(invoice.id, invoice);
+        return invoice;
+    }
+
+    /**
+     * Issue a credit note against the invoice of a refunded transaction
+     */
+    issueCreditNote(transaction, refund, now = new Date()) {
+        const invoice = this.findByTransaction(transaction.id) || this.issueInvoice(transaction, now);
+        const tax = this.getCreditTax(transaction, refund.amount);
+        const subtotal = roundMoney(refund.amount - tax.total, invoice.currency);
+
+        const creditNote = {
+            id: `cn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'credit_note',
+            number: this.nextNumber('credit_note', now),
+            status: 'issued',
+            userId: invoice.userId,
+            transactionId: transaction.id,
+            subscriptionId: invoice.subscriptionId,
+            appId: invoice.appId,
+            invoiceId: invoice.id,
+            invoiceNumber: invoice.number,
+            refundId: refund.id,
+            reason: refund.reason || null,
+            issuedAt: now.toISOString(),
+            seller: invoice.seller,
+            buyer: invoice.buyer,
+            currency: invoice.currency,
+            lineItems: [{
+                description: `Refund of ${invoice.number}${refund.reason ? ` (${refund.reason})` : ''}`,
+                quantity: 1,
+                unitAmount: subtotal,
+                amount: subtotal
+            }],
+            subtotal,
+            tax: { ...tax, subtotal },
+            total: roundMoney(refund.amount, invoice.currency)
+        };
+
+        invoice.creditNoteIds.push(creditNote.id);
+        invoice.amountCredited = roundMoney(invoice.amountCredited + creditNote.total, invoice.currency);
+        invoice.status = invoice.amountCredited >= invoice.total ? 'credited' : 'partially_credited';
+
+        this.documents.set(creditNote.id, creditNote);
+        return creditNote;
+    }
+
+    /**
+     * Tax credited back when `amount` of a transaction is refunded: the refunded
+     * share of its invoice's tax (or of the transaction's, before it is invoiced)
+     */
+    getCreditTax(transaction, amount) {
+        const invoice = this.findByTransaction(transaction.id);
+        const tax = invoice ? invoice.tax : this.getTax(transaction);
+        const total = invoice ? invoice.total : transaction.amount;
+        return prorateTax(tax, total > 0 ? amount / total : 0, transaction.currency);
+    }
+
+    /**
+     * Buyer details from the billing details given at checkout
+     */
+    getBuyer(charge) {
+        const details = charge.billingDetails || {};
+        return {
+            userId: charge.userId,
+            name: details.name || null,
+            email: details.email || null,
+            address: details.address || null,
+            country: details.country || charge.region || null,
+            state: details.state || null,
+            taxId: details.taxId || null
+        };
+    }
+
+    getDocument(documentId) {
+        return this.documents.get(documentId) || null;
+    }
+
+    findByTransaction(transactionId) {
+        return Array.from(this.documents.values()).find(document =>
+            document.type === 'invoice' && document.transactionId === transactionId
+        ) || null;
+    }
+
+    /**
+     * A user's invoices and credit notes, newest first
+     */
+    listForUser(userId, type = null) {
+        return Array.from(this.documents.values())
+            .filter(document => document.userId === userId && (!type || document.type === type))
+            .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+    }
+
+    /**
+     * Render an invoice or credit note as a PDF. Paid invoices can also be rendered `as: 'receipt'`.
+     */
+    renderPdf(document, { as = document.type } = {}) {
+        return new Promise((resolve, reject) => {
+            const pdf = new PDFDocument({
+                size: 'A4',
+                margin: 50,
+                info: { Title: `${DOCUMENT_TITLES[as]} ${as === 'receipt' ? document.receiptNumber : document.number}` }
+            });
+            const chunks = [];
+            pdf.on('data', chunk => chunks.push(chunk));
+            pdf.on('end', () => resolve(Buffer.concat(chunks)));
+            pdf.on('error', reject);
+
+            this.writeHeader(pdf, document, as);
+            this.writeParties(pdf, document);
+            this.writeLineItems(pdf, document);
+            this.writeFooter(pdf, document, as);
+
+            pdf.end();
+        });
+    }
+
+    writeHeader(pdf, document, as) {
+        const date = value => value.slice(0, 10);
+
+        pdf.fontSize(20).text(DOCUMENT_TITLES[as], 50, 50);
+        pdf.fontSize(10).moveDown(0.5);
+
+        if (as === 'receipt') {
+            pdf.text(`Receipt number: ${document.receiptNumber}`);
+            pdf.text(`Invoice number: ${document.number}`);
+            pdf.text(`Date paid: ${date(document.paidAt)}`);
+        } else if (as === 'credit_note') {
+            pdf.text(`Credit note number: ${document.number}`);
+            pdf.text(`Credits invoice: ${document.invoiceNumber}`);
+            pdf.text(`Date of issue: ${date(document.issuedAt)}`);
+        } else {
+            pdf.text(`Invoice number: ${document.number}`);
+            pdf.text(`Date of issue: ${date(document.issuedAt)}`);
+            pdf.text(`Date paid: ${date(document.paidAt)}`);
+        }
+        pdf.moveDown();
+    }
+
+    writeParties(pdf, document) {
+        const top = pdf.y;
+        const { seller, buyer } = document;
+
+        pdf.fontSize(11).text('From', 50, top);
+        pdf.fontSize(10);
+        [seller.name, seller.address, seller.email, seller.taxId && `Tax ID: ${seller.taxId}`]
+            .filter(Boolean)
+            .forEach(line => pdf.text(line, { width: 230 }));
+        const sellerBottom = pdf.y;
+
+        pdf.fontSize(11).text('Bill to', 310, top);
+        pdf.fontSize(10);
+        [buyer.name || buyer.userId, buyer.address, [buyer.state, buyer.country].filter(Boolean).join(', '), buyer.email, buyer.taxId && `Tax ID: ${buyer.taxId}`]
+            .filter(Boolean)
+            .forEach(line => pdf.text(line, 310, pdf.y, { width: 230 }));
+
+        pdf.x = 50;
+        pdf.y = Math.max(sellerBottom, pdf.y);
+        pdf.moveDown(1.5);
+    }
+
+    writeLineItems(pdf, document) {
+        const money = amount => formatMoney(amount, document.currency);
+        const row = (columns, options = {}) => {
+            const y = pdf.y;
+            pdf.text(columns[0], 50, y, { width: 280 });
+            const bottom = pdf.y;
+            pdf.text(columns[1] ?? '', 330, y, { width: 40, align: 'right' });
+            pdf.text(columns[2] ?? '', 370, y, { width: 85, align: 'right' });
+            pdf.text(columns[3] ?? '', 455, y, { width: 90, align: 'right', ...options });
+            pdf.x = 50;
+            pdf.y = Math.max(bottom, pdf.y) + 4;
+        };
+
+        pdf.fontSize(10).font('Helvetica-Bold');
+        row(['Description', 'Qty', 'Unit price', 'Amount']);
+        pdf.font('Helvetica');
+        document.lineItems.forEach(item =>
+            row([item.description, String(item.quantity), money(item.unitAmount), money(item.amount)])
+        );
+
+        pdf.moveDown();
+        row(['Subtotal', '', '', money(document.subtotal)]);
+        document.tax.lines.forEach(line =>
+            row([`${line.name}${line.rate !== undefined ? ` (${Math.round(line.rate * 10000) / 100}%)` : ''}`, '', '', money(line.amount)])
+        );
+        pdf.font('Helvetica-Bold');
+        row([document.type === 'credit_note' ? 'Total credited' : 'Total', '', '', money(document.total)]);
+        pdf.font('Helvetica');
+        pdf.moveDown();
+    }
+
+    writeFooter(pdf, document, as) {
+        pdf.fontSize(9);
+
+        if (document.type === 'invoice') {
+            pdf.text(`Paid ${formatMoney(document.total, document.currency)} by ${document.payment.method}` +
+                (document.payment.providerTransactionId ? ` (reference ${document.payment.providerTransactionId})` : ''));
+            if (document.amountCredited > 0 && as !== 'receipt') {
+                pdf.text(`Credited: ${formatMoney(document.amountCredited, document.currency)}`);
+            }
+        } else if (document.reason) {
+            pdf.text(`Reason: ${document.reason}`);
+        }
+
+        if (document.tax.note) {
+            pdf.text(document.tax.note);
+        } else if (document.tax.lines.length === 0 && !document.tax.regime) {
+            pdf.text('Amounts include any applicable taxes.');
+        }
+        pdf.text(`Customer ID: ${document.userId}`);
+    }
+}
+
+export default InvoiceService;
@@ -0,0 +1,190 @@
+/**
+ * Ledger - Double-entry journal for platform, partner and fee balances
+ * Payments, provider fees, refunds, chargebacks, partner shares and payouts post balanced
+ * journal entries in USD, so every balance can be traced and reconciled
+ */
+
+import { roundMoney } from './exchangeRates.js';
+
+/**
+ * Chart of accounts. Partner payables are kept per partner as `liabilities:partner_payable:<partnerId>`.
+ */
+export const ACCOUNTS = {
+    cash: 'assets:cash',
+    taxPayable: 'liabilities:tax_payable',
+    partnerPayable: 'liabilities:partner_payable',
+    sales: 'revenue:sales',
+    refunds: 'revenue:refunds',
+    chargebacks: 'revenue:chargebacks',
+    processingFees: 'expenses:processing_fees',
+    chargebackFees: 'expenses:chargeback_fees',
+    partnerShares: 'expenses:partner_shares'
+};
+
+// Assets and expenses grow with debits; liabilities, equity and revenue grow with credits
+const DEBIT_NORMAL_TYPES = ['assets', 'expenses'];
+
+export const partnerPayableAccount = partnerId => `${ACCOUNTS.partnerPayable}:${partnerId}`;
+
+const getAccountType = account => account.split(':')[0];
+
+class Ledger {
+    constructor(options = {}) {
+        this.currency = options.currency || 'USD';
+        this.entries = [];
+    }
+
+    /**
+     * Post a journal entry. Lines are `{ account, debit }` or `{ account, credit }`;
+     * zero lines are dropped and debits must equal credits.
+     */
+    post(entry) {
+        return this.commit(this.prepare(entry));
+    }
+
+    /**
+     * Add an entry built by `prepare` to the journal
+     */
+    commit(entry) {
+        if (entry) {
+            this.entries.push(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Build and check a journal entry without posting it, so callers can validate
+     * an entry before moving money and commit it afterwards. Throws when invalid.
+     */
+    prepare({ type, description = null, reference = {}, lines, postedAt = new Date().toISOString() }) {
+        const rounded = lines
+            .map(line => ({
+                account: line.account,
+                debit: roundMoney(line.debit || 0, this.currency),
+                credit: roundMoney(line.credit || 0, this.currency)
+            }))
+            .filter(line => line.debit !== 0 || line.credit !== 0);
+
+        if (rounded.length === 0) {
+            return null;
+        }
+        if (rounded.some(line => line.debit < 0 || line.credit < 0 || (line.debit && line.credit))) {
+            throw new Error(`Invalid ${type} journal line: each line needs one positive debit or credit`);
+        }
+
+        const debits = roundMoney(rounded.reduce((sum, line) => sum + line.debit, 0), this.currency);
+        const credits = roundMoney(rounded.reduce((sum, line) => sum + line.credit, 0), this.currency);
+        if (debits !== credits) {
+            throw new Error(`Unbalanced ${type} journal entry: debits ${debits} != credits ${credits}`);
+        }
+
+        return {
+            id: `je_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            description,
+            reference,
+            currency: this.currency,
+            lines: rounded,
+            total: debits,
+            postedAt
+        };
+    }
+
+    /**
+     * Entries, optionally filtered by type, account (including sub-accounts) or a reference field
+     */
+    getEntries({ type, account, reference = {} } = {}) {
+        return this.entries.filter(entry =>
+            (!type || entry.type === type) &&
+            (!account || entry.lines.some(line => this.matches(line.account, account))) &&
+            Object.entries(reference).every(([key, value]) => entry.reference[key] === value)
+        );
+    }
+
+    matches(account, prefix) {
+        return account === prefix || account.startsWith(`${prefix}:`);
+    }
+
+    /**
+     * Balance of an account and its sub-accounts, positive on its normal side
+     */
+    getBalance(account) {
+        let debits = 0;
+        let credits = 0;
+        for (const entry of this.entries) {
+            for (const line of entry.lines) {
+                if (this.matches(line.account, account)) {
+                    debits += line.debit;
+                    credits += line.credit;
+                }
+            }
+        }
+
+        const debitNormal = DEBIT_NORMAL_TYPES.includes(getAccountType(account));
+        return {
+            account,
+            type: getAccountType(account),
+            debits: roundMoney(debits, this.currency),
+            credits: roundMoney(credits, this.currency),
+            balance: roundMoney(debitNormal ? debits - credits : credits - debits, this.currency),
+            currency: this.currency
+        };
+    }
+
+    /**
+     * Every account with activity, with total debits and credits. The ledger balances when they are equal.
+     */
+    trialBalance() {
+        const accounts = new Set(this.entries.flatMap(entry => entry.lines.map(line => line.account)));
+        const rows = Array.from(accounts).sort().map(account => {
+            const { type, debits, credits } = this.getBalance(account);
+            const net = roundMoney(debits - credits, this.currency);
+            return {
+                account,
+                type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0
+            };
+        });
+
+        const totalDebits = roundMoney(rows.reduce((sum, row) => sum + row.debit, 0), this.currency);
+        const totalCredits = roundMoney(rows.reduce((sum, row) => sum + row.credit, 0), this.currency);
+
+        return {
+            currency: this.currency,
+            generatedAt: new Date().toISOString(),
+            accounts: rows,
+            totalDebits,
+            totalCredits,
+            balanced: totalDebits === totalCredits
+        };
+    }
+
+    /**
+     * Partner shares earned (net of refund reversals) against payouts made.
+     * The partner's payable balance is what is still owed.
+     */
+    reconcilePartner(partnerId) {
+        const account = partnerPayableAccount(partnerId);
+        const sum = (type, side) => roundMoney(this.getEntries({ type, account })
+            .flatMap(entry => entry.lines)
+            .filter(line => line.account === account)
+            .reduce((total, line) => total + line[side], 0), this.currency);
+
+        const earned = roundMoney(sum('partner_share', 'credit') - sum('partner_share_reversal', 'debit'), this.currency);
+        const paidOut = sum('partner_payout', 'debit');
+        const { balance } = this.getBalance(account);
+
+        return {
+            partnerId,
+            account,
+            currency: this.currency,
+            earned,
+            paidOut,
+            owed: balance,
+            reconciled: roundMoney(earned - paidOut, this.currency) === balance
+        };
+    }
+}
+
+export default Ledger;
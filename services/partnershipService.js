@@ -3,13 +3,102 @@
  * Manages developer partnerships, revenue distribution, and collaboration tools
  */
 
+import { roundMoney } from './exchangeRates.js';
+import Ledger, { ACCOUNTS, partnerPayableAccount } from './ledger.js';
+import PayoutEngine, { PAYOUT_METHODS } from './payoutEngine.js';
+import TierEvaluator from './tierEvaluator.js';
+import { getAppDeveloperIds } from './aiStoreService.js';
+
+/**
+ * Fractions of a collaboration split such as '50/50' or '60/40' (initiator first)
+ */
+export const parseRevenueSplit = terms => {
+    const parts = String(terms || '50/50').split('/').map(Number);
+    const total = parts.reduce((sum, part) => sum + part, 0);
+    if (parts.length !== 2 || parts.some(part => !(part >= 0)) || total <= 0) {
+        return [0.5, 0.5];
+    }
+    return parts.map(part => part / total);
+};
+
+export const COLLABORATION_TYPES = ['joint_app', 'cross_promotion', 'resource_sharing'];
+
+export const DEFAULT_COLLABORATION_INVITE_DAYS = 14;
+
+const DURATION_PATTERN = /^(\d+)\s*(day|week|month|year)s?$/i;
+
+/**
+ * When a collaboration agreed at `from` for a duration such as '6 months' or '90 days' ends
+ */
+export const addDuration = (from, duration) => {
+    const match = DURATION_PATTERN.exec(String(duration || '').trim());
+    if (!match) {
+        return null;
+    }
+    const amount = parseInt(match[1], 10);
+    const end = new Date(from.getTime());
+    switch (match[2].toLowerCase()) {
+        case 'day':
+            end.setUTCDate(end.getUTCDate() + amount);
+            break;
+        case 'week':
+            end.setUTCDate(end.getUTCDate() + amount * 7);
+            break;
+        case 'month':
+            end.setUTCMonth(end.getUTCMonth() + amount);
+            break;
+        default:
+            end.setUTCFullYear(end.getUTCFullYear() + amount);
+    }
+    return end;
+};
+
+/**
+ * Why proposed collaboration terms are invalid, or null when they are fine
+ */
+const validateTerms = terms => {
+    if (!/^\d+(\.\d+)?\/\d+(\.\d+)?$/.test(terms.revenueShare) ||
+        terms.revenueShare.split('/').every(part => Number(part) === 0)) {
+        return 'revenueShare must be a split such as 60/40';
+    }
+    if (!addDuration(new Date(), terms.duration)) {
+        return "duration must be a period such as '6 months' or '90 days'";
+    }
+    return null;
+};
+
 class PartnershipService {
-    constructor() {
+    constructor(options = {}) {
         this.partners = new Map();
         this.revenueShares = new Map();
         this.partnershipTiers = new Map();
         this.collaborations = new Map();
         
+        // Partner shares and payouts are journaled alongside payments
+        this.ledger = options.ledger || new Ledger();
+        
+        // Looks up marketplace apps (for their developerId) when sales are attributed
+        this.findApp = options.findApp || (() => null);
+        
+        // Lists a developer's marketplace apps, for tier quality and rating requirements
+        this.findDeveloperApps = options.findDeveloperApps || (() => []);
+        
+        // Shares a joint app's store listing with its collaborators while the collaboration is active
+        this.setAppCoOwners = options.setAppCoOwners || (async () => ({ success: true }));
+        
+        // WebhookService telling partners about completed payouts
+        this.webhooks = options.webhooks || null;
+        
+        // Days a partner has to respond to a collaboration invite or counter-offer
+        this.collaborationInviteDays = options.collaborationInviteDays ??
+            (parseFloat(process.env.COLLABORATION_INVITE_DAYS) || DEFAULT_COLLABORATION_INVITE_DAYS);
+        
+        // Batched payouts of cleared revenue shares
+        this.payouts = new PayoutEngine(this, options.payouts);
+        
+        // Periodic tier evaluation over rolling revenue windows
+        this.tiers = new TierEvaluator(this, options.tiers);
+        
         // Initialize partnership tiers
         this.initializePartnershipTiers();
         
@@ -111,7 +200,11 @@ class PartnershipService {
                     'Monthly revenue > $1k',
                     'Quality score > 80',
                     'User rating > 4.0'
-                ]
+                ],
+                criteria: {
+                    qualityScoreAbove: 80,
+                    ratingAbove: 4.0
+                }
             },
             {
                 id: 'gold',
@@ -131,7 +224,11 @@ class PartnershipService {
                     'Monthly revenue > $5k',
                     'Quality score > 85',
                     'Multiple successful apps'
-                ]
+                ],
+                criteria: {
+                    qualityScoreAbove: 85,
+                    minSuccessfulApps: 2
+                }
             },
             {
                 id: 'platinum',
@@ -151,7 +248,11 @@ class PartnershipService {
                     'Monthly revenue > $25k',
                     'Quality score > 90',
                     'Strategic value to platform'
-                ]
+                ],
+                criteria: {
+                    qualityScoreAbove: 90,
+                    strategic: true
+                }
             }
         ];
         
@@ -173,6 +274,14 @@ class PartnershipService {
                 registeredAt: new Date().toISOString(),
                 status: 'pending_verification',
                 tier: 'bronze',
+                tierHistory: [{
+                    tier: 'bronze',
+                    previousTier: null,
+                    reason: 'registered',
+                    changedAt: new Date().toISOString()
+                }],
+                tierGrace: null,
+                strategic: false,
                 totalRevenue: 0,
                 monthlyRevenue: 0,
                 apps: [],
@@ -237,53 +346,47 @@ class PartnershipService {
     /**
      * Update partner tier based on performance
      */
-    updatePartnerTier(partnerId) {
-        const partner = this.partners.get(partnerId);
-        if (!partner) return null;
-        
-        const monthlyRevenue = partner.monthlyRevenue || 0;
-        let newTier = 'bronze';
-        
-        for (const [tierId, tier] of this.partnershipTiers) {
-            if (monthlyRevenue >= tier.minRevenue && monthlyRevenue < tier.maxRevenue) {
-                newTier = tierId;
-                break;
-            }
+    updatePartnerTier(partnerId, now = new Date()) {
+        const evaluation = this.tiers.evaluatePartner(partnerId, now);
+        if (!evaluation || !evaluation.change) {
+            return null;
         }
         
-        const oldTier = partner.tier;
-        if (newTier !== oldTier) {
-            partner.tier = newTier;
-            partner.tierUpdatedAt = new Date().toISOString();
-            
-            // Send tier upgrade notification
-            this.sendTierUpgradeNotification(partner, oldTier, newTier);
-            
-            return {
-                partnerId,
-                oldTier,
-                newTier,
-                benefits: this.partnershipTiers.get(newTier).benefits
-            };
+        return {
+            partnerId,
+            oldTier: evaluation.previousTier,
+            newTier: evaluation.tier,
+            benefits: this.partnershipTiers.get(evaluation.tier).benefits
+        };
+    }
+
+    /**
+     * Flag a partner as strategic, which the platinum tier requires
+     */
+    setStrategicPartner(partnerId, strategic) {
+        const partner = this.partners.get(partnerId);
+        if (!partner) {
+            return null;
         }
         
-        return null;
+        partner.strategic = Boolean(strategic);
+        return this.tiers.evaluatePartner(partnerId);
     }
 
     /**
-     * Calculate revenue share
+     * Calculate revenue share. `source` links the share to the sale it came from
+     * ({ transactionId, appId, collaborationId }) so refunds can reverse it.
      */
-    calculateRevenueShare(partnerId, revenue) {
+    calculateRevenueShare(partnerId, revenue, source = {}) {
         const partner = this.partners.get(partnerId);
         if (!partner) return null;
         
         const tier = this.partnershipTiers.get(partner.tier);
-        const partnerShare = (revenue * tier.revenueShare) / 100;
-        const platformShare = revenue - partnerShare;
+        const partnerShare = roundMoney((revenue * tier.revenueShare) / 100, 'USD');
+        const platformShare = roundMoney(revenue - partnerShare, 'USD');
         
         // Update partner revenue
         partner.totalRevenue += revenue;
-        partner.monthlyRevenue += revenue;
         
         // Update global metrics
         this.revenueMetrics.totalRevenue += revenue;
@@ -295,7 +398,7 @@ class PartnershipService {
         this.revenueMetrics.revenueByTier.set(partner.tier, tierRevenue + revenue);
         
         // Create revenue share record
-        const shareId = `share_${Date.now()}_${partnerId}`;
+        const shareId = `share_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         this.revenueShares.set(shareId, {
             id: shareId,
             partnerId,
@@ -304,15 +407,36 @@ class PartnershipService {
             platformShare,
             tier: partner.tier,
             sharePercentage: tier.revenueShare,
+            transactionId: source.transactionId || null,
+            appId: source.appId || null,
+            collaborationId: source.collaborationId || null,
+            reversedRevenue: 0,
+            reversedShare: 0,
             createdAt: new Date().toISOString(),
             status: 'pending_payout'
         });
         
+        this.ledger.post({
+            type: 'partner_share',
+            description: `${tier.revenueShare}% revenue share${source.appId ? ` of ${source.appId}` : ''}`,
+            reference: {
+                partnerId,
+                shareId,
+                ...(source.transactionId && { transactionId: source.transactionId }),
+                ...(source.appId && { appId: source.appId })
+            },
+            lines: [
+                { account: ACCOUNTS.partnerShares, debit: partnerShare },
+                { account: partnerPayableAccount(partnerId), credit: partnerShare }
+            ]
+        });
+        
         // Check for tier upgrade
         this.updatePartnerTier(partnerId);
         
         return {
             shareId,
+            partnerId,
             totalRevenue: revenue,
             partnerShare,
             platformShare,
@@ -322,9 +446,170 @@ class PartnershipService {
     }
 
     /**
-     * Process partner payout
+     * The partner a marketplace developer account belongs to. Partners link their developer
+     * account by registering with its `developerId`; otherwise the developer ID is the partner ID.
+     */
+    findPartnerByDeveloper(developerId) {
+        if (!developerId) {
+            return null;
+        }
+        return this.partners.get(developerId) ||
+            Array.from(this.partners.values()).find(partner => partner.developerId === developerId) ||
+            null;
+    }
+
+    /**
+     * The active joint-app collaboration splitting an app's revenue, if any
+     */
+    findAppCollaboration(appId) {
+        this.expireCollaborations();
+        
+        return Array.from(this.collaborations.values()).find(collaboration =>
+            collaboration.type === 'joint_app' &&
+            collaboration.status === 'active' &&
+            collaboration.details?.appId === appId
+        ) || null;
+    }
+
+    /**
+     * Credit an app's developer with their tier share of a sale's net revenue (USD).
+     * Joint apps split the revenue between collaborators per `terms.revenueShare` first.
+     */
+    attributeSale({ appId, transactionId, revenue }) {
+        if (!(revenue > 0)) {
+            return [];
+        }
+        
+        const collaboration = this.findAppCollaboration(appId);
+        if (!collaboration) {
+            const partner = this.findPartnerByDeveloper(this.findApp(appId)?.developerId);
+            return partner ? [this.calculateRevenueShare(partner.id, revenue, { transactionId, appId })] : [];
+        }
+        
+        const split = parseRevenueSplit(collaboration.terms.revenueShare);
+        const partnerIds = [collaboration.initiatorId, collaboration.targetId];
+        let allocated = 0;
+        
+        return partnerIds.map((partnerId, index) => {
+            // The last collaborator takes the rounding remainder
+            const portion = index === partnerIds.length - 1 ?
+                roundMoney(revenue - allocated, 'USD') :
+                roundMoney(revenue * split[index], 'USD');
+            allocated += portion;
+            return this.calculateRevenueShare(partnerId, portion, {
+                transactionId,
+                appId,
+                collaborationId: collaboration.id
+            });
+        }).filter(Boolean);
+    }
+
+    /**
+     * Reverse a refunded or charged-back `fraction` of the shares credited for a sale.
+     * Shares already paid out leave the partner owing the platform until later shares cover it.
+     */
+    reverseSale(transactionId, fraction, reason = 'refund') {
+        const shares = Array.from(this.revenueShares.values())
+            .filter(share => share.transactionId === transactionId && share.status !== 'reversed');
+        
+        const reversals = shares.map(share => {
+            const remainingShare = roundMoney(share.partnerShare - share.reversedShare, 'USD');
+            const remainingRevenue = roundMoney(share.totalRevenue - share.reversedRevenue, 'USD');
+            const full = fraction >= 1 || roundMoney(share.partnerShare * fraction, 'USD') >= remainingShare;
+            const shareAmount = full ? remainingShare : roundMoney(share.partnerShare * fraction, 'USD');
+            const revenue = full ? remainingRevenue : roundMoney(share.totalRevenue * fraction, 'USD');
+            
+            share.reversedShare = roundMoney(share.reversedShare + shareAmount, 'USD');
+            share.reversedRevenue = roundMoney(share.reversedRevenue + revenue, 'USD');
+            if (full) {
+                share.status = share.status === 'pending_payout' ? 'reversed' : share.status;
+            }
+            
+            const partner = this.partners.get(share.partnerId);
+            if (partner) {
+                partner.totalRevenue -= revenue;
+            }
+            this.revenueMetrics.totalRevenue -= revenue;
+            this.revenueMetrics.partnerRevenue -= shareAmount;
+            this.revenueMetrics.platformRevenue -= revenue - shareAmount;
+            const tierRevenue = this.revenueMetrics.revenueByTier.get(share.tier) || 0;
+            this.revenueMetrics.revenueByTier.set(share.tier, tierRevenue - revenue);
+            
+            this.ledger.post({
+                type: 'partner_share_reversal',
+                description: `${reason === 'chargeback' ? 'Chargeback' : 'Refund'} of ${transactionId}`,
+                reference: { partnerId: share.partnerId, shareId: share.id, transactionId },
+                lines: [
+                    { account: partnerPayableAccount(share.partnerId), debit: shareAmount },
+                    { account: ACCOUNTS.partnerShares, credit: shareAmount }
+                ]
+            });
+            
+            return { shareId: share.id, partnerId: share.partnerId, reversedShare: shareAmount, reason };
+        });
+        
+        // Reversed revenue no longer counts towards the partner's tier
+        new Set(reversals.map(reversal => reversal.partnerId)).forEach(partnerId => this.updatePartnerTier(partnerId));
+        
+        return reversals;
+    }
+
+    /**
+     * Set the details a partner is paid to. New details are unverified until an admin
+     * checks them with `verifyPaymentInfo`.
+     */
+    updatePaymentInfo(partnerId, { method, details = {} } = {}) {
+        const partner = this.partners.get(partnerId);
+        if (!partner) {
+            return { success: false, error: 'Partner not found' };
+        }
+        
+        const required = PAYOUT_METHODS[method];
+        if (!required) {
+            return { success: false, error: `Unsupported payout method. Use one of: ${Object.keys(PAYOUT_METHODS).join(', ')}` };
+        }
+        
+        const missing = required.filter(field => !details[field]);
+        if (missing.length > 0) {
+            return { success: false, error: `Missing payment details: ${missing.join(', ')}` };
+        }
+        if (method === 'bank_transfer' && !/^\d{9}$/.test(details.routingNumber)) {
+            return { success: false, error: 'Routing number must be 9 digits' };
+        }
+        
+        partner.paymentInfo = {
+            method,
+            details: { ...details },
+            verified: false,
+            updatedAt: new Date().toISOString()
+        };
+        
+        return { success: true, partnerId, method, verified: false };
+    }
+
+    /**
+     * Mark a partner's payment details as checked, so payouts can be sent to them
+     */
+    verifyPaymentInfo(partnerId, verifiedBy) {
+        const partner = this.partners.get(partnerId);
+        if (!partner) {
+            return { success: false, error: 'Partner not found' };
+        }
+        if (!partner.paymentInfo?.details) {
+            return { success: false, error: 'Partner has no payment details to verify' };
+        }
+        
+        partner.paymentInfo.verified = true;
+        partner.paymentInfo.verifiedAt = new Date().toISOString();
+        partner.paymentInfo.verifiedBy = verifiedBy;
+        
+        return { success: true, partnerId, method: partner.paymentInfo.method, verified: true };
+    }
+
+    /**
+     * Pay a partner their payable balance now, outside the scheduled batches
      */
-    async processPartnerPayout(partnerId, amount) {
+    async processPartnerPayout(partnerId) {
         const partner = this.partners.get(partnerId);
         if (!partner) {
             return { success: false, error: 'Partner not found' };
@@ -335,34 +620,23 @@ class PartnershipService {
         }
         
         try {
-            // Simulate payment processing
-            const payoutId = `payout_${Date.now()}_${partnerId}`;
-            
-            const payout = {
-                id: payoutId,
-                partnerId,
-                amount,
-                currency: 'USD',
-                method: partner.paymentInfo.method,
-                status: 'processing',
-                initiatedAt: new Date().toISOString(),
-                estimatedArrival: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString() // 3 days
-            };
-            
-            // In real implementation, integrate with payment processor
-            // For demo, we'll simulate successful processing
-            setTimeout(() => {
-                payout.status = 'completed';
-                payout.completedAt = new Date().toISOString();
-                this.sendPayoutConfirmation(partner, payout);
-            }, 2000);
+            const { batch, skipped } = this.payouts.createBatch({ partnerIds: [partnerId] });
+            if (!batch) {
+                const balance = skipped[0]?.balance || this.payouts.getPayableBalance(partnerId);
+                return {
+                    success: false,
+                    error: `Nothing to pay out: ${balance.payable} USD payable (minimum ${balance.minimumAmount} USD, ${balance.held} USD held)`,
+                    balance
+                };
+            }
             
+            const payout = batch.payouts.find(item => item.partnerId === partnerId);
             return {
                 success: true,
-                payoutId,
-                amount,
-                estimatedArrival: payout.estimatedArrival,
-                status: 'processing'
+                payoutId: payout.id,
+                batchId: batch.id,
+                amount: payout.amount,
+                status: payout.status
             };
             
         } catch (error) {
@@ -382,6 +656,7 @@ class PartnershipService {
         if (!partner) return null;
         
         const tier = this.partnershipTiers.get(partner.tier);
+        const tierStatus = this.tiers.explain(partner);
         const revenueShares = Array.from(this.revenueShares.values())
             .filter(share => share.partnerId === partnerId)
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -399,19 +674,33 @@ class PartnershipService {
             tier: {
                 current: tier,
                 nextTier: this.getNextTier(partner.tier),
-                progressToNext: this.calculateTierProgress(partner)
+                progressToNext: this.calculateTierProgress(partner),
+                requirements: tierStatus.current.requirements,
+                nextTierRequirements: tierStatus.next ? tierStatus.next.requirements : [],
+                missingForNextTier: tierStatus.next ? tierStatus.next.missing : [],
+                atRisk: tierStatus.grace ? {
+                    downgradeTo: tierStatus.grace.targetTier,
+                    downgradeAt: tierStatus.grace.endsAt,
+                    missing: tierStatus.current.missing
+                } : null,
+                history: tierStatus.history
             },
             
             revenue: {
                 total: partner.totalRevenue,
                 monthly: partner.monthlyRevenue,
+                last30Days: tierStatus.stats.revenue30d,
+                last90Days: tierStatus.stats.revenue90d,
                 pending: this.calculatePendingRevenue(partnerId),
+                payable: this.payouts.getPayableBalance(partnerId).payable,
                 sharePercentage: tier.revenueShare
             },
             
+            payouts: this.payouts.listPayouts({ partnerId }).slice(0, 10),
+            
             apps: {
                 total: partner.apps.length,
-                published: partner.apps.filter(app => app.status === 'published').length,
+                published: partner.apps.filter(app => app.status === 'approved').length,
                 pending: partner.apps.filter(app => app.status === 'pending').length,
                 averageRating: partner.metrics.averageRating
             },
@@ -458,7 +747,9 @@ class PartnershipService {
         const nextTier = this.getNextTier(partner.tier);
         if (!nextTier) return 100;
         
-        const currentRevenue = partner.monthlyRevenue || 0;
+        const currentRevenue = partner.tierEvaluation ?
+            partner.tierEvaluation.stats.tierRevenue :
+            partner.monthlyRevenue || 0;
         const targetRevenue = nextTier.minRevenue;
         
         return Math.min(100, (currentRevenue / targetRevenue) * 100);
@@ -470,7 +761,27 @@ class PartnershipService {
     calculatePendingRevenue(partnerId) {
         return Array.from(this.revenueShares.values())
             .filter(share => share.partnerId === partnerId && share.status === 'pending_payout')
-            .reduce((total, share) => total + share.partnerShare, 0);
+            .reduce((total, share) => total + share.partnerShare - share.reversedShare, 0);
+    }
+
+    /**
+     * Prove a partner's payouts against the shares they earned, in the ledger and in the share records
+     */
+    reconcilePartnerLedger(partnerId) {
+        if (!this.partners.has(partnerId)) {
+            return null;
+        }
+        
+        const ledger = this.ledger.reconcilePartner(partnerId);
+        const recordedShares = roundMoney(Array.from(this.revenueShares.values())
+            .filter(share => share.partnerId === partnerId)
+            .reduce((total, share) => total + share.partnerShare - share.reversedShare, 0), ledger.currency);
+        
+        return {
+            ...ledger,
+            recordedShares,
+            reconciled: ledger.reconciled && recordedShares === ledger.earned
+        };
     }
 
     /**
@@ -551,9 +862,38 @@ class PartnershipService {
     }
 
     /**
-     * Create collaboration between partners
+     * Invite a partner to collaborate. The target can accept, decline or counter the proposed terms.
      */
-    async createCollaboration(initiatorId, targetId, collaborationType, details) {
+    async createCollaboration(initiatorId, targetId, collaborationType, details = {}, now = new Date()) {
+        if (!this.partners.has(initiatorId) || !this.partners.has(targetId)) {
+            return { success: false, error: 'Partner not found' };
+        }
+        if (initiatorId === targetId) {
+            return { success: false, error: 'Partners cannot collaborate with themselves' };
+        }
+        if (!COLLABORATION_TYPES.includes(collaborationType)) {
+            return { success: false, error: `Collaboration type must be one of: ${COLLABORATION_TYPES.join(', ')}` };
+        }
+        if (collaborationType === 'joint_app') {
+            const app = this.findApp(details.appId);
+            if (!app) {
+                return { success: false, error: 'Joint app collaborations need the appId of a store app' };
+            }
+            if (!getAppDeveloperIds(app).some(developerId => [initiatorId, targetId].includes(this.findPartnerByDeveloper(developerId)?.id))) {
+                return { success: false, error: 'The app must belong to one of the collaborating partners' };
+            }
+        }
+        
+        const terms = {
+            revenueShare: details.revenueShare || '50/50',
+            duration: details.duration || '6 months',
+            responsibilities: details.responsibilities || {}
+        };
+        const termsError = validateTerms(terms);
+        if (termsError) {
+            return { success: false, error: termsError };
+        }
+        
         const collaborationId = `collab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         
         const collaboration = {
@@ -563,13 +903,19 @@ class PartnershipService {
             type: collaborationType, // 'joint_app', 'cross_promotion', 'resource_sharing'
             details,
             status: 'pending',
-            createdAt: new Date().toISOString(),
+            createdAt: now.toISOString(),
             
-            terms: {
-                revenueShare: details.revenueShare || '50/50',
-                duration: details.duration || '6 months',
-                responsibilities: details.responsibilities || {}
-            }
+            terms,
+            
+            // Whoever received the latest proposal must answer it before the invite expires
+            awaitingPartnerId: targetId,
+            expiresAt: this.getInviteExpiry(now),
+            negotiation: [{ partnerId: initiatorId, action: 'proposed', terms, at: now.toISOString() }],
+            
+            startedAt: null,
+            endsAt: null,
+            endedAt: null,
+            endReason: null
         };
         
         this.collaborations.set(collaborationId, collaboration);
@@ -581,10 +927,221 @@ class PartnershipService {
             success: true,
             collaborationId,
             status: 'pending',
+            expiresAt: collaboration.expiresAt,
             estimatedResponseTime: '3-5 business days'
         };
     }
 
+    getInviteExpiry(now) {
+        return new Date(now.getTime() + this.collaborationInviteDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    /**
+     * A pending collaboration awaiting `partnerId`'s response, or why it cannot be answered
+     */
+    getPendingCollaboration(collaborationId, partnerId, now) {
+        this.expireCollaborations(now);
+        
+        const collaboration = this.collaborations.get(collaborationId);
+        if (!collaboration) {
+            return { error: 'Collaboration not found' };
+        }
+        if (collaboration.status !== 'pending') {
+            return { error: `Collaboration is ${collaboration.status}` };
+        }
+        if (collaboration.awaitingPartnerId !== partnerId) {
+            return { error: 'Only the partner the latest terms were sent to can respond' };
+        }
+        return { collaboration };
+    }
+
+    /**
+     * Accept the latest terms. Joint apps become co-owned and their revenue is split from now on.
+     */
+    async acceptCollaboration(collaborationId, partnerId, now = new Date()) {
+        const { collaboration, error } = this.getPendingCollaboration(collaborationId, partnerId, now);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        const appId = collaboration.type === 'joint_app' ? collaboration.details.appId : null;
+        if (appId && this.findAppCollaboration(appId)) {
+            return { success: false, error: 'The app already has an active joint collaboration' };
+        }
+        
+        collaboration.status = 'active';
+        collaboration.awaitingPartnerId = null;
+        collaboration.startedAt = now.toISOString();
+        collaboration.endsAt = addDuration(now, collaboration.terms.duration).toISOString();
+        collaboration.negotiation.push({ partnerId, action: 'accepted', terms: collaboration.terms, at: now.toISOString() });
+        
+        if (appId) {
+            await this.setAppCoOwners(appId, this.getCollaboratorDeveloperIds(collaboration));
+        }
+        
+        await this.sendCollaborationUpdate(collaboration, 'accepted');
+        
+        return {
+            success: true,
+            collaborationId,
+            status: collaboration.status,
+            terms: collaboration.terms,
+            endsAt: collaboration.endsAt
+        };
+    }
+
+    /**
+     * Decline a pending collaboration. The initiator can also withdraw their own invite.
+     */
+    async declineCollaboration(collaborationId, partnerId, reason = '', now = new Date()) {
+        this.expireCollaborations(now);
+        
+        const collaboration = this.collaborations.get(collaborationId);
+        if (!collaboration) {
+            return { success: false, error: 'Collaboration not found' };
+        }
+        if (![collaboration.initiatorId, collaboration.targetId].includes(partnerId)) {
+            return { success: false, error: 'Only a collaborating partner can decline' };
+        }
+        if (collaboration.status !== 'pending') {
+            return { success: false, error: `Collaboration is ${collaboration.status}` };
+        }
+        
+        collaboration.status = 'declined';
+        collaboration.awaitingPartnerId = null;
+        collaboration.endedAt = now.toISOString();
+        collaboration.endReason = reason || null;
+        collaboration.negotiation.push({ partnerId, action: 'declined', reason: reason || null, at: now.toISOString() });
+        
+        await this.sendCollaborationUpdate(collaboration, 'declined');
+        
+        return { success: true, collaborationId, status: collaboration.status };
+    }
+
+    /**
+     * Answer the latest terms with changed ones; the other partner then has to respond
+     */
+    async counterCollaboration(collaborationId, partnerId, proposedTerms = {}, now = new Date()) {
+        const { collaboration, error } = this.getPendingCollaboration(collaborationId, partnerId, now);
+        if (error) {
+            return { success: false, error };
+        }
+        
+        const terms = {
+            revenueShare: proposedTerms.revenueShare || collaboration.terms.revenueShare,
+            duration: proposedTerms.duration || collaboration.terms.duration,
+            responsibilities: proposedTerms.responsibilities || collaboration.terms.responsibilities
+        };
+        const termsError = validateTerms(terms);
+        if (termsError) {
+            return { success: false, error: termsError };
+        }
+        
+        collaboration.terms = terms;
+        collaboration.awaitingPartnerId = partnerId === collaboration.initiatorId ?
+            collaboration.targetId :
+            collaboration.initiatorId;
+        collaboration.expiresAt = this.getInviteExpiry(now);
+        collaboration.negotiation.push({ partnerId, action: 'countered', terms, at: now.toISOString() });
+        
+        await this.sendCollaborationUpdate(collaboration, 'countered');
+        
+        return {
+            success: true,
+            collaborationId,
+            status: collaboration.status,
+            terms,
+            awaitingPartnerId: collaboration.awaitingPartnerId,
+            expiresAt: collaboration.expiresAt
+        };
+    }
+
+    /**
+     * End an active collaboration early. A joint app goes back to its publishing developer.
+     */
+    async terminateCollaboration(collaborationId, partnerId, reason = '', now = new Date()) {
+        this.expireCollaborations(now);
+        
+        const collaboration = this.collaborations.get(collaborationId);
+        if (!collaboration) {
+            return { success: false, error: 'Collaboration not found' };
+        }
+        if (![collaboration.initiatorId, collaboration.targetId].includes(partnerId)) {
+            return { success: false, error: 'Only a collaborating partner can terminate' };
+        }
+        if (collaboration.status !== 'active') {
+            return { success: false, error: `Collaboration is ${collaboration.status}` };
+        }
+        
+        await this.endCollaboration(collaboration, 'terminated', now, reason || null);
+        collaboration.negotiation.push({ partnerId, action: 'terminated', reason: reason || null, at: now.toISOString() });
+        
+        await this.sendCollaborationUpdate(collaboration, 'terminated');
+        
+        return { success: true, collaborationId, status: collaboration.status };
+    }
+
+    endCollaboration(collaboration, status, now, reason) {
+        collaboration.status = status;
+        collaboration.awaitingPartnerId = null;
+        collaboration.endedAt = now.toISOString();
+        collaboration.endReason = reason;
+        
+        return collaboration.type === 'joint_app' ?
+            this.setAppCoOwners(collaboration.details.appId, []) :
+            Promise.resolve();
+    }
+
+    /**
+     * Expire invites nobody answered in time and complete collaborations whose agreed duration has passed
+     */
+    expireCollaborations(now = new Date()) {
+        const expired = [];
+        const completed = [];
+        
+        this.collaborations.forEach(collaboration => {
+            if (collaboration.status === 'pending' && Date.parse(collaboration.expiresAt) <= now.getTime()) {
+                collaboration.status = 'expired';
+                collaboration.awaitingPartnerId = null;
+                collaboration.endedAt = now.toISOString();
+                collaboration.endReason = 'No response before the invite expired';
+                expired.push(collaboration.id);
+            } else if (collaboration.status === 'active' && Date.parse(collaboration.endsAt) <= now.getTime()) {
+                // Ownership changes are persisted by the store, which logs its own failures
+                this.endCollaboration(collaboration, 'completed', now, 'Agreed duration ended');
+                completed.push(collaboration.id);
+            }
+        });
+        
+        return { expired, completed };
+    }
+
+    /**
+     * Developer accounts of both collaborators, who co-own a joint app
+     */
+    getCollaboratorDeveloperIds(collaboration) {
+        return [collaboration.initiatorId, collaboration.targetId]
+            .map(partnerId => this.partners.get(partnerId))
+            .map(partner => partner.developerId || partner.id);
+    }
+
+    getCollaboration(collaborationId, now = new Date()) {
+        this.expireCollaborations(now);
+        return this.collaborations.get(collaborationId) || null;
+    }
+
+    /**
+     * Collaborations a partner takes part in (or all of them), newest first
+     */
+    listCollaborations({ partnerId, status } = {}, now = new Date()) {
+        this.expireCollaborations(now);
+        
+        return Array.from(this.collaborations.values())
+            .filter(collaboration => !partnerId || [collaboration.initiatorId, collaboration.targetId].includes(partnerId))
+            .filter(collaboration => !status || collaboration.status === status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
     /**
      * Get partnership analytics
      */
@@ -649,7 +1206,15 @@ class PartnershipService {
      * Send tier upgrade notification
      */
     async sendTierUpgradeNotification(partner, oldTier, newTier) {
-        console.log(`Partner ${partner.id} upgraded from ${oldTier} to ${newTier}`);
+        console.log(`Partner ${partner.id} moved from ${oldTier} to ${newTier}`);
+        return true;
+    }
+
+    /**
+     * Warn a partner that they will be downgraded unless they meet their tier's requirements again
+     */
+    async sendTierGraceNotification(partner, grace, missing) {
+        console.log(`Partner ${partner.id} will move to ${grace.targetTier} on ${grace.endsAt} (missing: ${missing.join('; ')})`);
         return true;
     }
 
@@ -669,6 +1234,14 @@ class PartnershipService {
         return true;
     }
 
+    /**
+     * Tell both partners a collaboration was accepted, declined, countered or terminated
+     */
+    async sendCollaborationUpdate(collaboration, action) {
+        console.log(`Collaboration ${collaboration.id} ${action} (${collaboration.initiatorId}, ${collaboration.targetId})`);
+        return true;
+    }
+
     /**
      * Calculate new partners for time period
      */
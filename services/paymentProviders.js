@@ -0,0 +1,307 @@
+/**
+ * Payment Providers - Adapter interface, region routing and a deterministic sandbox
+ * Every provider exposes charge, capture, refund and parseWebhook with the same result shape
+ */
+
+import crypto from 'crypto';
+import logger from '../config/logger.js';
+
+/**
+ * Default routing rules, first match wins. A rule may restrict `regions`,
+ * `methods` and `currencies`; an omitted list matches anything.
+ */
+export const DEFAULT_ROUTING_RULES = [
+    { provider: 'razorpay', regions: ['IN'] },
+    { provider: 'alipay', regions: ['CN'] },
+    { provider: 'stripe' }
+];
+
+/**
+ * Rules configured in PAYMENT_ROUTING_RULES, or the defaults when it is unset or not a JSON array
+ */
+export const loadRoutingRules = (value = process.env.PAYMENT_ROUTING_RULES) => {
+    if (!value) {
+        return DEFAULT_ROUTING_RULES;
+    }
+
+    try {
+        const rules = JSON.parse(value);
+        if (Array.isArray(rules)) {
+            return rules;
+        }
+        logger.error('PAYMENT_ROUTING_RULES must be a JSON array of rules; using the default routing rules');
+    } catch (error) {
+        logger.error(`PAYMENT_ROUTING_RULES is not valid JSON (${error.message}); using the default routing rules`);
+    }
+    return DEFAULT_ROUTING_RULES;
+};
+
+/**
+ * Sandbox payment tokens with fixed outcomes, modelled on card-network test cards
+ */
+export const SANDBOX_TEST_TOKENS = {
+    tok_visa: 'succeed',
+    tok_decline: 'decline',
+    tok_insufficient_funds: 'insufficient_funds',
+    tok_3ds: 'three_d_secure',
+    tok_timeout: 'timeout'
+};
+
+const SANDBOX_DECLINES = {
+    decline: { declineCode: 'card_declined', error: 'Your card was declined' },
+    insufficient_funds: { declineCode: 'insufficient_funds', error: 'Your card has insufficient funds' }
+};
+
+export class ProviderTimeoutError extends Error {
+    constructor(provider) {
+        super(`Payment provider ${provider} timed out`);
+        this.name = 'ProviderTimeoutError';
+        this.provider = provider;
+    }
+}
+
+/**
+ * Pick the provider for a payment from routing rules
+ */
+export const routePayment = (rules, { region, method, currency }, isEnabled = () => true) => {
+    const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+
+    const rule = rules.find(candidate =>
+        matches(candidate.regions, region) &&
+        matches(candidate.methods, method) &&
+        matches(candidate.currencies, currency) &&
+        isEnabled(candidate.provider)
+    );
+
+    return rule ? rule.provider : null;
+};
+
+/**
+ * Base adapter. Results share one shape:
+ * `{ success, status: 'succeeded' | 'authorized' | 'requires_action' | 'declined', chargeId, error, declineCode, nextAction }`
+ */
+export class PaymentProviderAdapter {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async charge() {
+        throw new Error(`${this.name} does not implement charge`);
+    }
+
+    async capture() {
+        throw new Error(`${this.name} does not implement capture`);
+    }
+
+    async refund() {
+        throw new Error(`${this.name} does not implement refund`);
+    }
+
+    /**
+     * Turn a provider webhook into `{ type, chargeId, data }` or throw if it is not authentic
+     */
+    parseWebhook() {
+        throw new Error(`${this.name} does not support webhooks`);
+    }
+}
+
+/**
+ * Stand-in for providers without an SDK integration yet: approves 95% of charges
+ */
+export class SimulatedProviderAdapter extends PaymentProviderAdapter {
+    async charge(payment) {
+        const chargeId = `${this.name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        if (Math.random() > 0.05) {
+            return {
+                success: true,
+                status: payment.capture === false ? 'authorized' : 'succeeded',
+                chargeId
+            };
+        }
+
+        return {
+            success: false,
+            status: 'declined',
+            chargeId,
+            declineCode: 'card_declined',
+            error: 'Payment declined by provider'
+        };
+    }
+
+    async capture(chargeId) {
+        return { success: true, status: 'succeeded', chargeId };
+    }
+
+    async refund() {
+        return {
+            success: true,
+            refundId: `${this.name}_ref_${Date.now()}`
+        };
+    }
+}
+
+/**
+ * Deterministic provider for development and tests. Outcomes come from
+ * `script()`ed results first, then `SANDBOX_TEST_TOKENS`, and otherwise succeed.
+ */
+export class SandboxProviderAdapter extends PaymentProviderAdapter {
+    constructor(options = {}) {
+        super('sandbox');
+        this.charges = new Map();
+        this.scripted = [];
+        this.sequence = 0;
+        this.webhookSecret = options.webhookSecret || process.env.SANDBOX_WEBHOOK_SECRET || 'sandbox_webhook_secret';
+    }
+
+    /**
+     * Queue outcomes for the next charges, e.g. `script('decline', 'succeed')`
+     */
+    script(...outcomes) {
+        this.scripted.push(...outcomes);
+        return this;
+    }
+
+    nextId(prefix) {
+        this.sequence++;
+        return `sandbox_${prefix}_${this.sequence}`;
+    }
+
+    async charge(payment) {
+        const outcome = this.scripted.shift() || SANDBOX_TEST_TOKENS[payment.paymentToken] || 'succeed';
+
+        if (outcome === 'timeout') {
+            throw new ProviderTimeoutError(this.name);
+        }
+
+        const charge = {
+            id: this.nextId('ch'),
+            amount: payment.amount,
+            currency: payment.currency,
+            capture: payment.capture !== false,
+            status: null,
+            capturedAmount: 0,
+            refundedAmount: 0
+        };
+        this.charges.set(charge.id, charge);
+
+        if (SANDBOX_DECLINES[outcome]) {
+            charge.status = 'declined';
+            return {
+                success: false,
+                status: 'declined',
+                chargeId: charge.id,
+                ...SANDBOX_DECLINES[outcome]
+            };
+        }
+
+        if (outcome === 'three_d_secure') {
+            charge.status = 'requires_action';
+            return {
+                success: false,
+                status: 'requires_action',
+                chargeId: charge.id,
+                error: 'Additional authentication required',
+                nextAction: {
+                    type: 'three_d_secure',
+                    redirectUrl: `https://sandbox.rapidai.com/3ds/${charge.id}`
+                }
+            };
+        }
+
+        this.settle(charge);
+        return { success: true, status: charge.status, chargeId: charge.id };
+    }
+
+    /**
+     * Mark an approved charge authorized or captured
+     */
+    settle(charge) {
+        charge.status = charge.capture ? 'succeeded' : 'authorized';
+        charge.capturedAmount = charge.capture ? charge.amount : 0;
+    }
+
+    async capture(chargeId, amount = null) {
+        const charge = this.charges.get(chargeId);
+        if (!charge || charge.status !== 'authorized') {
+            return { success: false, chargeId, error: 'Charge is not awaiting capture' };
+        }
+
+        const captureAmount = amount ?? charge.amount;
+        if (captureAmount > charge.amount) {
+            return { success: false, chargeId, error: 'Capture amount exceeds authorized amount' };
+        }
+
+        charge.status = 'succeeded';
+        charge.capturedAmount = captureAmount;
+        return { success: true, status: 'succeeded', chargeId, amount: captureAmount };
+    }
+
+    async refund(chargeId, amount) {
+        const charge = this.charges.get(chargeId);
+        if (!charge || charge.status !== 'succeeded') {
+            return { success: false, error: 'Charge cannot be refunded' };
+        }
+        if (charge.refundedAmount + amount > charge.capturedAmount) {
+            return { success: false, error: 'Refund exceeds captured amount' };
+        }
+
+        charge.refundedAmount += amount;
+        return { success: true, refundId: this.nextId('re') };
+    }
+
+    /**
+     * Finish a 3-D Secure challenge as the customer would, returning the signed
+     * webhook the provider sends so it can be delivered to the webhook route
+     */
+    completeChallenge(chargeId, approved = true) {
+        const charge = this.charges.get(chargeId);
+        if (!charge || charge.status !== 'requires_action') {
+            return null;
+        }
+
+        if (approved) {
+            this.settle(charge);
+        } else {
+            charge.status = 'declined';
+        }
+
+        return this.signWebhook({
+            type: approved ? `charge.${charge.status}` : 'charge.failed',
+            chargeId,
+            data: approved ? {} : { declineCode: 'authentication_failed', error: '3-D Secure authentication failed' }
+        });
+    }
+
+    signWebhook(event) {
+        const body = JSON.stringify({ id: this.nextId('evt'), ...event });
+        const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+        return { body, headers: { 'x-sandbox-signature': signature } };
+    }
+
+    parseWebhook(rawBody, headers = {}) {
+        const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+        const expected = Buffer.from(crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex'));
+        const provided = Buffer.from(String(headers['x-sandbox-signature'] || ''));
+
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const { type, chargeId, data = {} } = JSON.parse(body);
+        return { type, chargeId, data };
+    }
+}
+
+/**
+ * Build the adapter registry for the configured providers
+ */
+export const createProviderAdapters = providerNames => {
+    const adapters = new Map();
+
+    providerNames.forEach(name => {
+        adapters.set(name, name === 'sandbox' ? new SandboxProviderAdapter() : new SimulatedProviderAdapter(name));
+    });
+
+    return adapters;
+};
@@ -3,16 +3,45 @@
  * Handles payments, subscriptions, revenue tracking, and multi-currency support
  */
 
+import BillingEngine from './billingEngine.js';
+import EntitlementService from './entitlementService.js';
+import ExchangeRateService, { roundMoney } from './exchangeRates.js';
+import FraudEngine from './fraudEngine.js';
+import InvoiceService from './invoiceService.js';
+import Ledger, { ACCOUNTS } from './ledger.js';
+import TaxEngine, { prorateTax } from './taxEngine.js';
+import { getAppDeveloperIds } from './aiStoreService.js';
+import {
+    createProviderAdapters,
+    loadRoutingRules,
+    ProviderTimeoutError,
+    routePayment
+} from './paymentProviders.js';
+
+// Transactions waiting on the customer or a capture; not yet revenue
+const PENDING_TRANSACTION_STATUSES = ['requires_action', 'authorized'];
+
+// Longest free trial a subscription can start with
+export const MAX_TRIAL_DAYS = 30;
+
 class PaymentService {
-    constructor() {
+    constructor(options = {}) {
         this.transactions = new Map();
         this.subscriptions = new Map();
         this.paymentMethods = new Map();
         this.currencies = new Map();
         
+        // App access granted by payments and subscriptions tagged with an appId
+        this.entitlements = options.entitlements || new EntitlementService();
+        
         // Initialize supported currencies
         this.initializeCurrencies();
         
+        // Historical exchange rates, seeded with the currencies' default rates
+        this.exchangeRates = options.exchangeRates || new ExchangeRateService({
+            defaultRates: Object.fromEntries(Array.from(this.currencies.values()).map(currency => [currency.code, currency.rate]))
+        });
+        
         // Payment providers
         this.providers = {
             stripe: { enabled: true, regions: ['US', 'EU', 'CA', 'AU'] },
@@ -21,13 +50,46 @@ class PaymentService {
             alipay: { enabled: true, regions: ['CN', 'HK', 'TW'] },
             paytm: { enabled: true, regions: ['IN'] },
             gcash: { enabled: true, regions: ['PH'] },
-            dana: { enabled: true, regions: ['ID'] }
+            dana: { enabled: true, regions: ['ID'] },
+            sandbox: { enabled: options.sandbox ?? process.env.PAYMENT_SANDBOX === 'true', regions: ['global'] }
         };
         
+        // Provider adapters and the rules that route payments to them (first match wins).
+        // With the sandbox enabled, every payment goes to it.
+        this.providerAdapters = options.providerAdapters || createProviderAdapters(Object.keys(this.providers));
+        this.routingRules = options.routingRules || loadRoutingRules();
+        if (this.providers.sandbox.enabled) {
+            this.routingRules = [{ provider: 'sandbox' }, ...this.routingRules];
+        }
+        this.providerTimeoutMs = options.providerTimeoutMs || parseInt(process.env.PAYMENT_PROVIDER_TIMEOUT_MS) || 15000;
+        
         // Subscription plans
         this.subscriptionPlans = new Map();
         this.initializeSubscriptionPlans();
         
+        // Renewals, trials, dunning and plan changes
+        this.billingEngine = new BillingEngine(this, options.billing);
+        
+        // Invoices, receipts and credit notes
+        this.invoices = new InvoiceService(this, options.invoicing);
+        
+        // GST, VAT and US sales tax added to payments
+        this.taxEngine = options.taxEngine || new TaxEngine(options.tax);
+        
+        // Double-entry journal of charges, fees, refunds and chargebacks, shared with partnerships
+        this.ledger = options.ledger || new Ledger();
+        
+        // Partnership service crediting app developers with their share of app sales
+        this.partnerships = options.partnerships || null;
+        
+        // Store lookup for the apps payments and subscriptions grant access to
+        this.findApp = options.findApp || (() => null);
+        this.maxTrialDays = options.maxTrialDays ?? (parseInt(process.env.MAX_TRIAL_DAYS) || MAX_TRIAL_DAYS);
+        
+        // WebhookService telling payers (and app developers) about completed payments and renewals
+        this.webhooks = options.webhooks || null;
+        this.chargebackFee = options.chargebackFee ?? (parseFloat(process.env.CHARGEBACK_FEE_USD) || 15);
+        
         // Revenue metrics
         this.revenueMetrics = {
             totalRevenue: 0,
@@ -39,13 +101,17 @@ class PaymentService {
             revenueByPlan: new Map()
         };
         
-        // Fraud detection
+        // Fraud detection: block above riskThreshold, hold for manual review above reviewThreshold
         this.fraudDetection = {
             enabled: true,
-            riskThreshold: 0.7,
-            blockedCountries: [],
+            riskThreshold: parseFloat(process.env.FRAUD_BLOCK_THRESHOLD) || 0.7,
+            reviewThreshold: parseFloat(process.env.FRAUD_REVIEW_THRESHOLD) || 0.4,
+            blockedCountries: process.env.FRAUD_BLOCKED_COUNTRIES ?
+                process.env.FRAUD_BLOCKED_COUNTRIES.split(',').map(country => country.trim().toUpperCase()) :
+                [],
             suspiciousPatterns: []
         };
+        this.fraudEngine = new FraudEngine(this, options.fraud);
     }
 
     /**
@@ -62,7 +128,8 @@ class PaymentService {
             { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', rate: 1.52 },
             { code: 'CAD', name: 'Canadian Dollar', symbol: 'C$', rate: 1.36 },
             { code: 'SGD', name: 'Singapore Dollar', symbol: 'S$', rate: 1.35 },
-            { code: 'MYR', name: 'Malaysian Ringgit', symbol: 'RM', rate: 4.67 }
+            { code: 'MYR', name: 'Malaysian Ringgit', symbol: 'RM', rate: 4.67 },
+            { code: 'KWD', name: 'Kuwaiti Dinar', symbol: 'KD', rate: 0.31 }
         ];
         
         currencies.forEach(currency => {
@@ -91,7 +158,8 @@ class PaymentService {
                     aiGenerations: 5,
                     apps: 1,
                     storage: '100MB',
-                    bandwidth: '1GB'
+                    bandwidth: '1GB',
+                    requestsPerMinute: 100
                 }
             },
             {
@@ -111,7 +179,8 @@ class PaymentService {
                     aiGenerations: 100,
                     apps: 10,
                     storage: '1GB',
-                    bandwidth: '10GB'
+                    bandwidth: '10GB',
+                    requestsPerMinute: 300
                 }
             },
             {
@@ -132,7 +201,8 @@ class PaymentService {
                     aiGenerations: -1, // unlimited
                     apps: 50,
                     storage: '10GB',
-                    bandwidth: '100GB'
+                    bandwidth: '100GB',
+                    requestsPerMinute: 1000
                 }
             },
             {
@@ -153,7 +223,8 @@ class PaymentService {
                     aiGenerations: -1,
                     apps: -1,
                     storage: '100GB',
-                    bandwidth: '1TB'
+                    bandwidth: '1TB',
+                    requestsPerMinute: 10000
                 }
             }
         ];
@@ -164,15 +235,28 @@ class PaymentService {
     }
 
     /**
-     * Process payment
+     * Process payment. `options.review` is the approved fraud review of a held payment.
      */
-    async processPayment(paymentData) {
+    async processPayment(paymentData, options = {}) {
+        // Amounts arrive from JSON bodies; '10' must not be concatenated with the tax
+        const quotedAmount = Number(paymentData.amount);
+        if (!Number.isFinite(quotedAmount) || quotedAmount <= 0) {
+            return {
+                success: false,
+                error: 'amount must be a number greater than 0'
+            };
+        }
+        paymentData = { ...paymentData, amount: quotedAmount };
+        
         try {
             const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             
             // Fraud detection
-            const fraudCheck = await this.checkFraud(paymentData);
-            if (fraudCheck.risk > this.fraudDetection.riskThreshold) {
+            const fraudCheck = options.review ?
+                { ...options.review.fraud, reviewId: options.review.id } :
+                await this.checkFraud(paymentData);
+            if (!options.review && fraudCheck.recommendation === 'block') {
+                this.fraudEngine.recordFailure(paymentData, 'fraud_blocked');
                 return {
                     success: false,
                     error: 'Payment blocked due to security concerns',
@@ -180,27 +264,82 @@ class PaymentService {
                 };
             }
             
-            // Currency conversion
-            const convertedAmount = await this.convertCurrency(
-                paymentData.amount,
-                paymentData.currency,
-                'USD'
-            );
+            // Subscription charges cannot wait for a reviewer; they go ahead flagged for review
+            if (!options.review && fraudCheck.recommendation === 'review' && paymentData.type !== 'subscription') {
+                const review = this.fraudEngine.openReview(paymentData, fraudCheck);
+                return {
+                    success: false,
+                    underReview: true,
+                    reviewId: review.id,
+                    status: 'pending_review',
+                    fraudScore: fraudCheck.risk,
+                    error: 'Payment is being held for manual review'
+                };
+            }
+            
+            // Tax is added on top of the quoted amount
+            const tax = this.calculateTax(paymentData);
+            const amount = roundMoney(paymentData.amount + tax.total, paymentData.currency);
+            
+            // Currency conversion at the current rate, which the transaction keeps
+            const conversion = this.exchangeRates.convert(amount, paymentData.currency, 'USD');
+            if (!conversion.success) {
+                return {
+                    success: false,
+                    error: conversion.error
+                };
+            }
+            const convertedAmount = conversion.amount;
+            tax.convertedTotal = roundMoney(tax.total * conversion.rate, 'USD');
+            tax.refunded = 0;
             
             // Select payment provider
-            const provider = this.selectPaymentProvider(paymentData.region, paymentData.method);
+            const provider = this.selectPaymentProvider(paymentData.region, paymentData.method, paymentData.currency);
+            if (!provider) {
+                return {
+                    success: false,
+                    error: 'No payment provider available for this region and method'
+                };
+            }
+            
+            // Check the journal entries before charging, so money is never taken for a
+            // payment the ledger cannot record
+            const fees = this.calculateFees(amount, provider);
+            try {
+                this.prepareCharge({
+                    id: transactionId,
+                    userId: paymentData.userId,
+                    description: paymentData.description,
+                    provider: provider.name,
+                    convertedAmount,
+                    exchangeRate: { rate: conversion.rate },
+                    fees,
+                    tax
+                });
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `Payment cannot be journaled: ${error.message}`
+                };
+            }
             
             // Process payment with provider
             const providerResponse = await this.processWithProvider(provider, {
                 ...paymentData,
+                amount,
                 transactionId,
                 convertedAmount
             });
             
-            if (!providerResponse.success) {
+            if (!providerResponse.success && providerResponse.status !== 'requires_action') {
+                if (!providerResponse.timedOut) {
+                    this.fraudEngine.recordFailure(paymentData, providerResponse.declineCode || 'declined');
+                }
                 return {
                     success: false,
                     error: providerResponse.error,
+                    declineCode: providerResponse.declineCode,
+                    timedOut: providerResponse.timedOut,
                     transactionId
                 };
             }
@@ -209,36 +348,77 @@ class PaymentService {
             const transaction = {
                 id: transactionId,
                 userId: paymentData.userId,
-                amount: paymentData.amount,
+                amount,
                 currency: paymentData.currency,
                 convertedAmount,
+                exchangeRate: {
+                    from: paymentData.currency,
+                    to: 'USD',
+                    rate: conversion.rate,
+                    effectiveAt: conversion.effectiveAt || null,
+                    source: conversion.source || null
+                },
                 method: paymentData.method,
+                region: paymentData.region || null,
+                billingDetails: paymentData.billingDetails || null,
+                ipAddress: paymentData.ipAddress || null,
+                cardFingerprint: paymentData.cardFingerprint || paymentData.paymentToken || null,
                 provider: provider.name,
-                status: 'completed',
+                status: providerResponse.status === 'succeeded' ? 'completed' : providerResponse.status,
                 type: paymentData.type || 'one_time',
                 description: paymentData.description,
                 metadata: paymentData.metadata || {},
                 createdAt: new Date().toISOString(),
-                completedAt: new Date().toISOString(),
-                providerTransactionId: providerResponse.transactionId,
-                fees: this.calculateFees(paymentData.amount, provider)
+                completedAt: null,
+                providerTransactionId: providerResponse.chargeId,
+                fees,
+                tax,
+                fraud: {
+                    risk: fraudCheck.risk,
+                    factors: fraudCheck.factors,
+                    recommendation: fraudCheck.recommendation,
+                    reviewId: fraudCheck.reviewId || null
+                },
+                invoiceId: null
             };
             
             this.transactions.set(transactionId, transaction);
             
-            // Update revenue metrics
-            this.updateRevenueMetrics(transaction);
+            // The customer must finish 3-D Secure; a provider webhook completes the payment
+            if (transaction.status === 'requires_action') {
+                return {
+                    success: false,
+                    requiresAction: true,
+                    transactionId,
+                    status: transaction.status,
+                    nextAction: providerResponse.nextAction,
+                    error: providerResponse.error
+                };
+            }
             
-            // Send confirmation
-            await this.sendPaymentConfirmation(transaction);
+            // Authorized only; capturePayment completes it
+            if (transaction.status === 'authorized') {
+                return {
+                    success: true,
+                    transactionId,
+                    amount,
+                    currency: paymentData.currency,
+                    tax: this.summarizeTax(tax),
+                    status: 'authorized'
+                };
+            }
+            
+            const entitlement = await this.completeTransaction(transaction);
             
             return {
                 success: true,
                 transactionId,
-                amount: paymentData.amount,
+                amount,
                 currency: paymentData.currency,
+                tax: this.summarizeTax(tax),
                 status: 'completed',
-                receipt: this.generateReceipt(transaction)
+                receipt: this.generateReceipt(transaction),
+                licenseKey: entitlement?.licenseKey
             };
             
         } catch (error) {
@@ -250,6 +430,159 @@ class PaymentService {
         }
     }
 
+    /**
+     * Record a settled payment: grant app access, count revenue and confirm
+     */
+    async completeTransaction(transaction) {
+        // Journal first: if the charge cannot be posted the transaction is not completed
+        this.postCharge(transaction);
+        transaction.status = 'completed';
+        transaction.completedAt = new Date().toISOString();
+        
+        // One-off app purchases grant access when they cover the app's price (in USD, before tax);
+        // subscription charges are covered by the subscription
+        const app = transaction.metadata.appId && this.findApp(transaction.metadata.appId);
+        let entitlement = null;
+        if (transaction.metadata.appId && transaction.type !== 'subscription') {
+            if (app && this.getNetRevenue(transaction) >= roundMoney(app.price || 0, 'USD')) {
+                entitlement = this.entitlements.grant({
+                    userId: transaction.userId,
+                    appId: transaction.metadata.appId,
+                    sourceType: 'payment',
+                    sourceId: transaction.id
+                });
+            } else {
+                transaction.entitlementRefused = app ? 'Amount paid does not cover the app price' : 'App not found';
+            }
+        }
+        
+        // Update revenue metrics
+        this.updateRevenueMetrics(transaction);
+        
+        // Sales of an app pay its developer (and any collaborators) their share
+        if (transaction.metadata.appId && this.partnerships) {
+            transaction.revenueShareIds = this.partnerships.attributeSale({
+                appId: transaction.metadata.appId,
+                transactionId: transaction.id,
+                revenue: this.getNetRevenue(transaction)
+            }).map(share => share.shareId);
+        }
+        
+        transaction.invoiceId = this.invoices.issueInvoice(transaction).id;
+        
+        // Send confirmation
+        await this.sendPaymentConfirmation(transaction);
+        
+        this.webhooks?.publish('payment.completed', {
+            transactionId: transaction.id,
+            type: transaction.type,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            appId: transaction.metadata.appId || null,
+            subscriptionId: transaction.metadata.subscriptionId || null,
+            invoiceId: transaction.invoiceId,
+            completedAt: transaction.completedAt
+        }, [transaction.userId, ...(app ? getAppDeveloperIds(app) : [])]);
+        
+        return entitlement;
+    }
+
+    /**
+     * Capture an authorized payment (charged with `capture: false`)
+     */
+    async capturePayment(transactionId, amount = null) {
+        const transaction = this.transactions.get(transactionId);
+        if (!transaction) {
+            return { success: false, error: 'Transaction not found' };
+        }
+if (transaction.status !== 'authorized') {
+            return { success: false, error: 'Transaction is not awaiting capture' };
+        }
+        
+        if (amount !== null) {
+            amount = roundMoney(Number(amount), transaction.currency);
+            if (!Number.isFinite(amount) || amount <= 0 || amount > transaction.amount) {
+                return {
+                    success: false,
+                    error: `amount must be greater than 0 and at most the authorized ${transaction.amount} ${transaction.currency}`
+                };
+            }
+        }
+        
+        const adapter = this.providerAdapters.get(transaction.provider);
+        const result = await adapter.capture(transaction.providerTransactionId, amount);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+        
+        if (amount !== null && amount !== transaction.amount) {
+            // Captures convert at the rate recorded when the payment was authorized
+            const { rate } = transaction.exchangeRate;
+            const tax = prorateTax(transaction.tax, amount / transaction.amount, transaction.currency);
+            transaction.tax = { ...tax, convertedTotal: roundMoney(tax.total * rate, 'USD'), refunded: 0 };
+            transaction.convertedAmount = roundMoney(amount * rate, 'USD');
+            transaction.amount = amount;
+            transaction.fees = this.calculateFees(amount, { name: transaction.provider });
+        }
+        const entitlement = await this.completeTransaction(transaction);
+        
+        return {
+            success: true,
+            transactionId,
+            amount: transaction.amount,
+            status: 'completed',
+            licenseKey: entitlement?.licenseKey
+        };
+    }
+
+    /**
+     * Apply a provider webhook, e.g. the result of a 3-D Secure challenge
+     */
+    async handleProviderWebhook(providerName, rawBody, headers) {
+        const adapter = this.providerAdapters.get(providerName);
+        if (!adapter) {
+            return { success: false, error: 'Unknown payment provider' };
+        }
+        
+        let event;
+        try {
+            event = adapter.parseWebhook(rawBody, headers);
+        } catch (error) {
+            return { success: false, error: error.message, invalidSignature: true };
+        }
+        
+        const transaction = Array.from(this.transactions.values()).find(txn =>
+            txn.provider === providerName && txn.providerTransactionId === event.chargeId
+        );
+        if (!transaction) {
+            return { success: true, event: event.type, ignored: true };
+        }
+        
+        if (PENDING_TRANSACTION_STATUSES.includes(transaction.status)) {
+            if (event.type === 'charge.succeeded') {
+                await this.completeTransaction(transaction);
+            } else if (event.type === 'charge.authorized') {
+                transaction.status = 'authorized';
+            } else if (event.type === 'charge.failed') {
+                transaction.status = 'failed';
+                transaction.failureReason = event.data.declineCode || event.data.error || 'failed';
+            }
+        } else if (event.type === 'charge.disputed') {
+            const chargeback = await this.processChargeback(transaction.id, {
+                amount: event.data.amount || null,
+                reason: event.data.reason || ''
+            });
+            return { success: true, event: event.type, transactionId: transaction.id, status: transaction.status, chargeback };
+        }
+        
+        return {
+            success: true,
+            event: event.type,
+            transactionId: transaction.id,
+            status: transaction.status
+        };
+    }
+
     /**
      * Create subscription
      */
@@ -265,15 +598,39 @@ class PaymentService {
                 };
             }
             
+            // Subscriptions only grant access to apps that list the plan in their `subscriptionPlans`
+            if (subscriptionData.appId) {
+                const app = this.findApp(subscriptionData.appId);
+                if (!app) {
+                    return {
+                        success: false,
+                        error: 'App not found'
+                    };
+                }
+                if (!(app.subscriptionPlans || []).includes(plan.id)) {
+                    return {
+                        success: false,
+                        error: `${plan.name} does not include this app`
+                    };
+                }
+            }
+            
+            // Trials are billed when they end; otherwise charge the first period now
+            const trialDays = Math.min(Math.max(Number(subscriptionData.trialDays) || 0, 0), this.maxTrialDays);
+            const trialEnd = trialDays > 0 && plan.price > 0 ?
+                new Date(Date.now() + trialDays * 24 * 60 * 60 * 1000).toISOString() :
+                null;
+            
             // Process initial payment if not free plan
             let initialPayment = null;
-            if (plan.price > 0) {
+            if (plan.price > 0 && !trialEnd) {
                 initialPayment = await this.processPayment({
                     ...subscriptionData,
                     amount: plan.price,
                     currency: plan.currency,
                     type: 'subscription',
-                    description: `${plan.name} - Initial Payment`
+                    description: `${plan.name} - Initial Payment`,
+                    metadata: { ...subscriptionData.metadata, subscriptionId }
                 });
                 
                 if (!initialPayment.success) {
@@ -282,25 +639,37 @@ class PaymentService {
             }
             
             // Create subscription record
+            const periodEnd = trialEnd || this.calculatePeriodEnd(plan.interval);
             const subscription = {
                 id: subscriptionId,
                 userId: subscriptionData.userId,
                 planId: subscriptionData.planId,
-                status: 'active',
+                appId: subscriptionData.appId || null,
+                status: trialEnd ? 'trialing' : 'active',
                 currentPeriodStart: new Date().toISOString(),
-                currentPeriodEnd: this.calculatePeriodEnd(plan.interval),
+                currentPeriodEnd: periodEnd,
                 cancelAtPeriodEnd: false,
                 createdAt: new Date().toISOString(),
-                trialEnd: subscriptionData.trialDays ? 
-                    new Date(Date.now() + subscriptionData.trialDays * 24 * 60 * 60 * 1000).toISOString() : null,
+                trialEnd,
                 
                 billing: {
                     amount: plan.price,
                     currency: plan.currency,
                     interval: plan.interval,
-                    nextBillingDate: this.calculateNextBillingDate(plan.interval)
+                    nextBillingDate: periodEnd,
+                    creditBalance: 0,
+                    // Reused for renewals
+                    paymentMethod: {
+                        method: subscriptionData.method,
+                        region: subscriptionData.region,
+                        paymentToken: subscriptionData.paymentToken,
+                        billingDetails: subscriptionData.billingDetails
+                    }
                 },
                 
+                dunning: null,
+                history: [],
+                
                 usage: {
                     aiGenerations: 0,
                     apps: 0,
@@ -314,18 +683,27 @@ class PaymentService {
             
             this.subscriptions.set(subscriptionId, subscription);
             
-            // Update MRR
-            if (plan.price > 0) {
-                this.revenueMetrics.monthlyRecurringRevenue += plan.price;
-            }
+            const entitlement = subscription.appId ?
+                this.entitlements.grant({
+                    userId: subscription.userId,
+                    appId: subscription.appId,
+                    sourceType: 'subscription',
+                    sourceId: subscriptionId,
+                    expiresAt: subscription.currentPeriodEnd
+                }) :
+                null;
+            
+            this.recalculateMrr();
             
             return {
                 success: true,
                 subscriptionId,
                 plan: plan.name,
-                status: 'active',
+                status: subscription.status,
+                trialEnd,
                 nextBillingDate: subscription.billing.nextBillingDate,
-                initialPayment
+                initialPayment,
+                licenseKey: entitlement?.licenseKey
             };
             
         } catch (error) {
@@ -337,6 +715,41 @@ class PaymentService {
         }
     }
 
+    /**
+     * Run a billing cycle now (the scheduler calls this on an interval)
+     */
+    async runBillingCycle(now = new Date()) {
+        return this.billingEngine.runCycle(now);
+    }
+
+    /**
+     * Start renewing subscriptions in the background
+     */
+    startBillingScheduler(intervalMs = 60 * 60 * 1000) {
+        this.billingEngine.start(intervalMs);
+    }
+
+    /**
+     * Upgrade or downgrade a subscription with prorated charges or credit
+     */
+    async changeSubscriptionPlan(subscriptionId, planId) {
+        return this.billingEngine.changePlan(subscriptionId, planId);
+    }
+
+    /**
+     * MRR from paying subscriptions (past-due ones are still expected to pay)
+     */
+    recalculateMrr() {
+        const monthlyAmount = subscription =>
+            subscription.billing.interval === 'year' ? subscription.billing.amount / 12 : subscription.billing.amount;
+        
+        this.revenueMetrics.monthlyRecurringRevenue = Array.from(this.subscriptions.values())
+            .filter(subscription => subscription.status === 'active' || subscription.status === 'past_due')
+            .reduce((sum, subscription) => sum + monthlyAmount(subscription), 0);
+        
+        return this.revenueMetrics.monthlyRecurringRevenue;
+    }
+
     /**
      * Cancel subscription
      */
@@ -353,16 +766,13 @@ class PaymentService {
             subscription.status = 'cancelled';
             subscription.cancelledAt = new Date().toISOString();
             subscription.currentPeriodEnd = new Date().toISOString();
+            this.entitlements.revokeBySource('subscription', subscriptionId, 'subscription_cancelled');
         } else {
             subscription.cancelAtPeriodEnd = true;
             subscription.cancelRequestedAt = new Date().toISOString();
         }
         
-        // Update MRR
-        const plan = this.subscriptionPlans.get(subscription.planId);
-        if (plan && immediate) {
-            this.revenueMetrics.monthlyRecurringRevenue -= plan.price;
-        }
+        this.recalculateMrr();
         
         // Send cancellation confirmation
         await this.sendCancellationConfirmation(subscription, immediate);
@@ -395,17 +805,38 @@ class PaymentService {
             };
         }
         
-        const refundAmount = amount || transaction.amount;
-        if (refundAmount > transaction.amount) {
+        if (transaction.status !== 'completed' && transaction.status !== 'partially_refunded') {
+            return {
+                success: false,
+                error: 'Only completed transactions can be refunded'
+            };
+        }
+        
+        const refundable = roundMoney(transaction.amount - (transaction.refundedAmount || 0), transaction.currency);
+        const refundAmount = amount || refundable;
+        if (refundAmount > refundable) {
             return {
                 success: false,
-                error: 'Refund amount cannot exceed original transaction amount'
+                error: 'Refund amount cannot exceed the unrefunded amount'
+            };
+        }
+        
+        const refundId = `ref_${Date.now()}_${transactionId}`;
+        const refundTax = this.invoices.getCreditTax(transaction, refundAmount);
+        
+        // Check the journal entry before any money moves, so an entry that cannot
+        // be posted never leaves a provider refund unrecorded
+        let reversal;
+        try {
+            reversal = this.prepareReversal('refund', ACCOUNTS.refunds, transaction, refundAmount, refundTax.total, { refundId });
+        } catch (error) {
+            return {
+                success: false,
+                error: `Refund cannot be journaled: ${error.message}`
             };
         }
         
         try {
-            const refundId = `ref_${Date.now()}_${transactionId}`;
-            
             // Process refund with payment provider
             const providerRefund = await this.processRefundWithProvider(
                 transaction.provider,
@@ -421,11 +852,16 @@ class PaymentService {
             }
             
             // Update transaction
-            transaction.status = refundAmount === transaction.amount ? 'refunded' : 'partially_refunded';
-            transaction.refundedAmount = (transaction.refundedAmount || 0) + refundAmount;
+            transaction.refundedAmount = roundMoney((transaction.refundedAmount || 0) + refundAmount, transaction.currency);
+            transaction.status = transaction.refundedAmount >= transaction.amount ? 'refunded' : 'partially_refunded';
             transaction.refundedAt = new Date().toISOString();
             transaction.refundReason = reason;
             
+            // Only a full refund (in one go or across several) takes app access away
+            if (transaction.status === 'refunded') {
+                this.entitlements.revokeBySource('payment', transactionId, 'refunded');
+            }
+            
             // Create refund record
             const refund = {
                 id: refundId,
@@ -438,8 +874,16 @@ class PaymentService {
                 providerRefundId: providerRefund.refundId
             };
             
-            // Update revenue metrics
-            this.revenueMetrics.totalRevenue -= refundAmount;
+            const creditNote = this.invoices.issueCreditNote(transaction, refund);
+            transaction.tax.refunded = roundMoney(transaction.tax.refunded + creditNote.tax.total, transaction.currency);
+            this.ledger.commit(reversal);
+            this.partnerships?.reverseSale(transactionId, refundAmount / transaction.amount, 'refund');
+            
+            // Update revenue metrics (net of refunded tax, at the payment's rate)
+            this.revenueMetrics.totalRevenue = roundMoney(
+                this.revenueMetrics.totalRevenue - (refundAmount - creditNote.tax.total) * transaction.exchangeRate.rate,
+                'USD'
+            );
             
             // Send refund confirmation
             await this.sendRefundConfirmation(transaction, refund);
@@ -449,7 +893,9 @@ class PaymentService {
                 refundId,
                 amount: refundAmount,
                 currency: transaction.currency,
-                status: 'completed'
+                status: 'completed',
+                creditNoteId: creditNote.id,
+                creditNoteNumber: creditNote.number
             };
             
         } catch (error) {
@@ -461,6 +907,79 @@ class PaymentService {
         }
     }
 
+    /**
+     * Record a chargeback: the provider has pulled disputed funds back and charged a dispute fee
+     */
+    async processChargeback(transactionId, { amount = null, reason = '', fee = this.chargebackFee } = {}) {
+        const transaction = this.transactions.get(transactionId);
+        if (!transaction) {
+            return {
+                success: false,
+                error: 'Transaction not found'
+            };
+        }
+        
+        if (transaction.status !== 'completed' && transaction.status !== 'partially_refunded') {
+            return {
+                success: false,
+                error: 'Only completed transactions can be charged back'
+            };
+        }
+        
+        const disputable = roundMoney(transaction.amount - (transaction.refundedAmount || 0), transaction.currency);
+        const chargebackAmount = amount || disputable;
+        if (chargebackAmount > disputable) {
+            return {
+                success: false,
+                error: 'Chargeback amount cannot exceed the unrefunded amount'
+            };
+        }
+        
+        const chargebackId = `cb_${Date.now()}_${transactionId}`;
+        const tax = prorateTax(transaction.tax, chargebackAmount / transaction.amount, transaction.currency);
+        
+        transaction.status = 'charged_back';
+        transaction.chargeback = {
+            id: chargebackId,
+            amount: chargebackAmount,
+            currency: transaction.currency,
+            fee,
+            reason,
+            createdAt: new Date().toISOString()
+        };
+        transaction.tax.refunded = roundMoney(transaction.tax.refunded + tax.total, transaction.currency);
+        
+        // Disputed purchases lose app access
+        this.entitlements.revokeBySource('payment', transactionId, 'charged_back');
+        
+        this.postReversal('chargeback', ACCOUNTS.chargebacks, transaction, chargebackAmount, tax.total, { chargebackId });
+        this.partnerships?.reverseSale(transactionId, chargebackAmount / transaction.amount, 'chargeback');
+        this.ledger.post({
+            type: 'chargeback_fee',
+            description: `Chargeback fee for ${transactionId}`,
+            reference: { transactionId, chargebackId },
+            lines: [
+                { account: ACCOUNTS.chargebackFees, debit: fee },
+                { account: ACCOUNTS.cash, credit: fee }
+            ]
+        });
+        
+        this.revenueMetrics.totalRevenue = roundMoney(
+            this.revenueMetrics.totalRevenue - (chargebackAmount - tax.total) * transaction.exchangeRate.rate,
+            'USD'
+        );
+        
+        return {
+            success: true,
+            chargebackId,
+            transactionId,
+            amount: chargebackAmount,
+            currency: transaction.currency,
+            fee,
+            status: transaction.status
+        };
+    }
+
     /**
      * Get payment analytics
      */
@@ -474,10 +993,17 @@ class PaymentService {
             txn => new Date(txn.createdAt) >= startDate
         );
         
+        // Pending and failed payments count toward the success rate but not revenue
+        const settledTransactions = filteredTransactions.filter(
+            txn => !PENDING_TRANSACTION_STATUSES.includes(txn.status) && txn.status !== 'failed'
+        );
+        
         // Calculate metrics
-        const totalRevenue = filteredTransactions.reduce((sum, txn) => sum + txn.convertedAmount, 0);
+        const totalRevenue = settledTransactions.reduce((sum, txn) => roundMoney(sum + this.getNetRevenue(txn), 'USD'), 0);
         const totalTransactions = filteredTransactions.length;
-        const averageTransactionValue = totalTransactions > 0 ? totalRevenue / totalTransactions : 0;
+        const averageTransactionValue = settledTransactions.length > 0 ?
+            roundMoney(totalRevenue / settledTransactions.length, 'USD') :
+            0;
         
         // Success rate
         const successfulTransactions = filteredTransactions.filter(txn => txn.status === 'completed').length;
@@ -485,14 +1011,17 @@ class PaymentService {
         
         // Revenue by currency
         const revenueByCurrency = {};
-        filteredTransactions.forEach(txn => {
-            revenueByCurrency[txn.currency] = (revenueByCurrency[txn.currency] || 0) + txn.amount;
+        settledTransactions.forEach(txn => {
+            revenueByCurrency[txn.currency] = roundMoney(
+                (revenueByCurrency[txn.currency] || 0) + txn.amount - (txn.tax?.total || 0),
+                txn.currency
+            );
         });
         
         // Revenue by payment method
         const revenueByMethod = {};
-        filteredTransactions.forEach(txn => {
-            revenueByMethod[txn.method] = (revenueByMethod[txn.method] || 0) + txn.convertedAmount;
+        settledTransactions.forEach(txn => {
+            revenueByMethod[txn.method] = roundMoney((revenueByMethod[txn.method] || 0) + this.getNetRevenue(txn), 'USD');
         });
         
         // Subscription metrics
@@ -519,98 +1048,156 @@ class PaymentService {
             },
             
             trends: {
-                dailyRevenue: this.calculateDailyRevenue(filteredTransactions),
+                dailyRevenue: this.calculateDailyRevenue(settledTransactions),
                 subscriptionGrowth: this.calculateSubscriptionGrowth(subscriptions),
                 paymentMethodTrends: this.calculatePaymentMethodTrends(filteredTransactions)
             },
             
+            tax: this.calculateTaxCollected(settledTransactions),
+            
             insights: this.generatePaymentInsights(filteredTransactions, subscriptions)
         };
     }
 
     /**
-     * Check for fraud
+     * Tax due on a payment, from the buyer's billing details (or payment region)
      */
-    async checkFraud(paymentData) {
-        let riskScore = 0;
-        const factors = [];
-        
-        // High amount transactions
-        if (paymentData.amount > 1000) {
-            riskScore += 0.2;
-            factors.push('high_amount');
-        }
-        
-        // Blocked countries
-        if (this.fraudDetection.blockedCountries.includes(paymentData.country)) {
-            riskScore += 0.8;
-            factors.push('blocked_country');
-        }
-        
-        // Multiple failed attempts (simulated)
-        if (Math.random() < 0.1) {
-            riskScore += 0.3;
-            factors.push('multiple_failures');
-        }
-        
-        // Velocity check (simulated)
-        if (Math.random() < 0.05) {
-            riskScore += 0.4;
-            factors.push('high_velocity');
-        }
-        
+    calculateTax(paymentData) {
+        const details = paymentData.billingDetails || {};
+        return this.taxEngine.calculate({
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            country: details.country || paymentData.region,
+            state: details.state,
+            taxId: details.taxId
+        });
+    }
+
+    /**
+     * Tax breakdown for payment responses and receipts
+     */
+    summarizeTax(tax) {
         return {
-            risk: Math.min(1.0, riskScore),
-            factors,
-            recommendation: riskScore > 0.7 ? 'block' : riskScore > 0.4 ? 'review' : 'approve'
+            jurisdiction: tax.jurisdiction,
+            regime: tax.regime,
+            subtotal: tax.subtotal,
+            lines: tax.lines,
+            total: tax.total,
+            reverseCharge: tax.reverseCharge,
+            note: tax.note
         };
     }
 
     /**
-     * Convert currency
+     * Revenue in USD excluding the tax collected for authorities
      */
-    async convertCurrency(amount, fromCurrency, toCurrency) {
-        if (fromCurrency === toCurrency) return amount;
+    getNetRevenue(transaction) {
+        return roundMoney(transaction.convertedAmount - (transaction.tax?.convertedTotal || 0), 'USD');
+    }
+
+    /**
+     * Tax collected in USD, net of refunds, by jurisdiction and tax type
+     */
+    calculateTaxCollected(transactions) {
+        const summary = {
+            currency: 'USD',
+            collected: 0,
+            refunded: 0,
+            net: 0,
+            byJurisdiction: {},
+            byType: {},
+            reverseChargeTransactions: 0
+        };
         
-        const fromRate = this.currencies.get(fromCurrency)?.rate || 1;
-        const toRate = this.currencies.get(toCurrency)?.rate || 1;
+        transactions.forEach(txn => {
+            if (!txn.tax) {
+                return;
+            }
+            if (txn.tax.reverseCharge) {
+                summary.reverseChargeTransactions++;
+            }
+            if (!txn.tax.total) {
+                return;
+            }
+            
+            // USD per unit of the transaction currency at the time of payment
+            const { rate } = txn.exchangeRate;
+            const keptShare = 1 - txn.tax.refunded / txn.tax.total;
+            
+            summary.collected += txn.tax.convertedTotal;
+            summary.refunded += txn.tax.refunded * rate;
+            summary.byJurisdiction[txn.tax.jurisdiction] =
+                (summary.byJurisdiction[txn.tax.jurisdiction] || 0) + txn.tax.convertedTotal * keptShare;
+            txn.tax.lines.forEach(line => {
+                summary.byType[line.type] = (summary.byType[line.type] || 0) + line.amount * rate * keptShare;
+            });
+        });
         
-        // Convert to USD first, then to target currency
-        const usdAmount = amount / fromRate;
-        return usdAmount * toRate;
+        summary.collected = roundMoney(summary.collected, 'USD');
+        summary.refunded = roundMoney(summary.refunded, 'USD');
+        summary.net = roundMoney(summary.collected - summary.refunded, 'USD');
+        [summary.byJurisdiction, summary.byType].forEach(totals => {
+            Object.keys(totals).forEach(key => {
+                totals[key] = roundMoney(totals[key], 'USD');
+            });
+        });
+        
+        return summary;
     }
 
     /**
-     * Select payment provider based on region and method
+     * Check for fraud
      */
-    selectPaymentProvider(region, method) {
-        // Simplified provider selection logic
-        if (region === 'IN') {
-            return { name: 'razorpay', enabled: true };
-        } else if (region === 'CN') {
-            return { name: 'alipay', enabled: true };
-        } else {
-            return { name: 'stripe', enabled: true };
+    async checkFraud(paymentData) {
+        if (!this.fraudDetection.enabled) {
+            return { risk: 0, factors: [], triggered: [], recommendation: 'approve' };
+        }
+        return this.fraudEngine.score(paymentData);
+    }
+
+    /**
+     * Convert currency at the rate in effect at `at`, rounded to the target currency's minor unit
+     */
+    async convertCurrency(amount, fromCurrency, toCurrency, at = new Date()) {
+        const conversion = this.exchangeRates.convert(amount, fromCurrency, toCurrency, at);
+        if (!conversion.success) {
+            throw new Error(conversion.error);
         }
+        return conversion.amount;
     }
 
     /**
-     * Process payment with provider (simulated)
+     * Select payment provider from the routing rules for a region, method and currency
+     */
+    selectPaymentProvider(region, method, currency) {
+        const name = routePayment(
+            this.routingRules,
+            { region, method, currency },
+            provider => Boolean(this.providers[provider]?.enabled && this.providerAdapters.has(provider))
+        );
+        
+        return name ? { name, enabled: true } : null;
+    }
+
+    /**
+     * Charge through the provider's adapter, giving up after `providerTimeoutMs`
      */
     async processWithProvider(provider, paymentData) {
-        // Simulate payment processing
-        const success = Math.random() > 0.05; // 95% success rate
+        const adapter = this.providerAdapters.get(provider.name);
+        let timer;
         
-        if (success) {
-            return {
-                success: true,
-                transactionId: `${provider.name}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-            };
-        } else {
-            return {
-                success: false,
-                error: 'Payment declined by provider'
-            };
+        try {
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new ProviderTimeoutError(provider.name)), this.providerTimeoutMs);
+            });
+            return await Promise.race([adapter.charge(paymentData), timeout]);
+        } catch (error) {
+            if (error instanceof ProviderTimeoutError) {
+                return { success: false, status: 'timeout', error: error.message, timedOut: true };
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
         }
     }
 
@@ -623,9 +1210,10 @@ class PaymentService {
             razorpay: 0.025, // 2.5%
             paypal: 0.034, // 3.4%
             alipay: 0.022, // 2.2%
+            sandbox: 0
         };
         
-        const rate = feeRates[provider.name] || 0.03;
+        const rate = feeRates[provider.name] ?? 0.03;
         return {
             rate,
             amount: amount * rate,
@@ -637,19 +1225,87 @@ class PaymentService {
      * Update revenue metrics
      */
     updateRevenueMetrics(transaction) {
-        this.revenueMetrics.totalRevenue += transaction.convertedAmount;
+        this.revenueMetrics.totalRevenue = roundMoney(this.revenueMetrics.totalRevenue + this.getNetRevenue(transaction), 'USD');
         
         // Update regional revenue
         const region = transaction.metadata?.region || 'unknown';
         const currentRegionalRevenue = this.revenueMetrics.revenueByRegion.get(region) || 0;
-        this.revenueMetrics.revenueByRegion.set(region, currentRegionalRevenue + transaction.convertedAmount);
+        this.revenueMetrics.revenueByRegion.set(region, roundMoney(currentRegionalRevenue + this.getNetRevenue(transaction), 'USD'));
+    }
+
+    /**
+     * Journal a settled charge in USD: cash in, revenue and tax payable out, then the provider fee
+     */
+    postCharge(transaction) {
+        return this.prepareCharge(transaction).map(entry => this.ledger.commit(entry));
+    }
+
+    /**
+     * Build and check the entries for `postCharge` without posting them
+     */
+    prepareCharge(transaction) {
+        const reference = { transactionId: transaction.id, userId: transaction.userId };
+        const taxTotal = transaction.tax?.convertedTotal || 0;
+        
+        const charge = this.ledger.prepare({
+            type: 'charge',
+            description: transaction.description || `Payment ${transaction.id}`,
+            reference,
+            lines: [
+                { account: ACCOUNTS.cash, debit: transaction.convertedAmount },
+                { account: ACCOUNTS.sales, credit: this.getNetRevenue(transaction) },
+                { account: ACCOUNTS.taxPayable, credit: taxTotal }
+            ]
+        });
+        
+        // Fees are calculated on the charged amount, so they convert at the payment's rate
+        const feeAmount = roundMoney((transaction.fees?.amount || 0) * transaction.exchangeRate.rate, 'USD');
+        const fee = this.ledger.prepare({
+            type: 'provider_fee',
+            description: `${transaction.provider} processing fee`,
+            reference,
+            lines: [
+                { account: ACCOUNTS.processingFees, debit: feeAmount },
+                { account: ACCOUNTS.cash, credit: feeAmount }
+            ]
+        });
+        
+        return [charge, fee];
+    }
+
+    /**
+     * Journal money returned to the customer (refund or chargeback) at the payment's rate,
+     * splitting the tax part back out of tax payable
+     */
+    postReversal(...args) {
+        return this.ledger.commit(this.prepareReversal(...args));
+    }
+
+    /**
+     * Build and check a reversal entry for `postReversal` without posting it
+     */
+    prepareReversal(type, account, transaction, amount, taxAmount, reference) {
+        const { rate } = transaction.exchangeRate;
+        const total = roundMoney(amount * rate, 'USD');
+        const tax = roundMoney(taxAmount * rate, 'USD');
+        
+        return this.ledger.prepare({
+            type,
+            description: `${type === 'refund' ? 'Refund' : 'Chargeback'} of ${transaction.id}`,
+            reference: { transactionId: transaction.id, userId: transaction.userId, ...reference },
+            lines: [
+                { account, debit: roundMoney(total - tax, 'USD') },
+                { account: ACCOUNTS.taxPayable, debit: tax },
+                { account: ACCOUNTS.cash, credit: total }
+            ]
+        });
     }
 
     /**
      * Calculate period end
      */
-    calculatePeriodEnd(interval) {
-        const now = new Date();
+    calculatePeriodEnd(interval, from = new Date()) {
+        const now = from;
         switch (interval) {
             case 'month':
                 return new Date(now.getFullYear(), now.getMonth() + 1, now.getDate()).toISOString();
@@ -671,18 +1327,32 @@ class PaymentService {
      * Generate receipt
      */
     generateReceipt(transaction) {
+        const invoice = this.invoices.getDocument(transaction.invoiceId);
+        
         return {
             receiptId: `receipt_${transaction.id}`,
+            receiptNumber: invoice?.receiptNumber,
+            invoiceId: invoice?.id,
+            invoiceNumber: invoice?.number,
             transactionId: transaction.id,
             amount: transaction.amount,
             currency: transaction.currency,
+            tax: transaction.tax ? this.summarizeTax(transaction.tax) : null,
             method: transaction.method,
             date: transaction.completedAt,
             description: transaction.description,
-            downloadUrl: `https://receipts.rapidai.com/${transaction.id}.pdf`
+            downloadUrl: invoice ? `/api/payment/invoices/${invoice.id}/pdf?as=receipt` : null
         };
     }
 
+    /**
+     * Send failed renewal notice (simulated)
+     */
+    async sendDunningNotice(subscription) {
+        console.log(`Payment failed notice sent for subscription ${subscription.id} (attempt ${subscription.dunning.failedAttempts})`);
+        return true;
+    }
+
     /**
      * Send payment confirmation (simulated)
      */
@@ -708,14 +1378,18 @@ class PaymentService {
     }
 
     /**
-     * Process refund with provider (simulated)
+     * Refund through the provider's adapter
      */
     async processRefundWithProvider(provider, providerTransactionId, amount) {
-        // Simulate refund processing
-        return {
-            success: true,
-            refundId: `${provider}_ref_${Date.now()}`
-        };
+        const adapter = this.providerAdapters.get(provider);
+        if (!adapter) {
+            return {
+                success: false,
+                error: `Payment provider ${provider} is not configured`
+            };
+        }
+        
+        return adapter.refund(providerTransactionId, amount);
     }
 
     /**
@@ -772,7 +1446,7 @@ class PaymentService {
         
         transactions.forEach(txn => {
             const date = txn.createdAt.split('T')[0];
-            dailyRevenue[date] = (dailyRevenue[date] || 0) + txn.convertedAmount;
+            dailyRevenue[date] = roundMoney((dailyRevenue[date] || 0) + this.getNetRevenue(txn), 'USD');
         });
         
         return dailyRevenue;
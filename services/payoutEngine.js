@@ -0,0 +1,516 @@
+/**
+ * Payout Engine - Scheduled partner payout batches
+ * Pays partners the revenue shares that have cleared the refund-risk hold, above a minimum amount,
+ * exports batch files for the bank and tracks each payout through failures and retries
+ */
+
+import { roundMoney } from './exchangeRates.js';
+import { ACCOUNTS, partnerPayableAccount } from './ledger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shares are held for `holdDays` (the refund window) and partners are paid once they are
+ * owed `minimumAmount` USD. Failed payouts can be retried until `maxAttempts` is reached.
+ */
+export const DEFAULT_PAYOUT_POLICY = {
+    minimumAmount: 50,
+    holdDays: 14,
+    maxAttempts: 3
+};
+
+// Payment details each payout method needs
+export const PAYOUT_METHODS = {
+    bank_transfer: ['accountName', 'routingNumber', 'accountNumber'],
+    paypal: ['email']
+};
+
+export const PAYOUT_FORMATS = ['csv', 'nacha'];
+
+// Payouts that hold shares but have not been paid yet
+const OPEN_PAYOUT_STATUSES = ['pending', 'processing', 'failed'];
+
+const csvField = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// NACHA fields: alphanumerics are left-justified and space-padded, numbers right-justified and zero-padded
+const alpha = (value, length) => String(value || '').toUpperCase().slice(0, length).padEnd(length, ' ');
+const numeric = (value, length) => String(value).replace(/\D/g, '').slice(-length).padStart(length, '0');
+
+const yymmdd = date => date.toISOString().slice(2, 10).replace(/-/g, '');
+
+class PayoutEngine {
+    constructor(partnerships, options = {}) {
+        // PartnershipService providing partners, revenue shares and the ledger
+        this.partnerships = partnerships;
+
+        this.policy = {
+            minimumAmount: options.minimumAmount ??
+                (parseFloat(process.env.PAYOUT_MINIMUM_USD) || DEFAULT_PAYOUT_POLICY.minimumAmount),
+            holdDays: options.holdDays ??
+                (parseFloat(process.env.PAYOUT_HOLD_DAYS) || DEFAULT_PAYOUT_POLICY.holdDays),
+            maxAttempts: options.maxAttempts ??
+                (parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || DEFAULT_PAYOUT_POLICY.maxAttempts)
+        };
+
+        // The platform's bank details for ACH (NACHA) files
+        this.originator = {
+            name: process.env.PAYOUT_COMPANY_NAME || 'Rapid AI Store',
+            companyId: process.env.PAYOUT_COMPANY_ID || '0000000000',
+            routingNumber: process.env.PAYOUT_ORIGIN_ROUTING || '000000000',
+            bankName: process.env.PAYOUT_ORIGIN_BANK || 'ORIGIN BANK',
+            ...options.originator
+        };
+
+        this.batches = new Map();
+        this.payouts = new Map();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Create payout batches on an interval
+     */
+    start(intervalMs) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.runCycle().catch(error => console.error('Payout cycle error:', error));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async runCycle(now = new Date()) {
+        if (this.running) {
+            return { success: false, error: 'Payout cycle already running' };
+        }
+        this.running = true;
+        try {
+            return this.createBatch({ now });
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * What a partner can be paid at `now`. Shares younger than the hold period are held back, and
+     * reversals of shares already paid out (`debt`) are recovered from the next payout first.
+     */
+    getPayableBalance(partnerId, now = new Date()) {
+        const releaseBefore = now.getTime() - this.policy.holdDays * DAY_MS;
+        const netShare = share => share.partnerShare - share.reversedShare;
+        const sum = (items, amount) => roundMoney(items.reduce((total, item) => total + amount(item), 0), 'USD');
+
+        const pending = Array.from(this.partnerships.revenueShares.values())
+            .filter(share => share.partnerId === partnerId && share.status === 'pending_payout');
+        const eligible = pending.filter(share => Date.parse(share.createdAt) <= releaseBefore);
+        const inPayout = sum(this.listPayouts({ partnerId })
+            .filter(payout => OPEN_PAYOUT_STATUSES.includes(payout.status) && !payout.released), payout => payout.amount);
+
+        const owed = this.partnerships.ledger.getBalance(partnerPayableAccount(partnerId)).balance;
+        const debt = Math.max(0, roundMoney(sum(pending, netShare) + inPayout - owed, 'USD'));
+        const eligibleTotal = sum(eligible, netShare);
+
+        return {
+            partnerId,
+            currency: 'USD',
+            eligible: eligibleTotal,
+            held: roundMoney(sum(pending, netShare) - eligibleTotal, 'USD'),
+            inPayout,
+            debt,
+            payable: Math.max(0, roundMoney(eligibleTotal - debt, 'USD')),
+            shareIds: eligible.map(share => share.id),
+            minimumAmount: this.policy.minimumAmount
+        };
+    }
+
+    /**
+     * Batch payouts for every partner (or `partnerIds`) whose payable balance meets the minimum,
+     * plus failed payouts queued for retry
+     */
+    createBatch({ now = new Date(), partnerIds = null } = {}) {
+        const batchId = `pbatch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const payouts = [];
+        const skipped = [];
+
+        const partners = (partnerIds || Array.from(this.partnerships.partners.keys()))
+            .map(partnerId => this.partnerships.partners.get(partnerId))
+            .filter(Boolean);
+
+        for (const partner of partners) {
+            const balance = this.getPayableBalance(partner.id, now);
+            if (balance.eligible === 0 && balance.held === 0) {
+                continue;
+            }
+
+            const reason = !partner.paymentInfo.verified ? 'payment_info_unverified' :
+                balance.payable === 0 ? (balance.debt > 0 ? 'recovering_reversals' : 'held') :
+                balance.payable < this.policy.minimumAmount ? 'below_minimum' :
+                null;
+            if (reason) {
+                skipped.push({ partnerId: partner.id, reason, balance });
+                continue;
+            }
+
+            payouts.push(this.createPayout(partner, balance, batchId, now));
+        }
+
+        // Retries join the next batch
+        const retries = Array.from(this.payouts.values())
+            .filter(payout => payout.status === 'pending' && !payout.batchId)
+            .filter(payout => !partnerIds || partnerIds.includes(payout.partnerId));
+        retries.forEach(payout => {
+            payout.batchId = batchId;
+            payouts.push(payout);
+        });
+
+        if (payouts.length === 0) {
+            return { success: true, batch: null, skipped };
+        }
+
+        const batch = {
+            id: batchId,
+            status: 'created',
+            createdAt: now.toISOString(),
+            payoutIds: payouts.map(payout => payout.id),
+            count: payouts.length,
+            total: roundMoney(payouts.reduce((total, payout) => total + payout.amount, 0), 'USD'),
+            currency: 'USD',
+            exports: []
+        };
+        this.batches.set(batchId, batch);
+
+        return { success: true, batch: this.getBatch(batchId), skipped };
+    }
+
+    createPayout(partner, balance, batchId, now) {
+        const payout = {
+            id: `payout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            batchId,
+            partnerId: partner.id,
+            payee: partner.paymentInfo.details?.accountName || partner.company || partner.name,
+            amount: balance.payable,
+            currency: 'USD',
+            method: partner.paymentInfo.method,
+            destination: { ...partner.paymentInfo.details },
+            shareIds: balance.shareIds,
+            recovered: balance.debt,
+            status: 'pending',
+            attempts: 0,
+            released: false,
+            failureReason: null,
+            reference: null,
+            history: [{ status: 'pending', at: now.toISOString() }],
+            createdAt: now.toISOString(),
+            paidAt: null
+        };
+
+        balance.shareIds.forEach(shareId => {
+            const share = this.partnerships.revenueShares.get(shareId);
+            share.status = 'in_payout';
+            share.payoutId = payout.id;
+        });
+
+        this.payouts.set(payout.id, payout);
+        return payout;
+    }
+
+    /**
+     * Payment file for a batch. Exporting hands the included payouts to the bank (`processing`).
+     * NACHA files only carry bank transfers; other payouts stay pending for another export.
+     */
+    exportBatch(batchId, format = 'csv', now = new Date()) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            return { success: false, error: 'Payout batch not found' };
+        }
+        if (!PAYOUT_FORMATS.includes(format)) {
+            return { success: false, error: `Unsupported format. Use one of: ${PAYOUT_FORMATS.join(', ')}` };
+        }
+
+        const payouts = this.getBatchPayouts(batch)
+            .filter(payout => ['pending', 'processing'].includes(payout.status))
+            .filter(payout => format !== 'nacha' || payout.method === 'bank_transfer');
+        if (payouts.length === 0) {
+            return { success: false, error: 'No payouts to export' };
+        }
+
+        payouts.filter(payout => payout.status === 'pending').forEach(payout => {
+            payout.attempts++;
+            this.setStatus(payout, 'processing', now);
+        });
+        batch.status = 'submitted';
+        batch.exports.push({ format, payoutIds: payouts.map(payout => payout.id), exportedAt: now.toISOString() });
+
+        return format === 'nacha' ?
+            {
+                success: true,
+                filename: `${batch.id}.ach`,
+                contentType: 'text/plain',
+                content: this.buildNachaFile(payouts, now)
+            } :
+            {
+                success: true,
+                filename: `${batch.id}.csv`,
+                contentType: 'text/csv',
+                content: this.buildCsvFile(payouts)
+            };
+    }
+
+    buildCsvFile(payouts) {
+        const header = ['payout_id', 'partner_id', 'payee', 'method', 'account_name', 'routing_number',
+            'account_number', 'paypal_email', 'amount', 'currency', 'reference'];
+        const rows = payouts.map(payout => [
+            payout.id,
+            payout.partnerId,
+            payout.payee,
+            payout.method,
+            payout.destination.accountName,
+            payout.destination.routingNumber,
+            payout.destination.accountNumber,
+            payout.destination.email,
+            payout.amount.toFixed(2),
+            payout.currency,
+            payout.batchId
+        ]);
+
+        return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * ACH credit file (NACHA, CCD entries) with one batch of bank transfers
+     */
+    buildNachaFile(payouts, now) {
+        const { originator } = this;
+        const odfi = numeric(originator.routingNumber, 9).slice(0, 8);
+        const batchNumber = numeric(1, 7);
+        const hhmm = now.toISOString().slice(11, 16).replace(':', '');
+
+        const entries = payouts.map((payout, index) => {
+            const routing = numeric(payout.destination.routingNumber, 9);
+            const transactionCode = payout.destination.accountType === 'savings' ? '32' : '22';
+            return {
+                routing,
+                amount: Math.round(payout.amount * 100),
+                record: '6' + transactionCode + routing + alpha(payout.destination.accountNumber, 17) +
+                    numeric(Math.round(payout.amount * 100), 10) + alpha(payout.partnerId, 15) +
+                    alpha(payout.destination.accountName, 22) + '  ' + '0' + odfi + numeric(index + 1, 7)
+            };
+        });
+
+        const entryHash = numeric(entries.reduce((sum, entry) => sum + Number(entry.routing.slice(0, 8)), 0), 10);
+        const totalCredit = numeric(entries.reduce((sum, entry) => sum + entry.amount, 0), 12);
+        const companyId = alpha(originator.companyId, 10);
+
+        const records = [
+            '1' + '01' + ' ' + numeric(originator.routingNumber, 9) + alpha(originator.companyId, 10) +
+                yymmdd(now) + hhmm + 'A' + '094' + '10' + '1' + alpha(originator.bankName, 23) +
+                alpha(originator.name, 23) + alpha('', 8),
+            '5' + '220' + alpha(originator.name, 16) + alpha('', 20) + companyId + 'CCD' +
+                alpha('PAYOUT', 10) + yymmdd(now) + yymmdd(now) + '   ' + '1' + odfi + batchNumber,
+            ...entries.map(entry => entry.record),
+            '8' + '220' + numeric(entries.length, 6) + entryHash + numeric(0, 12) + totalCredit +
+                companyId + alpha('', 19) + alpha('', 6) + odfi + batchNumber
+        ];
+
+        // Files are written in blocks of ten records, padded with lines of 9s
+        const blockCount = Math.ceil((records.length + 1) / 10);
+        records.push('9' + numeric(1, 6) + numeric(blockCount, 6) + numeric(entries.length, 8) + entryHash +
+            numeric(0, 12) + totalCredit + alpha('', 39));
+        while (records.length % 10 !== 0) {
+            records.push('9'.repeat(94));
+        }
+
+        return records.join('\n') + '\n';
+    }
+
+    /**
+     * The bank paid a payout: settle the partner's payable balance and mark its shares paid
+     */
+    async markPayoutPaid(payoutId, { reference = null, now = new Date() } = {}) {
+        const payout = this.payouts.get(payoutId);
+        if (!payout) {
+            return { success: false, error: 'Payout not found' };
+        }
+        if (payout.status !== 'processing') {
+            return { success: false, error: `Payout is ${payout.status}, not processing` };
+        }
+
+        payout.reference = reference;
+        payout.paidAt = now.toISOString();
+        this.setStatus(payout, 'paid', now);
+
+        payout.shareIds.forEach(shareId => {
+            const share = this.partnerships.revenueShares.get(shareId);
+            share.status = 'paid';
+            share.paidAt = payout.paidAt;
+        });
+
+        this.partnerships.ledger.post({
+            type: 'partner_payout',
+            description: `Payout via ${payout.method}`,
+            reference: { partnerId: payout.partnerId, payoutId, batchId: payout.batchId },
+            lines: [
+                { account: partnerPayableAccount(payout.partnerId), debit: payout.amount },
+                { account: ACCOUNTS.cash, credit: payout.amount }
+            ]
+        });
+
+        this.refreshBatchStatus(payout.batchId);
+
+        const partner = this.partnerships.partners.get(payout.partnerId);
+        if (partner) {
+            await this.partnerships.sendPayoutConfirmation(partner, payout);
+            this.partnerships.webhooks?.publish('payout.completed', {
+                payoutId,
+                partnerId: payout.partnerId,
+                batchId: payout.batchId,
+                amount: payout.amount,
+                currency: payout.currency,
+                method: payout.method,
+                reference: payout.reference,
+                paidAt: payout.paidAt
+            }, partner.userId, now);
+        }
+
+        return { success: true, payout };
+    }
+
+    /**
+     * The bank rejected a payout. Once it has used all its attempts, its shares are released and the
+     * partner must re-verify their payment details before the next batch.
+     */
+    markPayoutFailed(payoutId, { reason = 'failed', now = new Date() } = {}) {
+        const payout = this.payouts.get(payoutId);
+        if (!payout) {
+            return { success: false, error: 'Payout not found' };
+        }
+        if (payout.status !== 'processing') {
+            return { success: false, error: `Payout is ${payout.status}, not processing` };
+        }
+
+        payout.failureReason = reason;
+        this.setStatus(payout, 'failed', now, reason);
+
+        const retryable = payout.attempts < this.policy.maxAttempts;
+        if (!retryable) {
+            this.releaseShares(payout);
+            const partner = this.partnerships.partners.get(payout.partnerId);
+            if (partner) {
+                partner.paymentInfo.verified = false;
+            }
+        }
+
+        this.refreshBatchStatus(payout.batchId);
+        return { success: true, payout, retryable };
+    }
+
+    /**
+     * Queue a failed payout for the next batch
+     */
+    retryPayout(payoutId, now = new Date()) {
+        const payout = this.payouts.get(payoutId);
+        if (!payout) {
+            return { success: false, error: 'Payout not found' };
+        }
+        if (payout.status !== 'failed') {
+            return { success: false, error: 'Only failed payouts can be retried' };
+        }
+        if (payout.attempts >= this.policy.maxAttempts) {
+            return { success: false, error: `Payout has used all ${this.policy.maxAttempts} attempts` };
+        }
+
+        payout.batchId = null;
+        this.setStatus(payout, 'pending', now, 'retry');
+        return { success: true, payout };
+    }
+
+    /**
+     * Cancel a payout that has not been sent to the bank, returning its shares to the pending balance
+     */
+    cancelPayout(payoutId, now = new Date()) {
+        const payout = this.payouts.get(payoutId);
+        if (!payout) {
+            return { success: false, error: 'Payout not found' };
+        }
+        if (!['pending', 'failed'].includes(payout.status)) {
+            return { success: false, error: `A ${payout.status} payout cannot be cancelled` };
+        }
+
+        this.setStatus(payout, 'cancelled', now);
+        this.releaseShares(payout);
+        if (payout.batchId) {
+            this.refreshBatchStatus(payout.batchId);
+        }
+        return { success: true, payout };
+    }
+
+    releaseShares(payout) {
+        payout.shareIds.forEach(shareId => {
+            const share = this.partnerships.revenueShares.get(shareId);
+            if (share.status === 'in_payout') {
+                share.status = 'pending_payout';
+                share.payoutId = null;
+            }
+        });
+        // Released payouts no longer count against the partner's balance
+        payout.released = true;
+    }
+
+    setStatus(payout, status, now, reason = null) {
+        payout.status = status;
+        payout.history.push({ status, at: now.toISOString(), ...(reason && { reason }) });
+    }
+
+    /**
+     * Payouts moved to a later batch for a retry count as failed in this one
+     */
+    getBatchPayouts(batch) {
+        return batch.payoutIds.map(payoutId => this.payouts.get(payoutId));
+    }
+
+    refreshBatchStatus(batchId) {
+        const batch = this.batches.get(batchId);
+        if (!batch) {
+            return;
+        }
+
+        const statuses = this.getBatchPayouts(batch)
+            .map(payout => payout.batchId === batchId ? payout.status : 'failed');
+        if (statuses.every(status => status === 'paid')) {
+            batch.status = 'completed';
+        } else if (statuses.every(status => ['paid', 'failed', 'cancelled'].includes(status))) {
+            batch.status = statuses.includes('paid') ? 'partially_failed' : 'failed';
+        }
+    }
+
+    getBatch(batchId) {
+        const batch = this.batches.get(batchId);
+        return batch ? { ...batch, payouts: this.getBatchPayouts(batch) } : null;
+    }
+
+    listBatches() {
+        return Array.from(this.batches.values())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    getPayout(payoutId) {
+        return this.payouts.get(payoutId) || null;
+    }
+
+    listPayouts({ partnerId = null, status = null } = {}) {
+        return Array.from(this.payouts.values())
+            .filter(payout => (!partnerId || payout.partnerId === partnerId) && (!status || payout.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+}
+
+export default PayoutEngine;
@@ -0,0 +1,171 @@
+/**
+ * Rate Limiter - Token buckets shared by every server instance
+ * Buckets live in Redis (the same server Bull uses) so limits hold across instances, and in memory
+ * while Redis is unreachable
+ */
+
+import Redis from 'ioredis';
+import logger from '../config/logger.js';
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 100;
+
+export const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * Refill a bucket for the time since it was last used, then take `cost` tokens if it has them.
+ * Buckets start full.
+ */
+const takeTokens = (bucket, { capacity, refillPerMs, cost, now }) => {
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+    const available = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerMs) : capacity;
+    const allowed = available >= cost;
+    return { allowed, tokens: allowed ? available - cost : available };
+};
+
+/**
+ * The same refill and take as `takeTokens`, run atomically in Redis on the Redis clock.
+ * Tokens are returned as a string because Redis truncates Lua numbers to integers.
+ */
+const TAKE_TOKENS_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = capacity
+if bucket[1] then
+    tokens = math.min(capacity, tonumber(bucket[1]) + math.max(0, now - tonumber(bucket[2])) * refillPerMs)
+end
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs))
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Buckets for a single server instance. Full buckets are dropped, since a missing bucket starts full.
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.buckets = new Map();
+        this.lastPrunedAt = 0;
+    }
+
+    async take(key, { capacity, refillPerMs, cost }, now = Date.now()) {
+        this.prune(now);
+        const bucket = this.buckets.get(key);
+        const { allowed, tokens } = takeTokens(bucket, { capacity, refillPerMs, cost, now });
+        this.buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+        return { allowed, tokens };
+    }
+
+    /**
+     * Drop buckets that have refilled, at most once a minute
+     */
+    prune(now = Date.now()) {
+        if (now - this.lastPrunedAt < DEFAULT_RATE_LIMIT_WINDOW_MS) {
+            return;
+        }
+        this.lastPrunedAt = now;
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.fullAt <= now) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Buckets in Redis, shared by every server instance
+ */
+export class RedisRateLimitStore {
+    constructor(client) {
+        // ioredis client
+        this.client = client;
+        this.client.defineCommand('takeRateLimitTokens', { numberOfKeys: 1, lua: TAKE_TOKENS_SCRIPT });
+    }
+
+    async take(key, { capacity, refillPerMs, cost }) {
+        const [allowed, tokens] = await this.client.takeRateLimitTokens(key, capacity, refillPerMs, cost);
+        return { allowed: allowed === 1, tokens: Number(tokens) };
+    }
+}
+
+/**
+ * Redis store on REDIS_HOST/REDIS_PORT, unless RATE_LIMIT_STORE=memory (the default under test,
+ * so importing the shared services does not open a connection). Commands fail straight
+ * away while Redis is down instead of queueing, so requests fall back to memory without waiting.
+ */
+const createDefaultStore = () => {
+    const defaultStore = process.env.NODE_ENV === 'test' ? 'memory' : 'redis';
+    if ((process.env.RATE_LIMIT_STORE || defaultStore) === 'memory') {
+        return null;
+    }
+
+    const client = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1
+    });
+    // ioredis reconnects by itself; RateLimiter logs the outage
+    client.on('error', () => {});
+    return new RedisRateLimitStore(client);
+};
+
+class RateLimiter {
+    constructor(options = {}) {
+        // Shared store (Redis); null limits each instance on its own
+        this.store = options.store !== undefined ? options.store : createDefaultStore();
+        this.fallback = new MemoryRateLimitStore();
+        this.keyPrefix = options.keyPrefix || 'ratelimit:';
+        this.storeAvailable = true;
+    }
+
+    /**
+     * Take `cost` tokens from a bucket holding `limit` tokens that refills over `windowMs`.
+     * Returns whether the request is allowed, the tokens left, and the milliseconds until the
+     * bucket is full again and (when refused) until the request could succeed.
+     */
+    async consume(key, { limit, windowMs = DEFAULT_RATE_LIMIT_WINDOW_MS, cost = 1 }) {
+        const bucket = { capacity: limit, refillPerMs: limit / windowMs, cost };
+        const { allowed, tokens } = await this.take(`${this.keyPrefix}${key}`, bucket);
+
+        return {
+            allowed,
+            limit,
+            remaining: Math.floor(tokens),
+            resetMs: Math.ceil((limit - tokens) / bucket.refillPerMs),
+            retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / bucket.refillPerMs)
+        };
+    }
+
+    /**
+     * Take from the shared store, or from memory while it is unavailable
+     */
+    async take(key, bucket) {
+        if (this.store) {
+            try {
+                const result = await this.store.take(key, bucket);
+                if (!this.storeAvailable) {
+                    logger.info('Rate limit store available again');
+                    this.storeAvailable = true;
+                }
+                return result;
+            } catch (error) {
+                if (this.storeAvailable) {
+                    logger.error(`Rate limit store unavailable, limiting in memory: ${error.message}`);
+                    this.storeAvailable = false;
+                }
+            }
+        }
+        return this.fallback.take(key, bucket);
+    }
+}
+
+export default RateLimiter;
@@ -0,0 +1,248 @@
+/**
+ * Recommendation Engine - Personalized app recommendations
+ * Item-item co-occurrence over downloads and views, with content-based and popularity fallbacks
+ */
+
+/**
+ * Interaction weights per signal. Repeat views add up to a capped weight.
+ */
+const SIGNAL_WEIGHTS = {
+    download: 1,
+    view: 0.3,
+    maxViewWeight: 0.9
+};
+
+class RecommendationEngine {
+    constructor(store) {
+        // AIStoreService instance providing apps, downloads, views and content similarity
+        this.store = store;
+    }
+
+    /**
+     * Build user -> Map(appId -> weight) profiles from recorded downloads and views
+     */
+    buildInteractions() {
+        const interactions = new Map();
+
+        const addSignal = (userId, appId, weight) => {
+            if (!interactions.has(userId)) {
+                interactions.set(userId, new Map());
+            }
+            const profile = interactions.get(userId);
+            profile.set(appId, Math.max(profile.get(appId) || 0, weight));
+        };
+
+        for (const record of this.store.downloads.values()) {
+            addSignal(record.userId, record.appId, SIGNAL_WEIGHTS.download);
+        }
+
+        for (const record of this.store.views.values()) {
+            addSignal(
+                record.userId,
+                record.appId,
+                Math.min(SIGNAL_WEIGHTS.maxViewWeight, record.count * SIGNAL_WEIGHTS.view)
+            );
+        }
+
+        return interactions;
+    }
+
+    /**
+     * Whether an app can be recommended to a user
+     */
+    isEligible(app, userId) {
+        return Boolean(app) &&
+            app.status === 'approved' &&
+            !this.store.hasUserDownloaded(app.id, userId);
+    }
+
+    /**
+     * Item-item collaborative filtering: cosine similarity of app co-occurrence
+     * across users, weighted by the user's own interaction strength
+     */
+    scoreCollaborative(userId, profile, interactions) {
+        const appUsers = new Map();
+        const appNorms = new Map();
+
+        for (const [otherUserId, apps] of interactions) {
+            for (const [appId, weight] of apps) {
+                if (!appUsers.has(appId)) {
+                    appUsers.set(appId, new Map());
+                }
+                appUsers.get(appId).set(otherUserId, weight);
+                appNorms.set(appId, (appNorms.get(appId) || 0) + weight * weight);
+            }
+        }
+
+        const scores = new Map();
+
+        for (const [seedId, seedWeight] of profile) {
+            const cooccurrence = new Map();
+
+            for (const [otherUserId, seedUserWeight] of appUsers.get(seedId) || []) {
+                if (otherUserId === userId) {
+                    continue;
+                }
+
+                for (const [candidateId, candidateWeight] of interactions.get(otherUserId)) {
+                    if (candidateId === seedId || profile.has(candidateId)) {
+                        continue;
+                    }
+                    cooccurrence.set(
+                        candidateId,
+                        (cooccurrence.get(candidateId) || 0) + seedUserWeight * candidateWeight
+                    );
+                }
+            }
+
+            for (const [candidateId, sharedWeight] of cooccurrence) {
+                if (!this.isEligible(this.store.apps.get(candidateId), userId)) {
+                    continue;
+                }
+
+                const similarity = sharedWeight / Math.sqrt(appNorms.get(seedId) * appNorms.get(candidateId));
+                const entry = scores.get(candidateId) || { score: 0, contributions: [] };
+                entry.score += seedWeight * similarity;
+                entry.contributions.push({ appId: seedId, weight: seedWeight * similarity });
+                scores.set(candidateId, entry);
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Content-based scoring against the apps the user interacted with
+     */
+    scoreContent(userId, profile, excluded) {
+        const scores = new Map();
+
+        for (const [seedId, seedWeight] of profile) {
+            const seedApp = this.store.apps.get(seedId);
+            if (!seedApp) {
+                continue;
+            }
+
+            for (const candidate of this.store.apps.values()) {
+                if (candidate.id === seedId || profile.has(candidate.id) || excluded.has(candidate.id) ||
+                    !this.isEligible(candidate, userId)) {
+                    continue;
+                }
+
+                const { score, reasons } = this.store.calculateSimilarity(seedApp, candidate);
+                if (score <= 30) {
+                    continue;
+                }
+
+                const weighted = seedWeight * (score / 100);
+                const entry = scores.get(candidate.id);
+                if (!entry || weighted > entry.score) {
+                    scores.set(candidate.id, { score: weighted, seedId, reasons });
+                }
+            }
+        }
+
+        return scores;
+    }
+
+    /**
+     * Recommend apps for a user, filling from collaborative, content-based,
+     * then popularity results until `limit` is reached
+     */
+    recommend(userId, limit = 10) {
+        const interactions = this.buildInteractions();
+        const profile = interactions.get(userId) || new Map();
+        const recommendations = [];
+        const chosen = new Set();
+
+        const appName = appId => this.store.apps.get(appId)?.name || appId;
+
+        // 1. Item-item co-occurrence
+        const collaborative = this.scoreCollaborative(userId, profile, interactions);
+        Array.from(collaborative.entries())
+            .sort((a, b) => b[1].score - a[1].score)
+            .slice(0, limit)
+            .forEach(([appId, entry]) => {
+                const basedOn = entry.contributions
+                    .sort((a, b) => b.weight - a.weight)
+                    .slice(0, 3)
+                    .map(contribution => ({ appId: contribution.appId, name: appName(contribution.appId) }));
+
+                chosen.add(appId);
+                recommendations.push(this.formatRecommendation(appId, {
+                    strategy: 'item_item_cooccurrence',
+                    score: entry.score,
+                    basedOn,
+                    explanation: `People who used ${basedOn.map(app => `"${app.name}"`).join(', ')} also used this app`
+                }));
+            });
+
+        // 2. Content-based fallback from the user's own apps
+        if (recommendations.length < limit) {
+            const content = this.scoreContent(userId, profile, chosen);
+            Array.from(content.entries())
+                .sort((a, b) => b[1].score - a[1].score)
+                .slice(0, limit - recommendations.length)
+                .forEach(([appId, entry]) => {
+                    chosen.add(appId);
+                    recommendations.push(this.formatRecommendation(appId, {
+                        strategy: 'content_based',
+                        score: entry.score,
+                        basedOn: [{ appId: entry.seedId, name: appName(entry.seedId) }],
+                        explanation: `Similar to "${appName(entry.seedId)}": ${entry.reasons.join(', ') || 'similar rating'}`
+                    }));
+                });
+        }
+
+        // 3. Popularity for cold-start users or when personal signals run out
+        if (recommendations.length < limit) {
+            Array.from(this.store.apps.values())
+                .filter(app => !chosen.has(app.id) && !profile.has(app.id) && this.isEligible(app, userId))
+                .sort((a, b) => b.downloads - a.downloads || (b.rating || 0) - (a.rating || 0))
+                .slice(0, limit - recommendations.length)
+                .forEach(app => {
+                    chosen.add(app.id);
+                    recommendations.push(this.formatRecommendation(app.id, {
+                        strategy: 'popularity',
+                        score: app.downloads,
+                        basedOn: [],
+                        explanation: `Popular in ${this.store.categories.get(app.category)?.name || app.category} ` +
+                            `with ${app.downloads} downloads`
+                    }));
+                });
+        }
+
+        const strategies = recommendations.reduce((counts, item) => {
+            counts[item.recommendation.strategy] = (counts[item.recommendation.strategy] || 0) + 1;
+            return counts;
+        }, {});
+        const usedStrategies = Object.keys(strategies);
+
+        return {
+            userId,
+            coldStart: profile.size === 0,
+            algorithm: usedStrategies.length === 1 ? usedStrategies[0] : usedStrategies.length > 1 ? 'hybrid' : 'none',
+            strategies,
+            signals: {
+                downloads: Array.from(profile.keys()).filter(appId => this.store.hasUserDownloaded(appId, userId)).length,
+                interactedApps: profile.size
+            },
+            recommendations
+        };
+    }
+
+    /**
+     * Attach recommendation metadata to an app listing
+     */
+    formatRecommendation(appId, recommendation) {
+        return {
+            ...this.store.apps.get(appId),
+            recommendation: {
+                ...recommendation,
+                score: Math.round(recommendation.score * 1000) / 1000
+            }
+        };
+    }
+}
+
+export default RecommendationEngine;
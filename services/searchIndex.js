@@ -0,0 +1,291 @@
+/**
+ * Search Index - Full-text search for marketplace listings
+ * Inverted index with BM25 ranking, field boosts, prefix and typo-tolerant matching
+ */
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in',
+    'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'with', 'your'
+]);
+
+/**
+ * Default searchable fields and their ranking boosts
+ */
+const DEFAULT_FIELDS = {
+    name: 3,
+    tags: 2,
+    description: 1
+};
+
+/**
+ * Lowercase, split on non-alphanumerics and drop stop words
+ */
+export function tokenize(text) {
+    if (!text) {
+        return [];
+    }
+
+    const value = Array.isArray(text) ? text.join(' ') : String(text);
+    return value
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Light suffix-stripping stemmer ("generators" -> "generator", "processing" -> "process")
+ */
+export function stem(token) {
+    if (token.length <= 4) {
+        return token;
+    }
+
+    if (token.endsWith('ies')) {
+        return token.slice(0, -3) + 'y';
+    }
+    if (token.endsWith('ing') && token.length > 6) {
+        return token.slice(0, -3);
+    }
+    if (token.endsWith('ed') && token.length > 5) {
+        return token.slice(0, -2);
+    }
+    if (token.endsWith('ly') && token.length > 5) {
+        return token.slice(0, -2);
+    }
+    if (token.endsWith('es') && /(ss|x|ch|sh)es$/.test(token)) {
+        return token.slice(0, -2);
+    }
+    if (token.endsWith('s') && !token.endsWith('ss')) {
+        return token.slice(0, -1);
+    }
+
+    return token;
+}
+
+/**
+ * Levenshtein distance with an early exit once `maxDistance` is exceeded
+ */
+export function editDistance(a, b, maxDistance = Infinity) {
+    if (Math.abs(a.length - b.length) > maxDistance) {
+        return maxDistance + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) {
+            return maxDistance + 1;
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+class SearchIndex {
+    constructor(options = {}) {
+        this.fields = options.fields || DEFAULT_FIELDS;
+
+        // BM25 parameters
+        this.k1 = options.k1 || 1.2;
+        this.b = options.b ?? 0.75;
+
+        // Match quality multipliers for expanded query terms
+        this.prefixWeight = options.prefixWeight || 0.8;
+        this.typoWeight = options.typoWeight || 0.6;
+
+        // term -> Map(docId -> { field: termFrequency })
+        this.postings = new Map();
+        // docId -> { terms: Set, lengths: { field: length } }
+        this.documents = new Map();
+        // field -> total token count, used for average field length
+        this.fieldTotals = Object.fromEntries(Object.keys(this.fields).map(field => [field, 0]));
+    }
+
+    /**
+     * Number of indexed documents
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Add or replace a document in the index
+     */
+    add(doc) {
+        if (this.documents.has(doc.id)) {
+            this.remove(doc.id);
+        }
+
+        const terms = new Set();
+        const lengths = {};
+
+        for (const field of Object.keys(this.fields)) {
+            const tokens = tokenize(doc[field]).map(stem);
+            lengths[field] = tokens.length;
+            this.fieldTotals[field] += tokens.length;
+
+            tokens.forEach(term => {
+                terms.add(term);
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const posting = this.postings.get(term);
+                const frequencies = posting.get(doc.id) || {};
+                frequencies[field] = (frequencies[field] || 0) + 1;
+                posting.set(doc.id, frequencies);
+            });
+        }
+
+        this.documents.set(doc.id, { terms, lengths });
+    }
+
+    /**
+     * Remove a document from the index
+     */
+    remove(docId) {
+        const entry = this.documents.get(docId);
+        if (!entry) {
+            return false;
+        }
+
+        entry.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                return;
+            }
+            posting.delete(docId);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+
+        for (const [field, length] of Object.entries(entry.lengths)) {
+            this.fieldTotals[field] -= length;
+        }
+
+        this.documents.delete(docId);
+        return true;
+    }
+
+    /**
+     * Maximum edit distance tolerated for a query term of this length
+     */
+    typoTolerance(term) {
+        if (term.length >= 8) {
+            return 2;
+        }
+        if (term.length >= 4) {
+            return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Expand a query term into matching index terms with match weights
+     */
+    expandTerm(term) {
+        const matches = new Map();
+
+        if (this.postings.has(term)) {
+            matches.set(term, 1);
+        }
+
+        const tolerance = this.typoTolerance(term);
+        for (const indexTerm of this.postings.keys()) {
+            if (matches.has(indexTerm)) {
+                continue;
+            }
+
+            if (term.length >= 2 && indexTerm.startsWith(term)) {
+                matches.set(indexTerm, this.prefixWeight);
+            } else if (tolerance > 0 && editDistance(term, indexTerm, tolerance) <= tolerance) {
+                matches.set(indexTerm, this.typoWeight);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Inverse document frequency (BM25 variant, always positive)
+     */
+    idf(term) {
+        const documentFrequency = this.postings.get(term)?.size || 0;
+        return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * Search the index. Returns [{ id, score, matchedTerms }] sorted by score.
+     */
+    search(query) {
+        const queryTerms = [...new Set(tokenize(query).map(stem))];
+        const scores = new Map();
+
+        if (queryTerms.length === 0 || this.size === 0) {
+            return [];
+        }
+
+        const averageLengths = {};
+        for (const field of Object.keys(this.fields)) {
+            averageLengths[field] = this.fieldTotals[field] / this.size || 1;
+        }
+
+        queryTerms.forEach(queryTerm => {
+            for (const [term, matchWeight] of this.expandTerm(queryTerm)) {
+                const idf = this.idf(term);
+
+                for (const [docId, frequencies] of this.postings.get(term)) {
+                    const { lengths } = this.documents.get(docId);
+                    let termScore = 0;
+
+                    for (const [field, frequency] of Object.entries(frequencies)) {
+                        const normalization = 1 - this.b + this.b * (lengths[field] / averageLengths[field]);
+                        termScore += this.fields[field] *
+                            (frequency * (this.k1 + 1)) / (frequency + this.k1 * normalization);
+                    }
+
+                    const result = scores.get(docId) || { id: docId, score: 0, matchedTerms: new Set() };
+                    result.score += idf * termScore * matchWeight;
+                    result.matchedTerms.add(queryTerm);
+                    scores.set(docId, result);
+                }
+            }
+        });
+
+        return Array.from(scores.values())
+            .map(result => ({
+                id: result.id,
+                // Reward documents that match every query term
+                score: result.score * (result.matchedTerms.size / queryTerms.length),
+                matchedTerms: Array.from(result.matchedTerms)
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Suggest index terms completing the last word of a query, most common first
+     */
+    suggest(query, limit = 5) {
+        const tokens = tokenize(query);
+        const last = tokens.pop();
+        if (!last) {
+            return [];
+        }
+
+        const leading = tokens.join(' ');
+        return Array.from(this.postings.entries())
+            .filter(([term]) => term.startsWith(stem(last)) || term.startsWith(last))
+            .sort((a, b) => b[1].size - a[1].size)
+            .slice(0, limit)
+            .map(([term]) => (leading ? `${leading} ${term}` : term));
+    }
+}
+
+export default SearchIndex;
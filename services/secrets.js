@@ -0,0 +1,21 @@
+/**
+ * Secrets - Signing secrets for sessions, download links and license keys
+ */
+
+import crypto from 'crypto';
+
+/**
+ * The secret passed in, or else the one in the `envName` environment variable.
+ * Without either, a random secret is used, so whatever it signed stops verifying
+ * after a restart. With `required`, production refuses to start instead.
+ */
+export const resolveSecret = (secret, envName, { required = false } = {}) => {
+    const configured = secret || process.env[envName];
+    if (configured) {
+        return configured;
+    }
+    if (required && process.env.NODE_ENV === 'production') {
+        throw new Error(`${envName} must be set in production`);
+    }
+    return crypto.randomBytes(32).toString('hex');
+};
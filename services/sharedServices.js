@@ -0,0 +1,51 @@
+/**
+ * Shared Services - Service instances used by more than one router
+ * Store downloads must see payments taken through /api/payment, so both routers import the same instances
+ */
+
+import AIStoreService, { getAppDeveloperIds } from './aiStoreService.js';
+import AuthService from './authService.js';
+import EntitlementService from './entitlementService.js';
+import Ledger from './ledger.js';
+import PartnershipService from './partnershipService.js';
+import PaymentService from './paymentService.js';
+import RateLimiter from './rateLimiter.js';
+import UsageMeter from './usageMeter.js';
+import WebhookService from './webhookService.js';
+
+// Accounts and API keys checked by the auth middleware in front of every router
+export const authService = new AuthService();
+
+export const entitlementService = new EntitlementService();
+
+// Outbound webhooks for store, payment, payout and processing events
+export const webhookService = new WebhookService();
+
+// One journal for payments and partner shares, so the trial balance covers both
+export const ledger = new Ledger();
+
+// App sales credit the app's developer, tiers depend on the quality and rating of the developer's
+// apps, and joint apps are co-owned by their collaborators, so partnerships work with the store
+export const partnershipService = new PartnershipService({
+    ledger,
+    findApp: appId => aiStore.apps.get(appId),
+    findDeveloperApps: developerId => Array.from(aiStore.apps.values())
+        .filter(app => getAppDeveloperIds(app).includes(developerId)),
+    setAppCoOwners: (appId, developerIds) => aiStore.setAppCoOwners(appId, developerIds),
+    webhooks: webhookService
+});
+
+export const paymentService = new PaymentService({
+    entitlements: entitlementService,
+    ledger,
+    partnerships: partnershipService,
+    findApp: appId => aiStore.apps.get(appId),
+    webhooks: webhookService
+});
+
+export const usageMeter = new UsageMeter(paymentService);
+
+// One set of buckets for every rate limited router, so a client's AI requests share a limit
+export const rateLimiter = new RateLimiter();
+
+export const aiStore = new AIStoreService({ entitlements: entitlementService, usageMeter, webhooks: webhookService });
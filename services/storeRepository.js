@@ -0,0 +1,235 @@
+/**
+ * Store Repository - Persistence layer for the AI Store marketplace
+ * Provides pluggable storage backends for apps, categories, developers, reviews and user activity
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from '../config/logger.js';
+import { isValidSemver } from '../utils/semver.js';
+
+/**
+ * Current schema version of persisted store snapshots
+ */
+export const STORE_SCHEMA_VERSION = 4;
+
+/**
+ * Ordered schema migrations. Each migration upgrades a snapshot from
+ * `version - 1` to `version`.
+ */
+const migrations = [
+    {
+        version: 1,
+        description: 'Initial schema: ensure every collection exists',
+        up: snapshot => ({
+            ...snapshot,
+            collections: {
+                apps: [],
+                categories: [],
+                developers: [],
+                reviews: [],
+                ...(snapshot.collections || {})
+            },
+            metrics: snapshot.metrics || {}
+        })
+    },
+    {
+        version: 2,
+        description: 'Add per-user download records',
+        up: snapshot => ({
+            ...snapshot,
+            collections: {
+                downloads: [],
+                ...snapshot.collections
+            }
+        })
+    },
+    {
+        version: 3,
+        description: 'Give every app a release history and stable channel',
+        up: snapshot => ({
+            ...snapshot,
+            collections: {
+                ...snapshot.collections,
+                apps: snapshot.collections.apps.map(([appId, app]) => {
+                    if (app.releases) {
+                        return [appId, app];
+                    }
+                    const version = isValidSemver(app.version) ? app.version : '1.0.0';
+                    return [appId, {
+                        ...app,
+                        version,
+                        releases: [{
+                            version,
+                            channel: 'stable',
+                            changelog: 'Initial release',
+                            size: app.size || null,
+                            status: 'active',
+                            downloads: app.downloads || 0,
+                            publishedBy: app.developerId,
+                            publishedAt: app.publishedAt
+                        }],
+                        channels: { stable: version, beta: null }
+                    }];
+                })
+            }
+        })
+    },
+    {
+        version: 4,
+        description: 'Add per-user view records',
+        up: snapshot => ({
+            ...snapshot,
+            collections: {
+                views: [],
+                ...snapshot.collections
+            }
+        })
+    }
+];
+
+/**
+ * Apply pending migrations to a loaded snapshot
+ */
+export function migrateSnapshot(snapshot) {
+    let migrated = snapshot;
+    const fromVersion = snapshot.schemaVersion || 0;
+
+    migrations
+        .filter(migration => migration.version > fromVersion)
+        .sort((a, b) => a.version - b.version)
+        .forEach(migration => {
+            migrated = migration.up(migrated);
+            migrated.schemaVersion = migration.version;
+        });
+
+    return migrated;
+}
+
+/**
+ * In-memory repository - nothing survives a restart
+ */
+export class MemoryStoreRepository {
+    constructor() {
+        this.snapshot = null;
+        this.type = 'memory';
+    }
+
+    /**
+     * Load the last saved snapshot
+     */
+    load() {
+        return this.snapshot;
+    }
+
+    /**
+     * Save a snapshot
+     */
+    async save(snapshot) {
+        this.snapshot = snapshot;
+        return true;
+    }
+}
+
+/**
+ * File-backed repository - persists snapshots as JSON on disk
+ */
+export class FileStoreRepository {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.migrate = options.migrate || migrateSnapshot;
+        this.type = 'file';
+        this.pendingSnapshot = null;
+        this.writing = null;
+    }
+
+    /**
+     * Load and migrate the snapshot from disk. A file that is not valid JSON
+     * is moved aside (kept for recovery) and the store starts empty.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        const raw = fs.readFileSync(this.filePath, 'utf8');
+        if (!raw.trim()) {
+            return null;
+        }
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(raw);
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            logger.error(`Store file ${this.filePath} is not valid JSON (${error.message}); moved it to ${corruptPath} and starting with an empty store`);
+            return null;
+        }
+
+        return this.migrate(snapshot);
+    }
+
+    /**
+     * Save a snapshot. Writes are serialized and coalesced so only the
+     * latest snapshot is flushed when saves arrive faster than the disk.
+     */
+    save(snapshot) {
+        this.pendingSnapshot = snapshot;
+
+        if (!this.writing) {
+            this.writing = this.flush().finally(() => {
+                this.writing = null;
+            });
+        }
+
+        return this.writing;
+    }
+
+    /**
+     * Write pending snapshots until none are left
+     */
+    async flush() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        while (this.pendingSnapshot) {
+            const snapshot = this.pendingSnapshot;
+            this.pendingSnapshot = null;
+
+            // Write to a temporary file first so a crash never leaves a truncated store
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        }
+
+        return true;
+    }
+}
+
+/**
+ * Create the repository configured through the environment
+ * STORE_BACKEND: 'file' (default, 'memory' under test) or 'memory'
+ * STORE_DATA_PATH: location of the file store (default: data/store.json). Other
+ *   services' repositories (`options.name`, e.g. 'invoices') are kept next to it
+ *   as `<name>.json`, and their snapshots are not run through the store migrations.
+ */
+export function createStoreRepository(options = {}) {
+    const defaultBackend = process.env.NODE_ENV === 'test' ? 'memory' : 'file';
+    const backend = options.backend || process.env.STORE_BACKEND || defaultBackend;
+    const name = options.name || 'store';
+
+    switch (backend) {
+        case 'memory':
+            return new MemoryStoreRepository();
+        case 'file': {
+            const storePath = process.env.STORE_DATA_PATH || path.join(process.cwd(), 'data', 'store.json');
+            return new FileStoreRepository(
+                options.filePath ||
+                (name === 'store' ? storePath : path.join(path.dirname(storePath), `${name}.json`)),
+                { migrate: name === 'store' ? migrateSnapshot : snapshot => snapshot }
+            );
+        }
+        default:
+            throw new Error(`Unknown store backend: ${backend}`);
+    }
+}
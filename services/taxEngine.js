@@ -0,0 +1,237 @@
+/**
+ * Tax Engine - GST, VAT and US sales tax for payments
+ * Determines the tax on a sale from the buyer's country, state and business status
+ */
+
+import { roundMoney } from './exchangeRates.js';
+
+// Standard VAT rates of EU member states
+export const EU_VAT_RATES = {
+    AT: 0.20, BE: 0.21, BG: 0.20, HR: 0.25, CY: 0.19, CZ: 0.21, DK: 0.25, EE: 0.24, FI: 0.255,
+    FR: 0.20, DE: 0.19, GR: 0.24, HU: 0.27, IE: 0.23, IT: 0.22, LV: 0.21, LT: 0.21, LU: 0.17,
+    MT: 0.18, NL: 0.21, PL: 0.23, PT: 0.23, RO: 0.21, SK: 0.23, SI: 0.22, ES: 0.21, SE: 0.25
+};
+
+// Statewide base sales tax rates; AK, DE, MT, NH and OR have none
+export const US_SALES_TAX_RATES = {
+    AL: 0.04, AZ: 0.056, AR: 0.065, CA: 0.0725, CO: 0.029, CT: 0.0635, DC: 0.06, FL: 0.06,
+    GA: 0.04, HI: 0.04, ID: 0.06, IL: 0.0625, IN: 0.07, IA: 0.06, KS: 0.065, KY: 0.06,
+    LA: 0.05, ME: 0.055, MD: 0.06, MA: 0.0625, MI: 0.06, MN: 0.06875, MS: 0.07, MO: 0.04225,
+    NE: 0.055, NV: 0.0685, NJ: 0.06625, NM: 0.04875, NY: 0.04, NC: 0.0475, ND: 0.05, OH: 0.0575,
+    OK: 0.045, PA: 0.06, RI: 0.07, SC: 0.06, SD: 0.042, TN: 0.07, TX: 0.0625, UT: 0.0485,
+    VT: 0.06, VA: 0.053, WA: 0.065, WV: 0.06, WI: 0.05, WY: 0.04
+};
+
+// GST on software and online services; split evenly into CGST and SGST within a state
+export const INDIA_GST_RATE = 0.18;
+
+// Tax ID formats by country: EU VAT IDs (with their country prefix, EL for Greece),
+// Indian GSTINs and Australian ABNs. Separators are stripped before matching.
+export const TAX_ID_FORMATS = {
+    AT: { scheme: 'VAT', pattern: /^ATU\d{8}$/ },
+    BE: { scheme: 'VAT', pattern: /^BE[01]\d{9}$/ },
+    BG: { scheme: 'VAT', pattern: /^BG\d{9,10}$/ },
+    HR: { scheme: 'VAT', pattern: /^HR\d{11}$/ },
+    CY: { scheme: 'VAT', pattern: /^CY\d{8}[A-Z]$/ },
+    CZ: { scheme: 'VAT', pattern: /^CZ\d{8,10}$/ },
+    DK: { scheme: 'VAT', pattern: /^DK\d{8}$/ },
+    EE: { scheme: 'VAT', pattern: /^EE\d{9}$/ },
+    FI: { scheme: 'VAT', pattern: /^FI\d{8}$/ },
+    FR: { scheme: 'VAT', pattern: /^FR[0-9A-Z]{2}\d{9}$/ },
+    DE: { scheme: 'VAT', pattern: /^DE\d{9}$/ },
+    GR: { scheme: 'VAT', pattern: /^EL\d{9}$/ },
+    HU: { scheme: 'VAT', pattern: /^HU\d{8}$/ },
+    IE: { scheme: 'VAT', pattern: /^IE(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/ },
+    IT: { scheme: 'VAT', pattern: /^IT\d{11}$/ },
+    LV: { scheme: 'VAT', pattern: /^LV\d{11}$/ },
+    LT: { scheme: 'VAT', pattern: /^LT(\d{9}|\d{12})$/ },
+    LU: { scheme: 'VAT', pattern: /^LU\d{8}$/ },
+    MT: { scheme: 'VAT', pattern: /^MT\d{8}$/ },
+    NL: { scheme: 'VAT', pattern: /^NL\d{9}B\d{2}$/ },
+    PL: { scheme: 'VAT', pattern: /^PL\d{10}$/ },
+    PT: { scheme: 'VAT', pattern: /^PT\d{9}$/ },
+    RO: { scheme: 'VAT', pattern: /^RO\d{2,10}$/ },
+    SK: { scheme: 'VAT', pattern: /^SK\d{10}$/ },
+    SI: { scheme: 'VAT', pattern: /^SI\d{8}$/ },
+    ES: { scheme: 'VAT', pattern: /^ES[0-9A-Z]\d{7}[0-9A-Z]$/ },
+    SE: { scheme: 'VAT', pattern: /^SE\d{12}$/ },
+    IN: { scheme: 'GSTIN', pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/ },
+    AU: { scheme: 'ABN', pattern: /^\d{11}$/ }
+};
+
+/**
+ * Check a buyer's tax ID against the format used in their country. Only the
+ * format is checked, not registration with the tax authority.
+ */
+export const checkTaxId = (taxId, country) => {
+    const format = TAX_ID_FORMATS[country];
+    const normalized = String(taxId).toUpperCase().replace(/[\s.-]/g, '');
+    return {
+        scheme: format?.scheme || null,
+        valid: Boolean(format?.pattern.test(normalized)),
+        method: 'format',
+        checkedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Scale a tax breakdown to a share of the taxed amount (partial captures and refunds)
+ */
+export const prorateTax = (tax, share, currency = 'USD') => {
+    const lines = tax.lines.map(line => ({ ...line, amount: roundMoney(line.amount * share, currency) }));
+    return {
+        ...tax,
+        lines,
+        subtotal: roundMoney(tax.subtotal * share, currency),
+        total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0), currency)
+    };
+};
+
+class TaxEngine {
+    constructor(options = {}) {
+        const nexusStates = options.usNexusStates ||
+            (process.env.TAX_US_NEXUS_STATES ? process.env.TAX_US_NEXUS_STATES.split(',') : null);
+
+        // Where the platform is registered; decides intra-state GST and domestic B2B VAT
+        this.seller = {
+            country: (options.sellerCountry || process.env.TAX_SELLER_COUNTRY || 'US').toUpperCase(),
+            state: (options.sellerState || process.env.TAX_SELLER_STATE || '').toUpperCase() || null
+        };
+
+        // US states where sales tax is collected (all states with a sales tax by default)
+        this.usNexusStates = nexusStates ?
+            nexusStates.map(state => state.trim().toUpperCase()) :
+            Object.keys(US_SALES_TAX_RATES);
+
+        this.vatRates = { ...EU_VAT_RATES, ...options.vatRates };
+        this.salesTaxRates = { ...US_SALES_TAX_RATES, ...options.salesTaxRates };
+        this.gstRate = options.gstRate ?? INDIA_GST_RATE;
+    }
+
+    /**
+     * Tax on a net `amount` sold to a buyer in `country`/`state`. A `taxId`
+     * (VAT ID, GSTIN or ABN) in the buyer's country format marks the buyer as a
+     * registered business; buyers with other tax IDs pay consumer tax.
+     * Each tax line is rounded to the currency's minor unit.
+     */
+    calculate({ amount, currency = 'USD', country, state, taxId }) {
+        const buyerCountry = country ? country.toUpperCase() : null;
+        const taxIdCheck = taxId ? checkTaxId(taxId, buyerCountry) : null;
+        const buyer = {
+            country: buyerCountry,
+            state: state ? state.toUpperCase() : null,
+            isBusiness: Boolean(taxIdCheck?.valid)
+        };
+
+        let result;
+        if (buyer.country === 'IN') {
+            result = this.calculateGst(amount, buyer);
+        } else if (this.vatRates[buyer.country] !== undefined) {
+            result = this.calculateVat(amount, buyer);
+        } else if (buyer.country === 'US') {
+            result = this.calculateSalesTax(amount, buyer);
+        } else {
+            result = { jurisdiction: buyer.country, regime: null, lines: [], reverseCharge: false, note: null };
+        }
+
+        const lines = result.lines.map(line => ({ ...line, amount: roundMoney(line.amount, currency) }));
+
+        return {
+            ...result,
+            lines,
+            customerType: buyer.isBusiness ? 'business' : 'consumer',
+            buyerTaxId: taxId || null,
+            taxIdCheck,
+            subtotal: roundMoney(amount, currency),
+            total: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0), currency)
+        };
+    }
+
+    /**
+     * India: CGST + SGST within the seller's state, IGST across states and on imports.
+     * Registered businesses account for GST on imported services themselves.
+     */
+    calculateGst(amount, buyer) {
+        const jurisdiction = buyer.state ? `IN-${buyer.state}` : 'IN';
+
+        if (this.seller.country !== 'IN' && buyer.isBusiness) {
+            return this.reverseCharge(jurisdiction, 'GST');
+        }
+
+        if (this.seller.country === 'IN' && buyer.state && buyer.state === this.seller.state) {
+            const half = this.gstRate / 2;
+            return {
+                jurisdiction,
+                regime: 'GST',
+                lines: [
+                    { type: 'CGST', name: 'CGST', rate: half, amount: amount * half },
+                    { type: 'SGST', name: 'SGST', rate: half, amount: amount * half }
+                ],
+                reverseCharge: false,
+                note: null
+            };
+        }
+
+        return {
+            jurisdiction,
+            regime: 'GST',
+            lines: [{ type: 'IGST', name: 'IGST', rate: this.gstRate, amount: amount * this.gstRate }],
+            reverseCharge: false,
+            note: null
+        };
+    }
+
+    /**
+     * EU: the buyer's country rate for consumers; reverse charge for businesses in another country
+     */
+    calculateVat(amount, buyer) {
+        if (buyer.isBusiness && buyer.country !== this.seller.country) {
+            return this.reverseCharge(buyer.country, 'VAT');
+        }
+
+        const rate = this.vatRates[buyer.country];
+        return {
+            jurisdiction: buyer.country,
+            regime: 'VAT',
+            lines: [{ type: 'VAT', name: `VAT ${buyer.country}`, rate, amount: amount * rate }],
+            reverseCharge: false,
+            note: null
+        };
+    }
+
+    /**
+     * US: the state rate where the seller has nexus. Business purchases are not exempt.
+     */
+    calculateSalesTax(amount, buyer) {
+        const rate = this.salesTaxRates[buyer.state];
+        if (!buyer.state || rate === undefined || !this.usNexusStates.includes(buyer.state)) {
+            return {
+                jurisdiction: buyer.state ? `US-${buyer.state}` : 'US',
+                regime: null,
+                lines: [],
+                reverseCharge: false,
+                note: null
+            };
+        }
+
+        return {
+            jurisdiction: `US-${buyer.state}`,
+            regime: 'SALES_TAX',
+            lines: [{ type: 'SALES_TAX', name: `Sales tax ${buyer.state}`, rate, amount: amount * rate }],
+            reverseCharge: false,
+            note: null
+        };
+    }
+
+    reverseCharge(jurisdiction, regime) {
+        return {
+            jurisdiction,
+            regime,
+            lines: [],
+            reverseCharge: true,
+            note: `Reverse charge: ${regime} to be accounted for by the recipient`
+        };
+    }
+}
+
+export default TaxEngine;
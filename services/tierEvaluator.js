@@ -0,0 +1,294 @@
+/**
+ * Tier Evaluator - Periodic partner tier evaluation
+ * Checks partners against each tier's revenue, quality, rating and app requirements over rolling
+ * windows, upgrades them straight away and downgrades them only after a grace period
+ */
+
+import logger from '../config/logger.js';
+import { roundMoney } from './exchangeRates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest to highest; bronze has no requirements and is the floor
+export const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum'];
+
+/**
+ * An approved app counts as successful with at least this rating and download count
+ */
+export const SUCCESSFUL_APP_CRITERIA = {
+    minRating: 4.0,
+    minDownloads: 100
+};
+
+export const DEFAULT_TIER_GRACE_DAYS = 30;
+
+const tierRank = tierId => TIER_ORDER.indexOf(tierId);
+
+class TierEvaluator {
+    constructor(partnerships, options = {}) {
+        // PartnershipService providing partners, tiers, revenue shares and app lookups
+        this.partnerships = partnerships;
+
+        // Days a partner keeps a tier after falling short of it
+        this.gracePeriodDays = options.gracePeriodDays ??
+            (parseFloat(process.env.PARTNER_TIER_GRACE_DAYS) || DEFAULT_TIER_GRACE_DAYS);
+
+        this.timer = null;
+    }
+
+    /**
+     * Evaluate every partner on an interval
+     */
+    start(intervalMs) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            try {
+                this.runCycle();
+            } catch (error) {
+                logger.error(`Tier evaluation error: ${error.message}`, { stack: error.stack });
+            }
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    runCycle(now = new Date()) {
+        const results = Array.from(this.partnerships.partners.keys())
+            .map(partnerId => this.evaluatePartner(partnerId, now));
+
+        return {
+            evaluated: results.length,
+            upgraded: results.filter(result => result.change === 'upgrade').length,
+            downgraded: results.filter(result => result.change === 'downgrade').length,
+            inGracePeriod: results.filter(result => result.grace).length,
+            results
+        };
+    }
+
+    /**
+     * Revenue over the last 30 and 90 days (net of reversals) and the metrics of the partner's approved apps.
+     * A tier's revenue threshold is met by the last 30 days or the monthly average over 90 days.
+     */
+    getPartnerStats(partner, now = new Date()) {
+        const revenueSince = days => roundMoney(Array.from(this.partnerships.revenueShares.values())
+            .filter(share => share.partnerId === partner.id && Date.parse(share.createdAt) > now.getTime() - days * DAY_MS)
+            .reduce((total, share) => total + share.totalRevenue - share.reversedRevenue, 0), 'USD');
+
+        // Apps are published under the partner's linked developer account or the partner ID itself
+        const developerApps = Array.from(new Set([partner.id, partner.developerId].filter(Boolean)))
+            .flatMap(developerId => this.partnerships.findDeveloperApps(developerId));
+        const apps = developerApps.filter(app => app.status === 'approved');
+        const rated = apps.filter(app => app.ratingCount > 0);
+        const ratingCount = rated.reduce((total, app) => total + app.ratingCount, 0);
+
+        const revenue30d = revenueSince(30);
+        const revenue90d = revenueSince(90);
+
+        return {
+            revenue30d,
+            revenue90d,
+            tierRevenue: Math.max(revenue30d, roundMoney(revenue90d / 3, 'USD')),
+            approvedApps: apps.length,
+            successfulApps: apps.filter(app =>
+                app.rating >= SUCCESSFUL_APP_CRITERIA.minRating &&
+                (app.downloads || 0) >= SUCCESSFUL_APP_CRITERIA.minDownloads
+            ).length,
+            qualityScore: apps.length > 0 ?
+                Math.round(apps.reduce((total, app) => total + (app.qualityScore || 0), 0) / apps.length) :
+                0,
+            rating: ratingCount > 0 ?
+                Math.round(rated.reduce((total, app) => total + app.rating * app.ratingCount, 0) / ratingCount * 100) / 100 :
+                0,
+            ratingCount,
+            totalDownloads: apps.reduce((total, app) => total + (app.downloads || 0), 0),
+            apps: developerApps.map(app => ({
+                id: app.id,
+                name: app.name,
+                status: app.status,
+                rating: app.rating,
+                qualityScore: app.qualityScore,
+                downloads: app.downloads || 0
+            }))
+        };
+    }
+
+    /**
+     * Each of a tier's requirements, whether the partner meets it, and why not
+     */
+    checkRequirements(tier, stats, partner) {
+        const { criteria = {} } = tier;
+        const requirements = [];
+
+        if (tier.minRevenue > 0) {
+            requirements.push({
+                id: 'revenue',
+                description: `Monthly revenue of at least $${tier.minRevenue.toLocaleString('en-US')} (last 30 days, or 90-day average)`,
+                required: tier.minRevenue,
+                actual: stats.tierRevenue,
+                met: stats.tierRevenue >= tier.minRevenue
+            });
+        }
+        if (criteria.qualityScoreAbove !== undefined) {
+            requirements.push({
+                id: 'quality_score',
+                description: `Average app quality score above ${criteria.qualityScoreAbove}`,
+                required: criteria.qualityScoreAbove,
+                actual: stats.qualityScore,
+                met: stats.qualityScore > criteria.qualityScoreAbove
+            });
+        }
+        if (criteria.ratingAbove !== undefined) {
+            requirements.push({
+                id: 'rating',
+                description: `Average user rating above ${criteria.ratingAbove.toFixed(1)}`,
+                required: criteria.ratingAbove,
+                actual: stats.rating,
+                met: stats.rating > criteria.ratingAbove
+            });
+        }
+        if (criteria.minSuccessfulApps !== undefined) {
+            requirements.push({
+                id: 'successful_apps',
+                description: `At least ${criteria.minSuccessfulApps} approved apps rated ${SUCCESSFUL_APP_CRITERIA.minRating.toFixed(1)}+ ` +
+                    `with ${SUCCESSFUL_APP_CRITERIA.minDownloads}+ downloads`,
+                required: criteria.minSuccessfulApps,
+                actual: stats.successfulApps,
+                met: stats.successfulApps >= criteria.minSuccessfulApps
+            });
+        }
+        if (criteria.strategic) {
+            requirements.push({
+                id: 'strategic',
+                description: 'Designated a strategic partner by the platform team',
+                required: true,
+                actual: Boolean(partner.strategic),
+                met: Boolean(partner.strategic)
+            });
+        }
+
+        return {
+            tier: tier.id,
+            name: tier.name,
+            eligible: requirements.every(requirement => requirement.met),
+            requirements,
+            missing: requirements.filter(requirement => !requirement.met).map(requirement => requirement.description)
+        };
+    }
+
+    /**
+     * The highest tier whose requirements (and those of every tier below it) are met
+     */
+    getQualifiedTier(stats, partner) {
+        let qualified = TIER_ORDER[0];
+        for (const tierId of TIER_ORDER.slice(1)) {
+            if (!this.checkRequirements(this.partnerships.partnershipTiers.get(tierId), stats, partner).eligible) {
+                break;
+            }
+            qualified = tierId;
+        }
+        return qualified;
+    }
+
+    /**
+     * Re-evaluate a partner's tier. Upgrades apply at once; a partner who falls short keeps their
+     * tier until the grace period ends, unless they recover first.
+     */
+    evaluatePartner(partnerId, now = new Date()) {
+        const partner = this.partnerships.partners.get(partnerId);
+        if (!partner) {
+            return null;
+        }
+
+        const stats = this.getPartnerStats(partner, now);
+        const qualifiedTier = this.getQualifiedTier(stats, partner);
+        const currentTier = partner.tier;
+        let change = null;
+
+        partner.monthlyRevenue = stats.revenue30d;
+        partner.apps = stats.apps;
+        partner.metrics = {
+            ...partner.metrics,
+            totalDownloads: stats.totalDownloads,
+            averageRating: stats.rating,
+            totalReviews: stats.ratingCount,
+            qualityScore: stats.qualityScore
+        };
+
+        if (tierRank(qualifiedTier) > tierRank(currentTier)) {
+            this.changeTier(partner, qualifiedTier, 'upgrade', now);
+            change = 'upgrade';
+        } else if (tierRank(qualifiedTier) < tierRank(currentTier)) {
+            if (!partner.tierGrace) {
+                partner.tierGrace = {
+                    startedAt: now.toISOString(),
+                    endsAt: new Date(now.getTime() + this.gracePeriodDays * DAY_MS).toISOString(),
+                    targetTier: qualifiedTier
+                };
+                this.partnerships.sendTierGraceNotification(partner, partner.tierGrace,
+                    this.checkRequirements(this.partnerships.partnershipTiers.get(currentTier), stats, partner).missing);
+            } else if (now.getTime() >= Date.parse(partner.tierGrace.endsAt)) {
+                this.changeTier(partner, qualifiedTier, 'downgrade', now);
+                change = 'downgrade';
+            } else {
+                partner.tierGrace.targetTier = qualifiedTier;
+            }
+        } else {
+            partner.tierGrace = null;
+        }
+
+        partner.tierEvaluation = {
+            evaluatedAt: now.toISOString(),
+            qualifiedTier,
+            stats: { ...stats, apps: undefined }
+        };
+
+        return {
+            partnerId,
+            previousTier: currentTier,
+            tier: partner.tier,
+            qualifiedTier,
+            change,
+            grace: partner.tierGrace ? { ...partner.tierGrace } : null
+        };
+    }
+
+    changeTier(partner, tierId, reason, now) {
+        const previousTier = partner.tier;
+        partner.tier = tierId;
+        partner.tierUpdatedAt = now.toISOString();
+        partner.tierGrace = null;
+        partner.tierHistory = [...(partner.tierHistory || []), {
+            tier: tierId,
+            previousTier,
+            reason,
+            changedAt: now.toISOString()
+        }];
+
+        this.partnerships.sendTierUpgradeNotification(partner, previousTier, tierId);
+    }
+
+    /**
+     * What a partner meets and misses for their current and next tier, for the dashboard
+     */
+    explain(partner, now = new Date()) {
+        const stats = this.getPartnerStats(partner, now);
+        const tiers = this.partnerships.partnershipTiers;
+        const nextTierId = TIER_ORDER[tierRank(partner.tier) + 1];
+
+        return {
+            current: this.checkRequirements(tiers.get(partner.tier), stats, partner),
+            next: nextTierId ? this.checkRequirements(tiers.get(nextTierId), stats, partner) : null,
+            stats: { ...stats, apps: undefined },
+            grace: partner.tierGrace || null,
+            history: partner.tierHistory || []
+        };
+    }
+}
+
+export default TierEvaluator;
@@ -0,0 +1,200 @@
+/**
+ * Usage Meter - Metered usage and plan limit enforcement
+ * Counts AI generations, published apps, storage and bandwidth per user against their plan's limits
+ */
+
+export const METERED_RESOURCES = ['aiGenerations', 'apps', 'storage', 'bandwidth'];
+
+// Reset at the start of each billing period; apps and storage accumulate
+const PERIODIC_RESOURCES = ['aiGenerations', 'bandwidth'];
+
+// Subscriptions whose plan limits apply
+const LIMITED_STATUSES = ['active', 'trialing', 'past_due'];
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+/**
+ * Convert a plan limit (`5`, `'100MB'`, `-1`) to a number, with Infinity for unlimited
+ */
+export const parseLimit = limit => {
+    if (limit === -1 || limit === undefined || limit === null) {
+        return Infinity;
+    }
+    if (typeof limit === 'number') {
+        return limit;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)$/i.exec(String(limit).trim());
+    return match ? Number(match[1]) * SIZE_UNITS[match[2].toUpperCase()] : Infinity;
+};
+
+class UsageMeter {
+    constructor(payments) {
+        // PaymentService providing plans and subscriptions
+        this.payments = payments;
+        this.accounts = new Map();
+    }
+
+    /**
+     * The user's platform subscription (not an app subscription), if any
+     */
+    findPlanSubscription(userId) {
+        return Array.from(this.payments.subscriptions.values()).find(subscription =>
+            subscription.userId === userId &&
+            !subscription.appId &&
+            LIMITED_STATUSES.includes(subscription.status)
+        ) || null;
+    }
+
+    /**
+     * The plan whose limits apply to a user; the free plan without a subscription (or a user)
+     */
+    getPlan(userId) {
+        const subscription = userId ? this.findPlanSubscription(userId) : null;
+        return this.payments.subscriptionPlans.get(subscription?.planId || 'free');
+    }
+
+    /**
+     * Current billing period: the subscription's, or the calendar month on the free plan
+     */
+    getPeriod(subscription, now) {
+        if (subscription) {
+            return { start: subscription.currentPeriodStart, end: subscription.currentPeriodEnd };
+        }
+        return {
+            start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+            end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+        };
+    }
+
+    /**
+     * Load a user's plan and usage, resetting periodic counters when a new period has started
+     */
+    getAccount(userId, now = new Date()) {
+        const subscription = this.findPlanSubscription(userId);
+        const plan = this.payments.subscriptionPlans.get(subscription?.planId || 'free');
+        const period = this.getPeriod(subscription, now);
+
+        let account = this.accounts.get(userId);
+        if (!account) {
+            account = {
+                usage: Object.fromEntries(METERED_RESOURCES.map(resource => [resource, 0])),
+                periodStart: period.start
+            };
+            this.accounts.set(userId, account);
+        }
+
+        if (account.periodStart !== period.start) {
+            PERIODIC_RESOURCES.forEach(resource => {
+                account.usage[resource] = 0;
+            });
+            account.periodStart = period.start;
+        }
+
+        if (subscription) {
+            Object.assign(subscription.usage, account.usage);
+        }
+
+        return { account, subscription, plan, period };
+    }
+
+    /**
+     * Whether `amount` more of each resource fits in the plan.
+     * `amounts` maps resource names to quantities, e.g. `{ storage: 2048, bandwidth: 2048 }`.
+     */
+    check(userId, amounts) {
+        const { account, plan } = this.getAccount(userId);
+
+        for (const [resource, amount] of Object.entries(amounts)) {
+            const limit = parseLimit(plan.limits[resource]);
+            if (account.usage[resource] + amount > limit) {
+                return {
+                    allowed: false,
+                    resource,
+                    used: account.usage[resource],
+                    limit: plan.limits[resource],
+                    error: `${plan.name} limit reached for ${resource}. Upgrade your plan to continue.`
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Check and record usage in one step, so concurrent requests cannot all pass
+     * the check before any of them is counted. Release the reservation if the
+     * metered action fails.
+     */
+    reserve(userId, amounts) {
+        const quota = this.check(userId, amounts);
+        if (quota.allowed) {
+            this.record(userId, amounts);
+        }
+        return quota;
+    }
+
+    /**
+     * Give back usage: a failed reservation or deleted storage
+     */
+    release(userId, amounts) {
+        const { account, subscription } = this.getAccount(userId);
+
+        for (const [resource, amount] of Object.entries(amounts)) {
+            account.usage[resource] = Math.max(0, account.usage[resource] - amount);
+        }
+
+        if (subscription) {
+            Object.assign(subscription.usage, account.usage);
+        }
+
+        return account.usage;
+    }
+
+    /**
+     * Add usage after the metered action succeeded
+     */
+    record(userId, amounts) {
+        const { account, subscription } = this.getAccount(userId);
+
+        for (const [resource, amount] of Object.entries(amounts)) {
+            account.usage[resource] += amount;
+        }
+
+        if (subscription) {
+            Object.assign(subscription.usage, account.usage);
+        }
+
+        return account.usage;
+    }
+
+    /**
+     * Usage against limits for every resource
+     */
+    getUsage(userId) {
+        const { account, subscription, plan, period } = this.getAccount(userId);
+
+        const resources = Object.fromEntries(METERED_RESOURCES.map(resource => {
+            const limit = parseLimit(plan.limits[resource]);
+            const used = account.usage[resource];
+
+            return [resource, {
+                used,
+                limit: plan.limits[resource],
+                remaining: limit === Infinity ? null : Math.max(0, limit - used),
+                unlimited: limit === Infinity,
+                resetsEachPeriod: PERIODIC_RESOURCES.includes(resource)
+            }];
+        }));
+
+        return {
+            userId,
+            planId: plan.id,
+            subscriptionId: subscription?.id || null,
+            period,
+            resources
+        };
+    }
+}
+
+export default UsageMeter;
@@ -0,0 +1,500 @@
+/**
+ * Webhook Service - Outbound webhooks for store, payment and processing events
+ * Users register endpoints for the events they want. Each delivery is signed with the endpoint's
+ * secret, retried with exponential backoff and logged; endpoints that keep failing are disabled.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import logger from '../config/logger.js';
+
+export const WEBHOOK_EVENTS = [
+    'app.approved',
+    'app.downloaded',
+    'payment.completed',
+    'subscription.renewed',
+    'payout.completed',
+    'processing.completed'
+];
+
+export const DEFAULT_WEBHOOK_POLICY = {
+    // Attempts per delivery, including the first
+    maxAttempts: 8,
+    // Delay before the first retry; it doubles on every retry after that
+    retryBaseSeconds: 60,
+    // Deliveries in a row that use up all their attempts before the endpoint is disabled
+    disableAfterFailures: 5,
+    timeoutMs: 10000,
+    logRetentionDays: 30
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kept from a receiver's response in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// Addresses webhooks must never reach: this host, private and shared networks, link-local (cloud
+// metadata) and multicast. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) match the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.168.0.0', 16],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is one webhooks must not be sent to
+ */
+export const isPrivateAddress = address =>
+    PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+const PRIVATE_HOSTNAME = /^(localhost|.*\.localhost|.*\.internal|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|0\.0\.0\.0|\[::1?\]|\[f[cd][0-9a-f]*:.*\])$/i;
+
+/**
+ * HMAC-SHA256 of a payload body, in the `sha256=<hex>` form receivers check
+ */
+export const signWebhookPayload = (body, secret) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const createId = prefix => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+class WebhookService {
+    constructor(options = {}) {
+        this.endpoints = new Map();
+        this.deliveries = new Map();
+
+        this.policy = {
+            maxAttempts: options.maxAttempts ??
+                (parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_WEBHOOK_POLICY.maxAttempts),
+            retryBaseSeconds: options.retryBaseSeconds ??
+                (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_WEBHOOK_POLICY.retryBaseSeconds),
+            disableAfterFailures: options.disableAfterFailures ??
+                (parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || DEFAULT_WEBHOOK_POLICY.disableAfterFailures),
+            timeoutMs: options.timeoutMs ?? DEFAULT_WEBHOOK_POLICY.timeoutMs,
+            logRetentionDays: options.logRetentionDays ?? DEFAULT_WEBHOOK_POLICY.logRetentionDays
+        };
+
+        // Plain http and private addresses are only for local development
+        this.allowInsecureUrls = options.allowInsecureUrls ?? process.env.WEBHOOK_ALLOW_INSECURE_URLS === 'true';
+
+        // Sends the HTTP request; replaceable in tests
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+
+        // Resolves an endpoint's hostname to all of its addresses; replaceable in tests
+        this.lookup = options.lookup || (hostname => dns.promises.lookup(hostname, { all: true }));
+
+        this.timer = null;
+    }
+
+    /**
+     * Retry due deliveries on an interval
+     */
+    start(intervalMs) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.runCycle().catch(error => logger.error(`Webhook retry cycle error: ${error.message}`, { stack: error.stack }));
+        }, intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Retry deliveries whose backoff has passed and drop log entries past the retention period
+     */
+    async runCycle(now = new Date()) {
+        const due = Array.from(this.deliveries.values())
+            .filter(delivery => delivery.status === 'retrying' && Date.parse(delivery.nextAttemptAt) <= now.getTime());
+
+        const results = [];
+        for (const delivery of due) {
+            results.push(await this.attemptDelivery(delivery, now));
+        }
+
+        const cutoff = now.getTime() - this.policy.logRetentionDays * DAY_MS;
+        this.deliveries.forEach((delivery, deliveryId) => {
+            if (delivery.status !== 'retrying' && Date.parse(delivery.createdAt) < cutoff) {
+                this.deliveries.delete(deliveryId);
+            }
+        });
+
+        return {
+            attempted: results.length,
+            delivered: results.filter(delivery => delivery.status === 'delivered').length,
+            failed: results.filter(delivery => delivery.status === 'failed').length
+        };
+    }
+
+    /**
+     * Why a URL cannot receive webhooks, or null if it can
+     */
+    validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return 'url must be a valid URL';
+        }
+        if (!['https:', 'http:'].includes(parsed.protocol) || (parsed.protocol === 'http:' && !this.allowInsecureUrls)) {
+            return 'url must use https';
+        }
+        if (parsed.username || parsed.password) {
+            return 'url must not contain credentials';
+        }
+        const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+        if ((PRIVATE_HOSTNAME.test(parsed.hostname) || (net.isIP(host) && isPrivateAddress(host))) &&
+            !this.allowInsecureUrls) {
+            return 'url must be a public address';
+        }
+        return null;
+    }
+
+    /**
+     * Why an endpoint cannot be sent to right now, or null if it can. The hostname is resolved
+     * on every attempt, since a name that was public when it was registered can later point
+     * inside the network.
+     */
+    async checkDestination(url) {
+        if (this.allowInsecureUrls) {
+            return null;
+        }
+
+        const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+        let addresses;
+        try {
+            addresses = await this.lookup(hostname);
+        } catch (error) {
+            return `Could not resolve ${hostname}: ${error.code || error.message}`;
+        }
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        return blocked ? `${hostname} resolves to a private address (${blocked.address})` : null;
+    }
+
+    validateEvents(events) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return `events must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+        const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        return unknown.length > 0 ? `Unknown events: ${unknown.join(', ')}` : null;
+    }
+
+    /**
+     * Register an endpoint for `events` (or `['*']` for all of them). The signing secret is only
+     * returned here and when it is rotated.
+     */
+    createEndpoint(userId, { url, events, description = '' } = {}) {
+        const error = this.validateUrl(url) || this.validateEvents(events);
+        if (error) {
+            return { success: false, error };
+        }
+
+        const endpoint = {
+            id: createId('whep'),
+            userId,
+            url,
+            events: Array.from(new Set(events)),
+            description,
+            secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+            enabled: true,
+            consecutiveFailures: 0,
+            disabledAt: null,
+            disabledReason: null,
+            lastDeliveryAt: null,
+            createdAt: new Date().toISOString()
+        };
+        this.endpoints.set(endpoint.id, endpoint);
+
+        return { success: true, endpoint: this.toPublicEndpoint(endpoint), secret: endpoint.secret };
+    }
+
+    /**
+     * Change an endpoint's url, events, description or `enabled`. Re-enabling clears its failure count.
+     */
+    updateEndpoint(endpointId, updates = {}) {
+        const endpoint = this.endpoints.get(endpointId);
+        if (!endpoint) {
+            return { success: false, error: 'Endpoint not found' };
+        }
+        const error = (updates.url !== undefined && this.validateUrl(updates.url)) ||
+            (updates.events !== undefined && this.validateEvents(updates.events));
+        if (error) {
+            return { success: false, error };
+        }
+
+        if (updates.url !== undefined) {
+            endpoint.url = updates.url;
+        }
+        if (updates.events !== undefined) {
+            endpoint.events = Array.from(new Set(updates.events));
+        }
+        if (updates.description !== undefined) {
+            endpoint.description = updates.description;
+        }
+        if (updates.enabled === true && !endpoint.enabled) {
+            endpoint.enabled = true;
+            endpoint.consecutiveFailures = 0;
+            endpoint.disabledAt = null;
+            endpoint.disabledReason = null;
+        } else if (updates.enabled === false && endpoint.enabled) {
+            this.disableEndpoint(endpoint, 'Disabled by owner');
+        }
+
+        return { success: true, endpoint: this.toPublicEndpoint(endpoint) };
+    }
+
+    /**
+     * Remove an endpoint; its pending retries are cancelled
+     */
+    deleteEndpoint(endpointId) {
+        const endpoint = this.endpoints.get(endpointId);
+        if (!endpoint) {
+            return { success: false, error: 'Endpoint not found' };
+        }
+        this.endpoints.delete(endpointId);
+        this.cancelRetries(endpointId, 'Endpoint deleted');
+        return { success: true };
+    }
+
+    /**
+     * Replace an endpoint's signing secret. Later deliveries, including retries, use the new one.
+     */
+    rotateSecret(endpointId) {
+        const endpoint = this.endpoints.get(endpointId);
+        if (!endpoint) {
+            return { success: false, error: 'Endpoint not found' };
+        }
+        endpoint.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        return { success: true, endpoint: this.toPublicEndpoint(endpoint), secret: endpoint.secret };
+    }
+
+    listEndpoints(userId) {
+        return Array.from(this.endpoints.values())
+            .filter(endpoint => endpoint.userId === userId)
+            .map(endpoint => this.toPublicEndpoint(endpoint));
+    }
+
+    toPublicEndpoint(endpoint) {
+        return {
+            id: endpoint.id,
+            url: endpoint.url,
+            events: endpoint.events,
+            description: endpoint.description,
+            enabled: endpoint.enabled,
+            consecutiveFailures: endpoint.consecutiveFailures,
+            disabledAt: endpoint.disabledAt,
+            disabledReason: endpoint.disabledReason,
+            lastDeliveryAt: endpoint.lastDeliveryAt,
+            createdAt: endpoint.createdAt
+        };
+    }
+
+    /**
+     * Send an event to the enabled endpoints of `userIds` subscribed to it. Resolves once every
+     * first attempt has finished and never rejects, so callers need not wait for it.
+     */
+    async publish(type, data, userIds, now = new Date()) {
+        try {
+            const owners = [].concat(userIds).filter(Boolean);
+            const endpoints = Array.from(this.endpoints.values()).filter(endpoint =>
+                endpoint.enabled &&
+                owners.includes(endpoint.userId) &&
+                (endpoint.events.includes(type) || endpoint.events.includes('*'))
+            );
+            if (endpoints.length === 0) {
+                return [];
+            }
+
+            const event = {
+                id: createId('evt'),
+                type,
+                createdAt: now.toISOString(),
+                data
+            };
+            const deliveries = endpoints.map(endpoint => this.createDelivery(endpoint, event, now));
+
+            return await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery, now)));
+        } catch (error) {
+            logger.error(`Error publishing ${type} webhook: ${error.message}`, { stack: error.stack });
+            return [];
+        }
+    }
+
+    createDelivery(endpoint, event, now, redeliveryOf = null) {
+        const delivery = {
+            id: createId('whdl'),
+            endpointId: endpoint.id,
+            eventId: event.id,
+            eventType: event.type,
+            payload: event,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: now.toISOString(),
+            deliveredAt: null,
+            redeliveryOf,
+            createdAt: now.toISOString()
+        };
+        this.deliveries.set(delivery.id, delivery);
+        return delivery;
+    }
+
+    /**
+     * POST the signed payload once. Failures are retried after `retryBaseSeconds * 2^(attempt - 1)`
+     * until `maxAttempts`; a delivery that runs out counts towards disabling its endpoint.
+     */
+    async attemptDelivery(delivery, now = new Date()) {
+        const endpoint = this.endpoints.get(delivery.endpointId);
+        if (!endpoint || !endpoint.enabled) {
+            delivery.status = 'cancelled';
+            delivery.nextAttemptAt = null;
+            return delivery;
+        }
+
+        delivery.status = 'sending';
+        const body = JSON.stringify(delivery.payload);
+        const attempt = {
+            number: delivery.attempts.length + 1,
+            at: now.toISOString(),
+            url: endpoint.url,
+            statusCode: null,
+            responseBody: null,
+            error: null,
+            durationMs: 0
+        };
+
+        const startedAt = Date.now();
+        try {
+            const blocked = await this.checkDestination(endpoint.url);
+            if (blocked) {
+                throw new Error(blocked);
+            }
+
+            const response = await this.fetch(endpoint.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'RapidAIStore-Webhooks/1.0',
+                    'X-Event-Type': delivery.eventType,
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event-Id': delivery.eventId,
+                    'X-Webhook-Attempt': String(attempt.number),
+                    'X-Webhook-Signature': signWebhookPayload(body, endpoint.secret)
+                },
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.policy.timeoutMs)
+            });
+            attempt.statusCode = response.status;
+            attempt.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY_LENGTH);
+            if (!response.ok) {
+                attempt.error = `Endpoint responded with ${response.status}`;
+            }
+        } catch (error) {
+            attempt.error = error.name === 'TimeoutError' ?
+                `No response within ${this.policy.timeoutMs}ms` :
+                error.message;
+        }
+        attempt.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+
+        if (!attempt.error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = now.toISOString();
+            delivery.nextAttemptAt = null;
+            endpoint.consecutiveFailures = 0;
+            endpoint.lastDeliveryAt = delivery.deliveredAt;
+            return delivery;
+        }
+
+        if (attempt.number < this.policy.maxAttempts) {
+            const delayMs = this.policy.retryBaseSeconds * 1000 * 2 ** (attempt.number - 1);
+            delivery.status = 'retrying';
+            delivery.nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+            return delivery;
+        }
+
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        endpoint.consecutiveFailures++;
+        if (endpoint.consecutiveFailures >= this.policy.disableAfterFailures) {
+            this.disableEndpoint(endpoint, `${endpoint.consecutiveFailures} deliveries in a row failed`, now);
+            await this.sendEndpointDisabledNotification(endpoint);
+        }
+        return delivery;
+    }
+
+    disableEndpoint(endpoint, reason, now = new Date()) {
+        endpoint.enabled = false;
+        endpoint.disabledAt = now.toISOString();
+        endpoint.disabledReason = reason;
+        this.cancelRetries(endpoint.id, reason);
+    }
+
+    cancelRetries(endpointId, reason) {
+        this.deliveries.forEach(delivery => {
+            if (delivery.endpointId === endpointId && delivery.status === 'retrying') {
+                delivery.status = 'cancelled';
+                delivery.nextAttemptAt = null;
+                delivery.cancelReason = reason;
+            }
+        });
+    }
+
+    /**
+     * Send a delivery's event again as a new delivery, whatever became of the original
+     */
+    async redeliver(deliveryId, now = new Date()) {
+        const original = this.deliveries.get(deliveryId);
+        if (!original) {
+            return { success: false, error: 'Delivery not found' };
+        }
+        const endpoint = this.endpoints.get(original.endpointId);
+        if (!endpoint) {
+            return { success: false, error: 'Endpoint not found' };
+        }
+        if (!endpoint.enabled) {
+            return { success: false, error: 'Endpoint is disabled; enable it before redelivering' };
+        }
+
+        const delivery = this.createDelivery(endpoint, original.payload, now, original.id);
+        return { success: true, delivery: await this.attemptDelivery(delivery, now) };
+    }
+
+    /**
+     * An endpoint's delivery log, newest first
+     */
+    listDeliveries(endpointId, { status, limit = 50 } = {}) {
+        return Array.from(this.deliveries.values())
+            .filter(delivery => delivery.endpointId === endpointId && (!status || delivery.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+    }
+
+    /**
+     * Tell an endpoint's owner it was disabled
+     */
+    async sendEndpointDisabledNotification(endpoint) {
+        logger.info(`Webhook endpoint ${endpoint.id} (${endpoint.url}) disabled for ${endpoint.userId}: ${endpoint.disabledReason}`);
+        return true;
+    }
+}
+
+export default WebhookService;
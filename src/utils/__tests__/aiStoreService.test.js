@@ -0,0 +1,96 @@
+/**
+ * Tests for app visibility and moderation in the AI Store
+ */
+import AIStoreService from '../../../services/aiStoreService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+
+describe('aiStoreService', () => {
+  let store;
+
+  const addApp = (id, status) => {
+    store.apps.set(id, {
+      id,
+      name: `App ${id}`,
+      description: 'An app',
+      category: 'business',
+      developerId: 'dev_1',
+      status,
+      views: 0,
+      tags: [],
+    });
+  };
+
+  beforeEach(() => {
+    store = new AIStoreService({ repository: new MemoryStoreRepository() });
+  });
+
+  describe('getAppDetails', () => {
+    it('should hide apps that are not approved from other users', () => {
+      // Arrange
+      addApp('pending', 'pending_review');
+
+      // Act
+      const asBuyer = store.getAppDetails('pending', 'buyer_1');
+      const asDeveloper = store.getAppDetails('pending', 'dev_1');
+      const asModerator = store.getAppDetails('pending', 'mod_1', {
+        includeUnapproved: true,
+      });
+
+      // Assert
+      expect(asBuyer).toEqual({ error: 'App not found' });
+      expect(asDeveloper.id).toBe('pending');
+      expect(asModerator.id).toBe('pending');
+      expect(store.apps.get('pending').views).toBe(0);
+    });
+
+    it('should count views of approved apps', () => {
+      // Arrange
+      addApp('live', 'approved');
+
+      // Act
+      store.getAppDetails('live', 'buyer_1');
+
+      // Assert
+      expect(store.apps.get('live').views).toBe(1);
+    });
+  });
+
+  describe('getReleases', () => {
+    it('should hide releases of apps that are not approved from other users', () => {
+      // Arrange
+      addApp('pending', 'pending_review');
+      addApp('live', 'approved');
+
+      // Act
+      const asBuyer = store.getReleases('pending', null, 'buyer_1');
+      const asDeveloper = store.getReleases('pending', null, 'dev_1');
+      const asModerator = store.getReleases('pending', null, 'mod_1', {
+        includeUnapproved: true,
+      });
+
+      // Assert
+      expect(asBuyer).toBeNull();
+      expect(asDeveloper.appId).toBe('pending');
+      expect(asModerator.appId).toBe('pending');
+      expect(store.getReleases('live').appId).toBe('live');
+    });
+  });
+
+  describe('resubmitApp', () => {
+    it('should move the app between category counts when its category changes', async () => {
+      // Arrange
+      addApp('rejected', 'rejected');
+      store.categories.get('business').appCount = 1;
+
+      // Act
+      const result = await store.resubmitApp('rejected', 'dev_1', {
+        category: 'productivity',
+      });
+
+      // Assert
+      expect(result.success).toBe(true);
+      expect(store.categories.get('business').appCount).toBe(0);
+      expect(store.categories.get('productivity').appCount).toBe(1);
+    });
+  });
+});
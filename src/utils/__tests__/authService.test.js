@@ -0,0 +1,316 @@
+/**
+ * Tests for accounts, sessions, API keys and the auth middleware
+ */
+import AuthService from '../../../services/authService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+import { authenticate, authorize } from '../../../middleware/auth.js';
+
+describe('authService', () => {
+  let auth;
+
+  const register = (email = 'dev@example.com', roles = ['developer']) =>
+    auth.register({ email, password: 'correct horse', name: 'Dev', roles });
+
+  beforeEach(() => {
+    auth = new AuthService({
+      secret: 'test-secret',
+      sessionTtlSeconds: 60,
+    });
+  });
+
+  it('should hash passwords and log in only with the right one', () => {
+    // Arrange
+    const { user } = register();
+
+    // Act
+    const wrong = auth.login('dev@example.com', 'wrong password');
+    const right = auth.login('DEV@example.com', 'correct horse');
+
+    // Assert
+    expect(auth.users.get(user.id).passwordHash).toMatch(/^scrypt\$/);
+    expect(wrong).toEqual({
+      success: false,
+      error: 'Invalid email or password',
+    });
+    expect(right.success).toBe(true);
+    expect(auth.authenticate(right.token).user).toMatchObject({
+      id: user.id,
+      authType: 'session',
+    });
+  });
+
+  it('should reject tampered, expired and logged out sessions', () => {
+    // Arrange
+    const { token } = register();
+    const [header, claims, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({
+        ...JSON.parse(Buffer.from(claims, 'base64url').toString()),
+        sub: 'someone_else',
+      })
+    ).toString('base64url');
+
+    // Act
+    const tampered = auth.verifySession(`${header}.${forged}.${signature}`);
+    const expired = auth.verifySession(token, Date.now() + 61 * 1000);
+    auth.logout(auth.verifySession(token).claims);
+
+    // Assert
+    expect(tampered.error).toBe('Invalid session token signature');
+    expect(expired.expired).toBe(true);
+    expect(auth.verifySession(token).error).toBe('Session has been logged out');
+  });
+
+  it('should limit API keys to permissions the user has and honour revocation', () => {
+    // Arrange
+    const { user } = register();
+
+    // Act
+    const tooBroad = auth.createApiKey(user.id, { scopes: ['admin'] });
+    const { key, apiKey } = auth.createApiKey(user.id, {
+      name: 'CI',
+      scopes: ['store:publish'],
+    });
+    const authenticated = auth.authenticate(key);
+    auth.revokeApiKey(user.id, apiKey.id);
+
+    // Assert
+    expect(tooBroad.error).toBe('You do not have these permissions: admin');
+    expect(authenticated.user).toMatchObject({
+      id: user.id,
+      authType: 'api_key',
+      permissions: ['store:publish'],
+    });
+    expect(auth.authenticate(key).error).toBe('API key has been revoked');
+    expect(auth.listApiKeys(user.id)[0]).not.toHaveProperty('keyHash');
+  });
+
+  it('should refuse self-assigned staff roles and keep payouts for partners', () => {
+    // Act
+    const developer = register();
+    const moderator = register('mod@example.com', ['moderator']);
+    const partner = register('partner@example.com', ['partner']);
+
+    // Assert
+    expect(developer.user.roles).toEqual(['developer']);
+    expect(developer.user.permissions).not.toContain('partnership:payout');
+    expect(moderator.success).toBe(false);
+    expect(partner.success).toBe(false);
+  });
+
+  it('should only make existing accounts admins', () => {
+    // Arrange
+    register('admin@example.com', ['buyer']);
+
+    // Act
+    const granted = auth.grantAdmin('admin@example.com');
+    const unknown = auth.grantAdmin('nobody@example.com');
+
+    // Assert
+    expect(granted.user.roles).toEqual(['buyer', 'admin']);
+    expect(unknown.error).toBe('User not found');
+  });
+
+  it('should keep accounts, API keys and logouts across restarts', async () => {
+    // Arrange
+    const repository = new MemoryStoreRepository();
+    auth = new AuthService({ secret: 'test-secret', repository });
+    const { user, token } = register();
+    const { key } = auth.createApiKey(user.id, { scopes: ['store:publish'] });
+    auth.logout(auth.authenticate(token).user.session);
+    await auth.persist();
+
+    // Act
+    const restarted = new AuthService({ secret: 'test-secret', repository });
+
+    // Assert
+    expect(restarted.login('dev@example.com', 'correct horse').success).toBe(
+      true
+    );
+    expect(restarted.authenticate(key).user.id).toBe(user.id);
+    expect(restarted.authenticate(token).error).toBe(
+      'Session has been logged out'
+    );
+  });
+
+  it('should refuse to start in production without a JWT secret', () => {
+    // Arrange
+    const { NODE_ENV, JWT_SECRET } = process.env;
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SECRET;
+
+    try {
+      // Act & Assert
+      expect(
+        () => new AuthService({ repository: new MemoryStoreRepository() })
+      ).toThrow('JWT_SECRET must be set in production');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (JWT_SECRET !== undefined) {
+        process.env.JWT_SECRET = JWT_SECRET;
+      }
+    }
+  });
+
+  it('should let roles change permissions, including those of existing API keys', () => {
+    // Arrange
+    const admin = register('admin@example.com').user;
+    auth.grantAdmin('admin@example.com');
+    const { user } = register();
+    const { key } = auth.createApiKey(user.id, { scopes: ['store:publish'] });
+
+    // Act
+    const demoted = auth.setRoles(user.id, ['buyer', 'moderator']);
+    const lastAdmin = auth.setRoles(admin.id, ['developer']);
+
+    // Assert
+    expect(demoted.previousRoles).toEqual(['developer']);
+    expect(demoted.user.permissions).toEqual(['store:moderate', 'store:stats']);
+    expect(auth.authenticate(key).user.permissions).toEqual([]);
+    expect(lastAdmin.error).toBe('The last admin cannot lose the admin role');
+    expect(auth.setRoles(user.id, ['owner']).error).toBe(
+      'Unknown roles: owner'
+    );
+  });
+});
+
+describe('auth middleware', () => {
+  let auth;
+  let middleware;
+
+  const createRequest = (method, path, headers = {}) => ({
+    method,
+    baseUrl: '/api',
+    path,
+    get: name => headers[name],
+  });
+
+  const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  // Runs the middleware chain and reports whether the handler was reached
+  const send = async (req, ...handlers) => {
+    const res = createResponse();
+    let reached = false;
+    const run = async index => {
+      if (index < handlers.length) {
+        await handlers[index](req, res, () => run(index + 1));
+      } else {
+        reached = true;
+      }
+    };
+    await run(0);
+    return { res, reached };
+  };
+
+  const signIn = (email, roles) =>
+    auth.register({ email, password: 'correct horse', roles });
+
+  beforeEach(() => {
+    auth = new AuthService({
+      secret: 'test-secret',
+    });
+    middleware = authenticate(auth, {
+      publicRoutes: ['GET /api/store/apps/:appId'],
+    });
+  });
+
+  it('should let anonymous requests through public routes only', async () => {
+    // Act
+    const open = await send(
+      createRequest('GET', '/store/apps/app_1'),
+      middleware
+    );
+    const closed = await send(createRequest('POST', '/store/apps'), middleware);
+
+    // Assert
+    expect(open.reached).toBe(true);
+    expect(closed.reached).toBe(false);
+    expect(closed.res.statusCode).toBe(401);
+    expect(closed.res.headers['WWW-Authenticate']).toBe('Bearer');
+  });
+
+  it('should set req.user from a bearer token and enforce permissions', async () => {
+    // Arrange
+    const { user, token } = signIn('dev@example.com', ['developer']);
+    const { key } = auth.createApiKey(user.id, { scopes: ['store:publish'] });
+    const withToken = createRequest('POST', '/payment/refund', {
+      Authorization: `Bearer ${token}`,
+    });
+    const withKey = createRequest('POST', '/payment/refund', {
+      'X-API-Key': key,
+    });
+
+    // Act
+    const publish = authorize({ permission: 'store:publish' });
+    const refund = authorize({ permission: 'payment:refund' });
+    const session = await send(withToken, middleware, publish);
+    const apiKey = await send(withKey, middleware, refund);
+    const invalid = await send(
+      createRequest('GET', '/store/apps/app_1', {
+        Authorization: 'Bearer nonsense',
+      }),
+      middleware
+    );
+
+    // Assert
+    expect(session.reached).toBe(true);
+    expect(withToken.user.id).toBe(user.id);
+    expect(apiKey.res.statusCode).toBe(403);
+    expect(apiKey.res.body.requiredPermission).toBe('payment:refund');
+    expect(invalid.res.statusCode).toBe(401);
+  });
+
+  it('should only let owners and admins act on a resource', async () => {
+    // Arrange
+    const owner = signIn('owner@example.com', ['developer']);
+    const other = signIn('other@example.com', ['developer']);
+    const admin = signIn('admin@example.com', ['buyer']);
+    auth.grantAdmin('admin@example.com');
+    const apps = new Map([['app_1', [owner.user.id]]]);
+    const policy = authorize({
+      permission: 'store:publish',
+      owner: req => apps.get(req.params.appId),
+    });
+    const request = (token, appId = 'app_1') => ({
+      ...createRequest('POST', `/store/apps/${appId}/releases`, {
+        Authorization: `Bearer ${token}`,
+      }),
+      params: { appId },
+    });
+
+    // Act
+    const byOwner = await send(request(owner.token), middleware, policy);
+    const byOther = await send(request(other.token), middleware, policy);
+    const byAdmin = await send(request(admin.token), middleware, policy);
+    const missing = await send(
+      request(other.token, 'app_404'),
+      middleware,
+      policy
+    );
+
+    // Assert
+    expect(byOwner.reached).toBe(true);
+    expect(byOther.res.statusCode).toBe(403);
+    expect(byOther.res.body.error).toBe(
+      'You can only access your own resources'
+    );
+    expect(byAdmin.reached).toBe(true);
+    expect(missing.reached).toBe(true);
+  });
+});
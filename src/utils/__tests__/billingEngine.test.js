@@ -0,0 +1,190 @@
+/**
+ * Tests for recurring billing: renewals, trials, dunning and proration
+ */
+import PaymentService from '../../../services/paymentService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('billingEngine', () => {
+  let payments;
+  let sandbox;
+
+  const subscribe = (overrides = {}) =>
+    payments.createSubscription({
+      userId: 'u1',
+      planId: 'starter',
+      method: 'card',
+      appId: 'app_1',
+      ...overrides,
+    });
+
+  const daysAfter = (iso, days) => new Date(Date.parse(iso) + days * DAY);
+
+  beforeEach(() => {
+    payments = new PaymentService({
+      sandbox: true,
+      billing: { retryScheduleDays: [1, 3], gracePeriodDays: 5 },
+      findApp: id => ({ id, price: 10, subscriptionPlans: ['starter'] }),
+    });
+    sandbox = payments.providerAdapters.get('sandbox');
+    payments.sendPaymentConfirmation = async () => {};
+    payments.sendDunningNotice = async () => {};
+    payments.sendCancellationConfirmation = async () => {};
+    payments.sendRefundConfirmation = async () => {};
+  });
+
+  it('should renew due subscriptions and keep MRR to paying plans', async () => {
+    // Arrange
+    const { subscriptionId } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    const firstEnd = subscription.currentPeriodEnd;
+
+    // Act
+    const summary = await payments.runBillingCycle(daysAfter(firstEnd, 1));
+
+    // Assert
+    expect(summary.renewed).toBe(1);
+    expect(subscription.currentPeriodStart).toBe(firstEnd);
+    expect(Date.parse(subscription.currentPeriodEnd)).toBeGreaterThan(
+      Date.parse(firstEnd)
+    );
+    expect(payments.transactions.size).toBe(2);
+    expect(payments.revenueMetrics.monthlyRecurringRevenue).toBe(29);
+  });
+
+  it('should bill trials only when they end', async () => {
+    // Arrange
+    const result = await subscribe({ trialDays: 14 });
+    const subscription = payments.subscriptions.get(result.subscriptionId);
+
+    // Act
+    const early = await payments.runBillingCycle(
+      daysAfter(result.trialEnd, -1)
+    );
+    const ended = await payments.runBillingCycle(daysAfter(result.trialEnd, 0));
+
+    // Assert
+    expect(result.status).toBe('trialing');
+    expect(early.trialsEnded).toBe(0);
+    expect(ended.trialsEnded).toBe(1);
+    expect(subscription.status).toBe('active');
+    expect(payments.transactions.size).toBe(1);
+  });
+
+  it('should retry failed renewals and recover', async () => {
+    // Arrange
+    const { subscriptionId } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    const due = new Date(subscription.billing.nextBillingDate);
+    sandbox.script('decline', 'decline');
+
+    // Act
+    await payments.runBillingCycle(due);
+    const { nextRetryAt } = subscription.dunning;
+    await payments.runBillingCycle(new Date(nextRetryAt));
+    await payments.runBillingCycle(new Date(subscription.dunning.nextRetryAt));
+
+    // Assert
+    expect(Date.parse(nextRetryAt) - due.getTime()).toBe(DAY);
+    expect(subscription.status).toBe('active');
+    expect(subscription.dunning).toBeNull();
+    expect(
+      subscription.history.filter(event => event.type === 'payment_failed')
+    ).toHaveLength(2);
+  });
+
+  it('should cancel after the grace period and revoke access', async () => {
+    // Arrange
+    const { subscriptionId } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    const due = new Date(subscription.billing.nextBillingDate);
+    sandbox.script('decline', 'decline', 'decline');
+
+    // Act
+    await payments.runBillingCycle(due);
+    await payments.runBillingCycle(daysAfter(due.toISOString(), 1));
+    await payments.runBillingCycle(daysAfter(due.toISOString(), 3));
+    const stillEntitled = payments.entitlements.findActive('u1', 'app_1');
+    await payments.runBillingCycle(daysAfter(due.toISOString(), 5));
+
+    // Assert
+    expect(stillEntitled).not.toBeNull();
+    expect(subscription.status).toBe('cancelled');
+    expect(subscription.cancelReason).toBe('payment_failed');
+    expect(payments.entitlements.findActive('u1', 'app_1')).toBeNull();
+    expect(payments.revenueMetrics.monthlyRecurringRevenue).toBe(0);
+  });
+
+  it('should cancel at period end when requested', async () => {
+    // Arrange
+    const { subscriptionId } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    await payments.cancelSubscription(subscriptionId);
+
+    // Act
+    await payments.runBillingCycle(new Date(subscription.currentPeriodEnd));
+
+    // Assert
+    expect(subscription.status).toBe('cancelled');
+    expect(payments.transactions.size).toBe(1);
+  });
+
+  it('should prorate upgrades and credit downgrades', async () => {
+    // Arrange
+    const { subscriptionId } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    const start = Date.parse(subscription.currentPeriodStart);
+    const end = Date.parse(subscription.currentPeriodEnd);
+    const halfway = new Date(start + (end - start) / 2);
+
+    // Act
+    const upgrade = await payments.billingEngine.changePlan(
+      subscriptionId,
+      'professional',
+      halfway
+    );
+    const downgrade = await payments.billingEngine.changePlan(
+      subscriptionId,
+      'starter',
+      halfway
+    );
+    await payments.runBillingCycle(new Date(end));
+
+    // Assert
+    expect(upgrade.proration.amountCharged).toBe(35);
+    expect(downgrade.proration.creditAdded).toBe(35);
+    expect(subscription.history.at(-1)).toMatchObject({
+      type: 'renewed',
+      amount: 0,
+      creditApplied: 29,
+    });
+    expect(subscription.billing.creditBalance).toBe(6);
+  });
+
+  it('should refund unused credit when downgrading to the free plan', async () => {
+    // Arrange
+    const { subscriptionId, initialPayment } = await subscribe();
+    const subscription = payments.subscriptions.get(subscriptionId);
+    const start = Date.parse(subscription.currentPeriodStart);
+    const end = Date.parse(subscription.currentPeriodEnd);
+    const halfway = new Date(start + (end - start) / 2);
+
+    // Act
+    const downgrade = await payments.billingEngine.changePlan(
+      subscriptionId,
+      'free',
+      halfway
+    );
+
+    // Assert
+    expect(downgrade.proration).toMatchObject({
+      creditAdded: 14.5,
+      creditRefunded: 14.5,
+      creditDropped: 0,
+    });
+    expect(downgrade.creditBalance).toBe(0);
+    expect(
+      payments.transactions.get(initialPayment.transactionId)
+    ).toMatchObject({ status: 'partially_refunded', refundedAmount: 14.5 });
+  });
+});
@@ -1,4 +1,7 @@
-import templateCache from '../cacheManager';
+/**
+ * Tests for the template cache
+ */
+import templateCache from '../../../utils/cacheManager.js';
 
 describe('CacheManager', () => {
   beforeEach(() => {
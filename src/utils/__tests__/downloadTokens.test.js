@@ -0,0 +1,118 @@
+/**
+ * Tests for signed download links
+ */
+import DownloadTokenSigner from '../../../services/downloadTokens.js';
+import AIStoreService from '../../../services/aiStoreService.js';
+import EntitlementService from '../../../services/entitlementService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+
+describe('downloadTokens', () => {
+  const signer = new DownloadTokenSigner({
+    secret: 'test-secret',
+    ttlSeconds: 60,
+  });
+
+  it('should verify its own tokens and return the claims', () => {
+    // Act
+    const { token } = signer.sign({ appId: 'app_1', userId: 'u1' });
+    const result = signer.verify(token);
+
+    // Assert
+    expect(result.valid).toBe(true);
+    expect(result.claims).toMatchObject({ appId: 'app_1', userId: 'u1' });
+  });
+
+  it('should reject tampered, foreign and expired tokens', () => {
+    // Arrange
+    const now = Date.now();
+    const { token } = signer.sign({ appId: 'app_1', userId: 'u1' }, now);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ appId: 'app_1', userId: 'u2', exp: now / 1000 + 60 })
+    ).toString('base64url');
+
+    // Act & Assert
+    expect(signer.verify(`${forged}.${signature}`).valid).toBe(false);
+    expect(
+      new DownloadTokenSigner({ secret: 'other' }).verify(token).valid
+    ).toBe(false);
+    expect(signer.verify(token, now + 61000)).toMatchObject({
+      valid: false,
+      expired: true,
+    });
+    expect(signer.verify('garbage').valid).toBe(false);
+  });
+
+  describe('AIStoreService downloads', () => {
+    let store;
+    let entitlements;
+
+    beforeEach(() => {
+      entitlements = new EntitlementService();
+      store = new AIStoreService({
+        repository: new MemoryStoreRepository(),
+        entitlements,
+        downloadTokens: signer,
+      });
+      store.apps.set('paid', {
+        id: 'paid',
+        name: 'Paid App',
+        category: 'productivity',
+        developerId: 'dev_1',
+        status: 'approved',
+        price: 10,
+        downloads: 0,
+        releases: [{ version: '1.0.0', channel: 'stable', status: 'active' }],
+        channels: { stable: '1.0.0', beta: null },
+      });
+    });
+
+    const purchase = () =>
+      entitlements.grant({
+        userId: 'buyer',
+        appId: 'paid',
+        sourceType: 'payment',
+        sourceId: 'txn_1',
+      });
+
+    it('should require a purchase before issuing a link for a paid app', async () => {
+      // Act
+      const result = await store.downloadApp('paid', 'buyer');
+
+      // Assert
+      expect(result.success).toBe(false);
+      expect(result.paymentRequired).toBe(true);
+    });
+
+    it('should issue a link that only verifies for the buyer while entitled', async () => {
+      // Arrange
+      const entitlement = purchase();
+
+      // Act
+      const download = await store.downloadApp('paid', 'buyer');
+
+      // Assert
+      expect(download.entitlement).toEqual({
+        type: 'payment',
+        id: entitlement.id,
+      });
+      expect(download.downloadUrl).toContain('/apps/paid/download?');
+      expect(store.verifyDownload('paid', download.downloadToken).success).toBe(
+        true
+      );
+      expect(
+        store.verifyDownload('paid', download.downloadToken, {
+          userId: 'someone',
+        }).success
+      ).toBe(false);
+      expect(
+        store.verifyDownload('other', download.downloadToken).success
+      ).toBe(false);
+
+      entitlements.revokeBySource('payment', 'txn_1', 'refunded');
+      expect(
+        store.verifyDownload('paid', download.downloadToken)
+      ).toMatchObject({ success: false, paymentRequired: true });
+    });
+  });
+});
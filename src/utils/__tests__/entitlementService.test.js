@@ -0,0 +1,248 @@
+/**
+ * Tests for entitlements and license keys
+ */
+import EntitlementService from '../../../services/entitlementService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+import PaymentService, {
+  MAX_TRIAL_DAYS,
+} from '../../../services/paymentService.js';
+
+describe('entitlementService', () => {
+  let entitlements;
+  let payments;
+
+  beforeEach(() => {
+    entitlements = new EntitlementService({ secret: 'test-secret' });
+    payments = new PaymentService({
+      entitlements,
+      sandbox: true,
+      findApp: id => ({ id, price: 10, subscriptionPlans: ['starter'] }),
+    });
+    payments.sendPaymentConfirmation = async () => {};
+    payments.sendRefundConfirmation = async () => {};
+    payments.sendCancellationConfirmation = async () => {};
+  });
+
+  const buy = () =>
+    payments.processPayment({
+      userId: 'buyer',
+      amount: 10,
+      currency: 'USD',
+      method: 'card',
+      metadata: { appId: 'app_1' },
+    });
+
+  describe('license keys', () => {
+    it('should verify keys for the right app only', () => {
+      // Arrange
+      const { licenseKey } = entitlements.grant({
+        userId: 'buyer',
+        appId: 'app_1',
+        sourceType: 'payment',
+        sourceId: 'txn_1',
+      });
+
+      // Act & Assert
+      expect(licenseKey).toMatch(/^([0-9A-Z]{5}-){3}[0-9A-Z]{5}$/);
+      expect(entitlements.verifyLicense(licenseKey, 'app_1')).toMatchObject({
+        valid: true,
+        status: 'active',
+      });
+      expect(
+        entitlements.verifyLicense(licenseKey.toLowerCase(), 'app_1').valid
+      ).toBe(true);
+      expect(entitlements.verifyLicense(licenseKey, 'app_2').valid).toBe(false);
+    });
+
+    it('should reject keys with a bad checksum', () => {
+      // Arrange
+      const { licenseKey } = entitlements.grant({
+        userId: 'buyer',
+        appId: 'app_1',
+        sourceType: 'payment',
+        sourceId: 'txn_1',
+      });
+      const forged = `${licenseKey.slice(0, -1)}${licenseKey.endsWith('0') ? '1' : '0'}`;
+
+      // Act & Assert
+      expect(entitlements.verifyLicense(forged, 'app_1')).toMatchObject({
+        valid: false,
+        error: 'Invalid license key',
+      });
+      expect(entitlements.verifyLicense('ABC', 'app_1').valid).toBe(false);
+    });
+
+    it('should keep entitlements and their keys across restarts', async () => {
+      // Arrange
+      const repository = new MemoryStoreRepository();
+      entitlements = new EntitlementService({
+        secret: 'test-secret',
+        repository,
+      });
+      const { licenseKey } = entitlements.grant({
+        userId: 'buyer',
+        appId: 'app_1',
+        sourceType: 'payment',
+        sourceId: 'txn_1',
+      });
+      entitlements.revokeBySource('payment', 'txn_1', 'refunded');
+      await entitlements.persist();
+
+      // Act
+      const restarted = new EntitlementService({
+        secret: 'test-secret',
+        repository,
+      });
+
+      // Assert
+      expect(restarted.verifyLicense(licenseKey, 'app_1')).toMatchObject({
+        valid: false,
+        status: 'revoked',
+      });
+      expect(restarted.findBySource('payment', 'txn_1').revokeReason).toBe(
+        'refunded'
+      );
+    });
+
+    it('should refuse to start in production without a license key secret', () => {
+      // Arrange
+      const { NODE_ENV, LICENSE_KEY_SECRET } = process.env;
+      process.env.NODE_ENV = 'production';
+      delete process.env.LICENSE_KEY_SECRET;
+
+      try {
+        // Act & Assert
+        expect(
+          () =>
+            new EntitlementService({ repository: new MemoryStoreRepository() })
+        ).toThrow('LICENSE_KEY_SECRET must be set in production');
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        if (LICENSE_KEY_SECRET !== undefined) {
+          process.env.LICENSE_KEY_SECRET = LICENSE_KEY_SECRET;
+        }
+      }
+    });
+  });
+
+  describe('PaymentService integration', () => {
+    it('should grant access on payment and revoke it on full refund', async () => {
+      // Act
+      const payment = await buy();
+
+      // Assert
+      expect(entitlements.findActive('buyer', 'app_1')).not.toBeNull();
+
+      await payments.processRefund(payment.transactionId, null, 'changed mind');
+      expect(entitlements.findActive('buyer', 'app_1')).toBeNull();
+      expect(
+        entitlements.verifyLicense(payment.licenseKey, 'app_1')
+      ).toMatchObject({ valid: false, status: 'revoked' });
+    });
+
+    it('should refuse access when the payment does not cover the price', async () => {
+      // Act
+      const payment = await payments.processPayment({
+        userId: 'buyer',
+        amount: 1,
+        currency: 'USD',
+        method: 'card',
+        metadata: { appId: 'app_1' },
+      });
+
+      // Assert
+      expect(payment.success).toBe(true);
+      expect(payment.licenseKey).toBeUndefined();
+      expect(entitlements.findActive('buyer', 'app_1')).toBeNull();
+      expect(
+        payments.transactions.get(payment.transactionId).entitlementRefused
+      ).toBe('Amount paid does not cover the app price');
+    });
+
+    it('should keep access after a partial refund', async () => {
+      // Arrange
+      const payment = await buy();
+
+      // Act
+      await payments.processRefund(payment.transactionId, 4);
+
+      // Assert
+      expect(entitlements.findActive('buyer', 'app_1')).not.toBeNull();
+    });
+
+    it('should revoke access once partial refunds add up to the full amount', async () => {
+      // Arrange
+      const payment = await buy();
+
+      // Act
+      await payments.processRefund(payment.transactionId, 4);
+      const overRefund = await payments.processRefund(payment.transactionId, 7);
+      const rest = await payments.processRefund(payment.transactionId);
+
+      // Assert
+      expect(overRefund.success).toBe(false);
+      expect(rest.amount).toBe(6);
+      expect(payments.transactions.get(payment.transactionId).status).toBe(
+        'refunded'
+      );
+      expect(entitlements.findActive('buyer', 'app_1')).toBeNull();
+    });
+
+    it('should tie subscription access to the billing period', async () => {
+      // Arrange
+      const subscription = await payments.createSubscription({
+        userId: 'buyer',
+        planId: 'starter',
+        appId: 'app_1',
+        method: 'card',
+      });
+      const entitlement = entitlements.findBySource(
+        'subscription',
+        subscription.subscriptionId
+      );
+
+      // Act & Assert
+      expect(entitlement.expiresAt).toBeTruthy();
+      expect(entitlements.getStatus(entitlement)).toBe('active');
+      expect(
+        entitlements.getStatus(entitlement, Date.parse(entitlement.expiresAt))
+      ).toBe('expired');
+      expect(entitlements.getUserEntitlements('buyer')).toHaveLength(1);
+
+      await payments.cancelSubscription(subscription.subscriptionId, true);
+      expect(entitlements.findActive('buyer', 'app_1')).toBeNull();
+    });
+
+    it('should only grant apps the subscribed plan includes', async () => {
+      // Act
+      const result = await payments.createSubscription({
+        userId: 'buyer',
+        planId: 'free',
+        appId: 'app_1',
+        method: 'card',
+      });
+
+      // Assert
+      expect(result).toEqual({
+        success: false,
+        error: 'Free Plan does not include this app',
+      });
+      expect(entitlements.findActive('buyer', 'app_1')).toBeNull();
+    });
+
+    it('should cap free trials', async () => {
+      // Act
+      const { trialEnd } = await payments.createSubscription({
+        userId: 'buyer',
+        planId: 'starter',
+        method: 'card',
+        trialDays: 3650,
+      });
+
+      // Assert
+      expect(Date.parse(trialEnd) - Date.now()).toBeLessThanOrEqual(
+        MAX_TRIAL_DAYS * 24 * 60 * 60 * 1000
+      );
+    });
+  });
+});
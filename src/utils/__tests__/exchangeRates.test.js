@@ -0,0 +1,129 @@
+/**
+ * Tests for historical exchange rates and minor-unit rounding
+ */
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ExchangeRateService, {
+  roundMoney,
+} from '../../../services/exchangeRates.js';
+import PaymentService from '../../../services/paymentService.js';
+
+describe('exchangeRates', () => {
+  describe('roundMoney', () => {
+    it('should round to each currency minor unit', () => {
+      // Act & Assert
+      expect(roundMoney(1.005, 'USD')).toBe(1.01);
+      expect(roundMoney(1499.5, 'JPY')).toBe(1500);
+      expect(roundMoney(0.12345, 'KWD')).toBe(0.123);
+      expect(roundMoney(-2.675, 'EUR')).toBe(-2.68);
+    });
+  });
+
+  describe('ExchangeRateService', () => {
+    let rates;
+
+    beforeEach(() => {
+      rates = new ExchangeRateService({ defaultRates: { EUR: 0.9 } });
+      rates.importRates({
+        base: 'EUR',
+        effectiveAt: '2026-01-01T00:00:00Z',
+        rates: { USD: 1.25, JPY: 150 },
+      });
+    });
+
+    it('should convert at the rate in effect on a date', () => {
+      // Act
+      const before = rates.convert(100, 'USD', 'EUR', new Date('2025-06-01'));
+      const after = rates.convert(100, 'USD', 'EUR', new Date('2026-02-01'));
+      const yen = rates.convert(10, 'USD', 'JPY', new Date('2026-02-01'));
+
+      // Assert
+      expect(before).toMatchObject({ amount: 90, source: 'default' });
+      expect(after).toMatchObject({
+        amount: 80,
+        rate: 0.8,
+        effectiveAt: '2026-01-01T00:00:00.000Z',
+      });
+      expect(yen.amount).toBe(1200);
+    });
+
+    it('should reject unknown currencies and invalid tables', () => {
+      // Act & Assert
+      expect(rates.convert(1, 'USD', 'XYZ').success).toBe(false);
+      expect(rates.importRates({ rates: { EUR: -1 } }).success).toBe(false);
+      expect(
+        rates.importRates({ base: 'EUR', rates: { GBP: 0.8 } }).error
+      ).toMatch(/USD/);
+    });
+
+    it('should import tables from a file and a feed', async () => {
+      // Arrange
+      const filePath = path.join(os.tmpdir(), `rates-${Date.now()}.json`);
+      await fs.writeFile(
+        filePath,
+        JSON.stringify([
+          { effectiveAt: '2026-03-01', rates: { GBP: 0.8 } },
+          { effectiveAt: '2026-04-01', rates: { GBP: 0.75 } },
+        ])
+      );
+      rates.feed = {
+        name: 'test-feed',
+        fetchRates: async () => ({
+          base: 'USD',
+          effectiveAt: '2026-05-01',
+          rates: { GBP: 0.7 },
+        }),
+      };
+
+      // Act
+      const imported = await rates.loadFromFile(filePath);
+      const refreshed = await rates.refresh();
+      await fs.unlink(filePath);
+
+      // Assert
+      expect(imported.every(result => result.success)).toBe(true);
+      expect(refreshed.source).toBe('test-feed');
+      expect(rates.getRate('USD', 'GBP', new Date('2026-03-15')).rate).toBe(
+        0.8
+      );
+      expect(rates.getRate('USD', 'GBP', new Date('2026-06-01')).rate).toBe(
+        0.7
+      );
+    });
+  });
+
+  describe('payments', () => {
+    it('should record the rate used and keep revenue to exact cents', async () => {
+      // Arrange
+      const payments = new PaymentService({ sandbox: true });
+      payments.sendPaymentConfirmation = async () => {};
+      const pay = () =>
+        payments.processPayment({
+          userId: 'u1',
+          amount: 10,
+          currency: 'EUR',
+          method: 'card',
+        });
+
+      // Act
+      const first = await pay();
+      payments.exchangeRates.importRates({ rates: { EUR: 0.8 } });
+      const second = await pay();
+      await pay();
+
+      // Assert
+      const firstTxn = payments.transactions.get(first.transactionId);
+      expect(firstTxn.exchangeRate).toMatchObject({
+        from: 'EUR',
+        to: 'USD',
+        source: 'default',
+      });
+      expect(firstTxn.convertedAmount).toBe(11.76);
+      expect(
+        payments.transactions.get(second.transactionId).convertedAmount
+      ).toBe(12.5);
+      expect(payments.getPaymentAnalytics().overview.totalRevenue).toBe(36.76);
+    });
+  });
+});
@@ -2,29 +2,36 @@
  * Tests for file processing service
  */
 import { jest } from '@jest/globals';
-import { extractText } from '../../../services/fileProcessingService.js';
-import { FileProcessingError } from '../../../middleware/errorHandler.js';
-
-// Mock dependencies
-jest.mock('pdf-parse', () => jest.fn());
-jest.mock('xlsx', () => ({
-  read: jest.fn(),
-  utils: {
-    sheet_to_csv: jest.fn(),
+// Mock dependencies (ES modules are mocked before they are imported)
+jest.unstable_mockModule('pdf-parse', () => ({ default: jest.fn() }));
+jest.unstable_mockModule('xlsx', () => ({
+  default: {
+    read: jest.fn(),
+    utils: {
+      sheet_to_csv: jest.fn(),
+    },
   },
 }));
-jest.mock('mammoth', () => ({
-  extractRawText: jest.fn(),
+jest.unstable_mockModule('mammoth', () => ({
+  default: {
+    extractRawText: jest.fn(),
+  },
 }));
-jest.mock('../../../utils/fileUtils.js', () => ({
+jest.unstable_mockModule('../../../utils/fileUtils.js', () => ({
   validateFile: jest.fn(),
 }));
 
 // Import mocked modules
-import pdf from 'pdf-parse';
-import XLSX from 'xlsx';
-import mammoth from 'mammoth';
-import { validateFile } from '../../../utils/fileUtils.js';
+const { default: pdf } = await import('pdf-parse');
+const { default: XLSX } = await import('xlsx');
+const { default: mammoth } = await import('mammoth');
+const { validateFile } = await import('../../../utils/fileUtils.js');
+const { extractText } = await import(
+  '../../../services/fileProcessingService.js'
+);
+const { FileProcessingError } = await import(
+  '../../../middleware/errorHandler.js'
+);
 
 describe('File Processing Service', () => {
   beforeEach(() => {
@@ -1,12 +1,29 @@
-import { validateFile, readTemplate, listFiles } from '../fileUtils';
-import { FileProcessingError } from '../../middleware/errorHandler';
-import fs from 'fs/promises';
+/**
+ * Tests for file utilities
+ */
+import { jest } from '@jest/globals';
 import path from 'path';
+// Mock fs/promises (ES modules are mocked before they are imported)
+jest.unstable_mockModule('fs/promises', () => ({
+  default: {
+    readFile: jest.fn(),
+    readdir: jest.fn(),
+  },
+}));
 
-// Mock fs/promises
-jest.mock('fs/promises');
+const { default: fs } = await import('fs/promises');
+const { validateFile, readTemplate, listFiles } = await import(
+  '../../../utils/fileUtils.js'
+);
+const { FileProcessingError } = await import(
+  '../../../middleware/errorHandler.js'
+);
 
 describe('FileUtils', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
   describe('validateFile', () => {
     it('should validate file size correctly', () => {
       const buffer = Buffer.alloc(5 * 1024 * 1024); // 5MB file
@@ -31,7 +48,7 @@ describe('FileUtils', () => {
   describe('readTemplate', () => {
     it('should read template file successfully', async () => {
       const mockContent = 'template content';
-      (fs.readFile as jest.Mock).mockResolvedValue(mockContent);
+      fs.readFile.mockResolvedValue(mockContent);
 
       const result = await readTemplate('test.txt', '/templates');
       expect(result).toBe(mockContent);
@@ -42,7 +59,7 @@ describe('FileUtils', () => {
     });
 
     it('should throw FileProcessingError when template read fails', async () => {
-      (fs.readFile as jest.Mock).mockRejectedValue(new Error('File not found'));
+      fs.readFile.mockRejectedValue(new Error('File not found'));
 
       await expect(readTemplate('test.txt', '/templates')).rejects.toThrow(
         FileProcessingError
@@ -53,7 +70,7 @@ describe('FileUtils', () => {
   describe('listFiles', () => {
     it('should list files in directory', async () => {
       const mockFiles = ['file1.txt', 'file2.txt'];
-      (fs.readdir as jest.Mock).mockResolvedValue(mockFiles);
+      fs.readdir.mockResolvedValue(mockFiles);
 
       const result = await listFiles('/test-dir');
       expect(result).toEqual(mockFiles);
@@ -61,9 +78,7 @@ describe('FileUtils', () => {
     });
 
     it('should throw FileProcessingError when directory read fails', async () => {
-      (fs.readdir as jest.Mock).mockRejectedValue(
-        new Error('Directory not found')
-      );
+      fs.readdir.mockRejectedValue(new Error('Directory not found'));
 
       await expect(listFiles('/test-dir')).rejects.toThrow(FileProcessingError);
     });
@@ -0,0 +1,159 @@
+/**
+ * Tests for fraud scoring and the manual review queue
+ */
+import { jest } from '@jest/globals';
+import PaymentService from '../../../services/paymentService.js';
+import {
+  DEFAULT_FRAUD_RULES,
+  loadFraudRules,
+} from '../../../services/fraudEngine.js';
+
+describe('fraudEngine', () => {
+  let payments;
+  let sandbox;
+
+  const pay = (overrides = {}) =>
+    payments.processPayment({
+      userId: 'u1',
+      amount: 20,
+      currency: 'USD',
+      method: 'card',
+      ipAddress: '203.0.113.7',
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    payments = new PaymentService({ sandbox: true });
+    sandbox = payments.providerAdapters.get('sandbox');
+    payments.sendPaymentConfirmation = async () => {};
+  });
+
+  it('should approve ordinary payments and record the score', async () => {
+    // Act
+    const result = await pay();
+
+    // Assert
+    expect(result.success).toBe(true);
+    expect(payments.transactions.get(result.transactionId).fraud).toMatchObject(
+      {
+        risk: 0,
+        recommendation: 'approve',
+      }
+    );
+  });
+
+  it('should count failed attempts and velocity per card', async () => {
+    // Arrange
+    sandbox.script('decline', 'decline', 'decline');
+    for (let i = 0; i < 3; i++) {
+      await pay({ cardFingerprint: 'card_1', userId: `u${i}` });
+    }
+
+    // Act
+    const score = await payments.checkFraud({
+      userId: 'u9',
+      amount: 20,
+      currency: 'USD',
+      cardFingerprint: 'card_1',
+    });
+
+    // Assert
+    expect(score.factors).toEqual(['card_failures']);
+    expect(score.triggered[0]).toMatchObject({ count: 3 });
+    expect(score.recommendation).toBe('approve');
+  });
+
+  it('should not count failed attempts towards velocity', async () => {
+    // Arrange
+    sandbox.script('decline', 'decline', 'decline', 'decline', 'decline');
+    for (let i = 0; i < 5; i++) {
+      await pay({ cardFingerprint: 'card_1', userId: `u${i}` });
+    }
+
+    // Act
+    const score = await payments.checkFraud({
+      userId: 'u9',
+      amount: 20,
+      currency: 'USD',
+      cardFingerprint: 'card_1',
+    });
+
+    // Assert
+    expect(score.factors).toEqual(['card_failures']);
+    expect(score.triggered[0]).toMatchObject({ count: 5 });
+  });
+
+  it('should flag amounts far above the user history', async () => {
+    // Arrange
+    for (let i = 0; i < 3; i++) {
+      await pay();
+    }
+
+    // Act
+    const score = await payments.checkFraud({
+      userId: 'u1',
+      amount: 500,
+      currency: 'USD',
+    });
+
+    // Assert
+    expect(score.factors).toEqual(['amount_anomaly']);
+    expect(score.triggered[0]).toMatchObject({ averageUsd: 20 });
+  });
+
+  it('should block blocked countries and mismatched payments', async () => {
+    // Arrange
+    payments.fraudDetection.blockedCountries = ['KP'];
+
+    // Act
+    const result = await pay({
+      billingDetails: { country: 'US' },
+      ipCountry: 'KP',
+    });
+
+    // Assert
+    expect(result).toMatchObject({ success: false, fraudScore: 1 });
+    expect(payments.transactions.size).toBe(0);
+  });
+
+  it('should hold review-level payments until allowed or denied', async () => {
+    // Arrange
+    const risky = { amount: 1500, ipCountry: 'BR', cardCountry: 'US' };
+    const held = await pay(risky);
+    const second = await pay(risky);
+
+    // Act
+    const allowed = await payments.fraudEngine.allowReview(held.reviewId, {
+      decidedBy: 'admin_1',
+    });
+    const denied = payments.fraudEngine.denyReview(second.reviewId);
+    const again = payments.fraudEngine.denyReview(held.reviewId);
+
+    // Assert
+    expect(held).toMatchObject({ underReview: true, status: 'pending_review' });
+    expect(allowed.payment.success).toBe(true);
+    expect(
+      payments.transactions.get(allowed.payment.transactionId).fraud.reviewId
+    ).toBe(held.reviewId);
+    expect(denied.status).toBe('denied');
+    expect(again).toMatchObject({ success: false });
+    expect(payments.fraudEngine.listReviews('pending')).toHaveLength(0);
+  });
+
+  it('should fall back to the default rules when FRAUD_RULES is malformed', () => {
+    // Arrange
+    const mockConsoleError = jest.spyOn(console, 'error').mockImplementation();
+
+    // Act
+    const invalid = loadFraudRules('[{ "id": ');
+    const notList = loadFraudRules('{ "id": "high_amount" }');
+    const custom = loadFraudRules('[{ "id": "high_amount" }]');
+
+    // Assert
+    expect(invalid).toBe(DEFAULT_FRAUD_RULES);
+    expect(notList).toBe(DEFAULT_FRAUD_RULES);
+    expect(custom).toEqual([{ id: 'high_amount' }]);
+    expect(mockConsoleError).toHaveBeenCalledTimes(2);
+    mockConsoleError.mockRestore();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the Idempotency-Key middleware
+ */
+import { createIdempotencyMiddleware } from '../../../middleware/idempotency.js';
+
+describe('idempotency middleware', () => {
+  let middleware;
+  let calls;
+
+  const createRequest = (key, body, userId = body?.userId) => ({
+    method: 'POST',
+    baseUrl: '/api/payment',
+    path: '/process',
+    user: userId ? { id: userId } : undefined,
+    ip: '127.0.0.1',
+    body,
+    get: name => (name === 'Idempotency-Key' ? key : undefined),
+  });
+
+  const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  // Runs the middleware, then a handler that charges once per call
+  const send = async (key, body, statusCode = 200, userId = body?.userId) => {
+    const res = createResponse();
+    await middleware(createRequest(key, body, userId), res, () => {
+      calls++;
+      res.status(statusCode).json({ charge: calls });
+    });
+    return res;
+  };
+
+  beforeEach(() => {
+    middleware = createIdempotencyMiddleware({ ttlMs: 1000 });
+    calls = 0;
+  });
+
+  it('should replay the first response for an identical retry', async () => {
+    // Act
+    const first = await send('key-1', { userId: 'u1', amount: 10 });
+    const retry = await send('key-1', { amount: 10, userId: 'u1' });
+
+    // Assert
+    expect(calls).toBe(1);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    // Arrange
+    await send('key-1', { userId: 'u1', amount: 10 });
+
+    // Act
+    const result = await send('key-1', { userId: 'u1', amount: 99 });
+
+    // Assert
+    expect(result.statusCode).toBe(422);
+    expect(calls).toBe(1);
+  });
+
+  it('should scope keys per user and skip requests without a key', async () => {
+    // Act
+    await send('key-1', { userId: 'u1', amount: 10 });
+    await send('key-1', { userId: 'u2', amount: 10 });
+    await send(undefined, { userId: 'u1', amount: 10 });
+
+    // Assert
+    expect(calls).toBe(3);
+  });
+
+  it('should scope keys by the signed-in user, not a userId in the body', async () => {
+    // Arrange
+    const first = await send('key-1', { userId: 'u1', amount: 10 }, 200, 'u1');
+
+    // Act
+    const spoofed = await send(
+      'key-1',
+      { userId: 'u1', amount: 10 },
+      200,
+      'u2'
+    );
+
+    // Assert
+    expect(calls).toBe(2);
+    expect(spoofed.body).not.toEqual(first.body);
+  });
+
+  it('should run the handler once for concurrent requests with the same key', async () => {
+    // Act
+    const responses = await Promise.all([
+      send('key-1', { userId: 'u1', amount: 10 }),
+      send('key-1', { userId: 'u1', amount: 10 }),
+    ]);
+
+    // Assert
+    expect(calls).toBe(1);
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 409]);
+  });
+
+  it('should let clients retry after a server error', async () => {
+    // Act
+    await send('key-1', { userId: 'u1' }, 504);
+    const retry = await send('key-1', { userId: 'u1' });
+
+    // Assert
+    expect(calls).toBe(2);
+    expect(retry.statusCode).toBe(200);
+  });
+
+  it('should forget keys after the configured window', async () => {
+    // Arrange
+    const now = Date.now();
+    await send('key-1', { userId: 'u1' });
+    const realNow = Date.now;
+    Date.now = () => now + 2000;
+
+    // Act
+    try {
+      await send('key-1', { userId: 'u1' });
+    } finally {
+      Date.now = realNow;
+    }
+
+    // Assert
+    expect(calls).toBe(2);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for invoices, receipts and credit notes
+ */
+import PaymentService from '../../../services/paymentService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+
+describe('invoiceService', () => {
+  let payments;
+
+  const pay = (overrides = {}) =>
+    payments.processPayment({
+      userId: 'u1',
+      amount: 120,
+      currency: 'EUR',
+      method: 'card',
+      description: 'Pro Toolkit',
+      billingDetails: {
+        name: 'ACME GmbH',
+        country: 'DE',
+        taxId: 'DE123456789',
+      },
+      ...overrides,
+    });
+
+  beforeEach(() => {
+    payments = new PaymentService({
+      sandbox: true,
+      invoicing: { seller: { name: 'Test Seller', taxId: 'US999' } },
+    });
+    payments.sendPaymentConfirmation = async () => {};
+    payments.sendRefundConfirmation = async () => {};
+  });
+
+  it('should continue numbering after a restart', async () => {
+    // Arrange
+    const repository = new MemoryStoreRepository();
+    payments = new PaymentService({ sandbox: true, invoicing: { repository } });
+    payments.sendPaymentConfirmation = async () => {};
+    await pay();
+    await payments.invoices.persist();
+
+    // Act
+    payments = new PaymentService({ sandbox: true, invoicing: { repository } });
+    payments.sendPaymentConfirmation = async () => {};
+    const afterRestart = await pay();
+
+    // Assert
+    expect(afterRestart.receipt.invoiceNumber).toMatch(/-000002$/);
+  });
+
+  it('should issue a numbered paid invoice for every settled payment', async () => {
+    // Act
+    const first = await pay();
+    const second = await pay({ amount: 5 });
+
+    // Assert
+    const invoice = payments.invoices.getDocument(first.receipt.invoiceId);
+    expect(first.receipt).toMatchObject({
+      invoiceNumber: `INV-${new Date().getUTCFullYear()}-000001`,
+      receiptNumber: `RCT-${new Date().getUTCFullYear()}-000001`,
+    });
+    expect(second.receipt.invoiceNumber).toMatch(/-000002$/);
+    expect(invoice).toMatchObject({
+      status: 'paid',
+      currency: 'EUR',
+      total: 120,
+      seller: { name: 'Test Seller', taxId: 'US999' },
+      buyer: { userId: 'u1', name: 'ACME GmbH', taxId: 'DE123456789' },
+    });
+    expect(payments.invoices.listForUser('u1')).toHaveLength(2);
+  });
+
+  it('should credit refunds with a proportional share of tax', async () => {
+    // Arrange
+    const { transactionId } = await pay({
+      amount: 100,
+      billingDetails: { name: 'Jane Doe', country: 'DE' },
+    });
+    const transaction = payments.transactions.get(transactionId);
+    const invoice = payments.invoices.getDocument(transaction.invoiceId);
+
+    // Act
+    const refund = await payments.processRefund(
+      transactionId,
+      59.5,
+      'duplicate'
+    );
+
+    // Assert
+    const creditNote = payments.invoices.getDocument(refund.creditNoteId);
+    expect(invoice).toMatchObject({
+      subtotal: 100,
+      tax: { regime: 'VAT', total: 19 },
+      total: 119,
+    });
+    expect(creditNote).toMatchObject({
+      type: 'credit_note',
+      invoiceNumber: invoice.number,
+      subtotal: 50,
+      tax: { total: 9.5 },
+      total: 59.5,
+    });
+    expect(invoice).toMatchObject({
+      status: 'partially_credited',
+      amountCredited: 59.5,
+    });
+  });
+
+  it('should invoice renewals, including ones paid by account credit', async () => {
+    // Arrange
+    const { subscriptionId } = await payments.createSubscription({
+      userId: 'u1',
+      planId: 'starter',
+      method: 'card',
+    });
+    const subscription = payments.subscriptions.get(subscriptionId);
+    subscription.billing.creditBalance = 29;
+
+    // Act
+    await payments.runBillingCycle(new Date(subscription.currentPeriodEnd));
+
+    // Assert
+    const renewal = payments.invoices.getDocument(
+      subscription.history.at(-1).invoiceId
+    );
+    expect(payments.invoices.listForUser('u1', 'invoice')).toHaveLength(2);
+    expect(renewal).toMatchObject({
+      subscriptionId,
+      transactionId: null,
+      total: 0,
+      payment: { method: 'account_credit' },
+    });
+    expect(renewal.lineItems.map(item => item.amount)).toEqual([29, -29]);
+  });
+
+  it('should render invoices, receipts and credit notes as PDFs', async () => {
+    // Arrange
+    const { transactionId, receipt } = await pay({ currency: 'JPY' });
+    const refund = await payments.processRefund(transactionId);
+    const invoice = payments.invoices.getDocument(receipt.invoiceId);
+
+    // Act
+    const pdfs = await Promise.all([
+      payments.invoices.renderPdf(invoice),
+      payments.invoices.renderPdf(invoice, { as: 'receipt' }),
+      payments.invoices.renderPdf(
+        payments.invoices.getDocument(refund.creditNoteId)
+      ),
+    ]);
+
+    // Assert
+    pdfs.forEach(pdf => expect(pdf.subarray(0, 5).toString()).toBe('%PDF-'));
+    expect(invoice.status).toBe('credited');
+  });
+});
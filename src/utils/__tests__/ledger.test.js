@@ -0,0 +1,211 @@
+/**
+ * Tests for the double-entry ledger
+ */
+import Ledger, {
+  ACCOUNTS,
+  partnerPayableAccount,
+} from '../../../services/ledger.js';
+import PartnershipService from '../../../services/partnershipService.js';
+import PaymentService from '../../../services/paymentService.js';
+
+describe('ledger', () => {
+  let ledger;
+  let payments;
+  let partnerships;
+
+  const pay = (overrides = {}) =>
+    payments.processPayment({
+      userId: 'u1',
+      amount: 100,
+      currency: 'USD',
+      method: 'card',
+      billingDetails: { country: 'US', state: 'CA' },
+      ...overrides,
+    });
+
+  const registerPartner = async () => {
+    const { partnerId } = await partnerships.registerPartner({
+      name: 'Dev',
+      email: 'dev@example.com',
+      company: 'Dev Co',
+    });
+    partnerships.partners.get(partnerId).paymentInfo = {
+      method: 'bank_transfer',
+      details: null,
+      verified: true,
+    };
+    return partnerId;
+  };
+
+  beforeEach(() => {
+    ledger = new Ledger();
+    payments = new PaymentService({ sandbox: true, ledger });
+    payments.sendPaymentConfirmation = async () => {};
+    payments.sendRefundConfirmation = async () => {};
+    payments.calculateFees = amount => ({
+      rate: 0.03,
+      amount: amount * 0.03,
+      currency: 'USD',
+    });
+    partnerships = new PartnershipService({
+      ledger,
+      payouts: { holdDays: 0, minimumAmount: 0 },
+    });
+    partnerships.sendWelcomeEmail = async () => {};
+    partnerships.sendPayoutConfirmation = () => {};
+  });
+
+  it('should reject unbalanced entries', () => {
+    // Act & Assert
+    expect(() =>
+      ledger.post({
+        type: 'manual',
+        lines: [
+          { account: ACCOUNTS.cash, debit: 10 },
+          { account: ACCOUNTS.sales, credit: 9.99 },
+        ],
+      })
+    ).toThrow('Unbalanced manual journal entry');
+  });
+
+  it('should journal charges, tax and provider fees', async () => {
+    // Act
+    const { transactionId } = await pay();
+
+    // Assert
+    const [charge, fee] = ledger.getEntries({ reference: { transactionId } });
+    expect(charge.lines).toEqual([
+      { account: ACCOUNTS.cash, debit: 107.25, credit: 0 },
+      { account: ACCOUNTS.sales, debit: 0, credit: 100 },
+      { account: ACCOUNTS.taxPayable, debit: 0, credit: 7.25 },
+    ]);
+    expect(fee.type).toBe('provider_fee');
+    expect(ledger.getBalance(ACCOUNTS.cash).balance).toBe(104.03);
+    expect(ledger.getBalance(ACCOUNTS.processingFees).balance).toBe(3.22);
+  });
+
+  it('should reverse revenue and tax for refunds and chargebacks', async () => {
+    // Arrange
+    const refunded = await pay();
+    const disputed = await pay();
+
+    // Act
+    await payments.processRefund(refunded.transactionId, 53.63);
+    const chargeback = await payments.processChargeback(
+      disputed.transactionId,
+      { fee: 15 }
+    );
+
+    // Assert
+    expect(chargeback).toMatchObject({
+      success: true,
+      amount: 107.25,
+      status: 'charged_back',
+    });
+    expect(ledger.getBalance(ACCOUNTS.refunds)).toMatchObject({
+      debits: 50,
+      credits: 0,
+    });
+    expect(ledger.getBalance(ACCOUNTS.chargebacks).debits).toBe(100);
+    expect(ledger.getBalance(ACCOUNTS.taxPayable).balance).toBe(3.62);
+    expect(ledger.getBalance(ACCOUNTS.chargebackFees).balance).toBe(15);
+    expect(ledger.trialBalance()).toMatchObject({ balanced: true });
+  });
+
+  it('should not charge with the provider when the payment cannot be journaled', async () => {
+    // Arrange
+    let providerCalls = 0;
+    payments.processWithProvider = async () => {
+      providerCalls += 1;
+      return { success: true, status: 'succeeded', chargeId: 'ch_1' };
+    };
+    payments.calculateFees = () => ({ rate: 0, amount: -1, currency: 'USD' });
+
+    // Act
+    const result = await pay();
+
+    // Assert
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Payment cannot be journaled/);
+    expect(providerCalls).toBe(0);
+    expect(payments.transactions.size).toBe(0);
+    expect(payments.revenueMetrics.totalRevenue).toBe(0);
+  });
+
+  it('should not complete a transaction whose charge cannot be journaled', async () => {
+    // Arrange
+    const { transactionId } = await pay({ paymentToken: 'tok_3ds' });
+    const transaction = payments.transactions.get(transactionId);
+    transaction.fees = { amount: -1 };
+
+    // Act & Assert
+    await expect(payments.completeTransaction(transaction)).rejects.toThrow();
+    expect(transaction.status).toBe('requires_action');
+    expect(transaction.invoiceId).toBeNull();
+    expect(ledger.getEntries({ reference: { transactionId } })).toEqual([]);
+  });
+
+  it('should not refund with the provider when the refund cannot be journaled', async () => {
+    // Arrange
+    const { transactionId } = await pay();
+    const entries = ledger.getEntries().length;
+    let providerCalls = 0;
+    payments.processRefundWithProvider = async () => {
+      providerCalls += 1;
+      return { success: true, refundId: 're_1' };
+    };
+
+    // Act
+    const result = await payments.processRefund(transactionId, -10);
+
+    // Assert
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Refund cannot be journaled/);
+    expect(providerCalls).toBe(0);
+    expect(ledger.getEntries()).toHaveLength(entries);
+    expect(payments.transactions.get(transactionId).status).toBe('completed');
+  });
+
+  it('should settle partner payables when payouts are paid', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    partnerships.calculateRevenueShare(partnerId, 100);
+
+    // Act
+    const payout = await partnerships.processPartnerPayout(partnerId);
+    partnerships.calculateRevenueShare(partnerId, 50);
+    partnerships.payouts.exportBatch(payout.batchId);
+    await partnerships.payouts.markPayoutPaid(payout.payoutId);
+
+    // Assert
+    expect(payout).toMatchObject({ success: true, amount: 70 });
+    expect(ledger.getBalance(partnerPayableAccount(partnerId)).balance).toBe(
+      35
+    );
+    expect(partnerships.reconcilePartnerLedger(partnerId)).toMatchObject({
+      earned: 105,
+      recordedShares: 105,
+      paidOut: 70,
+      owed: 35,
+      reconciled: true,
+    });
+  });
+
+  it('should balance the trial balance across payments and partners', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    const { transactionId } = await pay({ amount: 19.99 });
+    partnerships.calculateRevenueShare(partnerId, 19.99);
+
+    // Act
+    await payments.processRefund(transactionId);
+    const report = ledger.trialBalance();
+
+    // Assert
+    expect(report.balanced).toBe(true);
+    expect(report.totalDebits).toBe(report.totalCredits);
+    expect(report.accounts.map(row => row.account)).toEqual(
+      expect.arrayContaining([ACCOUNTS.cash, partnerPayableAccount(partnerId)])
+    );
+  });
+});
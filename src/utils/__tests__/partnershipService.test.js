@@ -0,0 +1,282 @@
+/**
+ * Tests for automatic revenue sharing on app sales
+ */
+import Ledger, { partnerPayableAccount } from '../../../services/ledger.js';
+import PartnershipService, {
+  parseRevenueSplit,
+} from '../../../services/partnershipService.js';
+import PaymentService from '../../../services/paymentService.js';
+
+describe('partnershipService revenue sharing', () => {
+  let ledger;
+  let apps;
+  let partnerships;
+  let payments;
+
+  const registerPartner = async (data = {}) => {
+    const { partnerId } = await partnerships.registerPartner({
+      name: 'Dev',
+      email: 'dev@example.com',
+      company: 'Dev Co',
+      ...data,
+    });
+    return partnerId;
+  };
+
+  const buyApp = (appId, amount = 10) =>
+    payments.processPayment({
+      userId: 'buyer',
+      amount,
+      currency: 'USD',
+      method: 'card',
+      metadata: { appId },
+    });
+
+  beforeEach(() => {
+    ledger = new Ledger();
+    apps = new Map();
+    partnerships = new PartnershipService({
+      ledger,
+      findApp: appId => apps.get(appId),
+    });
+    partnerships.sendWelcomeEmail = async () => {};
+    payments = new PaymentService({
+      sandbox: true,
+      ledger,
+      partnerships,
+    });
+    payments.sendPaymentConfirmation = async () => {};
+    payments.sendRefundConfirmation = async () => {};
+  });
+
+  it('should parse collaboration splits', () => {
+    // Act & Assert
+    expect(parseRevenueSplit('50/50')).toEqual([0.5, 0.5]);
+    expect(parseRevenueSplit('60/40')).toEqual([0.6, 0.4]);
+    expect(parseRevenueSplit('nonsense')).toEqual([0.5, 0.5]);
+  });
+
+  it("should credit an app sale to the developer's partner at their tier", async () => {
+    // Arrange
+    const partnerId = await registerPartner({ developerId: 'dev_1' });
+    apps.set('app_1', { id: 'app_1', developerId: 'dev_1' });
+
+    // Act
+    const sale = await buyApp('app_1', 10);
+
+    // Assert
+    const transaction = payments.transactions.get(sale.transactionId);
+    const [share] = transaction.revenueShareIds.map(id =>
+      partnerships.revenueShares.get(id)
+    );
+    expect(share).toMatchObject({
+      partnerId,
+      appId: 'app_1',
+      transactionId: sale.transactionId,
+      totalRevenue: 10,
+      partnerShare: 7,
+      platformShare: 3,
+    });
+    expect(partnerships.calculatePendingRevenue(partnerId)).toBe(7);
+  });
+
+  it('should leave sales of apps without a partner to the platform', async () => {
+    // Arrange
+    apps.set('app_1', { id: 'app_1', developerId: 'unknown_dev' });
+
+    // Act
+    const sale = await buyApp('app_1');
+
+    // Assert
+    expect(
+      payments.transactions.get(sale.transactionId).revenueShareIds
+    ).toEqual([]);
+  });
+
+  it('should split joint app revenue between active collaborators', async () => {
+    // Arrange
+    const initiator = await registerPartner();
+    const target = await registerPartner();
+    apps.set('app_1', { id: 'app_1', developerId: initiator });
+    partnerships.sendCollaborationInvite = async () => {};
+    const { collaborationId } = await partnerships.createCollaboration(
+      initiator,
+      target,
+      'joint_app',
+      { appId: 'app_1', revenueShare: '60/40' }
+    );
+    partnerships.collaborations.get(collaborationId).status = 'active';
+
+    // Act
+    await buyApp('app_1', 10);
+
+    // Assert
+    expect(partnerships.calculatePendingRevenue(initiator)).toBe(4.2);
+    expect(partnerships.calculatePendingRevenue(target)).toBe(2.8);
+  });
+
+  it('should reverse shares when a sale is refunded', async () => {
+    // Arrange
+    const partnerId = await registerPartner({ developerId: 'dev_1' });
+    apps.set('app_1', { id: 'app_1', developerId: 'dev_1' });
+    const sale = await buyApp('app_1', 10);
+
+    // Act
+    await payments.processRefund(sale.transactionId, 4);
+    const afterPartial = partnerships.calculatePendingRevenue(partnerId);
+    await payments.processRefund(sale.transactionId, 6);
+
+    // Assert
+    expect(afterPartial).toBe(4.2);
+    expect(partnerships.calculatePendingRevenue(partnerId)).toBe(0);
+    expect(ledger.getBalance(partnerPayableAccount(partnerId)).balance).toBe(0);
+    expect(partnerships.reconcilePartnerLedger(partnerId)).toMatchObject({
+      earned: 0,
+      reconciled: true,
+    });
+  });
+});
+
+describe('partnershipService collaborations', () => {
+  let apps;
+  let coOwners;
+  let partnerships;
+
+  const now = new Date();
+  const daysFrom = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  const registerPartner = async () => {
+    const { partnerId } = await partnerships.registerPartner({
+      name: 'Dev',
+      email: 'dev@example.com',
+      company: 'Dev Co',
+    });
+    return partnerId;
+  };
+
+  const invite = async (initiator, target, details = {}) =>
+    partnerships.createCollaboration(
+      initiator,
+      target,
+      'joint_app',
+      {
+        appId: 'app_1',
+        revenueShare: '50/50',
+        duration: '3 months',
+        ...details,
+      },
+      now
+    );
+
+  beforeEach(() => {
+    apps = new Map();
+    coOwners = new Map();
+    partnerships = new PartnershipService({
+      findApp: appId => apps.get(appId),
+      setAppCoOwners: async (appId, developerIds) => {
+        coOwners.set(appId, developerIds);
+        return { success: true };
+      },
+      collaborationInviteDays: 14,
+    });
+    partnerships.sendWelcomeEmail = async () => {};
+    partnerships.sendCollaborationInvite = async () => {};
+    partnerships.sendCollaborationUpdate = async () => {};
+  });
+
+  it('should negotiate terms and co-own the joint app once accepted', async () => {
+    // Arrange
+    const initiator = await registerPartner();
+    const target = await registerPartner();
+    apps.set('app_1', { id: 'app_1', developerId: initiator });
+    const { collaborationId } = await invite(initiator, target);
+
+    // Act
+    const outOfTurn = await partnerships.acceptCollaboration(
+      collaborationId,
+      initiator,
+      now
+    );
+    await partnerships.counterCollaboration(
+      collaborationId,
+      target,
+      { revenueShare: '40/60' },
+      now
+    );
+    const accepted = await partnerships.acceptCollaboration(
+      collaborationId,
+      initiator,
+      daysFrom(1)
+    );
+    partnerships.attributeSale({
+      appId: 'app_1',
+      transactionId: 'txn_1',
+      revenue: 10,
+    });
+
+    // Assert
+    expect(outOfTurn.success).toBe(false);
+    expect(accepted).toMatchObject({
+      success: true,
+      status: 'active',
+      terms: { revenueShare: '40/60' },
+    });
+    expect(
+      partnerships
+        .getCollaboration(collaborationId, daysFrom(1))
+        .negotiation.map(entry => entry.action)
+    ).toEqual(['proposed', 'countered', 'accepted']);
+    expect(coOwners.get('app_1')).toEqual([initiator, target]);
+    expect(partnerships.calculatePendingRevenue(initiator)).toBe(2.8);
+    expect(partnerships.calculatePendingRevenue(target)).toBe(4.2);
+  });
+
+  it('should reject invalid terms and apps neither partner owns', async () => {
+    // Arrange
+    const initiator = await registerPartner();
+    const target = await registerPartner();
+    apps.set('app_1', { id: 'app_1', developerId: 'someone_else' });
+
+    // Act
+    const foreignApp = await invite(initiator, target);
+    apps.get('app_1').developerId = target;
+    const badSplit = await invite(initiator, target, { revenueShare: 'most' });
+
+    // Assert
+    expect(foreignApp.error).toBe(
+      'The app must belong to one of the collaborating partners'
+    );
+    expect(badSplit.error).toBe('revenueShare must be a split such as 60/40');
+  });
+
+  it('should expire unanswered invites and complete collaborations after their duration', async () => {
+    // Arrange
+    const initiator = await registerPartner();
+    const target = await registerPartner();
+    apps.set('app_1', { id: 'app_1', developerId: initiator });
+    const stale = await invite(initiator, target);
+    const agreed = await invite(initiator, target);
+    await partnerships.declineCollaboration(
+      stale.collaborationId,
+      initiator,
+      'withdrawn',
+      now
+    );
+    const fresh = await invite(initiator, target);
+    await partnerships.acceptCollaboration(
+      agreed.collaborationId,
+      target,
+      daysFrom(1)
+    );
+
+    // Act
+    const { expired } = partnerships.expireCollaborations(daysFrom(20));
+    const { completed } = partnerships.expireCollaborations(daysFrom(95));
+
+    // Assert
+    expect(expired).toEqual([fresh.collaborationId]);
+    expect(completed).toEqual([agreed.collaborationId]);
+    expect(partnerships.findAppCollaboration('app_1')).toBeNull();
+    expect(coOwners.get('app_1')).toEqual([]);
+  });
+});
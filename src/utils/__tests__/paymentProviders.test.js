@@ -0,0 +1,195 @@
+/**
+ * Tests for payment provider routing and the sandbox adapter
+ */
+import { jest } from '@jest/globals';
+import logger from '../../../config/logger.js';
+import {
+  DEFAULT_ROUTING_RULES,
+  loadRoutingRules,
+  routePayment,
+} from '../../../services/paymentProviders.js';
+import PaymentService from '../../../services/paymentService.js';
+
+describe('paymentProviders', () => {
+  describe('routePayment', () => {
+    const rules = [
+      { provider: 'razorpay', regions: ['IN'], methods: ['upi'] },
+      { provider: 'paypal', currencies: ['EUR'] },
+      { provider: 'stripe' },
+    ];
+
+    it('should pick the first rule matching region, method and currency', () => {
+      // Act & Assert
+      expect(routePayment(rules, { region: 'IN', method: 'upi' })).toBe(
+        'razorpay'
+      );
+      expect(routePayment(rules, { region: 'IN', method: 'card' })).toBe(
+        'stripe'
+      );
+      expect(routePayment(rules, { region: 'DE', currency: 'EUR' })).toBe(
+        'paypal'
+      );
+    });
+
+    it('should skip disabled providers', () => {
+      // Act & Assert
+      expect(
+        routePayment(
+          rules,
+          { region: 'DE', currency: 'EUR' },
+          name => name !== 'paypal'
+        )
+      ).toBe('stripe');
+      expect(routePayment(rules, {}, () => false)).toBeNull();
+    });
+  });
+
+  describe('loadRoutingRules', () => {
+    it('should fall back to the default rules when the setting is malformed', () => {
+      // Arrange
+      const mockLoggerError = jest.spyOn(logger, 'error').mockImplementation();
+
+      // Act
+      const invalid = loadRoutingRules('[{ "provider": ');
+      const notList = loadRoutingRules('{ "provider": "stripe" }');
+      const custom = loadRoutingRules('[{ "provider": "paypal" }]');
+
+      // Assert
+      expect(invalid).toBe(DEFAULT_ROUTING_RULES);
+      expect(notList).toBe(DEFAULT_ROUTING_RULES);
+      expect(custom).toEqual([{ provider: 'paypal' }]);
+      expect(mockLoggerError).toHaveBeenCalledTimes(2);
+      mockLoggerError.mockRestore();
+    });
+  });
+
+  describe('PaymentService with the sandbox', () => {
+    let payments;
+    let sandbox;
+
+    const pay = (overrides = {}) =>
+      payments.processPayment({
+        userId: 'buyer',
+        amount: 20,
+        currency: 'USD',
+        method: 'card',
+        ...overrides,
+      });
+
+    beforeEach(() => {
+      payments = new PaymentService({
+        sandbox: true,
+        providerTimeoutMs: 50,
+        findApp: id => ({ id, price: 10 }),
+      });
+      sandbox = payments.providerAdapters.get('sandbox');
+      payments.sendPaymentConfirmation = async () => {};
+      payments.sendRefundConfirmation = async () => {};
+    });
+
+    it('should follow scripted outcomes in order', async () => {
+      // Arrange
+      sandbox.script('decline', 'succeed');
+
+      // Act
+      const declined = await pay();
+      const approved = await pay();
+
+      // Assert
+      expect(declined).toMatchObject({
+        success: false,
+        declineCode: 'card_declined',
+      });
+      expect(approved).toMatchObject({ success: true, status: 'completed' });
+      expect(payments.transactions.size).toBe(1);
+    });
+
+    it('should charge numeric string amounts as numbers and refuse invalid ones', async () => {
+      // Act
+      const taxed = await pay({
+        amount: '10',
+        billingDetails: { country: 'US', state: 'CA' },
+      });
+      const negative = await pay({ amount: -50 });
+      const text = await pay({ amount: 'ten' });
+
+      // Assert
+      expect(taxed.amount).toBe(10.73);
+      expect(negative).toEqual({
+        success: false,
+        error: 'amount must be a number greater than 0',
+      });
+      expect(text.success).toBe(false);
+      expect(payments.transactions.size).toBe(1);
+    });
+
+    it('should report timeouts without recording a charge', async () => {
+      // Act
+      const result = await pay({ paymentToken: 'tok_timeout' });
+
+      // Assert
+      expect(result).toMatchObject({ success: false, timedOut: true });
+      expect(payments.transactions.size).toBe(0);
+    });
+
+    it('should complete a 3-D Secure payment from the signed webhook', async () => {
+      // Arrange
+      const pending = await pay({
+        paymentToken: 'tok_3ds',
+        metadata: { appId: 'app_1' },
+      });
+      const { providerTransactionId } = payments.transactions.get(
+        pending.transactionId
+      );
+
+      // Act
+      const webhook = sandbox.completeChallenge(providerTransactionId);
+      const forged = await payments.handleProviderWebhook(
+        'sandbox',
+        webhook.body,
+        { 'x-sandbox-signature': 'bad' }
+      );
+      const result = await payments.handleProviderWebhook(
+        'sandbox',
+        webhook.body,
+        webhook.headers
+      );
+
+      // Assert
+      expect(pending).toMatchObject({ requiresAction: true });
+      expect(pending.nextAction.type).toBe('three_d_secure');
+      expect(forged.success).toBe(false);
+      expect(result.status).toBe('completed');
+      expect(payments.entitlements.findActive('buyer', 'app_1')).not.toBeNull();
+    });
+
+    it('should capture authorized payments and refuse over-refunds', async () => {
+      // Arrange
+      const authorized = await pay({ capture: false });
+
+      // Act
+      const overCapture = await payments.capturePayment(
+        authorized.transactionId,
+        21
+      );
+      const captured = await payments.capturePayment(
+        authorized.transactionId,
+        15
+      );
+      const refund = await payments.processRefund(authorized.transactionId, 10);
+      const overRefund = await payments.processRefund(
+        authorized.transactionId,
+        10
+      );
+
+      // Assert
+      expect(authorized.status).toBe('authorized');
+      expect(overCapture.error).toBe(
+        'amount must be greater than 0 and at most the authorized 20 USD'
+      );
+      expect(captured).toMatchObject({ success: true, amount: 15 });
+      expect(refund.success).toBe(true);
+      expect(overRefund.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for partner payout batches
+ */
+import Ledger, { partnerPayableAccount } from '../../../services/ledger.js';
+import PartnershipService from '../../../services/partnershipService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('payoutEngine', () => {
+  let ledger;
+  let partnerships;
+  let payouts;
+
+  const now = new Date('2026-06-30T12:00:00Z');
+
+  const registerPartner = async (paymentInfo = {}) => {
+    const { partnerId } = await partnerships.registerPartner({
+      name: 'Dev',
+      email: 'dev@example.com',
+      company: 'Dev Co',
+    });
+    partnerships.updatePaymentInfo(partnerId, {
+      method: 'bank_transfer',
+      details: {
+        accountName: 'Dev Co',
+        routingNumber: '021000021',
+        accountNumber: '123456789',
+      },
+      ...paymentInfo,
+    });
+    partnerships.verifyPaymentInfo(partnerId, 'admin_1');
+    return partnerId;
+  };
+
+  const earn = (partnerId, revenue, daysAgo) => {
+    const { shareId } = partnerships.calculateRevenueShare(partnerId, revenue);
+    partnerships.revenueShares.get(shareId).createdAt = new Date(
+      now.getTime() - daysAgo * DAY_MS
+    ).toISOString();
+    return shareId;
+  };
+
+  beforeEach(() => {
+    ledger = new Ledger();
+    partnerships = new PartnershipService({
+      ledger,
+      payouts: { minimumAmount: 50, holdDays: 14, maxAttempts: 2 },
+    });
+    partnerships.sendWelcomeEmail = async () => {};
+    partnerships.sendPayoutConfirmation = async () => {};
+    payouts = partnerships.payouts;
+  });
+
+  it('should hold recent shares and skip balances below the minimum', async () => {
+    // Arrange
+    const cleared = await registerPartner();
+    const small = await registerPartner();
+    earn(cleared, 100, 20);
+    earn(cleared, 100, 2);
+    earn(small, 50, 20);
+
+    // Act
+    const { batch, skipped } = payouts.createBatch({ now });
+
+    // Assert
+    expect(payouts.getPayableBalance(cleared, now)).toMatchObject({
+      payable: 0,
+      held: 70,
+      inPayout: 70,
+    });
+    expect(batch.payouts).toHaveLength(1);
+    expect(batch.payouts[0]).toMatchObject({
+      partnerId: cleared,
+      amount: 70,
+      status: 'pending',
+    });
+    expect(skipped).toEqual([
+      expect.objectContaining({ partnerId: small, reason: 'below_minimum' }),
+    ]);
+  });
+
+  it('should export CSV and fixed-width NACHA files', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    earn(partnerId, 100, 20);
+    const { batch } = payouts.createBatch({ now });
+
+    // Act
+    const nacha = payouts.exportBatch(batch.id, 'nacha', now);
+    const csv = payouts.exportBatch(batch.id, 'csv', now);
+
+    // Assert
+    const records = nacha.content.trimEnd().split('\n');
+    expect(records.every(record => record.length === 94)).toBe(true);
+    expect(records.length % 10).toBe(0);
+    expect(records[2]).toMatch(/^622021000021123456789 {8}0000007000/);
+    expect(csv.content.split('\n')[1]).toContain(
+      `${partnerId},Dev Co,bank_transfer`
+    );
+    expect(payouts.getPayout(batch.payoutIds[0])).toMatchObject({
+      status: 'processing',
+      attempts: 1,
+    });
+  });
+
+  it('should mark shares paid and post the payout when the bank pays', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    const shareId = earn(partnerId, 100, 20);
+    const { batch } = payouts.createBatch({ now });
+    payouts.exportBatch(batch.id, 'csv', now);
+
+    // Act
+    const result = await payouts.markPayoutPaid(batch.payoutIds[0], {
+      reference: 'ACH-1',
+    });
+
+    // Assert
+    expect(result.success).toBe(true);
+    expect(partnerships.revenueShares.get(shareId).status).toBe('paid');
+    expect(payouts.getBatch(batch.id).status).toBe('completed');
+    expect(ledger.getBalance(partnerPayableAccount(partnerId)).balance).toBe(0);
+  });
+
+  it('should retry failed payouts and release shares after the last attempt', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    const shareId = earn(partnerId, 100, 20);
+    const { batch } = payouts.createBatch({ now });
+    const payoutId = batch.payoutIds[0];
+    payouts.exportBatch(batch.id, 'csv', now);
+
+    // Act
+    const first = payouts.markPayoutFailed(payoutId, {
+      reason: 'account_closed',
+    });
+    payouts.retryPayout(payoutId);
+    const retryBatch = payouts.createBatch({ now }).batch;
+    payouts.exportBatch(retryBatch.id, 'csv', now);
+    const second = payouts.markPayoutFailed(payoutId, {
+      reason: 'account_closed',
+    });
+
+    // Assert
+    expect(first.retryable).toBe(true);
+    expect(retryBatch.payoutIds).toEqual([payoutId]);
+    expect(second.retryable).toBe(false);
+    expect(payouts.retryPayout(payoutId).success).toBe(false);
+    expect(partnerships.revenueShares.get(shareId).status).toBe(
+      'pending_payout'
+    );
+    expect(partnerships.partners.get(partnerId).paymentInfo.verified).toBe(
+      false
+    );
+    expect(payouts.getBatch(batch.id).status).toBe('failed');
+    expect(
+      partnerships.updatePaymentInfo(partnerId, {
+        method: 'paypal',
+        details: { email: 'dev@example.com' },
+      }).verified
+    ).toBe(false);
+    expect(partnerships.partners.get(partnerId).paymentInfo.verified).toBe(
+      false
+    );
+  });
+
+  it('should recover reversals of paid shares from the next payout', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    const paidShare = earn(partnerId, 100, 40);
+    const { batch } = payouts.createBatch({ now });
+    payouts.exportBatch(batch.id, 'csv', now);
+    await payouts.markPayoutPaid(batch.payoutIds[0]);
+    partnerships.revenueShares.get(paidShare).transactionId = 'txn_1';
+    partnerships.reverseSale('txn_1', 1);
+    earn(partnerId, 200, 20);
+
+    // Act
+    const balance = payouts.getPayableBalance(partnerId, now);
+
+    // Assert
+    expect(balance).toMatchObject({ eligible: 140, debt: 70, payable: 70 });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for token bucket rate limits
+ */
+import { jest } from '@jest/globals';
+import RateLimiter, {
+  MemoryRateLimitStore,
+} from '../../../services/rateLimiter.js';
+import UsageMeter from '../../../services/usageMeter.js';
+import PaymentService from '../../../services/paymentService.js';
+import { rateLimit } from '../../../middleware/rateLimit.js';
+import logger from '../../../config/logger.js';
+
+describe('rateLimiter', () => {
+  it('should empty a bucket and refill it over the window', async () => {
+    // Arrange
+    const store = new MemoryRateLimitStore();
+    const bucket = { capacity: 2, refillPerMs: 2 / 60000, cost: 1 };
+    const now = Date.now();
+
+    // Act
+    const first = await store.take('client', bucket, now);
+    await store.take('client', bucket, now);
+    const empty = await store.take('client', bucket, now);
+    const refilled = await store.take('client', bucket, now + 30000);
+
+    // Assert
+    expect(first).toEqual({ allowed: true, tokens: 1 });
+    expect(empty.allowed).toBe(false);
+    expect(refilled.allowed).toBe(true);
+  });
+
+  it('should fall back to memory while the shared store is down', async () => {
+    // Arrange
+    const store = {
+      take: async () => {
+        throw new Error('Connection is closed.');
+      },
+    };
+    const limiter = new RateLimiter({ store });
+    const consume = () => limiter.consume('client', { limit: 1 });
+    const mockLoggerError = jest.spyOn(logger, 'error').mockImplementation();
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+
+    // Act
+    const first = await consume();
+    const second = await consume();
+
+    // Assert
+    expect(first).toMatchObject({ allowed: true, remaining: 0 });
+    expect(second).toMatchObject({ allowed: false, retryAfterMs: 60000 });
+    expect(limiter.storeAvailable).toBe(false);
+    expect(mockLoggerError).toHaveBeenCalledTimes(1);
+    mockLoggerError.mockRestore();
+    jest.useRealTimers();
+  });
+});
+
+describe('rate limit middleware', () => {
+  let payments;
+  let limiter;
+  let middleware;
+
+  const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      Object.assign(
+        this.headers,
+        typeof name === 'object' ? name : { [name]: value }
+      );
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  });
+
+  const send = async user => {
+    const req = { user, ip: '203.0.113.7' };
+    const res = createResponse();
+    let reached = false;
+    await middleware(req, res, () => {
+      reached = true;
+    });
+    return { res, reached };
+  };
+
+  beforeEach(() => {
+    payments = new PaymentService({ sandbox: true });
+    payments.subscriptionPlans.get('free').limits.requestsPerMinute = 2;
+    limiter = new RateLimiter({ store: null });
+    middleware = rateLimit(limiter, new UsageMeter(payments), { name: 'ai' });
+  });
+
+  it('should answer 429 with Retry-After once the free plan limit is used', async () => {
+    // Act
+    const first = await send({ id: 'u1' });
+    await send({ id: 'u1' });
+    const limited = await send({ id: 'u1' });
+    const otherKey = await send({ id: 'u1', apiKeyId: 'key_1' });
+
+    // Assert
+    expect(first.reached).toBe(true);
+    expect(first.res.headers).toMatchObject({
+      'RateLimit-Limit': '2',
+      'RateLimit-Remaining': '1',
+      'RateLimit-Reset': '30',
+      'RateLimit-Policy': '2;w=60',
+    });
+    expect(limited.reached).toBe(false);
+    expect(limited.res.statusCode).toBe(429);
+    expect(limited.res.headers['Retry-After']).toBe('30');
+    expect(limited.res.body.retryAfter).toBe(30);
+    expect(otherKey.reached).toBe(true);
+  });
+
+  it('should give subscribers their plan limit', async () => {
+    // Arrange
+    payments.subscriptions.set('sub_1', {
+      userId: 'u2',
+      planId: 'professional',
+      status: 'active',
+    });
+
+    // Act
+    const { res } = await send({ id: 'u2' });
+    const anonymous = await send(undefined);
+
+    // Assert
+    expect(res.headers['RateLimit-Limit']).toBe('1000');
+    expect(anonymous.res.headers['RateLimit-Limit']).toBe('2');
+  });
+});
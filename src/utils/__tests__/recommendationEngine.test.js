@@ -0,0 +1,91 @@
+/**
+ * Tests for the recommendation engine
+ */
+import AIStoreService from '../../../services/aiStoreService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+
+describe('recommendationEngine', () => {
+  let store;
+
+  const addApp = (id, overrides = {}) => {
+    store.apps.set(id, {
+      id,
+      name: id,
+      category: 'productivity',
+      tags: [],
+      developerId: `dev_${id}`,
+      status: 'approved',
+      downloads: 0,
+      rating: 0,
+      ...overrides,
+    });
+  };
+
+  beforeEach(() => {
+    store = new AIStoreService({ repository: new MemoryStoreRepository() });
+    addApp('notes');
+    addApp('calendar');
+    addApp('invoices', { category: 'finance', tags: ['billing'] });
+    addApp('receipts', { category: 'finance', tags: ['billing'] });
+    addApp('game', { category: 'entertainment', downloads: 500 });
+  });
+
+  it('should recommend apps co-downloaded by similar users', () => {
+    // Arrange
+    ['u1', 'u2'].forEach(userId => {
+      store.recordUserDownload('notes', userId);
+      store.recordUserDownload('calendar', userId);
+    });
+    store.recordUserDownload('notes', 'me');
+
+    // Act
+    const result = store.getRecommendations('me', 1);
+
+    // Assert
+    expect(result.algorithm).toBe('item_item_cooccurrence');
+    expect(result.recommendations[0].id).toBe('calendar');
+    expect(result.recommendations[0].recommendation.explanation).toBe(
+      'People who used "notes" also used this app'
+    );
+  });
+
+  it('should fall back to content similarity when nobody shares history', () => {
+    // Arrange
+    store.recordUserDownload('invoices', 'me');
+
+    // Act
+    const result = store.getRecommendations('me', 1);
+
+    // Assert
+    expect(result.recommendations[0].id).toBe('receipts');
+    expect(result.recommendations[0].recommendation.strategy).toBe(
+      'content_based'
+    );
+  });
+
+  it('should use popularity for cold-start users and skip downloaded apps', () => {
+    // Act
+    const result = store.getRecommendations('newcomer', 2);
+
+    // Assert
+    expect(result.coldStart).toBe(true);
+    expect(result.algorithm).toBe('popularity');
+    expect(result.recommendations[0].id).toBe('game');
+  });
+
+  it('should count repeat views as weaker signals than downloads', () => {
+    // Arrange
+    store.recordUserDownload('notes', 'u1');
+    store.recordUserDownload('calendar', 'u1');
+    store.recordUserView('notes', 'me');
+
+    // Act
+    const interactions = store.recommendationEngine.buildInteractions();
+
+    // Assert
+    expect(interactions.get('me').get('notes')).toBeCloseTo(0.3);
+    expect(store.getRecommendations('me', 1).recommendations[0].id).toBe(
+      'calendar'
+    );
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the marketplace search index
+ */
+import SearchIndex, {
+  editDistance,
+  stem,
+  tokenize,
+} from '../../../services/searchIndex.js';
+import AIStoreService from '../../../services/aiStoreService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+
+describe('searchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.add({
+      id: 'invoice',
+      name: 'Invoice Generator',
+      description: 'Create invoices from templates',
+      tags: ['billing', 'pdf'],
+    });
+    index.add({
+      id: 'translator',
+      name: 'Text Translator',
+      description: 'Translate documents and generate summaries',
+      tags: ['language'],
+    });
+  });
+
+  describe('text helpers', () => {
+    it('should tokenize, drop stop words and stem plurals', () => {
+      // Act & Assert
+      expect(tokenize('The Invoice, and PDF')).toEqual(['invoice', 'pdf']);
+      expect(stem('invoices')).toBe('invoice');
+      expect(stem('summaries')).toBe('summary');
+    });
+
+    it('should stop computing edit distance past the tolerance', () => {
+      // Act & Assert
+      expect(editDistance('invoice', 'invocie')).toBe(2);
+      expect(editDistance('invoice', 'translator', 1)).toBe(2);
+    });
+  });
+
+  describe('search', () => {
+    it('should rank name matches above description matches', () => {
+      // Act
+      const results = index.search('generator');
+
+      // Assert
+      expect(results.map(result => result.id)).toEqual([
+        'invoice',
+        'translator',
+      ]);
+      expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    it('should match prefixes and typos', () => {
+      // Act & Assert
+      expect(index.search('transl')[0].id).toBe('translator');
+      expect(index.search('invoyce')[0].id).toBe('invoice');
+    });
+
+    it('should forget removed documents', () => {
+      // Act
+      index.remove('invoice');
+
+      // Assert
+      expect(index.search('invoice')).toEqual([]);
+      expect(index.size).toBe(1);
+    });
+
+    it('should suggest completions for the last query word', () => {
+      // Act & Assert
+      expect(index.suggest('text transl')).toEqual([
+        'text translator',
+        'text translate',
+      ]);
+    });
+  });
+
+  describe('AIStoreService.searchApps', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new AIStoreService({ repository: new MemoryStoreRepository() });
+      [
+        {
+          id: 'a',
+          name: 'Invoice Scanner',
+          category: 'business',
+          price: 0,
+          rating: 4.5,
+          downloads: 10,
+        },
+        {
+          id: 'b',
+          name: 'Invoice Pro',
+          category: 'finance',
+          price: 25,
+          rating: 3.5,
+          downloads: 50,
+        },
+        {
+          id: 'c',
+          name: 'Photo Editor',
+          category: 'utilities',
+          price: 5,
+          rating: 4.8,
+          downloads: 90,
+        },
+      ].forEach(app => {
+        const listing = {
+          ...app,
+          description: `${app.name} app`,
+          tags: [],
+          status: 'approved',
+          publishedAt: new Date().toISOString(),
+        };
+        store.apps.set(app.id, listing);
+        store.searchIndex.add(listing);
+      });
+    });
+
+    it('should paginate and sort ranked results', () => {
+      // Act
+      const firstPage = store.searchApps(
+        'invoice',
+        {},
+        { sort: 'popular', limit: 1 }
+      );
+      const secondPage = store.searchApps(
+        'invoice',
+        {},
+        { sort: 'popular', limit: 1, page: 2 }
+      );
+
+      // Assert
+      expect(firstPage.totalResults).toBe(2);
+      expect(firstPage.pagination.pages).toBe(2);
+      expect(firstPage.results[0].id).toBe('b');
+      expect(secondPage.results[0].id).toBe('a');
+    });
+
+    it('should count category facets without applying the category filter', () => {
+      // Act
+      const result = store.searchApps('invoice', { category: 'business' });
+
+      // Assert
+      expect(result.totalResults).toBe(1);
+      expect(result.facets.categories).toEqual({ business: 1, finance: 1 });
+      expect(
+        result.facets.priceRanges.find(range => range.label === 'Free').count
+      ).toBe(1);
+      expect(
+        result.facets.priceRanges.find(range => range.label === 'Under $10')
+          .count
+      ).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for semantic version utilities
+ */
+import {
+  compareSemver,
+  isPrerelease,
+  isValidSemver,
+  parseSemver,
+} from '../../../utils/semver.js';
+
+describe('semver', () => {
+  describe('parseSemver', () => {
+    it('should parse core versions and prerelease identifiers', () => {
+      // Act
+      const result = parseSemver('2.10.3-beta.4');
+
+      // Assert
+      expect(result).toEqual({
+        major: 2,
+        minor: 10,
+        patch: 3,
+        prerelease: ['beta', '4'],
+      });
+    });
+
+    it('should reject malformed versions', () => {
+      // Act & Assert
+      expect(isValidSemver('v1.0.0')).toBe(false);
+      expect(isValidSemver('1.0')).toBe(false);
+      expect(isValidSemver('01.0.0')).toBe(false);
+      expect(isValidSemver('1.0.0+build.7')).toBe(true);
+    });
+  });
+
+  describe('compareSemver', () => {
+    it('should order by major, minor and patch numerically', () => {
+      // Act & Assert
+      expect(compareSemver('1.10.0', '1.9.9')).toBeGreaterThan(0);
+      expect(compareSemver('1.0.0', '1.0.0')).toBe(0);
+    });
+
+    it('should rank prereleases below their release', () => {
+      // Arrange
+      const versions = [
+        '1.0.0',
+        '1.0.0-beta.11',
+        '1.0.0-alpha',
+        '1.0.0-beta.2',
+      ];
+
+      // Act
+      const sorted = [...versions].sort(compareSemver);
+
+      // Assert
+      expect(sorted).toEqual([
+        '1.0.0-alpha',
+        '1.0.0-beta.2',
+        '1.0.0-beta.11',
+        '1.0.0',
+      ]);
+      expect(isPrerelease('1.0.0-beta.2')).toBe(true);
+    });
+
+    it('should throw for invalid versions', () => {
+      // Act & Assert
+      expect(() => compareSemver('latest', '1.0.0')).toThrow(
+        'Invalid semantic version: latest'
+      );
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for the AI Store persistence layer
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createStoreRepository,
+  FileStoreRepository,
+  MemoryStoreRepository,
+  migrateSnapshot,
+  STORE_SCHEMA_VERSION,
+} from '../../../services/storeRepository.js';
+import AIStoreService from '../../../services/aiStoreService.js';
+import logger from '../../../config/logger.js';
+
+describe('storeRepository', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+    filePath = path.join(tempDir, 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('migrateSnapshot', () => {
+    it('should fill in missing collections and stamp the schema version', () => {
+      // Act
+      const result = migrateSnapshot({ collections: { apps: [] } });
+
+      // Assert
+      expect(result.schemaVersion).toBe(STORE_SCHEMA_VERSION);
+      expect(result.collections.reviews).toEqual([]);
+      expect(result.collections.downloads).toEqual([]);
+    });
+
+    it('should give legacy apps a stable release', () => {
+      // Act
+      const result = migrateSnapshot({
+        schemaVersion: 2,
+        collections: { apps: [['a', { id: 'a', version: '2.1.0' }]] },
+      });
+
+      // Assert
+      const [, app] = result.collections.apps[0];
+      expect(app.channels).toEqual({ stable: '2.1.0', beta: null });
+      expect(app.releases[0]).toMatchObject({
+        version: '2.1.0',
+        channel: 'stable',
+        status: 'active',
+      });
+    });
+  });
+
+  describe('FileStoreRepository', () => {
+    it('should return null when no store file exists', () => {
+      // Arrange
+      const repository = new FileStoreRepository(filePath);
+
+      // Act & Assert
+      expect(repository.load()).toBeNull();
+    });
+
+    it('should move a corrupt store file aside and start empty', () => {
+      // Arrange
+      fs.writeFileSync(filePath, '{"collections": {"apps": [');
+      const repository = new FileStoreRepository(filePath);
+      const mockLoggerError = jest.spyOn(logger, 'error').mockImplementation();
+
+      // Act
+      const loaded = repository.load();
+
+      // Assert
+      const [corruptFile] = fs
+        .readdirSync(tempDir)
+        .filter(name => name.startsWith('store.json.corrupt-'));
+      expect(loaded).toBeNull();
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(fs.readFileSync(path.join(tempDir, corruptFile), 'utf8')).toBe(
+        '{"collections": {"apps": ['
+      );
+      expect(mockLoggerError).toHaveBeenCalledTimes(1);
+      mockLoggerError.mockRestore();
+    });
+
+    it('should round-trip the latest saved snapshot', async () => {
+      // Arrange
+      const repository = new FileStoreRepository(filePath);
+
+      // Act
+      repository.save({
+        schemaVersion: STORE_SCHEMA_VERSION,
+        collections: { apps: [] },
+      });
+      await repository.save({
+        schemaVersion: STORE_SCHEMA_VERSION,
+        collections: { apps: [['app_1', { id: 'app_1' }]] },
+      });
+
+      // Assert
+      const loaded = new FileStoreRepository(filePath).load();
+      expect(loaded.collections.apps).toEqual([['app_1', { id: 'app_1' }]]);
+    });
+  });
+
+  describe('createStoreRepository', () => {
+    it('should keep named repositories next to the store without migrating them', async () => {
+      // Arrange
+      const previous = process.env.STORE_DATA_PATH;
+      process.env.STORE_DATA_PATH = filePath;
+
+      // Act
+      const repository = createStoreRepository({
+        backend: 'file',
+        name: 'invoices',
+      });
+      await repository.save({ sequences: [['INV-2026', 3]] });
+      if (previous === undefined) {
+        delete process.env.STORE_DATA_PATH;
+      } else {
+        process.env.STORE_DATA_PATH = previous;
+      }
+
+      // Assert
+      expect(repository.filePath).toBe(path.join(tempDir, 'invoices.json'));
+      expect(repository.load()).toEqual({ sequences: [['INV-2026', 3]] });
+    });
+  });
+
+  describe('AIStoreService persistence', () => {
+    it('should seed default categories into an empty repository', () => {
+      // Arrange
+      const repository = new MemoryStoreRepository();
+
+      // Act
+      const store = new AIStoreService({ repository });
+
+      // Assert
+      expect(store.categories.has('productivity')).toBe(true);
+      expect(store.categories.size).toBe(10);
+    });
+
+    it('should restore published apps after a restart', async () => {
+      // Arrange
+      const repository = new FileStoreRepository(filePath);
+      const store = new AIStoreService({ repository });
+
+      // Act
+      const result = await store.publishApp(
+        {
+          name: 'Invoice Bot',
+          description: 'Extracts invoice data',
+          category: 'business',
+        },
+        'dev_1'
+      );
+      const restarted = new AIStoreService({
+        repository: new FileStoreRepository(filePath),
+      });
+
+      // Assert
+      expect(restarted.apps.get(result.appId).name).toBe('Invoice Bot');
+      expect(restarted.categories.get('business').appCount).toBe(1);
+      expect(restarted.metrics.totalApps).toBe(1);
+    });
+  });
+});
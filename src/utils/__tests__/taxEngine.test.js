@@ -0,0 +1,185 @@
+/**
+ * Tests for GST, VAT and US sales tax
+ */
+import TaxEngine from '../../../services/taxEngine.js';
+import PaymentService from '../../../services/paymentService.js';
+
+describe('taxEngine', () => {
+  describe('GST', () => {
+    const engine = new TaxEngine({ sellerCountry: 'IN', sellerState: 'KA' });
+
+    it('should split GST into CGST and SGST within the seller state', () => {
+      // Act
+      const tax = engine.calculate({
+        amount: 1000,
+        country: 'IN',
+        state: 'KA',
+      });
+
+      // Assert
+      expect(tax.lines.map(line => [line.type, line.amount])).toEqual([
+        ['CGST', 90],
+        ['SGST', 90],
+      ]);
+      expect(tax).toMatchObject({ jurisdiction: 'IN-KA', total: 180 });
+    });
+
+    it('should charge IGST across states', () => {
+      // Act
+      const tax = engine.calculate({
+        amount: 1000,
+        country: 'IN',
+        state: 'MH',
+        taxId: '27ABCDE1234F1Z5',
+      });
+
+      // Assert
+      expect(tax.lines).toEqual([
+        { type: 'IGST', name: 'IGST', rate: 0.18, amount: 180 },
+      ]);
+      expect(tax.customerType).toBe('business');
+    });
+
+    it('should reverse charge registered Indian businesses buying from abroad', () => {
+      // Act
+      const tax = new TaxEngine({ sellerCountry: 'US' }).calculate({
+        amount: 1000,
+        country: 'IN',
+        taxId: '27ABCDE1234F1Z5',
+      });
+
+      // Assert
+      expect(tax).toMatchObject({ reverseCharge: true, total: 0 });
+    });
+  });
+
+  describe('VAT', () => {
+    const engine = new TaxEngine({ sellerCountry: 'IE' });
+
+    it('should charge consumers the VAT rate of their country', () => {
+      // Act
+      const tax = engine.calculate({ amount: 100, country: 'FR' });
+
+      // Assert
+      expect(tax).toMatchObject({
+        regime: 'VAT',
+        jurisdiction: 'FR',
+        total: 20,
+      });
+    });
+
+    it('should reverse charge businesses in other member states only', () => {
+      // Act
+      const crossBorder = engine.calculate({
+        amount: 100,
+        country: 'DE',
+        taxId: 'DE123456789',
+      });
+      const domestic = engine.calculate({
+        amount: 100,
+        country: 'IE',
+        taxId: 'IE1234567T',
+      });
+
+      // Assert
+      expect(crossBorder).toMatchObject({ reverseCharge: true, total: 0 });
+      expect(crossBorder.note).toMatch(/Reverse charge/);
+      expect(domestic).toMatchObject({ reverseCharge: false, total: 23 });
+    });
+
+    it('should charge consumer VAT when the tax ID does not match the country format', () => {
+      // Act
+      const tax = engine.calculate({
+        amount: 100,
+        country: 'DE',
+        taxId: 'FR123',
+      });
+      const spaced = engine.calculate({
+        amount: 100,
+        country: 'NL',
+        taxId: 'nl 1234.56789 b01',
+      });
+
+      // Assert
+      expect(tax).toMatchObject({
+        customerType: 'consumer',
+        reverseCharge: false,
+        total: 19,
+        taxIdCheck: { scheme: 'VAT', valid: false, method: 'format' },
+      });
+      expect(spaced).toMatchObject({
+        customerType: 'business',
+        reverseCharge: true,
+        taxIdCheck: { scheme: 'VAT', valid: true },
+      });
+    });
+  });
+
+  describe('US sales tax', () => {
+    it('should charge the state rate only where the seller has nexus', () => {
+      // Arrange
+      const engine = new TaxEngine({ usNexusStates: ['CA'] });
+
+      // Act
+      const california = engine.calculate({
+        amount: 100,
+        country: 'US',
+        state: 'CA',
+      });
+      const texas = engine.calculate({
+        amount: 100,
+        country: 'US',
+        state: 'TX',
+      });
+      const unknown = engine.calculate({ amount: 100, country: 'BR' });
+
+      // Assert
+      expect(california).toMatchObject({ regime: 'SALES_TAX', total: 7.25 });
+      expect(texas.total).toBe(0);
+      expect(unknown).toMatchObject({ regime: null, total: 0 });
+    });
+  });
+
+  describe('payments', () => {
+    let payments;
+
+    beforeEach(() => {
+      payments = new PaymentService({
+        sandbox: true,
+        tax: { sellerCountry: 'IN', sellerState: 'KA' },
+      });
+      payments.sendPaymentConfirmation = async () => {};
+      payments.sendRefundConfirmation = async () => {};
+    });
+
+    it('should charge tax on top and report it separately from revenue', async () => {
+      // Arrange
+      const paid = await payments.processPayment({
+        userId: 'u1',
+        amount: 100,
+        currency: 'USD',
+        method: 'card',
+        billingDetails: { country: 'IN', state: 'KA' },
+      });
+
+      // Act
+      await payments.processRefund(paid.transactionId, 59);
+      const analytics = payments.getPaymentAnalytics();
+
+      // Assert
+      expect(paid.amount).toBe(118);
+      expect(paid.receipt.tax.lines).toHaveLength(2);
+      expect(payments.transactions.get(paid.transactionId).tax.refunded).toBe(
+        9
+      );
+      expect(analytics.overview.totalRevenue).toBe(100);
+      expect(analytics.tax).toMatchObject({
+        collected: 18,
+        refunded: 9,
+        net: 9,
+        byJurisdiction: { 'IN-KA': 9 },
+        byType: { CGST: 4.5, SGST: 4.5 },
+      });
+    });
+  });
+});
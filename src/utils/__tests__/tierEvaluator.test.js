@@ -0,0 +1,165 @@
+/**
+ * Tests for partner tier evaluation
+ */
+import PartnershipService from '../../../services/partnershipService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('tierEvaluator', () => {
+  let apps;
+  let partnerships;
+  let tiers;
+
+  const now = new Date();
+  const daysFrom = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+  const registerPartner = async () => {
+    const { partnerId } = await partnerships.registerPartner({
+      name: 'Dev',
+      email: 'dev@example.com',
+      company: 'Dev Co',
+    });
+    return partnerId;
+  };
+
+  const addApp = (developerId, fields = {}) =>
+    apps.push({
+      id: `app_${apps.length + 1}`,
+      developerId,
+      status: 'approved',
+      qualityScore: 88,
+      rating: 4.5,
+      ratingCount: 20,
+      downloads: 500,
+      ...fields,
+    });
+
+  const earn = (partnerId, revenue, daysAgo) => {
+    const { shareId } = partnerships.calculateRevenueShare(partnerId, revenue);
+    partnerships.revenueShares.get(shareId).createdAt = daysFrom(
+      now,
+      -daysAgo
+    ).toISOString();
+  };
+
+  beforeEach(() => {
+    apps = [];
+    partnerships = new PartnershipService({
+      findDeveloperApps: developerId =>
+        apps.filter(app => app.developerId === developerId),
+      tiers: { gracePeriodDays: 30 },
+    });
+    partnerships.sendWelcomeEmail = async () => {};
+    partnerships.sendTierUpgradeNotification = async () => {};
+    partnerships.sendTierGraceNotification = async () => {};
+    tiers = partnerships.tiers;
+  });
+
+  it('should only count revenue from the rolling windows', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    addApp(partnerId);
+    earn(partnerId, 6000, 120);
+    earn(partnerId, 600, 10);
+    earn(partnerId, 2400, 60);
+
+    // Act
+    const result = tiers.evaluatePartner(partnerId, now);
+
+    // Assert
+    expect(
+      partnerships.partners.get(partnerId).tierEvaluation.stats
+    ).toMatchObject({
+      revenue30d: 600,
+      revenue90d: 3000,
+      tierRevenue: 1000,
+    });
+    expect(result).toMatchObject({ tier: 'silver', qualifiedTier: 'silver' });
+  });
+
+  it('should hold back upgrades until quality and rating requirements are met', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    addApp(partnerId, { qualityScore: 75, rating: 3.8 });
+    earn(partnerId, 2000, 5);
+
+    // Act
+    const result = tiers.evaluatePartner(partnerId, now);
+    const dashboard = partnerships.getPartnerDashboard(partnerId);
+
+    // Assert
+    expect(result.tier).toBe('bronze');
+    expect(dashboard.tier.missingForNextTier).toEqual([
+      'Average app quality score above 80',
+      'Average user rating above 4.0',
+    ]);
+  });
+
+  it('should require multiple successful apps for gold and strategic status for platinum', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    addApp(partnerId, { qualityScore: 95 });
+    addApp(partnerId, { qualityScore: 95, downloads: 20 });
+    earn(partnerId, 30000, 5);
+
+    // Act
+    const withOneSuccess = tiers.evaluatePartner(partnerId, now).tier;
+    apps[1].downloads = 200;
+    const withTwoSuccesses = tiers.evaluatePartner(partnerId, now).tier;
+    partnerships.partners.get(partnerId).strategic = true;
+    const strategic = tiers.evaluatePartner(partnerId, now).tier;
+
+    // Assert
+    expect([withOneSuccess, withTwoSuccesses, strategic]).toEqual([
+      'silver',
+      'gold',
+      'platinum',
+    ]);
+  });
+
+  it('should downgrade only after the grace period and record tier history', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    addApp(partnerId);
+    earn(partnerId, 1500, 20);
+    tiers.evaluatePartner(partnerId, now);
+
+    // Act
+    const atRisk = tiers.evaluatePartner(partnerId, daysFrom(now, 80));
+    const stillInGrace = tiers.evaluatePartner(partnerId, daysFrom(now, 100));
+    const downgraded = tiers.evaluatePartner(partnerId, daysFrom(now, 111));
+
+    // Assert
+    expect(atRisk).toMatchObject({ tier: 'silver', change: null });
+    expect(atRisk.grace).toMatchObject({ targetTier: 'bronze' });
+    expect(stillInGrace.tier).toBe('silver');
+    expect(downgraded).toMatchObject({ tier: 'bronze', change: 'downgrade' });
+    expect(
+      partnerships.partners
+        .get(partnerId)
+        .tierHistory.map(entry => entry.reason)
+    ).toEqual(['registered', 'upgrade', 'downgrade']);
+  });
+
+  it('should end the grace period when the partner recovers', async () => {
+    // Arrange
+    const partnerId = await registerPartner();
+    addApp(partnerId);
+    earn(partnerId, 1500, 20);
+    tiers.evaluatePartner(partnerId, now);
+    tiers.evaluatePartner(partnerId, daysFrom(now, 80));
+
+    // Act
+    apps[0].rating = 3.5;
+    const lowRating = partnerships.getPartnerDashboard(partnerId).tier.atRisk;
+    apps[0].rating = 4.5;
+    earn(partnerId, 1200, -85);
+    const recovered = tiers.evaluatePartner(partnerId, daysFrom(now, 90));
+
+    // Assert
+    expect(lowRating.missing).toEqual(
+      expect.arrayContaining(['Average user rating above 4.0'])
+    );
+    expect(recovered).toMatchObject({ tier: 'silver', grace: null });
+  });
+});
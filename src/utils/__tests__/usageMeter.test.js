@@ -0,0 +1,196 @@
+/**
+ * Tests for metered usage and plan limits
+ */
+import { EventEmitter } from 'events';
+import UsageMeter, { parseLimit } from '../../../services/usageMeter.js';
+import PaymentService from '../../../services/paymentService.js';
+import AIStoreService from '../../../services/aiStoreService.js';
+import { MemoryStoreRepository } from '../../../services/storeRepository.js';
+import { meterUsage } from '../../../middleware/planLimits.js';
+
+describe('usageMeter', () => {
+  let payments;
+  let meter;
+
+  beforeEach(() => {
+    payments = new PaymentService({ sandbox: true });
+    payments.sendPaymentConfirmation = async () => {};
+    meter = new UsageMeter(payments);
+  });
+
+  it('should parse numeric, size and unlimited limits', () => {
+    // Act & Assert
+    expect(parseLimit(5)).toBe(5);
+    expect(parseLimit('100MB')).toBe(100 * 1024 * 1024);
+    expect(parseLimit(-1)).toBe(Infinity);
+  });
+
+  it('should hold free users to the free plan until a new period', () => {
+    // Arrange
+    for (let i = 0; i < 5; i++) {
+      meter.record('u1', { aiGenerations: 1 });
+    }
+
+    // Act
+    const blocked = meter.check('u1', { aiGenerations: 1 });
+    meter.accounts.get('u1').periodStart = '2000-01-01T00:00:00.000Z';
+    const nextPeriod = meter.check('u1', { aiGenerations: 1 });
+
+    // Assert
+    expect(blocked).toMatchObject({
+      allowed: false,
+      resource: 'aiGenerations',
+    });
+    expect(nextPeriod.allowed).toBe(true);
+  });
+
+  it('should apply the subscribed plan and keep cumulative usage', async () => {
+    // Arrange
+    meter.record('u1', { aiGenerations: 5, storage: 1024 });
+    await payments.createSubscription({
+      userId: 'u1',
+      planId: 'professional',
+      method: 'card',
+    });
+
+    // Act
+    const usage = meter.getUsage('u1');
+
+    // Assert
+    expect(usage.planId).toBe('professional');
+    expect(usage.resources.aiGenerations).toMatchObject({
+      used: 0,
+      unlimited: true,
+    });
+    expect(usage.resources.storage.used).toBe(1024);
+    expect(meter.findPlanSubscription('u1').usage.storage).toBe(1024);
+  });
+
+  it('should limit published apps per developer', async () => {
+    // Arrange
+    const store = new AIStoreService({
+      repository: new MemoryStoreRepository(),
+      usageMeter: meter,
+    });
+    const app = {
+      name: 'Tool',
+      description: 'Does things',
+      category: 'business',
+    };
+
+    // Act
+    const first = await store.publishApp(app, 'dev_1');
+    const second = await store.publishApp(app, 'dev_1');
+
+    // Assert
+    expect(first.success).toBe(true);
+    expect(second).toMatchObject({ success: false, limitExceeded: true });
+  });
+
+  it('should hold concurrent publishes to the app limit and release failed ones', async () => {
+    // Arrange
+    const store = new AIStoreService({
+      repository: new MemoryStoreRepository(),
+      usageMeter: meter,
+    });
+    const app = {
+      name: 'Tool',
+      description: 'Does things',
+      category: 'business',
+    };
+    const failing = new AIStoreService({
+      repository: new MemoryStoreRepository(),
+      usageMeter: meter,
+    });
+    failing.analyzeAppWithAI = async () => {
+      throw new Error('Analysis unavailable');
+    };
+
+    // Act
+    const failed = await failing.publishApp(app, 'dev_2');
+    const results = await Promise.all([
+      store.publishApp(app, 'dev_1'),
+      store.publishApp(app, 'dev_1'),
+      store.publishApp(app, 'dev_1'),
+    ]);
+
+    // Assert
+    expect(failed.success).toBe(false);
+    expect(meter.getUsage('dev_2').resources.apps.used).toBe(0);
+    expect(results.filter(result => result.success)).toHaveLength(1);
+    expect(meter.getUsage('dev_1').resources.apps.used).toBe(1);
+  });
+
+  describe('meterUsage middleware', () => {
+    const run = async (statusCode = 200, finish = true) => {
+      const req = { user: { id: 'u1' }, body: {}, query: {}, ip: '127.0.0.1' };
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      res.status = code => {
+        res.statusCode = code;
+        return res;
+      };
+      res.json = body => {
+        res.body = body;
+        return res;
+      };
+
+      let handled = false;
+      await meterUsage(meter, { aiGenerations: 1 })(req, res, () => {
+        handled = true;
+      });
+      if (handled && finish) {
+        res.emit('finish');
+      }
+      return { res, handled };
+    };
+
+    it('should count successful calls and reject calls over the limit', async () => {
+      // Arrange
+      await run(500);
+      for (let i = 0; i < 5; i++) {
+        await run();
+      }
+
+      // Act
+      const { res, handled } = await run();
+
+      // Assert
+      expect(handled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.limitExceeded).toBe(true);
+      expect(meter.getUsage('u1').resources.aiGenerations.used).toBe(5);
+    });
+
+    it('should reserve usage while requests are still in flight', async () => {
+      // Arrange
+      const inFlight = [];
+      for (let i = 0; i < 5; i++) {
+        inFlight.push(await run(200, false));
+      }
+
+      // Act
+      const { res, handled } = await run();
+      inFlight[0].res.statusCode = 500;
+      inFlight[0].res.emit('finish');
+      inFlight[1].res.emit('close');
+
+      // Assert
+      expect(handled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(meter.getUsage('u1').resources.aiGenerations.used).toBe(3);
+    });
+  });
+
+  it('should release deleted storage', () => {
+    // Arrange
+    meter.reserve('u1', { storage: 4096 });
+
+    // Act
+    meter.release('u1', { storage: 1024 });
+    meter.release('u1', { storage: 8192 });
+
+    // Assert
+    expect(meter.getUsage('u1').resources.storage.used).toBe(0);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for outbound webhook signing, retries, disabling and redelivery
+ */
+import WebhookService, {
+  signWebhookPayload,
+} from '../../../services/webhookService.js';
+
+describe('webhookService', () => {
+  let webhooks;
+  let requests;
+  let responseStatus;
+  let resolvedAddresses;
+  const now = new Date('2026-03-01T12:00:00Z');
+  const later = seconds => new Date(now.getTime() + seconds * 1000);
+
+  beforeEach(() => {
+    requests = [];
+    responseStatus = 200;
+    resolvedAddresses = [{ address: '93.184.216.34', family: 4 }];
+    webhooks = new WebhookService({
+      maxAttempts: 3,
+      retryBaseSeconds: 60,
+      disableAfterFailures: 2,
+      fetch: async (url, init) => {
+        requests.push({ url, ...init });
+        return {
+          ok: responseStatus < 300,
+          status: responseStatus,
+          text: async () => 'received',
+        };
+      },
+      lookup: async () => resolvedAddresses,
+    });
+    webhooks.sendEndpointDisabledNotification = async () => true;
+  });
+
+  const register = (userId, events = ['app.approved']) =>
+    webhooks.createEndpoint(userId, {
+      url: 'https://hooks.example.com/store',
+      events,
+    });
+
+  it('should send signed events only to subscribed endpoints of the owners', async () => {
+    // Arrange
+    const { endpoint, secret } = register('dev_1');
+    register('dev_1', ['payment.completed']);
+    register('dev_2');
+
+    // Act
+    const [delivery] = await webhooks.publish(
+      'app.approved',
+      { appId: 'app_1' },
+      ['dev_1'],
+      now
+    );
+
+    // Assert
+    expect(requests).toHaveLength(1);
+    expect(requests[0].headers).toMatchObject({
+      'X-Event-Type': 'app.approved',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Signature': signWebhookPayload(requests[0].body, secret),
+    });
+    expect(JSON.parse(requests[0].body)).toMatchObject({
+      type: 'app.approved',
+      data: { appId: 'app_1' },
+    });
+    expect(delivery).toMatchObject({
+      endpointId: endpoint.id,
+      status: 'delivered',
+    });
+    expect(webhooks.listEndpoints('dev_1')[0]).not.toHaveProperty('secret');
+  });
+
+  it('should retry with exponential backoff and disable endpoints that keep failing', async () => {
+    // Arrange
+    const { endpoint } = register('dev_1');
+    responseStatus = 500;
+
+    // Act
+    const [delivery] = await webhooks.publish('app.approved', {}, 'dev_1', now);
+    const firstRetryAt = delivery.nextAttemptAt;
+    await webhooks.runCycle(later(60));
+    const secondRetryAt = delivery.nextAttemptAt;
+    await webhooks.runCycle(later(180));
+    const failuresAfterFirst = webhooks.endpoints.get(
+      endpoint.id
+    ).consecutiveFailures;
+    const [next] = await webhooks.publish('app.approved', {}, 'dev_1', now);
+    await webhooks.runCycle(later(60));
+    await webhooks.runCycle(later(180));
+
+    // Assert
+    expect(firstRetryAt).toBe(later(60).toISOString());
+    expect(secondRetryAt).toBe(later(180).toISOString());
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([
+      500, 500, 500,
+    ]);
+    expect(failuresAfterFirst).toBe(1);
+    expect(next.status).toBe('failed');
+    expect(webhooks.endpoints.get(endpoint.id)).toMatchObject({
+      enabled: false,
+      disabledReason: '2 deliveries in a row failed',
+    });
+    expect(await webhooks.publish('app.approved', {}, 'dev_1', now)).toEqual(
+      []
+    );
+  });
+
+  it('should redeliver an event once its endpoint is enabled again', async () => {
+    // Arrange
+    const { endpoint } = register('dev_1');
+    responseStatus = 500;
+    const [delivery] = await webhooks.publish('app.approved', {}, 'dev_1', now);
+    webhooks.updateEndpoint(endpoint.id, { enabled: false });
+    responseStatus = 200;
+
+    // Act
+    const whileDisabled = await webhooks.redeliver(delivery.id, now);
+    webhooks.updateEndpoint(endpoint.id, { enabled: true });
+    const redelivered = await webhooks.redeliver(delivery.id, now);
+
+    // Assert
+    expect(delivery.status).toBe('cancelled');
+    expect(whileDisabled.success).toBe(false);
+    expect(redelivered.delivery).toMatchObject({
+      status: 'delivered',
+      eventId: delivery.eventId,
+      redeliveryOf: delivery.id,
+    });
+  });
+
+  it('should only accept public https endpoint URLs and known events', () => {
+    // Act & Assert
+    expect(
+      webhooks.createEndpoint('dev_1', {
+        url: 'http://hooks.example.com',
+        events: ['app.approved'],
+      }).error
+    ).toBe('url must use https');
+    expect(
+      webhooks.createEndpoint('dev_1', {
+        url: 'https://169.254.169.254/latest',
+        events: ['app.approved'],
+      }).error
+    ).toBe('url must be a public address');
+    expect(
+      webhooks.createEndpoint('dev_1', {
+        url: 'https://[::ffff:127.0.0.1]/hooks',
+        events: ['app.approved'],
+      }).error
+    ).toBe('url must be a public address');
+    expect(register('dev_1', ['app.deleted']).error).toBe(
+      'Unknown events: app.deleted'
+    );
+  });
+
+  it('should not send to hostnames that resolve to private addresses', async () => {
+    // Arrange
+    register('dev_1');
+    resolvedAddresses = [
+      { address: '93.184.216.34', family: 4 },
+      { address: '::ffff:169.254.169.254', family: 6 },
+    ];
+
+    // Act
+    const [delivery] = await webhooks.publish('app.approved', {}, 'dev_1', now);
+
+    // Assert
+    expect(requests).toHaveLength(0);
+    expect(delivery.status).toBe('retrying');
+    expect(delivery.attempts[0].error).toBe(
+      'hooks.example.com resolves to a private address (::ffff:169.254.169.254)'
+    );
+  });
+});
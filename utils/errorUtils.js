@@ -58,10 +58,12 @@ export const withErrorHandling = (fn, options = {}) => {
  * Validates input parameters
  * @param {Object} params - Parameters to validate
  * @param {Array<string>} required - List of required parameter names
- * @throws {Error} If validation fails
+ * @throws {Error} If a required parameter is null or undefined
  */
 export const validateParams = (params, required = []) => {
-  const missing = required.filter(param => !params[param]);
+  const missing = required.filter(
+    param => params[param] === undefined || params[param] === null
+  );
 
   if (missing.length > 0) {
     throw new Error(`Missing required parameters: ${missing.join(', ')}`);
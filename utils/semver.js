@@ -0,0 +1,100 @@
+/**
+ * Utility functions for semantic version strings (MAJOR.MINOR.PATCH[-prerelease])
+ */
+
+const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+
+/**
+ * Parses a semantic version string
+ * @param {string} version - Version string, e.g. "1.4.0-beta.2"
+ * @returns {Object|null} Parsed version or null if invalid
+ */
+export const parseSemver = version => {
+  const match = SEMVER_PATTERN.exec(String(version || '').trim());
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+};
+
+/**
+ * Checks whether a string is a valid semantic version
+ * @param {string} version - Version string
+ * @returns {boolean} True if valid
+ */
+export const isValidSemver = version => parseSemver(version) !== null;
+
+/**
+ * Checks whether a version carries a prerelease tag
+ * @param {string} version - Version string
+ * @returns {boolean} True for versions like "2.0.0-rc.1"
+ */
+export const isPrerelease = version =>
+  (parseSemver(version)?.prerelease.length || 0) > 0;
+
+/**
+ * Compares two prerelease identifiers per the semver precedence rules
+ */
+const compareIdentifiers = (a, b) => {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) {
+    return Number(a) - Number(b);
+  }
+  if (aNumeric !== bNumeric) {
+    return aNumeric ? -1 : 1;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/**
+ * Compares two semantic versions
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ * @throws {Error} If either version is invalid
+ */
+export const compareSemver = (a, b) => {
+  const left = parseSemver(a);
+  const right = parseSemver(b);
+
+  if (!left || !right) {
+    throw new Error(`Invalid semantic version: ${!left ? a : b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] - right[part];
+    }
+  }
+
+  // A version without a prerelease tag ranks above its prereleases
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (left.prerelease[i] === undefined) {
+      return -1;
+    }
+    if (right.prerelease[i] === undefined) {
+      return 1;
+    }
+    const result = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (result !== 0) {
+      return result;
+    }
+  }
+
+  return 0;
+};